@@ -0,0 +1,156 @@
+/**
+ * benchmark-solver.js
+ * Comparación de rendimiento del núcleo de MFSUSolver.solve para el Modelo Fractal-Estocástico
+ * del Universo (MFSU)
+ *
+ * El bucle de referencia reproduce el núcleo anterior sobre arrays normales (un array nuevo
+ * por término y por paso, ψ = drift.map(...), copias [...ψ]) usando las mismas funciones
+ * públicas sin destino; solve() usa buffers Float64Array con doble buffer. Ambos parten de la
+ * misma semilla y deben dar exactamente el mismo ψ final.
+ *
+ * El ruido de Hurst de cada caso se genera una vez (con el generador en el mismo estado que en
+ * solve, tras la condición inicial) y ambos bucles lo reutilizan (solve a través de
+ * NoiseSource.fromRows): los tiempos son los del núcleo.
+ *
+ * Uso: node benchmark-solver.js [nx] [nt]   (por defecto 512 y 2000; los límites de
+ *      Config.PARAMETER_BOUNDS son nx = 512, nt = 10000)
+ */
+
+const { MFSUSolver } = require('./mfsu-solver.js');
+const { SeededRandom } = require('./random.js');
+const { NoiseSource } = require('./noise-source.js');
+
+/**
+ * Núcleo anterior de solve() (ψ real, frontera periódica, sin paso adaptativo)
+ * @param {MFSUSolver} solver - Solver
+ * @param {Object} params - Parámetros de la ecuación
+ * @param {number} nx - Puntos espaciales
+ * @param {number} nt - Pasos temporales
+ * @param {Object} options - { operator, method, seed, saveInterval, shape, noiseRows }
+ * @returns {Object} { finalPsi, evolution }
+ */
+function legacySolve(solver, params, nx, nt, options) {
+    const { alpha, beta, gamma, fractalDim, dt, hurst, hurstExponent } = { ...solver.params, ...params };
+    const integrators = MFSUSolver.timeIntegrators;
+    const integrator = integrators.get(options.method);
+    const shape = options.shape || [nx];
+    const grid = MFSUSolver.spatialGrid.create(shape);
+    const dx = shape.length === 1 ? grid.spacing[0] : grid.spacing;
+    const rng = new SeededRandom(options.seed);
+    const saveInterval = options.saveInterval || 10;
+
+    let psi = solver.generateInitialCondition(shape, 'fractal', rng, grid);
+    const hurstNoise = options.noiseRows || solver.generateHurstNoise(shape, nt, hurst, hurstExponent, rng);
+    const evolution = [];
+
+    const points = solver.gridCoordinates(shape, grid);
+    const forcingAt = solver.compileForcing('none', grid);
+    const reaction = (state, time) => {
+        const rate = new Array(state.length);
+        for (let i = 0; i < grid.size; i++) {
+            rate[i] = -gamma * Math.pow(state[i], 3) + forcingAt(points[i], time);
+        }
+        return rate;
+    };
+    const rhs = (state, time) => {
+        const fractalTerm = solver.applyFractionalOperator(state, dx, fractalDim, options.operator, 'periodic', shape, [0, 0]);
+        const rate = reaction(state, time);
+        for (let i = 0; i < state.length; i++) {
+            rate[i] += alpha * fractalTerm[i];
+        }
+        return rate;
+    };
+    const state = integrator.createState ? integrator.createState(options, null) : {};
+
+    for (let t = 0; t < nt; t++) {
+        const drift = integrator.step(psi, t * dt, dt, rhs, state);
+        const increment = integrators.stochasticIncrement(psi, hurstNoise[t], beta, dt, { hurstExponent });
+        psi = drift.map((value, i) => value + increment[i]);
+
+        if (t % saveInterval === 0) {
+            evolution.push({ time: t * dt, psi: [...psi], ...solver.calculateDiagnostics(psi, dx, shape) });
+        }
+    }
+
+    return { finalPsi: psi, evolution: evolution };
+}
+
+/**
+ * Tiempo de pared de una función en milisegundos
+ */
+function time(run) {
+    const start = process.hrtime.bigint();
+    const value = run();
+    return { value: value, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+/**
+ * Ruido de un caso, generado con el generador en el mismo estado que en solve()
+ * @param {MFSUSolver} solver - Solver
+ * @param {Array<number>} shape - Puntos por eje
+ * @param {number} nt - Pasos temporales
+ * @param {number} seed - Semilla
+ * @returns {Object} { value: matriz [nt][N], ms: tiempo de generación }
+ */
+function precomputeNoise(solver, shape, nt, seed) {
+    const { hurst, hurstExponent } = solver.params;
+    const rng = new SeededRandom(seed);
+    solver.generateInitialCondition(shape, 'fractal', rng);
+    return time(() => solver.generateHurstNoise(shape, nt, hurst, hurstExponent, rng));
+}
+
+function runBenchmark(nx = 512, nt = 2000) {
+    const solver = new MFSUSolver();
+    const params = { dt: 0.0001 };
+    const side = Math.max(2, Math.round(nx / 4));
+    const cases = [
+        { name: 'finiteDifference + euler', operator: 'finiteDifference', method: 'euler', nt: nt },
+        { name: 'spectral + rk4', operator: 'spectral', method: 'rk4', nt: nt },
+        { name: 'riesz + ab', operator: 'riesz', method: 'ab', nt: Math.max(1, Math.floor(nt / 10)) },
+        { name: `spectral + rk4 ${side}×${side}`, operator: 'spectral', method: 'rk4', nt: Math.max(1, Math.floor(nt / 20)), shape: [side, side] }
+    ];
+
+    console.log(`=== BENCHMARK DEL NÚCLEO MFSU (nx = ${nx}) ===\n`);
+
+    const rows = cases.map(({ name, operator, method, nt: steps, shape = [nx] }) => {
+        const options = { operator: operator, method: method, seed: 1, shape: shape };
+        const run = (rows, solve) => solve(rows.length, { ...options, noiseRows: rows, noise: NoiseSource.fromRows(rows) });
+
+        // Calentamiento del compilador JIT con ambos tipos de array antes de medir
+        const warmup = precomputeNoise(solver, shape, 5, options.seed).value;
+        run(warmup, (n, opts) => legacySolve(solver, params, nx, n, opts));
+        run(warmup, (n, opts) => solver.solve(params, nx, n, opts));
+
+        const noise = precomputeNoise(solver, shape, steps, options.seed);
+        const legacy = time(() => run(noise.value, (n, opts) => legacySolve(solver, params, nx, n, opts)));
+        const typed = time(() => run(noise.value, (n, opts) => solver.solve(params, nx, n, opts)));
+        const difference = typed.value.finalPsi.reduce(
+            (max, value, i) => Math.max(max, Math.abs(value - legacy.value.finalPsi[i])), 0);
+
+        return {
+            caso: name,
+            pasos: steps,
+            'ruido (ms)': Math.round(noise.ms),
+            'arrays (ms)': Math.round(legacy.ms),
+            'Float64Array (ms)': Math.round(typed.ms),
+            'aceleración': (legacy.ms / typed.ms).toFixed(2) + '×',
+            'max |Δψ|': difference
+        };
+    });
+
+    console.table(rows);
+    console.log('\nLos tiempos excluyen la generación del ruido, común a ambos bucles.');
+
+    return rows;
+}
+
+// Exportar para uso en Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { legacySolve, runBenchmark };
+}
+
+// Ejecutar si se invoca directamente
+if (typeof require !== 'undefined' && require.main === module) {
+    const [nx, nt] = process.argv.slice(2).map(Number);
+    runBenchmark(nx || 512, nt || 2000);
+}
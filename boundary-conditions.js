@@ -0,0 +1,153 @@
+/**
+ * boundary-conditions.js
+ * Condiciones de frontera para el Modelo Fractal-Estocástico del Universo (MFSU)
+ *
+ * La malla 1D es x_i = i·dx (i = 0 ... n-1); los puntos fantasma x_{-1} y x_n fuera del
+ * dominio toman el valor que impone la condición:
+ *   'periodic'  ψ_{-1} = ψ_{n-1}, ψ_n = ψ_0
+ *   'dirichlet' ψ_{-1} = g_izq(t), ψ_n = g_der(t)          (valor exterior impuesto)
+ *   'neumann'   ψ_{-1} = ψ_0 + q_izq(t)·dx, ψ_n = ψ_{n-1} + q_der(t)·dx
+ *               (q es la derivada normal exterior ∂ψ/∂n; q = 0 es flujo nulo)
+ *   'absorbing' operador periódico más una capa de esponja -σ(x)·(ψ - g(t)) junto a los bordes
+ *
+ * Los valores de frontera pueden ser un número, un par [izquierda, derecha] o una función
+ * del tiempo que devuelve cualquiera de los dos.
+ */
+
+class BoundaryConditions {
+    /**
+     * Tipos de frontera soportados
+     */
+    static get TYPES() {
+        return ['periodic', 'dirichlet', 'neumann', 'absorbing'];
+    }
+
+    /**
+     * Comprueba que el tipo de frontera existe
+     * @param {string} type - Tipo de frontera
+     */
+    static validate(type) {
+        if (!this.TYPES.includes(type)) {
+            throw new Error(`Condición de frontera '${type}' no encontrada`);
+        }
+    }
+
+    /**
+     * Valores de frontera [izquierda, derecha] en el instante t
+     * @param {number|Array<number>|Function} value - Valor, par o función del tiempo
+     * @param {number} time - Tiempo
+     * @returns {Array<number>} [izquierda, derecha]
+     */
+    static values(value = 0, time = 0) {
+        const resolved = typeof value === 'function' ? value(time) : value;
+        return Array.isArray(resolved) ? [resolved[0], resolved[1]] : [resolved, resolved];
+    }
+
+    /**
+     * Frontera que ven los operadores: la capa absorbente se superpone a un dominio periódico
+     * @param {string} type - Tipo de frontera
+     * @returns {string} 'periodic', 'dirichlet' o 'neumann'
+     */
+    static operatorBoundary(type) {
+        return type === 'absorbing' ? 'periodic' : type;
+    }
+
+    /**
+     * Valores de los puntos fantasma a la izquierda y a la derecha de un campo 1D
+     * @param {Array<number>} psi - Campo
+     * @param {number} dx - Espaciado de malla
+     * @param {string} type - Tipo de frontera
+     * @param {Array<number>} values - Valores de frontera [izquierda, derecha]
+     * @returns {Array<number>} [ψ_{-1}, ψ_n]
+     */
+    static ghosts(psi, dx, type = 'periodic', values = [0, 0]) {
+        const n = psi.length;
+
+        switch (this.operatorBoundary(type)) {
+            case 'dirichlet':
+                return [values[0], values[1]];
+
+            case 'neumann':
+                return [psi[0] + values[0] * dx, psi[n - 1] + values[1] * dx];
+
+            default:
+                return [psi[n - 1], psi[0]];
+        }
+    }
+
+    /**
+     * Laplaciano de segundo orden (ψ_{i+1} - 2ψ_i + ψ_{i-1})/dx² con puntos fantasma
+     * @param {Array<number>} psi - Campo
+     * @param {number} dx - Espaciado de malla
+     * @param {string} type - Tipo de frontera
+     * @param {Array<number>} values - Valores de frontera [izquierda, derecha]
+     * @param {Array<number>|Float64Array} out - Destino (distinto de psi); uno nuevo por defecto
+     * @returns {Array<number>|Float64Array} Laplaciano discreto (out)
+     */
+    static laplacian(psi, dx, type = 'periodic', values = [0, 0], out = new Array(psi.length)) {
+        const n = psi.length;
+        const [left, right] = this.ghosts(psi, dx, type, values);
+        const result = out;
+
+        for (let i = 0; i < n; i++) {
+            const previous = i === 0 ? left : psi[i - 1];
+            const next = i === n - 1 ? right : psi[i + 1];
+            result[i] = (next - 2 * psi[i] + previous) / (dx * dx);
+        }
+
+        return result;
+    }
+
+    /**
+     * Borde más cercano de un punto de [0, 1]^d
+     * @param {number|Array<number>} point - x en 1D; [x, y] o [x, y, z] en 2D/3D
+     * @returns {Object} { distance, side } con side 0 para la cara x = 0 y 1 para x = 1
+     */
+    static nearestFace(point) {
+        const coordinates = Array.isArray(point) ? point : [point];
+        let distance = Infinity;
+        let side = 0;
+
+        for (const x of coordinates) {
+            if (x < distance) {
+                distance = x;
+                side = 0;
+            }
+            if (1 - x < distance) {
+                distance = 1 - x;
+                side = 1;
+            }
+        }
+
+        return { distance, side };
+    }
+
+    /**
+     * Capa absorbente: σ(x) = strength·((width - d)/width)², con d la distancia al borde más
+     * cercano (nulo fuera de la capa), y el lado (0 izquierda, 1 derecha) de ese borde para
+     * elegir el valor exterior g(t) hacia el que se relaja ψ
+     * @param {Array} points - Coordenadas (x en 1D; [x, y] o [x, y, z] en 2D/3D)
+     * @param {Object} layer - { width: fracción del dominio, strength: σ máximo }
+     * @returns {Object} { sigma, side } por punto
+     */
+    static absorption(points, layer = {}) {
+        const { width = 0.1, strength = 20 } = layer;
+        const sigma = new Array(points.length);
+        const side = new Array(points.length);
+
+        points.forEach((point, i) => {
+            const face = this.nearestFace(point);
+            sigma[i] = face.distance < width ? strength * Math.pow((width - face.distance) / width, 2) : 0;
+            side[i] = face.side;
+        });
+
+        return { sigma, side };
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BoundaryConditions };
+} else if (typeof window !== 'undefined') {
+    window.BoundaryConditions = BoundaryConditions;
+}
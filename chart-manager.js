@@ -146,6 +146,34 @@ class ChartManager {
         };
     }
 
+    /**
+     * Extrapolación de Richardson y GCI (global en el navegador, require en Node.js)
+     */
+    static get gridConvergence() {
+        return typeof GridConvergence !== 'undefined' ?
+            GridConvergence : require('./grid-convergence.js').GridConvergence;
+    }
+
+    /**
+     * Banda GCI y título del gráfico de convergencia
+     * Cada malla con dos mallas más gruesas debajo recibe GCI·|φ| de su terna (φ = value, ‖ψ‖₂)
+     * @param {Array} data - Datos de convergencia [{ meshSize, value, error }]
+     * @returns {Object} { bands, title }
+     */
+    convergenceBands(data) {
+        const gridConvergence = ChartManager.gridConvergence;
+        const title = 'Convergencia del Método Numérico';
+        const analyses = data.map((d, i) => i >= 2 && data.slice(i - 2, i + 1).every(e => e.value !== undefined) ?
+            gridConvergence.analyze(data.slice(i - 2, i + 1).map(e => e.value), data.slice(i - 2, i + 1).map(e => e.meshSize)) : null);
+        const latest = analyses[analyses.length - 1];
+        
+        return {
+            bands: analyses.map((gci, i) =>
+                gci && Number.isFinite(gci.order) ? gci.gciFine * Math.abs(data[i].value) : null),
+            title: latest ? `${title}: ${gridConvergence.summary(latest)}` : title
+        };
+    }
+
     /**
      * Crear gráfico de convergencia
      * @param {string} canvasId - ID del canvas
@@ -155,6 +183,13 @@ class ChartManager {
     createConvergenceChart(canvasId, data = []) {
         const ctx = document.getElementById(canvasId).getContext('2d');
         const gradient = this.createGradient(ctx, this.defaultColors.primary, this.defaultColors.secondary);
+        const { bands, title } = this.convergenceBands(data);
+        const baseConfig = this.getBaseConfig(
+            title,
+            'Refinamiento de Malla (log₂)',
+            'Error L2',
+            true
+        );
         
         const config = {
             type: 'line',
@@ -162,7 +197,8 @@ class ChartManager {
                 labels: data.map(d => d.order?.toFixed(0) || ''),
                 datasets: [{
                     label: 'Error L2',
-                    data: data.map(d => d.error || 0),
+                    // La malla más fina es la referencia y no tiene error (null: sin punto)
+                    data: data.map(d => d.error ?? null),
                     borderColor: this.defaultColors.primary,
                     backgroundColor: gradient,
                     tension: 0.4,
@@ -172,17 +208,20 @@ class ChartManager {
                     pointBackgroundColor: this.defaultColors.primary,
                     pointBorderColor: 'white',
                     pointBorderWidth: 2
+                }, {
+                    label: 'Banda GCI (GCI·|φ|)',
+                    data: bands,
+                    borderColor: this.defaultColors.danger,
+                    borderDash: [5, 5],
+                    tension: 0.4,
+                    fill: false,
+                    pointRadius: 4
                 }]
             },
             options: {
-                ...this.getBaseConfig(
-                    'Convergencia del Método Numérico',
-                    'Refinamiento de Malla (log₂)',
-                    'Error L2',
-                    true
-                ),
+                ...baseConfig,
                 plugins: {
-                    ...this.getBaseConfig().plugins,
+                    ...baseConfig.plugins,
                     annotation: {
                         annotations: {
                             line1: {
@@ -331,17 +370,89 @@ class ChartManager {
         return chart;
     }
 
+    /**
+     * Crear gráfico de un conjunto Monte Carlo (MFSUSolver.solveEnsemble): media con la banda
+     * sombreada del intervalo de confianza, de un diagnóstico en el tiempo o de ψ final en x
+     * @param {string} canvasId - ID del canvas
+     * @param {Object} ensemble - Resultado de solveEnsemble
+     * @param {string} quantity - Diagnóstico escalar ('energy', 'l2Norm', 'maxAmplitude', ...) o 'psi'
+     * @returns {Chart} - Instancia del gráfico
+     */
+    createEnsembleChart(canvasId, ensemble, quantity = 'energy') {
+        const ctx = document.getElementById(canvasId).getContext('2d');
+        const profile = quantity === 'psi';
+        const stats = profile ? ensemble : ensemble.diagnostics[quantity];
+        if (!stats) {
+            throw new Error(`Diagnóstico '${quantity}' no encontrado en el conjunto`);
+        }
+        
+        const x = profile ? (ensemble.x || stats.mean.map((_, i) => i / stats.mean.length)) : ensemble.time;
+        const name = profile ? 'ψ' : quantity;
+        const level = `${Math.round(ensemble.confidence * 100)}%`;
+        const base = this.getBaseConfig(
+            profile ? 'Conjunto Monte Carlo: ψ final' : `Conjunto Monte Carlo: ${quantity}`,
+            profile ? 'Posición x' : 'Tiempo',
+            name
+        );
+        
+        // La banda es el relleno de la curva superior hasta la inferior (fill: '-1')
+        const config = {
+            type: 'line',
+            data: {
+                labels: x.map(val => typeof val === 'number' ? val.toFixed(2) : ''),
+                datasets: [{
+                    label: `IC ${level} (inferior)`,
+                    data: stats.lower,
+                    borderColor: 'transparent',
+                    pointRadius: 0,
+                    fill: false
+                }, {
+                    label: `IC ${level}`,
+                    data: stats.upper,
+                    borderColor: 'transparent',
+                    backgroundColor: 'rgba(102, 126, 234, 0.25)',
+                    pointRadius: 0,
+                    fill: '-1'
+                }, {
+                    label: `Media de ${name} (${ensemble.realizations} realizaciones)`,
+                    data: stats.mean,
+                    borderColor: this.defaultColors.primary,
+                    tension: 0.3,
+                    fill: false,
+                    pointRadius: 1
+                }]
+            },
+            options: {
+                ...base,
+                plugins: {
+                    ...base.plugins,
+                    legend: {
+                        ...base.plugins.legend,
+                        labels: {
+                            ...base.plugins.legend.labels,
+                            filter: item => item.datasetIndex !== 0
+                        }
+                    }
+                }
+            }
+        };
+        
+        const chart = new Chart(ctx, config);
+        this.charts.set(canvasId, chart);
+        return chart;
+    }
+
     /**
      * Crear gráfico de superficie 3D (usando Chart.js con datos simulados)
      * @param {string} canvasId - ID del canvas
      * @param {Array} psi - Datos de la función de onda
+     * @param {Array} x - Posiciones físicas (result.x de MFSUSolver.solve); [0, 1) por defecto
      * @returns {Chart} - Instancia del gráfico
      */
-    createSurfaceChart(canvasId, psi = []) {
+    createSurfaceChart(canvasId, psi = [], x = psi.map((_, i) => i / psi.length)) {
         const ctx = document.getElementById(canvasId).getContext('2d');
         
         // Crear representación 2D de la superficie
-        const x = psi.map((_, i) => i / psi.length);
         const y = psi.map(val => val);
         
         const config = {
@@ -544,8 +655,8 @@ class ChartManager {
         
         if (Array.isArray(newData)) {
             if (newData.length > 0 && typeof newData[0] === 'object') {
-                // Datos con estructura {x, y} o {time, value}
-                chart.data.labels = newData.map(d => d.x || d.time || '');
+                // Datos con estructura {x, y} o {time, value} (x = 0 es una posición válida)
+                chart.data.labels = newData.map(d => d.x !== undefined ? d.x : d.time || '');
                 chart.data.datasets[datasetIndex].data = newData.map(d => d.y || d.value || 0);
             } else {
                 // Datos simples
@@ -556,6 +667,41 @@ class ChartManager {
         chart.update('none'); // Actualización sin animación para mejor rendimiento
     }
 
+    /**
+     * Mostrar un resultado parcial de SimulationRunner (evento analysisPartial)
+     * 'convergence' trae los errores y ‖ψ‖₂ por malla resueltos hasta ahora (con la banda GCI) y 'stability' la evolución
+     * de la amplitud máxima; el gráfico se crea la primera vez si el canvas existe
+     * @param {Object} partial - { stage, data }
+     * @param {Object} canvasIds - Canvas de cada etapa
+     */
+    renderAnalysisPartial(partial, canvasIds = { convergence: 'convergenceChart', stability: 'stabilityChart' }) {
+        const canvasId = canvasIds[partial.stage];
+        if (!canvasId || !document.getElementById(canvasId)) return;
+        
+        const chart = this.charts.get(canvasId);
+        if (partial.stage === 'convergence') {
+            if (!chart) {
+                this.createConvergenceChart(canvasId, partial.data);
+                return;
+            }
+            const { bands, title } = this.convergenceBands(partial.data);
+            chart.data.labels = partial.data.map(d => d.order.toFixed(0));
+            chart.data.datasets[0].data = partial.data.map(d => d.error);
+            chart.data.datasets[1].data = bands;
+            chart.options.plugins.title.text = title;
+        } else {
+            const evolution = partial.data.evolution;
+            if (!chart) {
+                this.createStabilityChart(canvasId, evolution);
+                return;
+            }
+            chart.data.labels = evolution.map(d => d.time.toFixed(2));
+            chart.data.datasets[0].data = evolution.map(d => d.maxAmp);
+        }
+        
+        chart.update('none');
+    }
+
     /**
      * Actualizar múltiples datasets
      * @param {string} canvasId - ID del canvas
@@ -730,6 +876,11 @@ function initializeChartManager() {
         }
     });
     
+    // Resultados parciales del análisis en curso (UIControls.runAnalysis)
+    document.addEventListener('analysisPartial', (event) => {
+        window.chartManager.renderAnalysisPartial(event.detail);
+    });
+    
     return window.chartManager;
 }
 
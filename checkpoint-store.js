@@ -0,0 +1,189 @@
+/**
+ * checkpoint-store.js
+ * Almacén de puntos de control para el Modelo Fractal-Estocástico del Universo (MFSU)
+ *
+ * Guarda los puntos de control de MFSUSolver.solve (options.checkpoint) bajo una clave:
+ *   - en el navegador, en IndexedDB (base de datos `database`, almacén 'checkpoints'), de modo
+ *     que sobreviven a una recarga de la pestaña;
+ *   - en Node.js, como ficheros JSON en `directory`, escritos en un temporal y renombrados para
+ *     que una interrupción no deje un punto de control a medias.
+ * Todas las operaciones devuelven promesas.
+ */
+
+class CheckpointStore {
+    /**
+     * @param {Object} options - { directory: carpeta en Node.js ('.mfsu-checkpoints'),
+     *                             database: base de datos IndexedDB ('mfsu') }
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || '.mfsu-checkpoints';
+        this.database = options.database || 'mfsu';
+        this.connection = null;
+    }
+
+    /**
+     * Nombre del almacén de objetos en IndexedDB
+     */
+    static get STORE_NAME() {
+        return 'checkpoints';
+    }
+
+    /**
+     * IndexedDB del navegador (null en Node.js)
+     */
+    static get indexedDB() {
+        return typeof indexedDB !== 'undefined' ? indexedDB : null;
+    }
+
+    /**
+     * Sistema de ficheros de Node.js (null en el navegador)
+     */
+    static get fs() {
+        return typeof window === 'undefined' && typeof require === 'function' ? require('fs') : null;
+    }
+
+    /**
+     * Soporte de almacenamiento del entorno
+     * @returns {string} 'indexeddb' o 'filesystem'
+     */
+    get backend() {
+        if (CheckpointStore.indexedDB) {
+            return 'indexeddb';
+        }
+        if (CheckpointStore.fs) {
+            return 'filesystem';
+        }
+        throw new Error('No hay almacenamiento para puntos de control (IndexedDB o sistema de ficheros)');
+    }
+
+    /**
+     * Guarda un punto de control (sustituye al anterior con la misma clave)
+     * @param {string} key - Clave
+     * @param {Object} checkpoint - Punto de control de solve()
+     * @returns {Promise<void>}
+     */
+    async save(key, checkpoint) {
+        if (this.backend === 'indexeddb') {
+            await this.request('readwrite', store => store.put(checkpoint, key));
+            return;
+        }
+
+        const fs = CheckpointStore.fs;
+        const file = this.file(key);
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    /**
+     * Carga un punto de control
+     * @param {string} key - Clave
+     * @returns {Promise<Object|null>} Punto de control, o null si no existe
+     */
+    async load(key) {
+        if (this.backend === 'indexeddb') {
+            const checkpoint = await this.request('readonly', store => store.get(key));
+            return checkpoint === undefined ? null : checkpoint;
+        }
+
+        const fs = CheckpointStore.fs;
+        const file = this.file(key);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    /**
+     * Claves guardadas
+     * @returns {Promise<Array<string>>} Claves
+     */
+    async list() {
+        if (this.backend === 'indexeddb') {
+            return this.request('readonly', store => store.getAllKeys());
+        }
+
+        const fs = CheckpointStore.fs;
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+        return fs.readdirSync(this.directory)
+            .filter(name => name.endsWith('.json'))
+            .map(name => decodeURIComponent(name.slice(0, -'.json'.length)));
+    }
+
+    /**
+     * Elimina un punto de control
+     * @param {string} key - Clave
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        if (this.backend === 'indexeddb') {
+            await this.request('readwrite', store => store.delete(key));
+            return;
+        }
+
+        const fs = CheckpointStore.fs;
+        const file = this.file(key);
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    }
+
+    /**
+     * Cierra la conexión con IndexedDB
+     */
+    close() {
+        if (this.connection) {
+            this.connection.then(db => db.close());
+            this.connection = null;
+        }
+    }
+
+    /**
+     * Fichero de una clave en Node.js (la clave se codifica para ser un nombre válido)
+     * @param {string} key - Clave
+     * @returns {string} Ruta del fichero
+     */
+    file(key) {
+        const path = require('path');
+        return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+    }
+
+    /**
+     * Abre la base de datos la primera vez (crea el almacén si no existe)
+     * @returns {Promise<IDBDatabase>} Conexión
+     */
+    open() {
+        if (!this.connection) {
+            this.connection = new Promise((resolve, reject) => {
+                const request = CheckpointStore.indexedDB.open(this.database, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(CheckpointStore.STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.connection;
+    }
+
+    /**
+     * Ejecuta una petición sobre el almacén en una transacción
+     * @param {string} mode - 'readonly' o 'readwrite'
+     * @param {Function} operation - (store) → IDBRequest
+     * @returns {Promise<*>} Resultado de la petición, al completarse la transacción
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(CheckpointStore.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(CheckpointStore.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CheckpointStore };
+} else if (typeof window !== 'undefined') {
+    window.CheckpointStore = CheckpointStore;
+}
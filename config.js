@@ -19,16 +19,18 @@ class Config {
             // Parámetros del dominio
             nx: 64,            // Número de puntos espaciales
             nt: 1000,          // Número de pasos temporales
-            domainSize: 1.0,   // Tamaño del dominio espacial
+            domainOrigin: 0.0, // Extremo izquierdo x0 del dominio [x0, x0 + domainSize]
+            domainSize: 1.0,   // Tamaño del dominio espacial (dx = domainSize / nx)
             
-            // Parámetros del ruido de Hurst
-            hurstExponent: 0.5,  // Exponente de Hurst
+            // Parámetros del ruido de Hurst (covarianza separable espacio-tiempo)
+            hurst: 0.5,          // Exponente de Hurst espacial
+            hurstExponent: 0.5,  // Exponente de Hurst temporal
             noiseAmplitude: 1.0, // Amplitud del ruido
             
             // Configuración de la simulación
             saveInterval: 10,    // Intervalo para guardar datos
-            tolerance: 1e-6,     // Tolerancia numérica
-            maxIterations: 10000 // Máximo número de iteraciones
+            tolerance: 1e-6,     // Tolerancia numérica (rtol/atol por defecto del paso adaptativo)
+            maxIterations: 10000 // Máximo número de iteraciones (subpasos adaptativos por intervalo del ruido)
         };
     }
 
@@ -44,6 +46,7 @@ class Config {
             dt: { min: 0.0001, max: 0.1, step: 0.0001 },
             nx: { min: 16, max: 512, step: 16 },
             nt: { min: 100, max: 10000, step: 100 },
+            hurst: { min: 0.1, max: 0.9, step: 0.01 },
             hurstExponent: { min: 0.1, max: 0.9, step: 0.01 }
         };
     }
@@ -72,10 +75,24 @@ class Config {
                     params: { alpha: 1.0, beta: 0.2, gamma: 0.1, fractalDim: 0.5 }
                 }
             ],
+            // Orden temporal esperado por integrador (claves de MFSUSolver.solve({ method }))
             expectedOrders: {
                 euler: 1.0,
-                rungeKutta4: 4.0,
-                implicit: 2.0
+                rk4: 4.0,
+                ab: 2.0,
+                backward_euler: 1.0,
+                imex: 1.0,
+                etdrk4: 4.0,
+                bs23: 3.0,
+                rk45: 5.0
+            },
+            // Orden espacial esperado por operador (claves de MFSUSolver.solve({ operator }));
+            // el espectral es exacto para modos resueltos y 'finiteDifference' solo es
+            // consistente con (-Δ)^(∂/2) para ∂ = 2
+            expectedSpatialOrders: {
+                spectral: Infinity,
+                riesz: 2.0,
+                finiteDifference: 2.0
             }
         };
     }
@@ -87,7 +104,7 @@ class Config {
         return {
             testDuration: 2000,     // Pasos temporales para test de estabilidad
             amplitudeThreshold: 10.0, // Factor máximo de crecimiento permitido
-            energyThreshold: 1e10,   // Umbral de energía para detectar explosión
+            energyThreshold: 1e10,   // Umbral de energía para detectar explosión (escala 'sum' de StabilityAnalysis)
             oscillationDetection: {
                 windowSize: 100,     // Ventana para detectar oscilaciones
                 maxFrequency: 0.1    // Frecuencia máxima permitida
@@ -189,10 +206,49 @@ class Config {
                     order: 4,
                     stabilityFactor: 2.0
                 },
-                implicit: {
-                    name: "Euler Implícito",
+                ab: {
+                    name: "Adams-Bashforth 2",
+                    order: 2,
+                    stabilityFactor: 0.5
+                },
+                backward_euler: {
+                    name: "Euler Implícito (Newton-Krylov)",
                     order: 1,
                     stabilityFactor: 100.0
+                },
+                imex: {
+                    name: "IMEX Euler (Fourier)",
+                    order: 1,
+                    stabilityFactor: 100.0
+                },
+                etdrk4: {
+                    name: "ETDRK4 (Fourier)",
+                    order: 4,
+                    stabilityFactor: 100.0
+                },
+                bs23: {
+                    name: "Bogacki-Shampine 3(2)",
+                    order: 3,
+                    stabilityFactor: 1.0,
+                    adaptive: true
+                },
+                rk45: {
+                    name: "Dormand-Prince 5(4)",
+                    order: 5,
+                    stabilityFactor: 2.0,
+                    adaptive: true
+                }
+            },
+            stochasticIntegration: {
+                euler_maruyama: {
+                    name: "Euler-Maruyama",
+                    strongOrder: 0.5,
+                    weakOrder: 1
+                },
+                milstein: {
+                    name: "Milstein",
+                    strongOrder: 1,
+                    weakOrder: 1
                 }
             },
             spatialDiscretization: {
@@ -119,7 +119,38 @@ const NUMERICAL_CONFIG = {
         EULER: 'euler',
         RUNGE_KUTTA_4: 'rk4',
         ADAMS_BASHFORTH: 'ab',
-        BACKWARD_EULER: 'backward_euler'
+        BACKWARD_EULER: 'backward_euler',
+        IMEX: 'imex',
+        ETDRK4: 'etdrk4',
+        BOGACKI_SHAMPINE: 'bs23',
+        DORMAND_PRINCE: 'rk45'
+    },
+    
+    // Esquemas para el término estocástico β·ψ·dW
+    STOCHASTIC_SCHEMES: {
+        EULER_MARUYAMA: 'euler_maruyama',
+        MILSTEIN: 'milstein'
+    },
+    
+    // Interpretación de la integral estocástica
+    STOCHASTIC_INTERPRETATIONS: {
+        ITO: 'ito',
+        STRATONOVICH: 'stratonovich'
+    },
+    
+    // Discretizaciones del operador fractal (-Δ)^(∂/2)
+    SPATIAL_OPERATORS: {
+        FINITE_DIFFERENCE: 'finiteDifference',
+        SPECTRAL: 'spectral',
+        RIESZ: 'riesz'
+    },
+    
+    // Condiciones de frontera
+    BOUNDARY_TYPES: {
+        PERIODIC: 'periodic',
+        DIRICHLET: 'dirichlet',
+        NEUMANN: 'neumann',
+        ABSORBING: 'absorbing'
     },
     
     // Criterios de estabilidad
@@ -310,10 +341,12 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // ===== FUNCIONES DE INICIALIZACIÓN =====
-function initializeConstants() {
-    console.log('Constantes MFSU inicializadas');
-    console.log('Versión: 1.0.0');
-    console.log('Ecuación: ∂ψ/∂t = α(-Δ)^(∂/2)ψ + β·ξ_H(x,t)·ψ - γψ³ + f(x,t)');
+function initializeConstants(announce = true) {
+    if (announce) {
+        console.log('Constantes MFSU inicializadas');
+        console.log('Versión: 1.0.0');
+        console.log('Ecuación: ∂ψ/∂t = α(-Δ)^(∂/2)ψ + β·ξ_H(x,t)·ψ - γψ³ + f(x,t)');
+    }
     
     // Verificar dependencias
     if (typeof Math === 'undefined') {
@@ -390,5 +423,6 @@ if (typeof document !== 'undefined') {
         initializeConstants();
     });
 } else {
-    initializeConstants();
+    // Con require (Node.js) sin cabecera: bin/mfsu y cada hilo de un barrido cargan el módulo
+    initializeConstants(false);
 }
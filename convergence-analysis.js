@@ -6,10 +6,54 @@
  */
 
 class MFSUConvergenceAnalysis {
-    constructor() {
+    /**
+     * @param {Object} options - { seed, rng } para inyectar un generador reproducible
+     */
+    constructor(options = {}) {
         this.convergenceChart = null;
         this.stabilityChart = null;
         this.initialized = false;
+        this.rng = options.rng || new (MFSUConvergenceAnalysis.seededRandom)(options.seed);
+    }
+
+    /**
+     * Generador pseudoaleatorio reproducible (global en el navegador, require en Node.js)
+     */
+    static get seededRandom() {
+        return typeof SeededRandom !== 'undefined' ?
+            SeededRandom : require('./random.js').SeededRandom;
+    }
+
+    /**
+     * Motor numérico común: operador fractal, ruido, paso de Euler y métricas
+     * (global en el navegador, require en Node.js)
+     */
+    static get engine() {
+        return typeof MFSUEngine !== 'undefined' ?
+            MFSUEngine : require('./mfsu-engine.js').MFSUEngine;
+    }
+
+    /**
+     * Extrapolación de Richardson y GCI (global en el navegador, require en Node.js)
+     */
+    static get gridConvergence() {
+        return typeof GridConvergence !== 'undefined' ?
+            GridConvergence : require('./grid-convergence.js').GridConvergence;
+    }
+
+    /**
+     * Ejecución en un Web Worker (global en el navegador, require en Node.js)
+     */
+    static get simulationRunner() {
+        return typeof SimulationRunner !== 'undefined' ?
+            SimulationRunner : require('./simulation-runner.js').SimulationRunner;
+    }
+
+    /**
+     * Mallas del análisis de convergencia (la última es la referencia)
+     */
+    static get MESH_SIZES() {
+        return [16, 32, 64, 128];
     }
 
     /**
@@ -59,6 +103,14 @@ class MFSUConvergenceAnalysis {
                     backgroundColor: 'rgba(102, 126, 234, 0.1)',
                     tension: 0.4,
                     fill: true
+                }, {
+                    label: 'Banda GCI (GCI·|φ|)',
+                    data: [],
+                    borderColor: '#e53e3e',
+                    backgroundColor: 'rgba(229, 62, 62, 0.1)',
+                    borderDash: [5, 5],
+                    tension: 0.4,
+                    fill: false
                 }]
             },
             options: {
@@ -129,81 +181,37 @@ class MFSUConvergenceAnalysis {
     }
 
     /**
-     * Implementación del operador fractal (-Δ)^(∂/2)
+     * Implementación del operador fractal (-Δ)^(∂/2) por diferencias finitas periódicas (ver mfsu-engine.js)
      * @param {Array} psi - Campo de onda
      * @param {number} dx - Espaciado espacial
      * @param {number} order - Orden fractal ∂
      * @returns {Array} Resultado del operador fractal
      */
     fractionalLaplacian(psi, dx, order) {
-        const n = psi.length;
-        const result = new Array(n).fill(0);
-        
-        // Aproximación del Laplaciano fractal (-Δ)^(∂/2)
-        const laplacian = new Array(n).fill(0);
-        
-        // Diferencias finitas de segundo orden para el Laplaciano base
-        for (let i = 1; i < n - 1; i++) {
-            laplacian[i] = (psi[i+1] - 2*psi[i] + psi[i-1]) / (dx*dx);
-        }
-        
-        // Condiciones de frontera periódicas
-        laplacian[0] = (psi[1] - 2*psi[0] + psi[n-1]) / (dx*dx);
-        laplacian[n-1] = (psi[0] - 2*psi[n-1] + psi[n-2]) / (dx*dx);
-        
-        // Aplicar la potencia fractal ∂/2
-        const fracPower = order / 2;
-        
-        if (fracPower < 1) {
-            // Para exponente < 1, usar aproximación de Caputo
-            for (let i = 0; i < n; i++) {
-                result[i] = Math.pow(Math.abs(laplacian[i]) + 1e-10, fracPower) * Math.sign(laplacian[i]);
-            }
-        } else {
-            // Para exponente >= 1, usar Laplaciano iterado
-            result.splice(0, n, ...laplacian);
-            for (let iter = 1; iter < Math.floor(fracPower); iter++) {
-                for (let i = 1; i < n - 1; i++) {
-                    result[i] = (result[i+1] - 2*result[i] + result[i-1]) / (dx*dx);
-                }
-                result[0] = (result[1] - 2*result[0] + result[n-1]) / (dx*dx);
-                result[n-1] = (result[0] - 2*result[n-1] + result[n-2]) / (dx*dx);
-            }
-        }
-        
-        return result;
+        return MFSUConvergenceAnalysis.engine.fractionalLaplacian(psi, dx, order);
     }
 
     /**
-     * Generar ruido de Hurst ξ_H(x,t) con correlaciones espaciales
+     * Generar ruido de Hurst ξ_H(x,t) con la covarianza exacta del ruido gaussiano
+     * fraccionario en espacio y tiempo (ver hurst-noise.js)
      * @param {number} nx - Puntos espaciales
      * @param {number} nt - Puntos temporales
-     * @param {number} hurst - Parámetro de Hurst
+     * @param {number} hurst - Exponente de Hurst espacial
+     * @param {number} hurstExponent - Exponente de Hurst temporal
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
      * @returns {Array} Matriz de ruido correlacionado
      */
-    generateHurstNoise(nx, nt, hurst = 0.5) {
-        const noise = [];
-        
-        for (let t = 0; t < nt; t++) {
-            const spatialNoise = new Array(nx);
-            
-            // Generar ruido espacial correlacionado
-            for (let i = 0; i < nx; i++) {
-                spatialNoise[i] = Math.random() - 0.5;
-            }
-            
-            // Aplicar correlaciones de Hurst
-            const correlatedNoise = [...spatialNoise];
-            for (let i = 1; i < nx; i++) {
-                const correlation = Math.pow(i, -hurst);
-                correlatedNoise[i] = correlation * correlatedNoise[i-1] + 
-                                   Math.sqrt(1 - correlation*correlation) * spatialNoise[i];
-            }
-            
-            noise.push(correlatedNoise);
-        }
-        
-        return noise;
+    generateHurstNoise(nx, nt, hurst = 0.5, hurstExponent = 0.5, rng = this.rng) {
+        return MFSUConvergenceAnalysis.engine.generateHurstNoise(nx, nt, hurst, hurstExponent, rng);
+    }
+
+    /**
+     * Fuente de ruido de Hurst con una fila por paso (ver noise-source.js)
+     * @param {string|Object} spec - 'stream', { type: 'stream', memory }, 'field' o una fuente con next(out)
+     * @returns {Object} Fuente con next(out)
+     */
+    createNoiseSource(nx, nt, hurst = 0.5, hurstExponent = 0.5, rng = this.rng, spec = 'stream') {
+        return MFSUConvergenceAnalysis.engine.createNoiseSource(nx, nt, hurst, hurstExponent, rng, spec);
     }
 
     /**
@@ -211,59 +219,12 @@ class MFSUConvergenceAnalysis {
      * @param {Object} params - Parámetros del modelo
      * @param {number} nx - Puntos espaciales
      * @param {number} nt - Puntos temporales
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @param {string|Object} noise - Fuente de ruido (ver createNoiseSource)
      * @returns {Object} Resultado de la simulación
      */
-    solveMFSU(params, nx, nt) {
-        const { alpha, beta, gamma, fractalDim, dt } = params;
-        const dx = 1.0 / nx;
-        
-        // Condiciones iniciales con modulación fractal
-        let psi = new Array(nx);
-        for (let i = 0; i < nx; i++) {
-            const x = i * dx;
-            // Condición inicial con estructura fractal
-            psi[i] = 0.1 * Math.sin(2 * Math.PI * x) * Math.exp(-Math.pow(x - 0.5, 2) / 0.1) +
-                     0.05 * (Math.random() - 0.5);
-        }
-        
-        const evolution = [];
-        const hurstNoise = this.generateHurstNoise(nx, nt, 0.5);
-        
-        for (let t = 0; t < nt; t++) {
-            // Calcular el Laplaciano fractal (-Δ)^(∂/2)
-            const fractalTerm = this.fractionalLaplacian(psi, dx, fractalDim);
-            
-            // Función de forzamiento f(x,t) - puede ser cero o específica del problema
-            const forcing = new Array(nx).fill(0);
-            
-            // Evolución temporal usando el esquema de Euler
-            const psiNew = new Array(nx);
-            for (let i = 0; i < nx; i++) {
-                const diffusion = alpha * fractalTerm[i];
-                const stochastic = beta * hurstNoise[t][i] * psi[i];
-                const nonlinear = -gamma * Math.pow(psi[i], 3);
-                const force = forcing[i];
-                
-                psiNew[i] = psi[i] + dt * (diffusion + stochastic + nonlinear + force);
-            }
-            
-            psi = psiNew;
-            
-            // Almacenar evolución cada 10 pasos
-            if (t % 10 === 0) {
-                evolution.push({
-                    time: t * dt,
-                    maxAmp: Math.max(...psi.map(x => Math.abs(x))),
-                    l2Norm: Math.sqrt(psi.reduce((sum, x) => sum + x*x, 0)),
-                    energy: psi.reduce((sum, x, idx) => {
-                        const grad = idx < nx-1 ? psi[idx+1] - psi[idx] : psi[0] - psi[idx];
-                        return sum + 0.5 * grad*grad + 0.25 * Math.pow(x, 4);
-                    }, 0)
-                });
-            }
-        }
-        
-        return { finalPsi: psi, evolution: evolution };
+    solveMFSU(params, nx, nt, rng = this.rng, noise = 'stream') {
+        return MFSUConvergenceAnalysis.engine.solveMFSU(params, nx, nt, rng, noise);
     }
 
     /**
@@ -272,43 +233,101 @@ class MFSUConvergenceAnalysis {
      * @returns {Array} Datos de convergencia
      */
     analyzeConvergence(params) {
-        const meshSizes = [16, 32, 64, 128];
+        const steps = this.convergenceSteps(params);
+        let step = steps.next();
+        while (!step.done) {
+            step = steps.next();
+        }
+        return step.value;
+    }
+
+    /**
+     * Análisis de convergencia paso a paso: un evento por malla resuelta
+     * Cada malla guarda ‖ψ‖₂ final (value, para Richardson y el GCI) y su error L2 frente a la
+     * malla más fina resuelta hasta ese momento (null en la propia malla fina)
+     * @param {Object} params - Parámetros del modelo
+     * @yields {Object} { stage: 'convergence', completed, total, data: datos de convergencia hasta esa malla }
+     * @returns {Array} Datos de convergencia: [{ meshSize, order: log₂(nx), value, error }]
+     */
+    *convergenceSteps(params) {
+        const meshSizes = MFSUConvergenceAnalysis.MESH_SIZES;
         const nt = 1000;
-        const convergenceData = [];
-        
-        let referenceSolution = null;
+        const solutions = [];
+        let convergenceData = [];
         
         for (let i = 0; i < meshSizes.length; i++) {
             const nx = meshSizes[i];
             const result = this.solveMFSU(params, nx, nt);
+            solutions.push(result.finalPsi);
             
-            if (i === meshSizes.length - 1) {
-                referenceSolution = result.finalPsi;
-            }
-            
-            // Calcular error L2 comparando con la solución más fina
-            if (i > 0) {
-                const coarseGrid = result.finalPsi;
-                const fineGrid = referenceSolution || result.finalPsi;
-                
-                // Interpolar para comparar
-                let error = 0;
-                for (let j = 0; j < coarseGrid.length; j++) {
-                    const fineIndex = Math.floor(j * fineGrid.length / coarseGrid.length);
-                    error += Math.pow(coarseGrid[j] - fineGrid[fineIndex], 2);
+            // Calcular error L2 de las mallas gruesas comparando con la solución más fina
+            const fineGrid = result.finalPsi;
+            convergenceData = solutions.map((coarseGrid, level) => {
+                let error = null;
+                if (level < i) {
+                    // Interpolar para comparar
+                    error = 0;
+                    for (let j = 0; j < coarseGrid.length; j++) {
+                        const fineIndex = Math.floor(j * fineGrid.length / coarseGrid.length);
+                        error += Math.pow(coarseGrid[j] - fineGrid[fineIndex], 2);
+                    }
+                    error = Math.sqrt(error / coarseGrid.length);
                 }
                 
-                convergenceData.push({
-                    meshSize: nx,
-                    error: Math.sqrt(error / coarseGrid.length),
-                    order: Math.log2(nx)
-                });
-            }
+                return {
+                    meshSize: meshSizes[level],
+                    order: Math.log2(meshSizes[level]),
+                    value: MFSUConvergenceAnalysis.engine.metrics(coarseGrid, 1.0 / coarseGrid.length).l2Norm,
+                    error: error
+                };
+            });
+            
+            yield { stage: 'convergence', completed: i + 1, total: meshSizes.length, data: convergenceData };
         }
         
         return convergenceData;
     }
 
+    /**
+     * Orden de convergencia, extrapolación de Richardson y GCI de los datos de convergencia
+     * @param {Array} convergenceData - Datos de convergencia
+     * @returns {Object} { order: ajuste de los errores con todas las mallas,
+     *                     gridConvergence: resultado de GridConvergence.analyze sobre ‖ψ‖₂, o null con menos de tres mallas }
+     */
+    summarizeConvergence(convergenceData) {
+        const gridConvergence = MFSUConvergenceAnalysis.gridConvergence;
+        const resolved = convergenceData.filter(d => d.error !== null);
+        
+        return {
+            order: gridConvergence.fitOrder(resolved.map(d => d.meshSize), resolved.map(d => d.error)),
+            gridConvergence: convergenceData.length >= 3 ?
+                gridConvergence.analyze(convergenceData.map(d => d.value), convergenceData.map(d => d.meshSize)) : null
+        };
+    }
+
+    /**
+     * Análisis completo (convergencia y estabilidad) como tarea de SimulationRunner
+     * @param {Object} params - Parámetros del modelo
+     * @yields {Object} { stage: 'convergence' | 'stability', completed, total, data }
+     * @returns {Object} { convergenceData, stabilityData, params }
+     */
+    *analysisSteps(params) {
+        const total = MFSUConvergenceAnalysis.MESH_SIZES.length + 1;
+        
+        const convergence = this.convergenceSteps(params);
+        let step = convergence.next();
+        while (!step.done) {
+            yield { ...step.value, total: total };
+            step = convergence.next();
+        }
+        const convergenceData = step.value;
+        
+        const stabilityData = this.analyzeStability(params);
+        yield { stage: 'stability', completed: total, total: total, data: stabilityData };
+        
+        return { convergenceData, stabilityData, params };
+    }
+
     /**
      * Análisis de estabilidad temporal
      * @param {Object} params - Parámetros del modelo
@@ -346,8 +365,19 @@ class MFSUConvergenceAnalysis {
         const labels = data.map(d => d.order.toFixed(0));
         const errors = data.map(d => d.error);
         
+        // Banda GCI de la malla fina de cada terna de mallas consecutivas
+        const gridConvergence = MFSUConvergenceAnalysis.gridConvergence;
+        const analyses = data.map((d, i) => i >= 2 ?
+            gridConvergence.analyze(data.slice(i - 2, i + 1).map(e => e.value), data.slice(i - 2, i + 1).map(e => e.meshSize)) : null);
+        const bands = analyses.map((gci, i) =>
+            gci && Number.isFinite(gci.order) ? gci.gciFine * Math.abs(data[i].value) : null);
+        const latest = analyses[analyses.length - 1];
+        
         this.convergenceChart.data.labels = labels;
         this.convergenceChart.data.datasets[0].data = errors;
+        this.convergenceChart.data.datasets[1].data = bands;
+        this.convergenceChart.options.plugins.title.text = latest ?
+            `Convergencia del Método Numérico: ${gridConvergence.summary(latest)}` : 'Convergencia del Método Numérico';
         this.convergenceChart.update();
     }
 
@@ -373,13 +403,10 @@ class MFSUConvergenceAnalysis {
      * @param {Object} params - Parámetros del modelo
      */
     displayResults(convergenceData, stabilityData, params) {
-        // Calcular orden de convergencia
-        let convergenceOrder = 0;
-        if (convergenceData.length > 1) {
-            const lastTwo = convergenceData.slice(-2);
-            const ratio = lastTwo[0].error / lastTwo[1].error;
-            convergenceOrder = Math.log2(ratio);
-        }
+        // Calcular orden de convergencia con todas las mallas, extrapolación de Richardson y GCI
+        const { order: convergenceOrder, gridConvergence } = this.summarizeConvergence(convergenceData);
+        const resolved = convergenceData.filter(d => d.error !== null);
+        const finalError = resolved.length > 0 ? resolved[resolved.length - 1].error.toExponential(3) : 'N/A';
         
         // Mostrar resultados de convergencia
         const analysisResults = document.getElementById('analysisResults');
@@ -391,11 +418,18 @@ class MFSUConvergenceAnalysis {
             convergenceText.textContent = 
                 `El método numérico para la ecuación MFSU completa ∂ψ/∂t = α(-Δ)^(∂/2)ψ + β·ξ_H(x,t)·ψ - γψ³ + f(x,t) ` +
                 `muestra un orden de convergencia de ${convergenceOrder.toFixed(2)}. ` +
-                `Con dimensión fractal ∂ = ${params.fractalDim}, el operador (-Δ)^(∂/2) introduce correlaciones no-locales.`;
+                `Con dimensión fractal ∂ = ${params.fractalDim}, el operador (-Δ)^(∂/2) introduce correlaciones no-locales.` +
+                (gridConvergence ? ` Richardson sobre ‖ψ‖₂: ${MFSUConvergenceAnalysis.gridConvergence.summary(gridConvergence)}.` : '');
             
             convergenceMetrics.innerHTML = 
                 `<span class="metric">Orden: ${convergenceOrder.toFixed(2)}</span>` +
-                `<span class="metric">Error final: ${convergenceData[convergenceData.length-1]?.error.toExponential(3) || 'N/A'}</span>`;
+                `<span class="metric">Error final: ${finalError}</span>`;
+            if (gridConvergence && Number.isFinite(gridConvergence.order)) {
+                convergenceMetrics.innerHTML +=
+                    `<span class="metric">p (Richardson): ${gridConvergence.order.toFixed(2)}</span>` +
+                    `<span class="metric">GCI: ${(100 * gridConvergence.gciFine).toFixed(3)} %</span>` +
+                    `<span class="metric">Rango asintótico: ${gridConvergence.inAsymptoticRange ? '✓' : '✗'}</span>`;
+            }
         }
         
         // Mostrar resultados de estabilidad
@@ -435,35 +469,36 @@ class MFSUConvergenceAnalysis {
     }
 
     /**
-     * Ejecutar análisis completo de convergencia y estabilidad
+     * Ejecutar análisis completo de convergencia y estabilidad en un Web Worker (o en el hilo
+     * principal cediendo el control entre simulaciones); los gráficos se actualizan con cada
+     * resultado parcial y una nueva ejecución cancela la anterior
+     * @returns {Promise<Object|null>} { convergenceData, stabilityData, params }, o null si se cancela
      */
     runConvergenceAnalysis() {
         if (!this.initialized) {
             console.error('MFSUConvergenceAnalysis no está inicializado');
-            return;
+            return Promise.resolve(null);
         }
         
         // Obtener parámetros de los controles
-        const params = {
-            alpha: parseFloat(document.getElementById('alphaSlider')?.value || 1.0),
-            beta: parseFloat(document.getElementById('betaSlider')?.value || 0.1),
-            gamma: parseFloat(document.getElementById('gammaSlider')?.value || 0.1),
-            fractalDim: parseFloat(document.getElementById('fractalSlider')?.value || 0.921),
-            dt: parseFloat(document.getElementById('dtSlider')?.value || 0.01)
-        };
-        
-        // Análisis de convergencia
-        const convergenceData = this.analyzeConvergence(params);
-        
-        // Análisis de estabilidad
-        const stabilityData = this.analyzeStability(params);
-        
-        // Actualizar gráficos
-        this.updateConvergenceChart(convergenceData);
-        this.updateStabilityChart(stabilityData);
-        
-        // Mostrar resultados
-        this.displayResults(convergenceData, stabilityData, params);
+        const params = this.getModelParameters();
+        
+        this.runner = this.runner || new (MFSUConvergenceAnalysis.simulationRunner)();
+        return this.runner.run('convergenceAnalysis', params, {
+            onPartial: (event) => {
+                if (event.stage === 'convergence') {
+                    this.updateConvergenceChart(event.data);
+                } else {
+                    this.updateStabilityChart(event.data);
+                }
+            }
+        }).then(result => {
+            // Mostrar resultados
+            if (result) {
+                this.displayResults(result.convergenceData, result.stabilityData, params);
+            }
+            return result;
+        });
     }
 
     /**
@@ -527,13 +562,15 @@ const mfsuAnalysis = new MFSUConvergenceAnalysis();
 
 // Función global para compatibilidad con HTML existente
 function runConvergenceAnalysis() {
-    mfsuAnalysis.runConvergenceAnalysis();
+    return mfsuAnalysis.runConvergenceAnalysis();
 }
 
-// Inicializar cuando el DOM esté listo
-document.addEventListener('DOMContentLoaded', function() {
-    mfsuAnalysis.initialize();
-});
+// Inicializar cuando el DOM esté listo (no existe en el Web Worker ni en Node.js)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        mfsuAnalysis.initialize();
+    });
+}
 
 // Exportar la clase para uso en módulos
 if (typeof module !== 'undefined' && module.exports) {
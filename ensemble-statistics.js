@@ -0,0 +1,130 @@
+/**
+ * ensemble-statistics.js
+ * Estadística de conjuntos Monte Carlo para el Modelo Fractal-Estocástico del Universo (MFSU)
+ *
+ * Acumula realizaciones punto a punto con el algoritmo de Welford (media y varianza en una
+ * pasada, sin guardar las realizaciones) y da intervalos de confianza de la media
+ *     media ± t_{1-(1-c)/2, n-1} · s / √n
+ * con el cuantil de la t de Student.
+ */
+
+class EnsembleStatistics {
+    /**
+     * @param {number} size - Valores por realización
+     */
+    constructor(size) {
+        this.size = size;
+        this.count = 0;
+        this.mean = new Float64Array(size);
+        this.m2 = new Float64Array(size);
+    }
+
+    /**
+     * Añade una realización
+     * @param {Array<number>|Float64Array} values - size valores
+     */
+    add(values) {
+        this.count++;
+        for (let i = 0; i < this.size; i++) {
+            const delta = values[i] - this.mean[i];
+            this.mean[i] += delta / this.count;
+            this.m2[i] += delta * (values[i] - this.mean[i]);
+        }
+    }
+
+    /**
+     * Varianza muestral (n - 1) punto a punto; 0 con menos de dos realizaciones
+     * @returns {Array<number>} Varianza
+     */
+    variance() {
+        return Array.from(this.m2, m2 => this.count > 1 ? m2 / (this.count - 1) : 0);
+    }
+
+    /**
+     * Resumen punto a punto con el intervalo de confianza de la media
+     * @param {number} confidence - Nivel de confianza (0.95 por defecto)
+     * @returns {Object} { mean, variance, std, lower, upper }
+     */
+    summary(confidence = 0.95) {
+        const mean = Array.from(this.mean);
+        const variance = this.variance();
+        const std = variance.map(Math.sqrt);
+        const t = this.count > 1 ? EnsembleStatistics.studentQuantile(1 - (1 - confidence) / 2, this.count - 1) : 0;
+        const halfWidth = std.map(s => t * s / Math.sqrt(Math.max(this.count, 1)));
+
+        return {
+            mean: mean,
+            variance: variance,
+            std: std,
+            lower: mean.map((m, i) => m - halfWidth[i]),
+            upper: mean.map((m, i) => m + halfWidth[i])
+        };
+    }
+
+    /**
+     * Cuantil de la normal estándar (aproximación racional de Acklam, error relativo < 1.2e-9)
+     * @param {number} p - Probabilidad en (0, 1)
+     * @returns {number} z tal que Φ(z) = p
+     */
+    static normalQuantile(p) {
+        if (!(p > 0 && p < 1)) {
+            throw new Error(`Probabilidad fuera de (0, 1): ${p}`);
+        }
+
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+            1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+            6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+            -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+            3.754408661907416e+00];
+        const low = 0.02425;
+
+        // Colas: q = √(-2 ln p); región central: polinomios en (p - 1/2)²
+        if (p < low || p > 1 - low) {
+            const q = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+            const z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+            return p < low ? z : -z;
+        }
+
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * Cuantil de la t de Student: exacto para 1 y 2 grados de libertad, desarrollo de
+     * Cornish–Fisher (Abramowitz y Stegun 26.7.5) para ν ≥ 3
+     * @param {number} p - Probabilidad en (0, 1)
+     * @param {number} df - Grados de libertad ν
+     * @returns {number} t tal que F_ν(t) = p
+     */
+    static studentQuantile(p, df) {
+        if (df === 1) {
+            return Math.tan(Math.PI * (p - 0.5));
+        }
+        if (df === 2) {
+            const q = 2 * p - 1;
+            return q * Math.sqrt(2 / (1 - q * q));
+        }
+
+        const z = EnsembleStatistics.normalQuantile(p);
+        const z2 = z * z;
+        const g1 = (z2 + 1) * z / 4;
+        const g2 = ((5 * z2 + 16) * z2 + 3) * z / 96;
+        const g3 = (((3 * z2 + 19) * z2 + 17) * z2 - 15) * z / 384;
+        const g4 = ((((79 * z2 + 776) * z2 + 1482) * z2 - 1920) * z2 - 945) * z / 92160;
+
+        return z + g1 / df + g2 / (df * df) + g3 / (df * df * df) + g4 / (df * df * df * df);
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EnsembleStatistics };
+} else if (typeof window !== 'undefined') {
+    window.EnsembleStatistics = EnsembleStatistics;
+}
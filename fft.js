@@ -0,0 +1,289 @@
+/**
+ * fft.js
+ * Transformada Rápida de Fourier para el Modelo Fractal-Estocástico del Universo (MFSU)
+ * Radix-2 iterativo para tamaños potencia de 2 y Cooley–Tukey de base mixta para el resto
+ */
+
+class FFT {
+    /**
+     * Transformada discreta de Fourier in situ
+     * X[k] = Σ_j x[j]·exp(∓2πi·jk/n); la inversa se normaliza por 1/n
+     * @param {Array<number>} re - Parte real (se sobrescribe)
+     * @param {Array<number>} im - Parte imaginaria (se sobrescribe)
+     * @param {boolean} inverse - Calcular la transformada inversa
+     */
+    static transform(re, im, inverse = false) {
+        const n = re.length;
+
+        if (im.length !== n) {
+            throw new Error(`Las partes real (${n}) e imaginaria (${im.length}) deben tener la misma longitud`);
+        }
+        if (n <= 1) return;
+
+        if (FFT.isPowerOfTwo(n)) {
+            FFT.radix2(re, im, inverse);
+        } else {
+            FFT.mixedRadix(re, im, inverse);
+        }
+
+        if (inverse) {
+            for (let i = 0; i < n; i++) {
+                re[i] /= n;
+                im[i] /= n;
+            }
+        }
+    }
+
+    /**
+     * Transformada multidimensional in situ sobre un array plano en orden C
+     * (el último eje es el contiguo); aplica transform() a cada línea de cada eje
+     * @param {Array<number>} re - Parte real (se sobrescribe)
+     * @param {Array<number>} im - Parte imaginaria (se sobrescribe)
+     * @param {Array<number>} shape - Puntos por eje, p. ej. [nx, ny, nz]
+     * @param {boolean} inverse - Calcular la transformada inversa (normalizada por 1/N)
+     */
+    static transformND(re, im, shape, inverse = false) {
+        if (shape.length === 1) {
+            FFT.transform(re, im, inverse);
+            return;
+        }
+
+        const total = re.length;
+        let stride = 1;
+
+        for (let axis = shape.length - 1; axis >= 0; axis--) {
+            const n = shape[axis];
+            const block = stride * n;
+
+            if (n > 1) {
+                const lineRe = new Array(n);
+                const lineIm = new Array(n);
+
+                for (let start = 0; start < total; start += block) {
+                    for (let offset = 0; offset < stride; offset++) {
+                        const base = start + offset;
+                        for (let j = 0; j < n; j++) {
+                            lineRe[j] = re[base + j * stride];
+                            lineIm[j] = im[base + j * stride];
+                        }
+
+                        FFT.transform(lineRe, lineIm, inverse);
+
+                        for (let j = 0; j < n; j++) {
+                            re[base + j * stride] = lineRe[j];
+                            im[base + j * stride] = lineIm[j];
+                        }
+                    }
+                }
+            }
+
+            stride = block;
+        }
+    }
+
+    /**
+     * Tablas cos(2πk/n) y sin(2πk/n), k < n/2, calculadas una vez por tamaño
+     * @param {number} n - Longitud de la transformada (potencia de 2)
+     * @returns {Object} { cosTable, sinTable }
+     */
+    static twiddles(n) {
+        if (!FFT.twiddleTables[n]) {
+            const half = n >> 1;
+            const cosTable = new Float64Array(half);
+            const sinTable = new Float64Array(half);
+            for (let k = 0; k < half; k++) {
+                cosTable[k] = Math.cos(2 * Math.PI * k / n);
+                sinTable[k] = Math.sin(2 * Math.PI * k / n);
+            }
+            FFT.twiddleTables[n] = { cosTable, sinTable };
+        }
+        return FFT.twiddleTables[n];
+    }
+
+    /**
+     * FFT radix-2 iterativa (sin normalizar)
+     * @param {Array<number>} re - Parte real, longitud potencia de 2
+     * @param {Array<number>} im - Parte imaginaria
+     * @param {boolean} inverse - Signo positivo del exponente
+     */
+    static radix2(re, im, inverse = false) {
+        const n = re.length;
+        const sign = inverse ? 1 : -1;
+
+        // Permutación por inversión de bits
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+
+            if (i < j) {
+                let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+                tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+            }
+        }
+
+        // Factores de giro de la transformada completa; cada etapa usa un salto n/len
+        const { cosTable, sinTable } = FFT.twiddles(n);
+
+        // Mariposas de Cooley–Tukey
+        for (let len = 2; len <= n; len <<= 1) {
+            const halfLen = len >> 1;
+            const stride = n / len;
+
+            for (let start = 0; start < n; start += len) {
+                for (let k = 0; k < halfLen; k++) {
+                    const wr = cosTable[k * stride];
+                    const wi = sign * sinTable[k * stride];
+                    const a = start + k;
+                    const b = a + halfLen;
+
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+    }
+
+    /**
+     * FFT de base mixta (Cooley–Tukey recursivo por el menor factor primo, sin normalizar)
+     * Para longitudes primas se recurre a la DFT directa O(n²)
+     * @param {Array<number>} re - Parte real
+     * @param {Array<number>} im - Parte imaginaria
+     * @param {boolean} inverse - Signo positivo del exponente
+     */
+    static mixedRadix(re, im, inverse = false) {
+        const n = re.length;
+        const sign = inverse ? 1 : -1;
+        const p = FFT.smallestFactor(n);
+
+        if (p === n) {
+            FFT.directDFT(re, im, inverse);
+            return;
+        }
+
+        // Dividir en p subsecuencias x[p·j + r] de longitud m y transformarlas
+        const m = n / p;
+        const subRe = [];
+        const subIm = [];
+
+        for (let r = 0; r < p; r++) {
+            const sr = new Array(m);
+            const si = new Array(m);
+            for (let j = 0; j < m; j++) {
+                sr[j] = re[j * p + r];
+                si[j] = im[j * p + r];
+            }
+
+            if (FFT.isPowerOfTwo(m)) {
+                FFT.radix2(sr, si, inverse);
+            } else {
+                FFT.mixedRadix(sr, si, inverse);
+            }
+
+            subRe.push(sr);
+            subIm.push(si);
+        }
+
+        // Recombinar: X[k + m·q] = Σ_r W_n^{r(k + m·q)} · Y_r[k]
+        for (let q = 0; q < p; q++) {
+            for (let k = 0; k < m; k++) {
+                const index = k + m * q;
+                let sumRe = 0;
+                let sumIm = 0;
+
+                for (let r = 0; r < p; r++) {
+                    const angle = sign * 2 * Math.PI * ((r * index) % n) / n;
+                    const wr = Math.cos(angle);
+                    const wi = Math.sin(angle);
+                    sumRe += subRe[r][k] * wr - subIm[r][k] * wi;
+                    sumIm += subRe[r][k] * wi + subIm[r][k] * wr;
+                }
+
+                re[index] = sumRe;
+                im[index] = sumIm;
+            }
+        }
+    }
+
+    /**
+     * DFT directa O(n²) (sin normalizar)
+     * @param {Array<number>} re - Parte real
+     * @param {Array<number>} im - Parte imaginaria
+     * @param {boolean} inverse - Signo positivo del exponente
+     */
+    static directDFT(re, im, inverse = false) {
+        const n = re.length;
+        const sign = inverse ? 1 : -1;
+        const outRe = new Array(n).fill(0);
+        const outIm = new Array(n).fill(0);
+
+        for (let k = 0; k < n; k++) {
+            for (let j = 0; j < n; j++) {
+                const angle = sign * 2 * Math.PI * ((j * k) % n) / n;
+                const wr = Math.cos(angle);
+                const wi = Math.sin(angle);
+                outRe[k] += re[j] * wr - im[j] * wi;
+                outIm[k] += re[j] * wi + im[j] * wr;
+            }
+        }
+
+        for (let k = 0; k < n; k++) {
+            re[k] = outRe[k];
+            im[k] = outIm[k];
+        }
+    }
+
+    /**
+     * Números de onda angulares en el orden de salida de la FFT
+     * k_j = 2πj/L para j ≤ n/2 y 2π(j - n)/L para el resto
+     * @param {number} n - Número de puntos
+     * @param {number} length - Longitud del dominio periódico
+     * @returns {Array<number>} Números de onda
+     */
+    static wavenumbers(n, length) {
+        const k = new Array(n);
+        for (let j = 0; j < n; j++) {
+            const index = j <= n / 2 ? j : j - n;
+            k[j] = 2 * Math.PI * index / length;
+        }
+        return k;
+    }
+
+    /**
+     * Comprueba si n es potencia de 2
+     * @param {number} n - Entero positivo
+     * @returns {boolean} True si n = 2^m
+     */
+    static isPowerOfTwo(n) {
+        return n > 0 && (n & (n - 1)) === 0;
+    }
+
+    /**
+     * Menor factor primo de n
+     * @param {number} n - Entero mayor que 1
+     * @returns {number} Menor factor primo (n si es primo)
+     */
+    static smallestFactor(n) {
+        if (n % 2 === 0) return 2;
+        for (let f = 3; f * f <= n; f += 2) {
+            if (n % f === 0) return f;
+        }
+        return n;
+    }
+}
+
+FFT.twiddleTables = {};
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FFT };
+} else if (typeof window !== 'undefined') {
+    window.FFT = FFT;
+}
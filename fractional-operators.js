@@ -0,0 +1,343 @@
+/**
+ * fractional-operators.js
+ * Discretizaciones del operador fractal (-Δ)^(∂/2) para el Modelo Fractal-Estocástico del Universo (MFSU)
+ *
+ * Convención de signo: todos los operadores devuelven -(-Δ)^(∂/2)ψ, igual que
+ * MFSUSolver.fractionalLaplacian (con ∂ = 2 se recupera Δψ). Así el término
+ * α·(operador) de la ecuación MFSU es disipativo para α > 0.
+ *
+ * Los operadores escriben en out si se les da y, con un espacio de trabajo (un objeto vacío
+ * por ejecución), reutilizan sus buffers Float64Array y los pesos o el símbolo ya calculados,
+ * de modo que un paso temporal no reserva memoria.
+ */
+
+class FractionalOperators {
+    /**
+     * Implementación de FFT (global en el navegador, require en Node.js)
+     */
+    static get fft() {
+        return typeof FFT !== 'undefined' ? FFT : require('./fft.js').FFT;
+    }
+
+    /**
+     * Buffer Float64Array reutilizable de un espacio de trabajo
+     * @param {Object} workspace - Espacio de trabajo de la ejecución
+     * @param {string} name - Nombre del buffer
+     * @param {number} n - Longitud
+     * @returns {Float64Array} Buffer (contenido del uso anterior)
+     */
+    static buffer(workspace, name, n) {
+        const buffers = workspace.buffers || (workspace.buffers = {});
+        if (!buffers[name] || buffers[name].length !== n) {
+            buffers[name] = new Float64Array(n);
+        }
+        return buffers[name];
+    }
+
+    /**
+     * Valor guardado en el espacio de trabajo; se recalcula si cambia la clave
+     * @param {Object|null} workspace - Espacio de trabajo (sin él se calcula siempre)
+     * @param {string} name - Nombre del valor
+     * @param {string} key - Parámetros de los que depende
+     * @param {Function} compute - () => valor
+     * @returns {*} Valor
+     */
+    static cached(workspace, name, key, compute) {
+        if (!workspace) {
+            return compute();
+        }
+        const cache = workspace.cache || (workspace.cache = {});
+        if (!cache[name] || cache[name].key !== key) {
+            cache[name] = { key: key, value: compute() };
+        }
+        return cache[name].value;
+    }
+
+    /**
+     * Símbolo de Fourier del operador: ℱ[-(-Δ)^(s/2)f](k) = -|k|^s ℱ[f](k)
+     * @param {number} k - Número de onda angular
+     * @param {number} order - Orden fractal ∂
+     * @returns {number} Valor del símbolo
+     */
+    static symbol(k, order) {
+        return -Math.pow(Math.abs(k), order);
+    }
+
+    /**
+     * Símbolo -|k|^∂ de cada modo de una malla periódica 1D, 2D o 3D
+     * |k|² = k_x² + k_y² + k_z², en el orden de salida de FFT.transformND
+     * @param {Array<number>} shape - Puntos por eje
+     * @param {number|Array<number>} dx - Espaciado de malla (común o por eje)
+     * @param {number} order - Orden fractal ∂
+     * @returns {Array<number>} Símbolo por modo (array plano en orden C)
+     */
+    static spectralSymbol(shape, dx, order) {
+        const spacing = Array.isArray(dx) ? dx : shape.map(() => dx);
+        const axes = shape.map((n, axis) => this.fft.wavenumbers(n, n * spacing[axis]));
+
+        if (shape.length === 1) {
+            return axes[0].map(k => this.symbol(k, order));
+        }
+
+        // |k|² acumulado eje a eje, con el último eje contiguo
+        let squared = [0];
+        for (const k of axes) {
+            const next = new Array(squared.length * k.length);
+            for (let a = 0; a < squared.length; a++) {
+                for (let b = 0; b < k.length; b++) {
+                    next[a * k.length + b] = squared[a] + k[b] * k[b];
+                }
+            }
+            squared = next;
+        }
+
+        return squared.map(k2 => this.symbol(Math.sqrt(k2), order));
+    }
+
+    /**
+     * Laplaciano fractal espectral en un dominio periódico
+     * Aplica el símbolo |k|^∂ de la sección 2.2 de mathinfo/mathematical-background.md
+     * @param {Array<number>} psi - Función de onda (muestras equiespaciadas, periodo n·dx por eje)
+     * @param {number|Array<number>} dx - Espaciado de malla (común o por eje)
+     * @param {number} order - Orden fractal ∂
+     * @param {Array<number>} shape - Puntos por eje (array plano en orden C); 1D por defecto
+     * @param {Array<number>|Float64Array} out - Destino; uno nuevo por defecto
+     * @param {Object} workspace - Espacio de trabajo (buffers y símbolo reutilizados)
+     * @returns {Array<number>|Float64Array} -(-Δ)^(∂/2)ψ (out)
+     */
+    static spectral(psi, dx, order, shape = [psi.length], out = new Array(psi.length), workspace = null) {
+        const n = psi.length;
+        const fft = this.fft;
+        const re = workspace ? this.buffer(workspace, 'spectralRe', n) : new Array(n);
+        const im = workspace ? this.buffer(workspace, 'spectralIm', n) : new Array(n);
+        for (let j = 0; j < n; j++) {
+            re[j] = psi[j];
+            im[j] = 0;
+        }
+
+        fft.transformND(re, im, shape);
+
+        const symbol = this.cached(workspace, 'spectralSymbol', `${shape}|${dx}|${order}`,
+            () => this.spectralSymbol(shape, dx, order));
+        for (let j = 0; j < n; j++) {
+            re[j] *= symbol[j];
+            im[j] *= symbol[j];
+        }
+
+        fft.transformND(re, im, shape, true);
+
+        for (let j = 0; j < n; j++) {
+            out[j] = re[j];
+        }
+        return out;
+    }
+
+    /**
+     * Laplaciano fractal de Riesz por diferencias finitas (libre de matriz)
+     * (-Δ)^(∂/2)ψ_i ≈ h^(-∂) Σ_k g_k ψ_{i-k}, con los pesos de rieszWeights()
+     * @param {Array<number>} psi - Función de onda
+     * @param {number} dx - Espaciado de malla
+     * @param {number} order - Orden fractal ∂ ∈ (0, 2]
+     * @param {string} boundary - 'dirichlet' (ψ = g fuera del dominio), 'neumann'
+     *                             (interacciones censuradas al dominio más el flujo q) o 'periodic'
+     * @param {Array<number>} values - Valores de frontera [izquierda, derecha]: g exterior en
+     *                                 'dirichlet', derivada normal exterior q en 'neumann'
+     * @param {Array<number>|Float64Array} out - Destino (distinto de psi); uno nuevo por defecto
+     * @param {Object} workspace - Espacio de trabajo (pesos reutilizados)
+     * @returns {Array<number>|Float64Array} -(-Δ)^(∂/2)ψ (out)
+     */
+    static riesz(psi, dx, order, boundary = 'dirichlet', values = [0, 0], out = new Array(psi.length), workspace = null) {
+        const n = psi.length;
+        const scale = -Math.pow(dx, -order);
+        const result = out;
+        const weights = () => this.cached(workspace, 'rieszWeights', `${order}|${n}`, () => this.rieszWeights(order, n));
+
+        switch (boundary) {
+            case 'dirichlet': {
+                const g = weights();
+                // Σ_j g_{|i-j|}ψ_j en orden creciente de j, partida en j < i y j ≥ i
+                for (let i = 0; i < n; i++) {
+                    let sum = 0;
+                    for (let j = 0; j < i; j++) {
+                        sum += g[i - j] * psi[j];
+                    }
+                    for (let j = i; j < n; j++) {
+                        sum += g[j - i] * psi[j];
+                    }
+                    result[i] = scale * sum;
+                }
+
+                // Exterior constante: Σ_{m>i} g_m = -g_0/2 - Σ_{m=1}^{i} g_m (Σ g = 0)
+                if (values[0] !== 0 || values[1] !== 0) {
+                    const tail = this.cached(workspace, 'rieszTail', `${order}|${n}`, () => {
+                        const sums = new Array(n + 1);
+                        sums[1] = -g[0] / 2;
+                        for (let m = 2; m <= n; m++) {
+                            sums[m] = sums[m - 1] - g[m - 1];
+                        }
+                        return sums;
+                    });
+                    for (let i = 0; i < n; i++) {
+                        result[i] += scale * (values[0] * tail[i + 1] + values[1] * tail[n - i]);
+                    }
+                }
+                break;
+            }
+
+            case 'neumann': {
+                // Forma censurada: Σ_{j≠i} g_{i-j}(ψ_j - ψ_i) anula las constantes
+                const g = weights();
+                for (let i = 0; i < n; i++) {
+                    let sum = 0;
+                    for (let j = 0; j < i; j++) {
+                        sum += g[i - j] * (psi[j] - psi[i]);
+                    }
+                    for (let j = i + 1; j < n; j++) {
+                        sum += g[j - i] * (psi[j] - psi[i]);
+                    }
+                    result[i] = scale * sum;
+                }
+
+                // Flujo impuesto en las celdas extremas (q/dx con ∂ = 2)
+                result[0] -= scale * values[0] * dx;
+                result[n - 1] -= scale * values[1] * dx;
+                break;
+            }
+
+            case 'periodic': {
+                const w = this.cached(workspace, 'periodicRieszWeights', `${order}|${n}`,
+                    () => this.periodicRieszWeights(order, n));
+                for (let i = 0; i < n; i++) {
+                    let sum = 0;
+                    for (let j = 0; j <= i; j++) {
+                        sum += w[i - j] * psi[j];
+                    }
+                    for (let j = i + 1; j < n; j++) {
+                        sum += w[i - j + n] * psi[j];
+                    }
+                    result[i] = scale * sum;
+                }
+                break;
+            }
+
+            default:
+                throw new Error(`Condición de frontera '${boundary}' no soportada por el operador de Riesz`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Pesos de diferencias centradas fraccionarias (Ortigueira)
+     * g_k = (-1)^k Γ(s+1) / (Γ(s/2 - k + 1)·Γ(s/2 + k + 1))
+     *
+     * Son la convolución de los pesos de Grünwald–Letnikov izquierdo y derecho de
+     * orden s/2 (función generatriz |2·sin(θ/2)|^s), por lo que el operador es simétrico
+     * y de segundo orden. A diferencia de la combinación de derivadas de Riemann–Liouville
+     * con pesos desplazados, 1/(2·cos(πs/2)) no aparece y no hay singularidad en s = 1.
+     * @param {number} order - Orden fractal s
+     * @param {number} count - Número de pesos g_0 ... g_{count-1}
+     * @returns {Array<number>} Pesos (g_0 > 0, g_k < 0 para k ≥ 1, Σ g = 0)
+     */
+    static rieszWeights(order, count) {
+        const half = order / 2;
+        const weights = new Array(count);
+
+        weights[0] = this.gamma(order + 1) / Math.pow(this.gamma(half + 1), 2);
+        for (let k = 0; k < count - 1; k++) {
+            weights[k + 1] = weights[k] * (k - half) / (half + k + 1);
+        }
+
+        return weights;
+    }
+
+    /**
+     * Pesos de Riesz plegados sobre un periodo: W_m = Σ_p g_{|m + p·n|}
+     * La suma infinita de imágenes converge lentamente (g_k ~ k^(-1-s)); se obtiene
+     * exactamente como la DFT inversa de la función generatriz |2·sin(πj/n)|^s
+     * @param {number} order - Orden fractal s
+     * @param {number} n - Número de puntos del periodo
+     * @returns {Array<number>} Pesos circulantes
+     */
+    static periodicRieszWeights(order, n) {
+        const re = new Array(n);
+        const im = new Array(n).fill(0);
+
+        for (let j = 0; j < n; j++) {
+            re[j] = Math.pow(Math.abs(2 * Math.sin(Math.PI * j / n)), order);
+        }
+
+        this.fft.transform(re, im, true);
+
+        return re;
+    }
+
+    /**
+     * Aplica un operador por nombre
+     * @param {Array<number>} psi - Función de onda
+     * @param {number} dx - Espaciado de malla
+     * @param {number} order - Orden fractal ∂
+     * @param {Object} options - { operator: 'spectral' | 'riesz', boundary, shape, values, out, workspace }
+     *                            (values: [izquierda, derecha] de la frontera, ver riesz(); out y
+     *                            workspace: destino y espacio de trabajo reutilizables)
+     * @returns {Array<number>|Float64Array} -(-Δ)^(∂/2)ψ
+     */
+    static apply(psi, dx, order, options = {}) {
+        const {
+            operator = 'spectral', boundary = 'periodic', shape = [psi.length], values = [0, 0],
+            out = new Array(psi.length), workspace = null
+        } = options;
+
+        if (shape.length > 1 && operator !== 'spectral') {
+            throw new Error(`El operador '${operator}' solo está disponible en 1D; use 'spectral' para mallas ${shape.join('×')}`);
+        }
+
+        switch (operator) {
+            case 'spectral':
+                if (boundary !== 'periodic') {
+                    throw new Error(`El operador espectral requiere frontera periódica (recibido '${boundary}')`);
+                }
+                return this.spectral(psi, dx, order, shape, out, workspace);
+
+            case 'riesz':
+                return this.riesz(psi, dx, order, boundary, values, out, workspace);
+
+            default:
+                throw new Error(`Operador fraccionario '${operator}' no encontrado`);
+        }
+    }
+
+    /**
+     * Función Gamma (aproximación de Lanczos, g = 7)
+     * @param {number} x - Argumento real
+     * @returns {number} Γ(x)
+     */
+    static gamma(x) {
+        if (x < 0.5) {
+            // Fórmula de reflexión
+            return Math.PI / (Math.sin(Math.PI * x) * this.gamma(1 - x));
+        }
+
+        const coefficients = [
+            0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+            771.32342877765313, -176.61502916214059, 12.507343278686905,
+            -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+        ];
+
+        const z = x - 1;
+        let sum = coefficients[0];
+        for (let i = 1; i < coefficients.length; i++) {
+            sum += coefficients[i] / (z + i);
+        }
+
+        const t = z + 7.5;
+        return Math.sqrt(2 * Math.PI) * Math.pow(t, z + 0.5) * Math.exp(-t) * sum;
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FractionalOperators };
+} else if (typeof window !== 'undefined') {
+    window.FractionalOperators = FractionalOperators;
+}
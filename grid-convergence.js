@@ -0,0 +1,206 @@
+/**
+ * grid-convergence.js
+ * Extrapolación de Richardson e índice de convergencia de malla (GCI) para el Modelo
+ * Fractal-Estocástico del Universo (MFSU)
+ *
+ * Orden observado, valor extrapolado y GCI de Roache a partir de una magnitud φ calculada en
+ * varias mallas, con factores de refinamiento r = n_fina/n_gruesa arbitrarios (no solo 2).
+ * Con tres mallas o más, sobre las tres más finas (1 = fina, 2 = media, 3 = gruesa):
+ *   ε₂₁ = φ₂ - φ₁,  ε₃₂ = φ₃ - φ₂,  s = sign(ε₃₂/ε₂₁)
+ *   p = |ln|ε₃₂/ε₂₁| + q(p)| / ln r₂₁,  q(p) = ln((r₂₁^p - s)/(r₃₂^p - s))   (Celik et al., 2008)
+ *   φ_ext = (r₂₁^p·φ₁ - φ₂)/(r₂₁^p - 1)
+ *   GCI₂₁ = Fs·|(φ₁ - φ₂)/φ₁|/(r₂₁^p - 1)
+ * con Fs = 1.25 (3.0 con solo dos mallas y un orden supuesto). La malla fina está en el rango
+ * asintótico cuando la convergencia es monótona (s > 0) y GCI₃₂/(r₂₁^p·GCI₂₁) ≈ 1.
+ */
+
+class GridConvergence {
+    /**
+     * Factores de seguridad de Roache
+     */
+    static get SAFETY_FACTORS() {
+        return {
+            threeGrids: 1.25,
+            twoGrids: 3.0
+        };
+    }
+
+    /**
+     * Desviación máxima de GCI₃₂/(r₂₁^p·GCI₂₁) respecto a 1 dentro del rango asintótico
+     */
+    static get ASYMPTOTIC_TOLERANCE() {
+        return 0.1;
+    }
+
+    /**
+     * Iteraciones del punto fijo del orden observado con refinamiento no uniforme
+     */
+    static get MAX_ITERATIONS() {
+        return 100;
+    }
+
+    /**
+     * Orden entre dos mallas a partir de sus errores
+     * @param {number} coarseError - Error en la malla gruesa
+     * @param {number} fineError - Error en la malla fina
+     * @param {number} coarseSize - Puntos de la malla gruesa
+     * @param {number} fineSize - Puntos de la malla fina
+     * @returns {number} ln(e_gruesa/e_fina)/ln(n_fina/n_gruesa)
+     */
+    static pairOrder(coarseError, fineError, coarseSize, fineSize) {
+        if (!(coarseError > 0) || !(fineError > 0)) return 0;
+        return Math.log(coarseError / fineError) / Math.log(fineSize / coarseSize);
+    }
+
+    /**
+     * Orden por mínimos cuadrados de ln e frente a ln h sobre todas las mallas
+     * (las de error nulo o no finito se descartan; con dos mallas coincide con pairOrder)
+     * @param {Array<number>} sizes - Puntos de cada malla
+     * @param {Array<number>} errors - Error en cada malla
+     * @returns {number} Orden ajustado (0 con menos de dos mallas válidas)
+     */
+    static fitOrder(sizes, errors) {
+        const points = sizes
+            .map((n, i) => [-Math.log(n), Math.log(errors[i])])
+            .filter(([, logError]) => Number.isFinite(logError));
+        if (points.length < 2) return 0;
+
+        const meanH = points.reduce((sum, [logH]) => sum + logH, 0) / points.length;
+        const meanE = points.reduce((sum, [, logError]) => sum + logError, 0) / points.length;
+        let covariance = 0;
+        let variance = 0;
+        for (const [logH, logError] of points) {
+            covariance += (logH - meanH) * (logError - meanE);
+            variance += (logH - meanH) * (logH - meanH);
+        }
+        return variance > 0 ? covariance / variance : 0;
+    }
+
+    /**
+     * Orden observado de tres mallas (de gruesa a fina)
+     * @param {Array<number>} values - [φ₃, φ₂, φ₁]
+     * @param {Array<number>} sizes - [n₃, n₂, n₁]
+     * @returns {Object} { order (NaN si ε₂₁ o ε₃₂ es nulo), oscillatory: s < 0, converged }
+     */
+    static observedOrder(values, sizes) {
+        const [coarse, medium, fine] = values;
+        const r21 = sizes[2] / sizes[1];
+        const r32 = sizes[1] / sizes[0];
+        const e21 = medium - fine;
+        const e32 = coarse - medium;
+
+        if (e21 === 0 || e32 === 0 || !Number.isFinite(e21 / e32)) {
+            return { order: NaN, oscillatory: false, converged: false };
+        }
+
+        const s = Math.sign(e32 / e21);
+        const logRatio = Math.log(Math.abs(e32 / e21));
+        let order = Math.abs(logRatio) / Math.log(r21);
+        let converged = r21 === r32;
+
+        // Refinamiento no uniforme: punto fijo en p
+        for (let iter = 0; !converged && iter < GridConvergence.MAX_ITERATIONS; iter++) {
+            const q = Math.log((Math.pow(r21, order) - s) / (Math.pow(r32, order) - s));
+            const next = Math.abs(logRatio + q) / Math.log(r21);
+            converged = Math.abs(next - order) < 1e-12 * Math.max(1, next);
+            order = next;
+        }
+
+        return { order: order, oscillatory: s < 0, converged: converged && Number.isFinite(order) };
+    }
+
+    /**
+     * Extrapolación de Richardson y GCI de una magnitud calculada en varias mallas
+     * @param {Array<number>} values - φ en cada malla, de gruesa a fina
+     * @param {Array<number>} sizes - Puntos de cada malla, crecientes
+     * @param {Object} options - { order: orden supuesto (obligatorio con dos mallas),
+     *                             safetyFactor (SAFETY_FACTORS), tolerance (ASYMPTOTIC_TOLERANCE) }
+     * @returns {Object} { levels, order, orders: p de cada terna consecutiva, ratio: r₂₁,
+     *                     extrapolated: φ_ext, relativeError: |(φ₁ - φ₂)/φ₁|,
+     *                     extrapolatedError: |(φ_ext - φ₁)/φ_ext|, gciFine: GCI₂₁,
+     *                     gciCoarse: GCI₃₂, safetyFactor, asymptoticRatio, inAsymptoticRange,
+     *                     oscillatory } (null sin tercera malla en gciCoarse y el rango asintótico)
+     */
+    static analyze(values, sizes, options = {}) {
+        const levels = values.length;
+        if (levels < 2 || sizes.length !== levels) {
+            throw new Error('Se necesitan al menos dos mallas, con un valor por malla');
+        }
+        if (sizes.some((n, i) => i > 0 && !(n > sizes[i - 1]))) {
+            throw new Error(`Las mallas deben ser crecientes: [${sizes.join(', ')}]`);
+        }
+
+        const threeGrids = levels >= 3;
+        const orders = [];
+        for (let i = 0; i + 2 < levels; i++) {
+            orders.push(GridConvergence.observedOrder(values.slice(i, i + 3), sizes.slice(i, i + 3)).order);
+        }
+        const finest = threeGrids ? GridConvergence.observedOrder(values.slice(-3), sizes.slice(-3)) : null;
+        const order = threeGrids ? finest.order : options.order;
+        if (!threeGrids && !(order > 0)) {
+            throw new Error('Con dos mallas hay que suponer el orden (options.order)');
+        }
+
+        const safetyFactor = options.safetyFactor ||
+            GridConvergence.SAFETY_FACTORS[threeGrids ? 'threeGrids' : 'twoGrids'];
+        const tolerance = options.tolerance !== undefined ? options.tolerance : GridConvergence.ASYMPTOTIC_TOLERANCE;
+
+        const fine = values[levels - 1];
+        const medium = values[levels - 2];
+        const ratio = sizes[levels - 1] / sizes[levels - 2];
+        const amplification = Math.pow(ratio, order) - 1;
+        const extrapolated = (Math.pow(ratio, order) * fine - medium) / amplification;
+        const relativeError = Math.abs((fine - medium) / fine);
+        const gciFine = safetyFactor * relativeError / amplification;
+
+        let gciCoarse = null;
+        let asymptoticRatio = null;
+        if (threeGrids) {
+            const coarse = values[levels - 3];
+            const coarseRatio = sizes[levels - 2] / sizes[levels - 3];
+            gciCoarse = safetyFactor * Math.abs((medium - coarse) / medium) / (Math.pow(coarseRatio, order) - 1);
+            asymptoticRatio = gciCoarse / (Math.pow(ratio, order) * gciFine);
+        }
+
+        return {
+            levels: levels,
+            sizes: sizes.slice(),
+            values: values.slice(),
+            order: order,
+            orders: orders,
+            ratio: ratio,
+            extrapolated: extrapolated,
+            relativeError: relativeError,
+            extrapolatedError: Math.abs((extrapolated - fine) / extrapolated),
+            gciFine: gciFine,
+            gciCoarse: gciCoarse,
+            safetyFactor: safetyFactor,
+            asymptoticRatio: asymptoticRatio,
+            // Con convergencia oscilatoria (s < 0) la extrapolación no es fiable
+            inAsymptoticRange: asymptoticRatio === null ? null : !finest.oscillatory &&
+                Number.isFinite(asymptoticRatio) && Math.abs(asymptoticRatio - 1) <= tolerance,
+            oscillatory: finest ? finest.oscillatory : false
+        };
+    }
+
+    /**
+     * Resumen de una línea (títulos de gráficos y métricas)
+     * @param {Object} analysis - Resultado de analyze()
+     * @returns {string} p, GCI y comprobación del rango asintótico
+     */
+    static summary(analysis) {
+        if (!analysis || !Number.isFinite(analysis.order)) {
+            return 'orden observado no definido (diferencias nulas entre mallas)';
+        }
+        const range = analysis.inAsymptoticRange === null ? 'rango asintótico sin comprobar (2 mallas)' :
+            `rango asintótico ${analysis.inAsymptoticRange ? '✓' : '✗'} (${analysis.asymptoticRatio.toFixed(3)})`;
+        return `p = ${analysis.order.toFixed(2)}, GCI = ${(100 * analysis.gciFine).toFixed(3)} %, ${range}`;
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GridConvergence };
+} else if (typeof window !== 'undefined') {
+    window.GridConvergence = GridConvergence;
+}
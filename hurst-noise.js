@@ -0,0 +1,207 @@
+/**
+ * hurst-noise.js
+ * Ruido gaussiano fraccionario ξ_H(x,t) para el Modelo Fractal-Estocástico del Universo (MFSU)
+ * Muestreo exacto por inmersión circulante (Davies–Harte) sobre la FFT
+ *
+ * La covarianza espacio-temporal es separable (también entre ejes espaciales en 2D/3D):
+ *     E[ξ(i,n)·ξ(i+k,n+m)] = ρ_H(k)·ρ_{H_t}(m),   ρ_H(k) = ρ_H(k_x)·ρ_H(k_y)·ρ_H(k_z)
+ * con la autocovarianza del ruido gaussiano fraccionario (incrementos de fBm)
+ *     ρ_H(k) = ½(|k+1|^{2H} - 2|k|^{2H} + |k-1|^{2H})
+ * H = 0.5 da ruido blanco; H > 0.5 correlaciones persistentes y H < 0.5 antipersistentes.
+ */
+
+class HurstNoise {
+    /**
+     * Implementación de FFT (global en el navegador, require en Node.js)
+     */
+    static get fft() {
+        return typeof FFT !== 'undefined' ? FFT : require('./fft.js').FFT;
+    }
+
+    /**
+     * Autocovarianza del ruido gaussiano fraccionario con varianza unidad
+     * @param {number} lag - Desfase k (en puntos de malla o pasos temporales)
+     * @param {number} hurst - Exponente de Hurst H ∈ (0, 1)
+     * @returns {number} ρ_H(k)
+     */
+    static autocovariance(lag, hurst) {
+        const k = Math.abs(lag);
+        const h2 = 2 * hurst;
+        return 0.5 * (Math.pow(k + 1, h2) - 2 * Math.pow(k, h2) + Math.pow(Math.abs(k - 1), h2));
+    }
+
+    /**
+     * Autovalores de la matriz circulante que contiene la covarianza de n muestras
+     * La primera fila es [ρ(0), ρ(1), ..., ρ(m/2), ..., ρ(1)] con m la menor potencia
+     * de 2 ≥ 2(n - 1); para fGn estos autovalores son no negativos para todo H
+     * @param {number} n - Número de muestras
+     * @param {number} hurst - Exponente de Hurst H ∈ (0, 1)
+     * @returns {Object} { size: m, eigenvalues }
+     */
+    static circulantEigenvalues(n, hurst) {
+        this.validateHurst(hurst);
+
+        if (n <= 1) {
+            return { size: 1, eigenvalues: [1] };
+        }
+
+        let size = 1;
+        while (size < 2 * (n - 1)) size <<= 1;
+
+        const re = new Array(size);
+        const im = new Array(size).fill(0);
+        for (let j = 0; j < size; j++) {
+            re[j] = this.autocovariance(Math.min(j, size - j), hurst);
+        }
+
+        this.fft.transform(re, im);
+
+        // Los autovalores son reales; recortar el redondeo negativo
+        const largest = Math.max(...re);
+        for (let j = 0; j < size; j++) {
+            if (re[j] < 0) {
+                if (re[j] < -1e-10 * largest) {
+                    throw new Error(`La inmersión circulante no es definida positiva (H = ${hurst}, n = ${n})`);
+                }
+                re[j] = 0;
+            }
+        }
+
+        return { size, eigenvalues: re };
+    }
+
+    /**
+     * Campo gaussiano fraccionario espacio-temporal con covarianza exacta
+     * Cada fila temporal de la inmersión se transforma en espacio (FFT 1D, 2D o 3D) y solo
+     * se conserva la esquina de la malla; después se transforma cada punto en el tiempo
+     * @param {number|Array<number>} shape - Puntos espaciales (nx o [nx, ny] / [nx, ny, nz])
+     * @param {number} nt - Pasos temporales
+     * @param {number} hurst - Exponente de Hurst espacial (el mismo en todos los ejes)
+     * @param {number} hurstExponent - Exponente de Hurst temporal
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @returns {Array<Array<number>>} Ruido [nt][N] con varianza unidad (N = nx·ny·nz, orden C)
+     */
+    static field(shape, nt, hurst, hurstExponent, rng) {
+        const fft = this.fft;
+        const { embedded, eigenvalues: lambdaX, corner } = this.spatialEmbedding(shape, hurst);
+        const { size: mt, eigenvalues: lambdaT } = this.circulantEigenvalues(nt, hurstExponent);
+        const mx = lambdaX.length;
+        const count = corner.length;
+
+        // Ruido blanco complejo ponderado por la raíz de los autovalores (separables)
+        const re = new Float64Array(mt * count);
+        const im = new Float64Array(mt * count);
+        const rowRe = new Float64Array(mx);
+        const rowIm = new Float64Array(mx);
+        const norm = 1 / (mt * mx);
+
+        for (let t = 0; t < mt; t++) {
+            for (let i = 0; i < mx; i++) {
+                const weight = Math.sqrt(lambdaT[t] * lambdaX[i] * norm);
+                rowRe[i] = weight * rng.gaussian();
+                rowIm[i] = weight * rng.gaussian();
+            }
+
+            // FFT espacial de la fila
+            if (mx > 1) {
+                fft.transformND(rowRe, rowIm, embedded);
+            }
+
+            for (let c = 0; c < count; c++) {
+                re[t * count + c] = rowRe[corner[c]];
+                im[t * count + c] = rowIm[corner[c]];
+            }
+        }
+
+        // FFT temporal de cada punto de la malla
+        if (mt > 1) {
+            const columnRe = new Float64Array(mt);
+            const columnIm = new Float64Array(mt);
+            for (let c = 0; c < count; c++) {
+                for (let t = 0; t < mt; t++) {
+                    columnRe[t] = re[t * count + c];
+                    columnIm[t] = im[t * count + c];
+                }
+                fft.transform(columnRe, columnIm);
+                for (let t = 0; t < nt; t++) {
+                    re[t * count + c] = columnRe[t];
+                }
+            }
+        }
+
+        // La parte real de la esquina nt × N tiene la covarianza buscada
+        const noise = [];
+        for (let t = 0; t < nt; t++) {
+            noise.push(Array.from(re.subarray(t * count, (t + 1) * count)));
+        }
+
+        return noise;
+    }
+
+    /**
+     * Inmersión circulante de la malla espacial (separable entre ejes)
+     * @param {number|Array<number>} shape - Puntos espaciales (nx o [nx, ny] / [nx, ny, nz])
+     * @param {number} hurst - Exponente de Hurst espacial
+     * @returns {Object} { embedded: tamaño por eje, eigenvalues: autovalores producto,
+     *                     corner: índice en la inmersión de cada punto de la malla (orden C) }
+     */
+    static spatialEmbedding(shape, hurst) {
+        const dims = Array.isArray(shape) ? shape : [shape];
+        const axes = dims.map(n => this.circulantEigenvalues(n, hurst));
+
+        // Autovalores producto y posición de la esquina nx × ny × nz
+        let eigenvalues = [1];
+        let corner = [0];
+        axes.forEach((axis, d) => {
+            eigenvalues = this.outer(eigenvalues, axis.eigenvalues, (a, b) => a * b);
+            corner = this.outer(corner, [...Array(dims[d]).keys()], (a, b) => a * axis.size + b);
+        });
+
+        return { embedded: axes.map(axis => axis.size), eigenvalues, corner };
+    }
+
+    /**
+     * Producto exterior aplanado en orden C: result[i·b.length + j] = combine(a[i], b[j])
+     * @param {Array<number>} a - Primer factor
+     * @param {Array<number>} b - Segundo factor (índice contiguo)
+     * @param {Function} combine - Combinación de cada par
+     * @returns {Array<number>} Producto exterior
+     */
+    static outer(a, b, combine) {
+        const result = new Array(a.length * b.length);
+        for (let i = 0; i < a.length; i++) {
+            for (let j = 0; j < b.length; j++) {
+                result[i * b.length + j] = combine(a[i], b[j]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Serie 1D de ruido gaussiano fraccionario
+     * @param {number} n - Número de muestras
+     * @param {number} hurst - Exponente de Hurst
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @returns {Array<number>} Muestras con varianza unidad
+     */
+    static series(n, hurst, rng) {
+        return this.field(n, 1, hurst, 0.5, rng)[0];
+    }
+
+    /**
+     * Comprueba que el exponente de Hurst está en (0, 1)
+     * @param {number} hurst - Exponente de Hurst
+     */
+    static validateHurst(hurst) {
+        if (!(hurst > 0 && hurst < 1)) {
+            throw new Error(`Exponente de Hurst fuera de (0, 1): ${hurst}`);
+        }
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HurstNoise };
+} else if (typeof window !== 'undefined') {
+    window.HurstNoise = HurstNoise;
+}
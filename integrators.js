@@ -0,0 +1,847 @@
+/**
+ * integrators.js
+ * Integradores temporales para el Modelo Fractal-Estocástico del Universo (MFSU)
+ *
+ * Cada integrador avanza dψ/dt = F(ψ, t) un paso:
+ *     step(psi, time, dt, rhs, state) → ψ(t + dt)
+ * donde rhs(psi, time) devuelve F y state es un objeto por ejecución (creado con
+ * createState(options) si el integrador lo define) para métodos con memoria; esos métodos
+ * definen también saveState(state)/restoreState(state, saved) para los puntos de control.
+ * F es la deriva determinista; el término multiplicativo β·ψ·dW se añade después de cada
+ * paso con stochasticIncrement() (Euler–Maruyama o Milstein).
+ *
+ * Los integradores con splitting (imex, etdrk4) separan F = L·ψ + N(ψ, t), con L diagonal
+ * en Fourier (dominio periódico). createState(options, split) recibe
+ * split = { linear, nonlinear, shape, complex }: linear[j] es el símbolo de L en el modo j de la
+ * FFT (1D, 2D o 3D según shape, array plano en orden C) y nonlinear(psi, time) devuelve N;
+ * con complex = true el campo es [Re ψ, Im ψ] y se transforma con una única FFT compleja; L se trata de forma exacta o implícita y N explícitamente.
+ *
+ * Los pares encajados (bs23, rk45) definen un tableau con dos pesos b y bHat; con paso fijo
+ * avanzan con b y adaptiveAdvance() usa la diferencia con bHat como estimación del error
+ * local para aceptar o rechazar cada subpaso y ajustar Δt entre dtMin y dtMax.
+ *
+ * Núcleo sin reservas de memoria: step(psi, time, dt, rhs, state, out) puede recibir un destino
+ * out (un Float64Array distinto de psi) y entonces llama a rhs(psi, time, buffer) con buffers
+ * Float64Array guardados en state (ver buffer()). rhs debe devolver F, escrito en el buffer si
+ * lo acepta o en un array nuevo; el resultado del paso es el valor devuelto por step, que puede
+ * no ser out (Euler implícito, imex y etdrk4 siguen devolviendo arrays nuevos).
+ */
+
+class TimeIntegrators {
+    /**
+     * Implementación de FFT (global en el navegador, require en Node.js)
+     */
+    static get fft() {
+        return typeof FFT !== 'undefined' ? FFT : require('./fft.js').FFT;
+    }
+
+    /**
+     * Registra un integrador temporal
+     * @param {string} name - Nombre (clave de la opción method de MFSUSolver.solve)
+     * @param {Object} integrator - { name, order, implicit, step, createState? }
+     */
+    static register(name, integrator) {
+        if (!integrator || typeof integrator.step !== 'function') {
+            throw new Error(`El integrador '${name}' debe definir step(psi, time, dt, rhs, state)`);
+        }
+        TimeIntegrators.methods[name] = integrator;
+    }
+
+    /**
+     * Obtiene un integrador registrado
+     * @param {string} name - Nombre del integrador
+     * @returns {Object} Integrador
+     */
+    static get(name) {
+        const integrator = TimeIntegrators.methods[name];
+        if (!integrator) {
+            throw new Error(`Integrador temporal '${name}' no encontrado`);
+        }
+        return integrator;
+    }
+
+    /**
+     * Nombres de los integradores disponibles
+     * @returns {Array<string>} Nombres registrados
+     */
+    static list() {
+        return Object.keys(TimeIntegrators.methods);
+    }
+
+    /**
+     * Memoria del integrador para un punto de control (JSON); los integradores con memoria
+     * definen saveState(state) y restoreState(state, saved), el resto no guarda nada
+     * @param {Object} integrator - Integrador registrado
+     * @param {Object} state - Estado de la ejecución (createState)
+     * @returns {Object} Memoria serializable
+     */
+    static saveState(integrator, state) {
+        return integrator.saveState ? integrator.saveState(state) : {};
+    }
+
+    /**
+     * Restaura la memoria guardada con saveState() en un estado recién creado
+     * @param {Object} integrator - Integrador registrado
+     * @param {Object} state - Estado de la ejecución (createState)
+     * @param {Object} saved - Memoria guardada
+     */
+    static restoreState(integrator, state, saved) {
+        if (integrator.restoreState) {
+            integrator.restoreState(state, saved);
+        }
+    }
+
+    /**
+     * Estado del controlador adaptativo para un punto de control (sin buffers)
+     * @param {Object} controller - Controlador de createController()
+     * @returns {Object} { dt, acceptedSteps, rejectedSteps, dtHistory, rejections }
+     */
+    static saveController(controller) {
+        return {
+            dt: controller.dt,
+            acceptedSteps: controller.acceptedSteps,
+            rejectedSteps: controller.rejectedSteps,
+            dtHistory: controller.dtHistory.slice(),
+            rejections: controller.rejections.slice()
+        };
+    }
+
+    /**
+     * Restaura en un controlador nuevo el estado de saveController()
+     * @param {Object} controller - Controlador de createController()
+     * @param {Object} saved - Estado guardado
+     */
+    static restoreController(controller, saved) {
+        controller.dt = saved.dt;
+        controller.acceptedSteps = saved.acceptedSteps;
+        controller.rejectedSteps = saved.rejectedSteps;
+        controller.dtHistory = saved.dtHistory.slice();
+        controller.rejections = saved.rejections.slice();
+    }
+
+    /**
+     * Buffer Float64Array reutilizable guardado en el estado de una ejecución
+     * @param {Object} state - Estado del integrador o del controlador adaptativo
+     * @param {string} name - Nombre del buffer
+     * @param {number} n - Longitud
+     * @returns {Float64Array} Buffer (contenido del uso anterior)
+     */
+    static buffer(state, name, n) {
+        const buffers = state.buffers || (state.buffers = {});
+        if (!buffers[name] || buffers[name].length !== n) {
+            buffers[name] = new Float64Array(n);
+        }
+        return buffers[name];
+    }
+
+    /**
+     * Combinación lineal psi + dt·rate
+     * @param {Array<number>} psi - Estado
+     * @param {number} dt - Factor
+     * @param {Array<number>} rate - Dirección
+     * @param {Array<number>|Float64Array} out - Destino (puede ser psi); uno nuevo por defecto
+     * @returns {Array<number>|Float64Array} psi + dt·rate (out)
+     */
+    static axpy(psi, dt, rate, out = new Array(psi.length)) {
+        const n = psi.length;
+        const result = out;
+        for (let i = 0; i < n; i++) {
+            result[i] = psi[i] + dt * rate[i];
+        }
+        return result;
+    }
+
+    /**
+     * Paso de un par Runge–Kutta encajado
+     * @param {Array<number>} psi - Estado actual
+     * @param {number} time - Tiempo actual
+     * @param {number} dt - Paso temporal
+     * @param {Function} rhs - F(psi, time)
+     * @param {Object} tableau - { c, a, b, bHat }
+     * @param {Object} workspace - Estado donde guardar los buffers; sin él se reservan arrays nuevos
+     * @returns {Object} { solution, error } con error = Δt·Σ(b - bHat)·k
+     */
+    static embeddedStep(psi, time, dt, rhs, tableau, workspace = null) {
+        const { c, a, b, bHat } = tableau;
+        const n = psi.length;
+        const stages = [];
+        const copy = (name) => {
+            if (!workspace) return psi.slice();
+            const target = this.buffer(workspace, name, n);
+            target.set(psi);
+            return target;
+        };
+
+        for (let s = 0; s < c.length; s++) {
+            const stage = copy('stage');
+            for (let j = 0; j < s; j++) {
+                const weight = dt * a[s][j];
+                if (weight === 0) continue;
+                for (let i = 0; i < n; i++) {
+                    stage[i] += weight * stages[j][i];
+                }
+            }
+            stages.push(rhs(stage, time + c[s] * dt, workspace ? this.buffer(workspace, `k${s}`, n) : undefined));
+        }
+
+        // Dos buffers de solución alternos: psi puede ser la solución aceptada del subpaso anterior
+        const solution = copy(workspace && psi === workspace.buffers.solution ? 'nextSolution' : 'solution');
+        const error = workspace ? this.buffer(workspace, 'error', n).fill(0) : new Array(n).fill(0);
+        for (let s = 0; s < stages.length; s++) {
+            const weight = dt * b[s];
+            const difference = dt * (b[s] - bHat[s]);
+            for (let i = 0; i < n; i++) {
+                solution[i] += weight * stages[s][i];
+                error[i] += difference * stages[s][i];
+            }
+        }
+
+        return { solution, error };
+    }
+
+    /**
+     * Estado del control de paso adaptativo
+     * El ruido se muestrea una vez por intervalo dt y adaptiveAdvance() integra la deriva dentro
+     * de cada intervalo: el controlador solo puede subdividir dt, nunca dar pasos mayores que
+     * el de paso fijo, así que dtMax no puede superar dt
+     * @param {Object} options - { rtol, atol, dtMin, dtMax (≤ dt), maxSteps (subpasos por
+     *                            intervalo), safety }
+     * @param {number} dt - Intervalo del ruido; dtMax por defecto
+     * @returns {Object} Controlador con el Δt de prueba, contadores e historial
+     */
+    static createController(options = {}, dt) {
+        const {
+            rtol = 1e-6,
+            atol = 1e-6,
+            dtMax = dt,
+            dtMin = 1e-6 * dtMax,
+            maxSteps = 10000,
+            safety = 0.9
+        } = options;
+
+        if (!(dtMin > 0 && dtMin <= dtMax)) {
+            throw new Error(`Límites de paso adaptativo inválidos (dtMin = ${dtMin}, dtMax = ${dtMax})`);
+        }
+        if (dtMax > dt) {
+            throw new Error(`dtMax (${dtMax}) no puede superar el intervalo del ruido dt (${dt}): ` +
+                            'el paso adaptativo solo subdivide cada intervalo');
+        }
+
+        return {
+            rtol, atol, dtMin, dtMax, maxSteps, safety,
+            noiseInterval: dt,
+            dt: dtMax,
+            acceptedSteps: 0,
+            rejectedSteps: 0,
+            dtHistory: [],
+            rejections: []
+        };
+    }
+
+    /**
+     * Integra la deriva sobre [time, time + interval] con subpasos adaptativos
+     * El error se mide en la norma RMS ponderada por atol + rtol·max(|ψ_n|, |ψ_{n+1}|); un
+     * subpaso con norma ≤ 1 se acepta y Δt se escala por safety·err^(-1/(q+1)) (q el orden
+     * del estimador), limitado a [0.2, 5]. maxSteps limita los subpasos de esta llamada; los
+     * totales aceptados y rechazados del controlador son solo estadísticas de la simulación.
+     * @param {Array<number>} psi - Estado al inicio del intervalo
+     * @param {number} time - Tiempo inicial
+     * @param {number} interval - Longitud del intervalo
+     * @param {Function} rhs - F(psi, time)
+     * @param {Object} integrator - Par encajado registrado (embedded: true)
+     * @param {Object} controller - Estado creado con createController() (guarda también los buffers)
+     * @returns {Array<number>|Float64Array} ψ(time + interval); puede ser un buffer del
+     *                                       controlador, válido hasta la siguiente llamada
+     */
+    static adaptiveAdvance(psi, time, interval, rhs, integrator, controller) {
+        const end = time + interval;
+        const exponent = -1 / (integrator.embeddedOrder + 1);
+        let current = psi;
+        let t = time;
+        let substeps = 0;
+
+        while (end - t > 1e-12 * interval) {
+            if (substeps++ >= controller.maxSteps) {
+                throw new Error(`Paso adaptativo: se superaron ${controller.maxSteps} subpasos en el ` +
+                                `intervalo [${time}, ${end}] (t = ${t})`);
+            }
+
+            const dt = Math.min(controller.dt, end - t);
+            const { solution, error } = this.embeddedStep(current, t, dt, rhs, integrator.tableau, controller);
+
+            let sum = 0;
+            for (let i = 0; i < current.length; i++) {
+                const scale = controller.atol +
+                    controller.rtol * Math.max(Math.abs(current[i]), Math.abs(solution[i]));
+                sum += (error[i] / scale) ** 2;
+            }
+            const errorNorm = Math.sqrt(sum / current.length);
+            const factor = errorNorm === 0 ? 5 :
+                Math.min(5, Math.max(0.2, controller.safety * Math.pow(errorNorm, exponent)));
+
+            if (errorNorm <= 1) {
+                t = dt === end - t ? end : t + dt;
+                current = solution;
+                controller.acceptedSteps++;
+                controller.dtHistory.push({ time: t, dt: dt });
+
+                // Un subpaso recortado por el final del intervalo no reduce el Δt de prueba
+                const proposed = Math.min(controller.dtMax, dt * factor);
+                controller.dt = dt < controller.dt ? Math.max(controller.dt, proposed) : proposed;
+            } else {
+                controller.rejectedSteps++;
+                controller.rejections.push({ time: t, dt: dt, error: errorNorm });
+
+                // Error no finito (desbordamiento): reducir al mínimo factor
+                controller.dt = dt * (Number.isFinite(errorNorm) ? factor : 0.2);
+                if (controller.dt < controller.dtMin) {
+                    throw new Error(`Paso adaptativo por debajo de dtMin (${controller.dtMin}) en t = ${t}`);
+                }
+            }
+        }
+
+        return current;
+    }
+
+    /**
+     * Esquemas para el término estocástico multiplicativo g(ψ)·dW = β·ψ·dW
+     */
+    static get STOCHASTIC_SCHEMES() {
+        return ['euler_maruyama', 'milstein'];
+    }
+
+    /**
+     * Interpretaciones de la integral estocástica
+     */
+    static get INTERPRETATIONS() {
+        return ['ito', 'stratonovich'];
+    }
+
+    /**
+     * Incremento estocástico de un paso para dψ = F dt + β·ψ ∘ dW, evaluado en ψ_n
+     * ΔW = ξ·Δt^{H_t} (√Δt para ruido blanco en el tiempo) con ξ de varianza unidad, de modo
+     * que E[ΔW²] = Δt^{2H_t}. Con g = β·ψ y g·g' = β²·ψ:
+     *   Euler–Maruyama, Itô:          g·ΔW
+     *   Euler–Maruyama, Stratonovich: g·ΔW + ½·β·g·E[ΔW²]   (corrección de deriva)
+     *   Milstein, Itô:                g·ΔW + ½·β·g·(ΔW² - E[ΔW²])
+     *   Milstein, Stratonovich:       g·ΔW + ½·β·g·ΔW²
+     * @param {Array<number>} psi - Estado al inicio del paso
+     * @param {Array<number>} noise - Muestra ξ del paso (varianza unidad)
+     * @param {number} beta - Intensidad del ruido
+     * @param {number} dt - Paso temporal
+     * @param {Object} options - { scheme, interpretation, hurstExponent }
+     * @param {Array<number>|Float64Array} out - Destino; uno nuevo por defecto
+     * @returns {Array<number>|Float64Array} Incremento a sumar al paso determinista (out)
+     */
+    static stochasticIncrement(psi, noise, beta, dt, options = {}, out = new Array(psi.length)) {
+        const { scheme = 'euler_maruyama', interpretation = 'ito', hurstExponent = 0.5 } = options;
+
+        if (!this.STOCHASTIC_SCHEMES.includes(scheme)) {
+            throw new Error(`Esquema estocástico '${scheme}' no encontrado`);
+        }
+        if (!this.INTERPRETATIONS.includes(interpretation)) {
+            throw new Error(`Interpretación estocástica '${interpretation}' no encontrada`);
+        }
+
+        const scale = Math.pow(dt, hurstExponent);
+        const variance = scale * scale;
+        const ito = interpretation === 'ito';
+        const n = psi.length;
+        const increment = out;
+
+        for (let i = 0; i < n; i++) {
+            const dW = noise[i] * scale;
+            const g = beta * psi[i];
+            let value = g * dW;
+
+            if (scheme === 'milstein') {
+                value += 0.5 * beta * g * (dW * dW - (ito ? variance : 0));
+            } else if (!ito) {
+                value += 0.5 * beta * g * variance;
+            }
+
+            increment[i] = value;
+        }
+
+        return increment;
+    }
+
+    /**
+     * Transformada de Fourier de un campo real o complejo
+     * @param {Array<number>} u - Campo real, o [Re ψ, Im ψ] concatenados si complex
+     * @param {Array<number>} shape - Puntos por eje; 1D por defecto
+     * @param {boolean} complex - El campo es complejo
+     * @returns {Object} { re, im }
+     */
+    static forward(u, shape = [u.length], complex = false) {
+        const n = complex ? u.length / 2 : u.length;
+        const re = Array.from(complex ? u.slice(0, n) : u);
+        const im = complex ? Array.from(u.slice(n)) : new Array(n).fill(0);
+        this.fft.transformND(re, im, shape);
+        return { re, im };
+    }
+
+    /**
+     * Transformada inversa; devuelve la parte real (o [Re ψ, Im ψ] si complex)
+     * @param {Array<number>} re - Parte real espectral
+     * @param {Array<number>} im - Parte imaginaria espectral
+     * @param {Array<number>} shape - Puntos por eje; 1D por defecto
+     * @param {boolean} complex - Conservar la parte imaginaria
+     * @returns {Array<number>} Campo real o complejo
+     */
+    static inverse(re, im, shape = [re.length], complex = false) {
+        const outRe = [...re];
+        const outIm = [...im];
+        this.fft.transformND(outRe, outIm, shape, true);
+        return complex ? outRe.concat(outIm) : outRe;
+    }
+
+    /**
+     * Coeficientes de ETDRK4 (Cox–Matthews) para cada modo, evaluados con la integral
+     * de contorno de Kassam–Trefethen para evitar la cancelación cuando L·Δt → 0
+     * @param {Array<number>} linear - Símbolo real de L por modo
+     * @param {number} dt - Paso temporal
+     * @param {number} contourPoints - Puntos en la semicircunferencia de radio 1
+     * @returns {Object} { E, E2, Q, f1, f2, f3 }
+     */
+    static etdCoefficients(linear, dt, contourPoints = 32) {
+        const n = linear.length;
+        const coefficients = {
+            E: new Array(n), E2: new Array(n), Q: new Array(n),
+            f1: new Array(n), f2: new Array(n), f3: new Array(n)
+        };
+
+        const mul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+        const div = (a, b) => {
+            const d = b[0] * b[0] + b[1] * b[1];
+            return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d];
+        };
+        const exp = (a) => {
+            const m = Math.exp(a[0]);
+            return [m * Math.cos(a[1]), m * Math.sin(a[1])];
+        };
+
+        for (let j = 0; j < n; j++) {
+            const lh = linear[j] * dt;
+            coefficients.E[j] = Math.exp(lh);
+            coefficients.E2[j] = Math.exp(lh / 2);
+
+            let q = 0, f1 = 0, f2 = 0, f3 = 0;
+            for (let m = 0; m < contourPoints; m++) {
+                const theta = Math.PI * (m + 0.5) / contourPoints;
+                const z = [lh + Math.cos(theta), Math.sin(theta)];
+                const z2 = mul(z, z);
+                const z3 = mul(z2, z);
+                const ez = exp(z);
+                const ezHalf = exp([z[0] / 2, z[1] / 2]);
+
+                q += div([ezHalf[0] - 1, ezHalf[1]], z)[0];
+
+                // (-4 - z + e^z(4 - 3z + z²)) / z³
+                const p1 = mul(ez, [4 - 3 * z[0] + z2[0], -3 * z[1] + z2[1]]);
+                f1 += div([-4 - z[0] + p1[0], -z[1] + p1[1]], z3)[0];
+
+                // (2 + z + e^z(z - 2)) / z³
+                const p2 = mul(ez, [z[0] - 2, z[1]]);
+                f2 += div([2 + z[0] + p2[0], z[1] + p2[1]], z3)[0];
+
+                // (-4 - 3z - z² + e^z(4 - z)) / z³
+                const p3 = mul(ez, [4 - z[0], -z[1]]);
+                f3 += div([-4 - 3 * z[0] - z2[0] + p3[0], -3 * z[1] - z2[1] + p3[1]], z3)[0];
+            }
+
+            coefficients.Q[j] = dt * q / contourPoints;
+            coefficients.f1[j] = dt * f1 / contourPoints;
+            coefficients.f2[j] = dt * f2 / contourPoints;
+            coefficients.f3[j] = dt * f3 / contourPoints;
+        }
+
+        return coefficients;
+    }
+
+    /**
+     * Norma euclídea
+     * @param {Array<number>} v - Vector
+     * @returns {number} ||v||₂
+     */
+    static norm(v) {
+        let sum = 0;
+        for (let i = 0; i < v.length; i++) {
+            sum += v[i] * v[i];
+        }
+        return Math.sqrt(sum);
+    }
+
+    /**
+     * GMRES reiniciado sin precondicionar para A·x = b (A solo como producto)
+     * @param {Function} applyA - v → A·v
+     * @param {Array<number>} b - Lado derecho
+     * @param {Object} options - { tolerance, krylovDimension, maxRestarts }
+     * @returns {Object} { x, residual, converged }
+     */
+    static gmres(applyA, b, options = {}) {
+        const { tolerance = 1e-10, krylovDimension = 30, maxRestarts = 5 } = options;
+        const n = b.length;
+        const bNorm = this.norm(b) || 1;
+        let x = new Array(n).fill(0);
+        let residualNorm = this.norm(b);
+
+        for (let restart = 0; restart <= maxRestarts; restart++) {
+            const Ax = applyA(x);
+            const r = b.map((value, i) => value - Ax[i]);
+            const beta = this.norm(r);
+            residualNorm = beta;
+
+            if (beta <= tolerance * bNorm) {
+                return { x, residual: beta, converged: true };
+            }
+
+            const m = Math.min(krylovDimension, n);
+            const V = [r.map(value => value / beta)];
+            const H = Array.from({ length: m + 1 }, () => new Array(m).fill(0));
+            const cs = new Array(m).fill(0);
+            const sn = new Array(m).fill(0);
+            const g = new Array(m + 1).fill(0);
+            g[0] = beta;
+
+            let k = 0;
+            for (; k < m; k++) {
+                // Arnoldi con Gram-Schmidt modificado
+                const w = applyA(V[k]);
+                for (let j = 0; j <= k; j++) {
+                    let dot = 0;
+                    for (let i = 0; i < n; i++) dot += w[i] * V[j][i];
+                    H[j][k] = dot;
+                    for (let i = 0; i < n; i++) w[i] -= dot * V[j][i];
+                }
+                H[k + 1][k] = this.norm(w);
+
+                // Rotaciones de Givens previas y nueva
+                for (let j = 0; j < k; j++) {
+                    const temp = cs[j] * H[j][k] + sn[j] * H[j + 1][k];
+                    H[j + 1][k] = -sn[j] * H[j][k] + cs[j] * H[j + 1][k];
+                    H[j][k] = temp;
+                }
+                const denom = Math.hypot(H[k][k], H[k + 1][k]) || 1;
+                cs[k] = H[k][k] / denom;
+                sn[k] = H[k + 1][k] / denom;
+                const subdiagonal = H[k + 1][k];
+                H[k][k] = cs[k] * H[k][k] + sn[k] * subdiagonal;
+                H[k + 1][k] = 0;
+                g[k + 1] = -sn[k] * g[k];
+                g[k] = cs[k] * g[k];
+
+                residualNorm = Math.abs(g[k + 1]);
+                if (residualNorm <= tolerance * bNorm || subdiagonal === 0) {
+                    k++;
+                    break;
+                }
+                V.push(w.map(value => value / subdiagonal));
+            }
+
+            // Resolver el sistema triangular H·y = g y actualizar x
+            const y = new Array(k).fill(0);
+            for (let i = k - 1; i >= 0; i--) {
+                let sum = g[i];
+                for (let j = i + 1; j < k; j++) sum -= H[i][j] * y[j];
+                y[i] = sum / H[i][i];
+            }
+            for (let j = 0; j < k; j++) {
+                for (let i = 0; i < n; i++) x[i] += y[j] * V[j][i];
+            }
+
+            if (residualNorm <= tolerance * bNorm) {
+                return { x, residual: residualNorm, converged: true };
+            }
+        }
+
+        return { x, residual: residualNorm, converged: false };
+    }
+
+    /**
+     * Newton–Krylov libre de Jacobiano para R(u) = 0
+     * J·v se aproxima por diferencias (R(u + εv) - R(u))/ε y cada corrección se obtiene con GMRES
+     * @param {Function} residual - u → R(u)
+     * @param {Array<number>} guess - Estimación inicial
+     * @param {Object} options - { tolerance, maxIterations, krylovDimension }
+     * @returns {Object} { solution, iterations, residual }
+     */
+    static newtonKrylov(residual, guess, options = {}) {
+        const { tolerance = 1e-10, maxIterations = 20, krylovDimension = 30 } = options;
+        let u = [...guess];
+        let r = residual(u);
+        let rNorm = this.norm(r);
+
+        for (let iter = 0; iter < maxIterations; iter++) {
+            if (rNorm <= tolerance * (1 + this.norm(u))) {
+                return { solution: u, iterations: iter, residual: rNorm };
+            }
+
+            const uNorm = this.norm(u);
+            const applyJ = (v) => {
+                const vNorm = this.norm(v);
+                if (vNorm === 0) return new Array(v.length).fill(0);
+                const eps = Math.sqrt(Number.EPSILON) * (1 + uNorm) / vNorm;
+                const shifted = residual(this.axpy(u, eps, v));
+                return shifted.map((value, i) => (value - r[i]) / eps);
+            };
+
+            const { x: delta } = this.gmres(applyJ, r.map(value => -value), {
+                tolerance: 1e-3 * Math.min(1, rNorm),
+                krylovDimension
+            });
+
+            // Búsqueda lineal por retroceso: reducir el paso mientras el residuo no disminuya
+            let lambda = 1;
+            let trial = this.axpy(u, lambda, delta);
+            let trialResidual = residual(trial);
+            while (this.norm(trialResidual) >= rNorm && lambda > 1e-4) {
+                lambda *= 0.5;
+                trial = this.axpy(u, lambda, delta);
+                trialResidual = residual(trial);
+            }
+
+            u = trial;
+            r = trialResidual;
+            rNorm = this.norm(r);
+        }
+
+        if (rNorm <= tolerance * (1 + this.norm(u))) {
+            return { solution: u, iterations: maxIterations, residual: rNorm };
+        }
+
+        throw new Error(`Newton–Krylov no convergió en ${maxIterations} iteraciones (residuo ${rNorm.toExponential(3)})`);
+    }
+}
+
+TimeIntegrators.methods = {};
+
+// Euler explícito: ψ_{n+1} = ψ_n + Δt·F(ψ_n, t_n)
+TimeIntegrators.register('euler', {
+    name: 'Euler Explícito',
+    order: 1,
+    implicit: false,
+    step(psi, time, dt, rhs, state = {}, out) {
+        const rate = rhs(psi, time, out && TimeIntegrators.buffer(state, 'rate', psi.length));
+        return TimeIntegrators.axpy(psi, dt, rate, out);
+    }
+});
+
+// Runge–Kutta clásico de 4 etapas
+TimeIntegrators.register('rk4', {
+    name: 'Runge-Kutta 4º Orden',
+    order: 4,
+    implicit: false,
+    step(psi, time, dt, rhs, state = {}, out) {
+        const n = psi.length;
+        const buffer = (name) => out && TimeIntegrators.buffer(state, name, n);
+        const k1 = rhs(psi, time, buffer('k1'));
+        const k2 = rhs(TimeIntegrators.axpy(psi, 0.5 * dt, k1, buffer('stage')), time + 0.5 * dt, buffer('k2'));
+        const k3 = rhs(TimeIntegrators.axpy(psi, 0.5 * dt, k2, buffer('stage')), time + 0.5 * dt, buffer('k3'));
+        const k4 = rhs(TimeIntegrators.axpy(psi, dt, k3, buffer('stage')), time + dt, buffer('k4'));
+
+        const psiNew = out || new Array(n);
+        for (let i = 0; i < n; i++) {
+            psiNew[i] = psi[i] + (dt / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]);
+        }
+        return psiNew;
+    }
+});
+
+// Adams–Bashforth de 2 pasos; el primer paso es de Euler (error local O(Δt²), no reduce el orden global)
+TimeIntegrators.register('ab', {
+    name: 'Adams-Bashforth 2',
+    order: 2,
+    implicit: false,
+    createState() {
+        return { previousRate: null };
+    },
+    saveState(state) {
+        return { previousRate: state.previousRate ? Array.from(state.previousRate) : null };
+    },
+    restoreState(state, saved) {
+        state.previousRate = saved.previousRate ? Float64Array.from(saved.previousRate) : null;
+    },
+    step(psi, time, dt, rhs, state, out) {
+        // Con destino, F_n y F_{n-1} alternan entre dos buffers
+        const n = psi.length;
+        const slot = state.buffers && state.previousRate === state.buffers.rate ? 'previousRate' : 'rate';
+        const rate = rhs(psi, time, out && TimeIntegrators.buffer(state, slot, n));
+        const previous = state.previousRate;
+        state.previousRate = rate;
+
+        if (!previous) {
+            return TimeIntegrators.axpy(psi, dt, rate, out);
+        }
+
+        const psiNew = out || new Array(n);
+        for (let i = 0; i < n; i++) {
+            psiNew[i] = psi[i] + dt * (1.5 * rate[i] - 0.5 * previous[i]);
+        }
+        return psiNew;
+    }
+});
+
+// Euler implícito: ψ_{n+1} - Δt·F(ψ_{n+1}, t_{n+1}) = ψ_n resuelto con Newton–Krylov
+TimeIntegrators.register('backward_euler', {
+    name: 'Euler Implícito',
+    order: 1,
+    implicit: true,
+    createState(options = {}) {
+        return { newton: options.newton || {}, newtonIterations: 0 };
+    },
+    saveState(state) {
+        return { newtonIterations: state.newtonIterations };
+    },
+    restoreState(state, saved) {
+        state.newtonIterations = saved.newtonIterations;
+    },
+    step(psi, time, dt, rhs, state = {}) {
+        const residual = (u) => {
+            const rate = rhs(u, time + dt);
+            return u.map((value, i) => value - psi[i] - dt * rate[i]);
+        };
+
+        // Predictor explícito como estimación inicial
+        const guess = TimeIntegrators.axpy(psi, dt, rhs(psi, time));
+        const { solution, iterations } = TimeIntegrators.newtonKrylov(residual, guess, state.newton);
+        state.newtonIterations = (state.newtonIterations || 0) + iterations;
+
+        return solution;
+    }
+});
+
+// IMEX Euler: L implícito en Fourier y N explícito, v̂_{n+1} = (v̂_n + Δt·N̂_n)/(1 - Δt·L)
+TimeIntegrators.register('imex', {
+    name: 'IMEX Euler (Fourier)',
+    order: 1,
+    implicit: false,
+    splitting: true,
+    createState(options, split) {
+        return { linear: split.linear, nonlinear: split.nonlinear, shape: split.shape, complex: split.complex };
+    },
+    step(psi, time, dt, rhs, state) {
+        const { linear, nonlinear, shape, complex } = state;
+        const v = TimeIntegrators.forward(psi, shape, complex);
+        const N = TimeIntegrators.forward(nonlinear(psi, time), shape, complex);
+
+        for (let j = 0; j < linear.length; j++) {
+            const factor = 1 / (1 - dt * linear[j]);
+            v.re[j] = (v.re[j] + dt * N.re[j]) * factor;
+            v.im[j] = (v.im[j] + dt * N.im[j]) * factor;
+        }
+
+        return TimeIntegrators.inverse(v.re, v.im, shape, complex);
+    }
+});
+
+// ETDRK4 (Cox–Matthews con coeficientes de Kassam–Trefethen): L exacto en Fourier, N explícito
+TimeIntegrators.register('etdrk4', {
+    name: 'ETDRK4 (Fourier)',
+    order: 4,
+    implicit: false,
+    splitting: true,
+    createState(options, split) {
+        return {
+            linear: split.linear, nonlinear: split.nonlinear, shape: split.shape, complex: split.complex,
+            dt: null, coefficients: null
+        };
+    },
+    step(psi, time, dt, rhs, state) {
+        const { linear, nonlinear, shape, complex } = state;
+        if (state.dt !== dt) {
+            state.coefficients = TimeIntegrators.etdCoefficients(linear, dt);
+            state.dt = dt;
+        }
+        const { E, E2, Q, f1, f2, f3 } = state.coefficients;
+        const n = linear.length;
+
+        const combine = (base, factor, terms) => {
+            const re = new Array(n);
+            const im = new Array(n);
+            for (let j = 0; j < n; j++) {
+                re[j] = factor[j] * base.re[j];
+                im[j] = factor[j] * base.im[j];
+                for (const [coefficient, weight, value] of terms) {
+                    re[j] += weight * coefficient[j] * value.re[j];
+                    im[j] += weight * coefficient[j] * value.im[j];
+                }
+            }
+            return { re, im };
+        };
+        const evaluate = (stage, t) => TimeIntegrators.forward(
+            nonlinear(TimeIntegrators.inverse(stage.re, stage.im, shape, complex), t), shape, complex
+        );
+
+        const v = TimeIntegrators.forward(psi, shape, complex);
+        const Nv = TimeIntegrators.forward(nonlinear(psi, time), shape, complex);
+
+        const a = combine(v, E2, [[Q, 1, Nv]]);
+        const Na = evaluate(a, time + dt / 2);
+
+        const b = combine(v, E2, [[Q, 1, Na]]);
+        const Nb = evaluate(b, time + dt / 2);
+
+        const c = combine(a, E2, [[Q, 2, Nb], [Q, -1, Nv]]);
+        const Nc = evaluate(c, time + dt);
+
+        const next = combine(v, E, [[f1, 1, Nv], [f2, 2, Na], [f2, 2, Nb], [f3, 1, Nc]]);
+        return TimeIntegrators.inverse(next.re, next.im, shape, complex);
+    }
+});
+
+// Bogacki–Shampine 3(2): solución de orden 3 con estimador de orden 2
+TimeIntegrators.register('bs23', {
+    name: 'Bogacki-Shampine 3(2)',
+    order: 3,
+    embeddedOrder: 2,
+    implicit: false,
+    embedded: true,
+    tableau: {
+        c: [0, 1 / 2, 3 / 4, 1],
+        a: [
+            [],
+            [1 / 2],
+            [0, 3 / 4],
+            [2 / 9, 1 / 3, 4 / 9]
+        ],
+        b: [2 / 9, 1 / 3, 4 / 9, 0],
+        bHat: [7 / 24, 1 / 4, 1 / 3, 1 / 8]
+    },
+    step(psi, time, dt, rhs, state = {}, out) {
+        return TimeIntegrators.embeddedStep(psi, time, dt, rhs, this.tableau, out ? state : null).solution;
+    }
+});
+
+// Dormand–Prince 5(4): solución de orden 5 con estimador de orden 4
+TimeIntegrators.register('rk45', {
+    name: 'Dormand-Prince 5(4)',
+    order: 5,
+    embeddedOrder: 4,
+    implicit: false,
+    embedded: true,
+    tableau: {
+        c: [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1],
+        a: [
+            [],
+            [1 / 5],
+            [3 / 40, 9 / 40],
+            [44 / 45, -56 / 15, 32 / 9],
+            [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+            [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+            [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+        ],
+        b: [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0],
+        bHat: [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40]
+    },
+    step(psi, time, dt, rhs, state = {}, out) {
+        return TimeIntegrators.embeddedStep(psi, time, dt, rhs, this.tableau, out ? state : null).solution;
+    }
+});
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimeIntegrators };
+} else if (typeof window !== 'undefined') {
+    window.TimeIntegrators = TimeIntegrators;
+}
@@ -5,83 +5,82 @@
 
 class MathUtils {
     /**
-     * Implementa el operador fractal (-Δ)^(∂/2) usando aproximación espectral
+     * Resuelve una clase compartida: global en el navegador; en Node.js este
+     * módulo ES carga el script correspondiente con createRequire
+     * @param {string} name - Nombre de la clase exportada
+     * @param {string} path - Ruta del script
+     * @returns {Function} Clase
+     */
+    static loadModule(name, path) {
+        if (typeof globalThis[name] !== 'undefined') {
+            return globalThis[name];
+        }
+        const { createRequire } = process.getBuiltinModule('module');
+        return createRequire(import.meta.url)(path)[name];
+    }
+
+    /**
+     * Generador pseudoaleatorio reproducible
+     */
+    static get seededRandom() {
+        return this.loadModule('SeededRandom', './random.js');
+    }
+
+    /**
+     * Motor numérico común (operador fractal, ruido, paso de Euler y métricas)
+     */
+    static get engine() {
+        return this.loadModule('MFSUEngine', './mfsu-engine.js');
+    }
+
+    /**
+     * Extrapolación de Richardson y GCI
+     */
+    static get gridConvergence() {
+        return this.loadModule('GridConvergence', './grid-convergence.js');
+    }
+
+    /**
+     * Crea un generador sembrado (por defecto con ANALYSIS_CONFIG.NOISE_CONFIG.SEED)
+     * @param {number|string} seed - Semilla
+     * @returns {SeededRandom} Generador pseudoaleatorio
+     */
+    static createRandom(seed) {
+        return new this.seededRandom(seed);
+    }
+
+    /**
+     * Implementa el operador fractal (-Δ)^(∂/2) por diferencias finitas periódicas (ver mfsu-engine.js)
      * @param {Array<number>} psi - Función de onda
      * @param {number} dx - Paso espacial
      * @param {number} order - Orden fractal ∂
      * @returns {Array<number>} Resultado del operador fractal
      */
     static fractionalLaplacian(psi, dx, order) {
-        const n = psi.length;
-        const result = new Array(n).fill(0);
-        
-        // Aproximación del Laplaciano fractal (-Δ)^(∂/2)
-        // Usando diferencias finitas de segundo orden para el Laplaciano base
-        const laplacian = new Array(n).fill(0);
-        for (let i = 1; i < n - 1; i++) {
-            laplacian[i] = (psi[i+1] - 2*psi[i] + psi[i-1]) / (dx*dx);
-        }
-        
-        // Condiciones de frontera periódicas
-        laplacian[0] = (psi[1] - 2*psi[0] + psi[n-1]) / (dx*dx);
-        laplacian[n-1] = (psi[0] - 2*psi[n-1] + psi[n-2]) / (dx*dx);
-        
-        // Aplicar la potencia fractal ∂/2
-        const fracPower = order / 2;
-        
-        if (fracPower < 1) {
-            // Para exponente < 1, usar aproximación de Caputo
-            for (let i = 0; i < n; i++) {
-                result[i] = Math.pow(Math.abs(laplacian[i]) + 1e-10, fracPower) * Math.sign(laplacian[i]);
-            }
-        } else {
-            // Para exponente >= 1, usar Laplaciano iterado
-            for (let i = 0; i < n; i++) {
-                result[i] = laplacian[i];
-            }
-            
-            for (let iter = 1; iter < Math.floor(fracPower); iter++) {
-                for (let i = 1; i < n - 1; i++) {
-                    result[i] = (result[i+1] - 2*result[i] + result[i-1]) / (dx*dx);
-                }
-                result[0] = (result[1] - 2*result[0] + result[n-1]) / (dx*dx);
-                result[n-1] = (result[0] - 2*result[n-1] + result[n-2]) / (dx*dx);
-            }
-        }
-        
-        return result;
+        return this.engine.fractionalLaplacian(psi, dx, order);
     }
 
     /**
-     * Genera ruido de Hurst ξ_H(x,t) con correlaciones espaciales
+     * Genera ruido de Hurst ξ_H(x,t) con la covarianza exacta del ruido gaussiano
+     * fraccionario en espacio y tiempo (ver hurst-noise.js)
      * @param {number} nx - Número de puntos espaciales
      * @param {number} nt - Número de pasos temporales
-     * @param {number} hurst - Parámetro de Hurst (0.5 por defecto)
+     * @param {number} hurst - Exponente de Hurst espacial (0.5 por defecto)
+     * @param {number} hurstExponent - Exponente de Hurst temporal (0.5 por defecto)
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
      * @returns {Array<Array<number>>} Matriz de ruido correlacionado
      */
-    static generateHurstNoise(nx, nt, hurst = 0.5) {
-        const noise = [];
-        
-        for (let t = 0; t < nt; t++) {
-            const spatialNoise = new Array(nx);
-            
-            // Generar ruido espacial correlacionado
-            for (let i = 0; i < nx; i++) {
-                spatialNoise[i] = Math.random() - 0.5;
-            }
-            
-            // Aplicar correlaciones de Hurst
-            const correlatedNoise = [...spatialNoise];
-            for (let i = 1; i < nx; i++) {
-                const correlation = Math.pow(i, -hurst);
-                correlatedNoise[i] = correlation * correlatedNoise[i-1] + 
-                                   Math.sqrt(1 - correlation*correlation) * spatialNoise[i];
-            }
-            
-            noise.push(correlatedNoise);
-        }
-        
-        return noise;
+    static generateHurstNoise(nx, nt, hurst = 0.5, hurstExponent = 0.5, rng = MathUtils.createRandom()) {
+        return this.engine.generateHurstNoise(nx, nt, hurst, hurstExponent, rng);
+    }
+
+    /**
+     * Fuente de ruido de Hurst con una fila por paso (ver noise-source.js)
+     * @param {string|Object} spec - 'stream', { type: 'stream', memory }, 'field' o una fuente con next(out)
+     * @returns {Object} Fuente con next(out)
+     */
+    static createNoiseSource(nx, nt, hurst = 0.5, hurstExponent = 0.5, rng = MathUtils.createRandom(), spec = 'stream') {
+        return this.engine.createNoiseSource(nx, nt, hurst, hurstExponent, rng, spec);
     }
 
     /**
@@ -90,113 +89,59 @@ class MathUtils {
      * @param {Object} params - Parámetros del modelo
      * @param {number} nx - Número de puntos espaciales
      * @param {number} nt - Número de pasos temporales
+     * @param {SeededRandom} rng - Generador pseudoaleatorio (misma semilla, mismo resultado)
+     * @param {string|Object} noise - Fuente de ruido (ver createNoiseSource)
      * @returns {Object} Resultado de la simulación
      */
-    static solveMFSU(params, nx, nt) {
-        const { alpha, beta, gamma, fractalDim, dt } = params;
-        const dx = 1.0 / nx;
-        
-        // Condiciones iniciales con modulación fractal
-        let psi = new Array(nx);
-        for (let i = 0; i < nx; i++) {
-            const x = i * dx;
-            // Condición inicial con estructura fractal
-            psi[i] = 0.1 * Math.sin(2 * Math.PI * x) * Math.exp(-Math.pow(x - 0.5, 2) / 0.1) +
-                     0.05 * (Math.random() - 0.5);
-        }
-        
-        const evolution = [];
-        const hurstNoise = this.generateHurstNoise(nx, nt, 0.5);
-        
-        for (let t = 0; t < nt; t++) {
-            // Calcular el Laplaciano fractal (-Δ)^(∂/2)
-            const fractalTerm = this.fractionalLaplacian(psi, dx, fractalDim);
-            
-            // Función de forzamiento f(x,t) - puede ser cero o específica del problema
-            const forcing = new Array(nx).fill(0);
-            
-            // Evolución temporal usando el esquema de Euler
-            const psiNew = new Array(nx);
-            for (let i = 0; i < nx; i++) {
-                const diffusion = alpha * fractalTerm[i];
-                const stochastic = beta * hurstNoise[t][i] * psi[i];
-                const nonlinear = -gamma * Math.pow(psi[i], 3);
-                const force = forcing[i];
-                
-                psiNew[i] = psi[i] + dt * (diffusion + stochastic + nonlinear + force);
-            }
-            
-            psi = psiNew;
-            
-            // Almacenar evolución cada 10 pasos
-            if (t % 10 === 0) {
-                evolution.push({
-                    time: t * dt,
-                    maxAmp: Math.max(...psi.map(x => Math.abs(x))),
-                    l2Norm: Math.sqrt(psi.reduce((sum, x) => sum + x*x, 0)),
-                    energy: psi.reduce((sum, x, idx) => {
-                        const grad = idx < nx-1 ? psi[idx+1] - psi[idx] : psi[0] - psi[idx];
-                        return sum + 0.5 * grad*grad + 0.25 * Math.pow(x, 4);
-                    }, 0)
-                });
-            }
-        }
-        
-        return { finalPsi: psi, evolution: evolution };
+    static solveMFSU(params, nx, nt, rng = MathUtils.createRandom(), noise = 'stream') {
+        return this.engine.solveMFSU(params, nx, nt, rng, noise);
     }
 
     /**
      * Análisis de convergencia del método numérico
+     * Errores L2 frente a la malla más fina (null en ella) y ‖ψ‖₂ final de cada malla (value)
      * @param {Object} params - Parámetros del modelo
-     * @returns {Array<Object>} Datos de convergencia
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @returns {Array<Object>} Datos de convergencia: [{ meshSize, order: log₂(nx), value, error }]
      */
-    static analyzeConvergence(params) {
+    static analyzeConvergence(params, rng = MathUtils.createRandom()) {
         const meshSizes = [16, 32, 64, 128];
         const nt = 1000;
-        const convergenceData = [];
-        
-        let referenceSolution = null;
+        const solutions = meshSizes.map(nx => this.solveMFSU(params, nx, nt, rng).finalPsi);
+        const fineGrid = solutions[solutions.length - 1];
         
-        for (let i = 0; i < meshSizes.length; i++) {
-            const nx = meshSizes[i];
-            const result = this.solveMFSU(params, nx, nt);
-            
-            if (i === meshSizes.length - 1) {
-                referenceSolution = result.finalPsi;
-            }
-            
+        return solutions.map((coarseGrid, i) => {
             // Calcular error L2 comparando con la solución más fina
-            if (i > 0) {
-                const coarseGrid = result.finalPsi;
-                const fineGrid = referenceSolution || result.finalPsi;
-                
+            let error = null;
+            if (i < solutions.length - 1) {
                 // Interpolar para comparar
-                let error = 0;
+                error = 0;
                 for (let j = 0; j < coarseGrid.length; j++) {
                     const fineIndex = Math.floor(j * fineGrid.length / coarseGrid.length);
                     error += Math.pow(coarseGrid[j] - fineGrid[fineIndex], 2);
                 }
-                
-                convergenceData.push({
-                    meshSize: nx,
-                    error: Math.sqrt(error / coarseGrid.length),
-                    order: Math.log2(nx)
-                });
+                error = Math.sqrt(error / coarseGrid.length);
             }
-        }
-        
-        return convergenceData;
+            
+            return {
+                meshSize: meshSizes[i],
+                order: Math.log2(meshSizes[i]),
+                value: this.engine.metrics(coarseGrid, 1.0 / coarseGrid.length).l2Norm,
+                error: error
+            };
+        });
     }
 
     /**
      * Análisis de estabilidad del esquema numérico
      * @param {Object} params - Parámetros del modelo
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
      * @returns {Object} Datos de estabilidad
      */
-    static analyzeStability(params) {
+    static analyzeStability(params, rng = MathUtils.createRandom()) {
         const nx = 64;
         const nt = 2000;
-        const result = this.solveMFSU(params, nx, nt);
+        const result = this.solveMFSU(params, nx, nt, rng);
         
         // Calcular métricas de estabilidad
         const maxAmps = result.evolution.map(e => e.maxAmp);
@@ -217,17 +162,23 @@ class MathUtils {
 
     /**
      * Calcula el orden de convergencia
-     * @param {Array<Object>} convergenceData - Datos de convergencia
+     * Ajuste de ln(error) frente a ln(h) con todas las mallas y sus factores de refinamiento reales
+     * @param {Array<Object>} convergenceData - Datos de convergencia (las entradas sin error se ignoran)
      * @returns {number} Orden de convergencia
      */
     static calculateConvergenceOrder(convergenceData) {
-        let convergenceOrder = 0;
-        if (convergenceData.length > 1) {
-            const lastTwo = convergenceData.slice(-2);
-            const ratio = lastTwo[0].error / lastTwo[1].error;
-            convergenceOrder = Math.log2(ratio);
-        }
-        return convergenceOrder;
+        const resolved = convergenceData.filter(d => d.error !== null);
+        return this.gridConvergence.fitOrder(resolved.map(d => d.meshSize), resolved.map(d => d.error));
+    }
+
+    /**
+     * Extrapolación de Richardson y GCI sobre ‖ψ‖₂ de los datos de convergencia
+     * @param {Array<Object>} convergenceData - Datos de convergencia con value
+     * @returns {Object|null} Resultado de GridConvergence.analyze, o null con menos de tres mallas
+     */
+    static analyzeGridConvergence(convergenceData) {
+        if (convergenceData.length < 3) return null;
+        return this.gridConvergence.analyze(convergenceData.map(d => d.value), convergenceData.map(d => d.meshSize));
     }
 
     /**
@@ -244,9 +195,10 @@ class MathUtils {
      * Genera condiciones iniciales con estructura fractal
      * @param {number} nx - Número de puntos espaciales
      * @param {number} fractalDim - Dimensión fractal
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
      * @returns {Array<number>} Condiciones iniciales
      */
-    static generateFractalInitialConditions(nx, fractalDim) {
+    static generateFractalInitialConditions(nx, fractalDim, rng = MathUtils.createRandom()) {
         const psi = new Array(nx);
         const dx = 1.0 / nx;
         
@@ -262,7 +214,7 @@ class MathUtils {
             }
             
             // Perturbación aleatoria
-            value += 0.01 * (Math.random() - 0.5);
+            value += 0.01 * (rng.random() - 0.5);
             
             psi[i] = value;
         }
@@ -277,30 +229,17 @@ class MathUtils {
      * @returns {number} Energía total
      */
     static calculateTotalEnergy(psi, dx) {
-        let energy = 0;
-        const n = psi.length;
-        
-        for (let i = 0; i < n; i++) {
-            // Energía cinética (gradiente)
-            const nextIdx = (i + 1) % n;
-            const grad = (psi[nextIdx] - psi[i]) / dx;
-            energy += 0.5 * grad * grad;
-            
-            // Energía potencial no lineal
-            energy += 0.25 * Math.pow(psi[i], 4);
-        }
-        
-        return energy * dx;
+        return this.engine.metrics(psi, dx).energy;
     }
 
     /**
      * Calcula la norma L2 de una función
      * @param {Array<number>} psi - Función
+     * @param {number} dx - Paso espacial (1 por defecto: norma euclídea de los valores)
      * @returns {number} Norma L2
      */
-    static calculateL2Norm(psi) {
-        const sum = psi.reduce((acc, val) => acc + val * val, 0);
-        return Math.sqrt(sum);
+    static calculateL2Norm(psi, dx = 1) {
+        return this.engine.metrics(psi, dx).l2Norm;
     }
 
     /**
@@ -0,0 +1,447 @@
+/**
+ * mfsu-cli.js
+ * Herramienta de línea de órdenes del Modelo Fractal-Estocástico del Universo (MFSU) (Node.js)
+ *
+ *   mfsu run       <config.json>   simulación con MFSUSolver.solve
+ *   mfsu converge  <config.json>   convergencia espacial (MFSUSolver.analyzeConvergence)
+ *   mfsu stability <config.json>   estabilidad temporal (MFSUSolver.analyzeStability)
+ *   mfsu sweep     <config.json>   barrido de parámetros en paralelo (SweepRunner)
+ *
+ * La configuración es un fichero JSON ('-' para leerla de la entrada estándar):
+ *   {
+ *     "preset": "fastCompute",              // opcional, Config.PRESETS
+ *     "params": { "alpha": 1.0, "nx": 64, "nt": 1000, ... },
+ *     "seed": 1,
+ *     "solve": { "method": "rk4", ... },      // opciones de solve()
+ *     "convergence": { "meshSizes": [16, 32, 64, 128] },
+ *     "stability": { "nx": 64, "maxTime": 10 },
+ *     "sweep": { "variations": { "alpha": [0.5, 1] }, "task": "solveSummary", "workers": 2, "analysis": {} }
+ *   }
+ * Los parámetros se completan con Config.DEFAULT_PARAMS (o los del preset) y se validan con
+ * Config.validateParameters: un error detiene la ejecución y los avisos se muestran en stderr.
+ *
+ * Los datos salen en JSON, CSV o NDJSON por stdout o en --output; el reporte en texto de
+ * MFSUAnalyzer va a --report, a stderr si los datos ocupan stdout, o a stdout en otro caso.
+ * Códigos de salida: 0 correcto, 1 error de configuración o de ejecución, 2 uso incorrecto.
+ */
+
+class MFSUCli {
+    /**
+     * @param {Object} io - { stdout, stderr: flujos con write(text) (los del proceso por defecto) }
+     */
+    constructor(io = {}) {
+        this.stdout = io.stdout || process.stdout;
+        this.stderr = io.stderr || process.stderr;
+        this.sweepRunner = null;
+    }
+
+    /**
+     * Órdenes disponibles
+     */
+    static get COMMANDS() {
+        return ['run', 'converge', 'stability', 'sweep'];
+    }
+
+    /**
+     * Formatos de salida
+     */
+    static get FORMATS() {
+        return ['json', 'csv', 'ndjson'];
+    }
+
+    /**
+     * Texto de ayuda
+     */
+    static get USAGE() {
+        return [
+            'Uso: mfsu <orden> <config.json | -> [opciones]',
+            '',
+            'Órdenes:',
+            '  run        Simulación (MFSUSolver.solve)',
+            '  converge   Convergencia espacial (MFSUSolver.analyzeConvergence)',
+            '  stability  Estabilidad temporal (MFSUSolver.analyzeStability)',
+            '  sweep      Barrido de parámetros en paralelo (SweepRunner)',
+            '',
+            'Opciones:',
+            '  --output, -o <fichero>  Datos en un fichero (formato según la extensión)',
+            '  --format, -f <formato>  json, csv o ndjson (json por defecto; ndjson en sweep)',
+            '  --report <fichero>      Reporte en texto en un fichero',
+            '  --seed <n>              Semilla (sustituye a la de la configuración)',
+            '  --workers <n>           Hilos del barrido',
+            '  --no-resume             Reescribe la salida del barrido en lugar de reanudarla',
+            '  --quiet, -q             Sin reporte ni avisos',
+            '  --help, -h              Esta ayuda',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Solver y analizador MFSU (require en Node.js)
+     */
+    static get mfsuSolver() {
+        return require('./mfsu-solver.js');
+    }
+
+    /**
+     * Configuración del modelo (módulo ES: require(esm) en Node.js ≥ 20.19, comprobado en bin/mfsu)
+     */
+    static get config() {
+        return require('./config.js').default;
+    }
+
+    /**
+     * Barridos de parámetros en paralelo (require en Node.js)
+     */
+    static get sweepRunnerClass() {
+        return require('./sweep-runner.js').SweepRunner;
+    }
+
+    /**
+     * Sistema de ficheros de Node.js
+     */
+    static get fs() {
+        return require('fs');
+    }
+
+    /**
+     * Punto de entrada de bin/mfsu: los mensajes de los módulos (console.log) van a stderr para
+     * que stdout lleve solo los datos; el código de salida queda en process.exitCode
+     * @param {Array<string>} argv - Argumentos (sin node ni el script)
+     * @returns {Promise<number>} Código de salida
+     */
+    static async main(argv) {
+        console.log = console.error;
+        const cli = new MFSUCli();
+        const cancel = () => cli.cancel();
+        process.once('SIGINT', cancel);
+        try {
+            process.exitCode = await cli.run(argv);
+        } finally {
+            process.removeListener('SIGINT', cancel);
+        }
+        return process.exitCode;
+    }
+
+    /**
+     * Separa la orden, el fichero de configuración y las opciones
+     * @param {Array<string>} argv - Argumentos
+     * @returns {Object} { command, file, output, format, report, seed, workers, resume, quiet, help }
+     */
+    static parseArgs(argv) {
+        const args = { command: null, file: null, resume: true, quiet: false, help: false };
+        const names = { '-o': 'output', '-f': 'format' };
+        const positional = [];
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (arg === '--help' || arg === '-h') {
+                args.help = true;
+            } else if (arg === '--quiet' || arg === '-q') {
+                args.quiet = true;
+            } else if (arg === '--no-resume') {
+                args.resume = false;
+            } else if (arg.startsWith('-') && arg !== '-') {
+                const [flag, inline] = arg.split(/=(.*)/s);
+                const name = names[flag] || flag.replace(/^--/, '');
+                if (!['output', 'format', 'report', 'seed', 'workers'].includes(name)) {
+                    throw new Error(`Opción '${flag}' no encontrada`);
+                }
+                const value = inline !== undefined ? inline : argv[++i];
+                if (value === undefined) {
+                    throw new Error(`Falta el valor de ${flag}`);
+                }
+                args[name] = value;
+            } else {
+                positional.push(arg);
+            }
+        }
+
+        [args.command = null, args.file = null] = positional;
+        if (positional.length > 2) {
+            throw new Error(`Argumento inesperado: ${positional[2]}`);
+        }
+        if (args.format !== undefined && !MFSUCli.FORMATS.includes(args.format)) {
+            throw new Error(`Formato '${args.format}' no encontrado`);
+        }
+        ['seed', 'workers'].forEach(name => {
+            if (args[name] !== undefined) {
+                const number = Number(args[name]);
+                if (!Number.isInteger(number)) {
+                    throw new Error(`--${name} espera un entero: ${args[name]}`);
+                }
+                args[name] = number;
+            }
+        });
+        return args;
+    }
+
+    /**
+     * Formato de un fichero de salida según su extensión
+     * @param {string} file - Ruta
+     * @param {string} fallback - Formato si la extensión no es conocida
+     * @returns {string} 'json', 'csv' o 'ndjson'
+     */
+    static formatOf(file, fallback = 'json') {
+        const match = /\.(json|csv|ndjson|jsonl)$/i.exec(file);
+        if (!match) return fallback;
+        const extension = match[1].toLowerCase();
+        return extension === 'jsonl' ? 'ndjson' : extension;
+    }
+
+    /**
+     * Completa y valida la configuración de un experimento
+     * @param {Object} json - Contenido del fichero de configuración
+     * @returns {Object} { parameters, validation, seed, solve, convergence, stability, sweep }
+     */
+    static resolveConfig(json) {
+        if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+            throw new Error('La configuración debe ser un objeto JSON');
+        }
+        const Config = MFSUCli.config;
+        const { preset, params = {}, seed = 1, solve = {}, convergence = {}, stability = {}, sweep = {} } = json;
+        const base = preset ? Config.getPreset(preset).params : {};
+        const { parameters, validation } = Config.getCompleteConfig({ ...base, ...params });
+
+        return { parameters, validation, seed, solve, convergence, stability, sweep };
+    }
+
+    /**
+     * Tabla en el formato pedido (CSV sin la columna `error` si ninguna fila la tiene)
+     * @param {Array<Object>} rows - Filas
+     * @param {string} format - 'csv' o 'ndjson'
+     * @returns {string} Texto
+     */
+    static formatRows(rows, format) {
+        const SweepRunner = MFSUCli.sweepRunnerClass;
+        if (format === 'ndjson') {
+            return SweepRunner.toNDJSON(rows);
+        }
+        const columns = SweepRunner.columnsOf(rows)
+            .filter(name => name !== 'error' || rows.some(row => row.error !== undefined));
+        return SweepRunner.toCSV(rows, columns);
+    }
+
+    /**
+     * Entradas guardadas de una simulación sin el campo ψ (una fila por instante)
+     * @param {Array<Object>} evolution - result.evolution
+     * @returns {Array<Object>} Filas { time, energy, ... }
+     */
+    static evolutionRows(evolution) {
+        return evolution.map(({ psi, ...entry }) => entry);
+    }
+
+    /**
+     * Ejecuta una orden
+     * @param {Array<string>} argv - Argumentos
+     * @returns {Promise<number>} Código de salida
+     */
+    async run(argv) {
+        let args;
+        try {
+            args = MFSUCli.parseArgs(argv);
+        } catch (error) {
+            this.stderr.write(`mfsu: ${error.message}\n\n${MFSUCli.USAGE}`);
+            return 2;
+        }
+        if (args.help || !args.command) {
+            (args.help ? this.stdout : this.stderr).write(MFSUCli.USAGE);
+            return args.help ? 0 : 2;
+        }
+        if (!MFSUCli.COMMANDS.includes(args.command) || !args.file) {
+            const problem = args.file ? `Orden '${args.command}' no encontrada` : 'Falta el fichero de configuración';
+            this.stderr.write(`mfsu: ${problem}\n\n${MFSUCli.USAGE}`);
+            return 2;
+        }
+
+        try {
+            const fs = MFSUCli.fs;
+            const text = fs.readFileSync(args.file === '-' ? 0 : args.file, 'utf8');
+            const config = MFSUCli.resolveConfig(JSON.parse(text));
+            if (args.seed !== undefined) {
+                config.seed = args.seed;
+            }
+            this.validate(config.validation, 'params', args);
+
+            const handlers = {
+                run: () => this.runSolve(config, args),
+                converge: () => this.runConvergence(config, args),
+                stability: () => this.runStability(config, args),
+                sweep: () => this.runSweep(config, args)
+            };
+            await handlers[args.command]();
+            return 0;
+        } catch (error) {
+            this.stderr.write(`mfsu: ${error.message}\n`);
+            return 1;
+        }
+    }
+
+    /**
+     * Cancela un barrido en curso (las filas ya escritas permiten reanudarlo)
+     */
+    cancel() {
+        if (this.sweepRunner) {
+            this.sweepRunner.cancel();
+        }
+    }
+
+    /**
+     * Lanza los errores de validación y muestra los avisos
+     * @param {Object} validation - Resultado de Config.validateParameters
+     * @param {string} label - Origen de los parámetros (para los mensajes)
+     * @param {Object} args - Opciones de la línea de órdenes
+     */
+    validate(validation, label, args) {
+        if (!validation.isValid) {
+            throw new Error(`Parámetros no válidos (${label}):\n  ${validation.errors.join('\n  ')}`);
+        }
+        if (!args.quiet) {
+            validation.warnings.forEach(warning => this.stderr.write(`Aviso (${label}): ${warning}\n`));
+        }
+    }
+
+    /**
+     * Escribe los datos (objeto en JSON, tabla en CSV/NDJSON) y el reporte
+     * @param {Object} data - Resultado completo (salida JSON)
+     * @param {Array<Object>} rows - Tabla (salida CSV o NDJSON)
+     * @param {string} report - Reporte en texto
+     * @param {Object} args - Opciones de la línea de órdenes
+     */
+    emit(data, rows, report, args) {
+        const format = args.format || (args.output ? MFSUCli.formatOf(args.output) : 'json');
+        const text = format === 'json' ? JSON.stringify(data, null, 2) + '\n' : MFSUCli.formatRows(rows, format);
+
+        if (args.output) {
+            MFSUCli.fs.writeFileSync(args.output, text);
+        } else {
+            this.stdout.write(text);
+        }
+        this.emitReport(report, args);
+    }
+
+    /**
+     * Escribe el reporte en --report, stderr (si stdout lleva los datos) o stdout
+     * @param {string} report - Reporte en texto
+     * @param {Object} args - Opciones de la línea de órdenes
+     */
+    emitReport(report, args) {
+        if (args.report) {
+            MFSUCli.fs.writeFileSync(args.report, report);
+        } else if (!args.quiet) {
+            (args.output ? this.stdout : this.stderr).write(report);
+        }
+    }
+
+    /**
+     * mfsu run: simulación completa
+     */
+    runSolve(config, args) {
+        const { MFSUSolver, MFSUAnalyzer } = MFSUCli.mfsuSolver;
+        const { parameters, seed, solve } = config;
+        const solver = new MFSUSolver();
+        const result = solver.solve(parameters, parameters.nx, parameters.nt, { seed: seed, ...solve });
+
+        const data = {
+            parameters: parameters,
+            terminationReason: result.terminationReason,
+            metadata: result.metadata,
+            x: result.x,
+            finalPsi: result.finalPsi,
+            evolution: MFSUCli.evolutionRows(result.evolution)
+        };
+        this.emit(data, data.evolution, new MFSUAnalyzer(solver).generateSolutionReport(result), args);
+    }
+
+    /**
+     * mfsu converge: errores por tamaño de malla y orden observado
+     */
+    runConvergence(config, args) {
+        const { MFSUSolver, MFSUAnalyzer } = MFSUCli.mfsuSolver;
+        const { parameters, seed, solve, convergence } = config;
+        const solver = new MFSUSolver();
+        const result = solver.analyzeConvergence(parameters, convergence.meshSizes, { seed: seed, ...solve });
+        const meshSizes = result.data.map(item => item.meshSize);
+
+        const rows = result.data.map(({ meshSize, error, order }) => ({ meshSize, error, order }));
+        const data = { parameters: parameters, meshSizes: meshSizes, order: result.order, data: rows };
+        this.emit(data, rows, new MFSUAnalyzer(solver).generateConvergenceReport(result), args);
+    }
+
+    /**
+     * mfsu stability: crecimiento de la amplitud hasta maxTime (nt·dt por defecto)
+     */
+    runStability(config, args) {
+        const { MFSUSolver, MFSUAnalyzer } = MFSUCli.mfsuSolver;
+        const { parameters, seed, solve, stability } = config;
+        const nx = stability.nx || parameters.nx;
+        const maxTime = stability.maxTime || parameters.nt * parameters.dt;
+        const solver = new MFSUSolver();
+        const result = solver.analyzeStability(parameters, nx, maxTime, { seed: seed, ...solve });
+
+        const data = {
+            parameters: parameters,
+            nx: nx,
+            maxTime: maxTime,
+            isStable: result.isStable,
+            growthRate: result.growthRate,
+            initialAmplitude: result.initialAmplitude,
+            finalAmplitude: result.finalAmplitude,
+            oscillationDetected: result.oscillationDetected,
+            evolution: MFSUCli.evolutionRows(result.evolution)
+        };
+        this.emit(data, data.evolution, new MFSUAnalyzer(solver).generateStabilityReport(result), args);
+    }
+
+    /**
+     * mfsu sweep: una fila por configuración; en NDJSON por stdout cada fila sale al terminar
+     */
+    async runSweep(config, args) {
+        const { MFSUSolver, MFSUAnalyzer } = MFSUCli.mfsuSolver;
+        const SweepRunner = MFSUCli.sweepRunnerClass;
+        const { parameters, seed, solve, sweep } = config;
+        const variations = sweep.variations || {};
+        const names = Object.keys(variations);
+        if (names.length === 0) {
+            throw new Error('El barrido necesita sweep.variations, p. ej. { "alpha": [0.5, 1.0] }');
+        }
+
+        const configs = SweepRunner.generate(parameters, variations);
+        configs.forEach((params, index) => {
+            const label = names.map(name => `${name}=${params[name]}`).join(', ');
+            this.validate(MFSUCli.config.validateParameters(params), `configuración ${index}: ${label}`, args);
+        });
+
+        const format = args.format || (args.output ? MFSUCli.formatOf(args.output, 'ndjson') : 'ndjson');
+        if (args.output && format === 'json') {
+            throw new Error('El barrido se escribe en NDJSON o CSV (reanudable), no en JSON');
+        }
+        const stream = !args.output && format === 'ndjson';
+
+        this.sweepRunner = new SweepRunner({ workers: args.workers || sweep.workers });
+        let rows;
+        try {
+            rows = await this.sweepRunner.run(configs, {
+                task: sweep.task,
+                seed: seed,
+                solve: solve,
+                analysis: sweep.analysis,
+                output: args.output,
+                format: format,
+                resume: args.resume,
+                onResult: stream ? (row) => this.stdout.write(SweepRunner.toNDJSON([row])) : undefined
+            });
+        } finally {
+            this.sweepRunner = null;
+        }
+
+        if (!args.output && !stream) {
+            this.stdout.write(format === 'json' ? JSON.stringify(rows, null, 2) + '\n' : MFSUCli.formatRows(rows, format));
+        }
+        this.emitReport(new MFSUAnalyzer(new MFSUSolver()).generateSweepReport(rows, names), args);
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MFSUCli };
+}
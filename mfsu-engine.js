@@ -0,0 +1,312 @@
+/**
+ * mfsu-engine.js
+ * Motor numérico común del Modelo Fractal-Estocástico del Universo (MFSU)
+ * Ecuación: ∂ψ/∂t = α(-Δ)^(∂/2)ψ + β·ξ_H(x,t)·ψ - γψ³ + f(x,t)
+ *
+ * Única implementación del operador fractal por diferencias finitas, del ruido de Hurst,
+ * de la condición inicial fractal, del paso de Euler y de las métricas (amplitud máxima,
+ * norma L2 y energía) que usan MFSUSolver, MathUtils, MFSUConvergenceAnalysis,
+ * StabilityAnalysis, las pruebas y la página. Con el mismo generador, todos dan el mismo
+ * resultado bit a bit.
+ *
+ * Convenciones:
+ *   - el operador devuelve -(-Δ)^(∂/2)ψ (con ∂ = 2 se recupera Δψ, ver fractional-operators.js);
+ *     para ∂ < 2 se regulariza |Δψ| con EPSILON antes de la potencia;
+ *   - el ruido es gaussiano fraccionario de varianza unidad (hurst-noise.js, noise-source.js);
+ *   - el paso de Euler es el de MFSUSolver.solve con method 'euler': deriva ψ + Δt·F(ψ) más el
+ *     incremento β·ψ·ΔW de TimeIntegrators.stochasticIncrement, con ΔW = ξ·Δt^{H_t};
+ *   - las métricas son integrales discretas sobre la malla periódica:
+ *       ‖ψ‖₂ = √(Σ ψ²·dx),  E = Σ (½(∂ₓψ)² + ¼ψ⁴)·dx  (diferencias adelantadas),
+ *     como MFSUSolver.calculateDiagnostics en 1D.
+ */
+
+class MFSUEngine {
+    /**
+     * Regularización de |Δψ| en la potencia fraccionaria (∂ < 2)
+     */
+    static get EPSILON() {
+        return 1e-10;
+    }
+
+    /**
+     * Pasos entre dos entradas de la evolución de solveMFSU
+     */
+    static get SAVE_INTERVAL() {
+        return 10;
+    }
+
+    /**
+     * Generador pseudoaleatorio reproducible (global en el navegador, require en Node.js)
+     */
+    static get seededRandom() {
+        return typeof SeededRandom !== 'undefined' ?
+            SeededRandom : require('./random.js').SeededRandom;
+    }
+
+    /**
+     * Generador de ruido gaussiano fraccionario (global en el navegador, require en Node.js)
+     */
+    static get hurstNoise() {
+        return typeof HurstNoise !== 'undefined' ?
+            HurstNoise : require('./hurst-noise.js').HurstNoise;
+    }
+
+    /**
+     * Fuente de ruido paso a paso (global en el navegador, require en Node.js)
+     */
+    static get noiseSource() {
+        return typeof NoiseSource !== 'undefined' ?
+            NoiseSource : require('./noise-source.js').NoiseSource;
+    }
+
+    /**
+     * Integradores temporales e incremento estocástico (global en el navegador, require en Node.js)
+     */
+    static get timeIntegrators() {
+        return typeof TimeIntegrators !== 'undefined' ?
+            TimeIntegrators : require('./integrators.js').TimeIntegrators;
+    }
+
+    /**
+     * Condiciones de frontera compartidas (global en el navegador, require en Node.js)
+     */
+    static get boundaryConditions() {
+        return typeof BoundaryConditions !== 'undefined' ?
+            BoundaryConditions : require('./boundary-conditions.js').BoundaryConditions;
+    }
+
+    /**
+     * Operador fractal -(-Δ)^(∂/2)ψ por diferencias finitas
+     * Laplaciano de tres puntos con los puntos fantasma de la frontera; para ∂ < 2 se eleva
+     * |Δψ| + EPSILON a ∂/2 conservando el signo, y para ∂ ≥ 2 se itera el Laplaciano ⌊∂/2⌋
+     * veces (las iteraciones usan valores de frontera homogéneos)
+     * @param {Array<number>} psi - Campo
+     * @param {number} dx - Espaciado de malla
+     * @param {number} order - Orden fractal ∂
+     * @param {string} boundary - 'periodic' (por defecto), 'dirichlet' o 'neumann'
+     * @param {Array<number>} values - Valores de frontera [izquierda, derecha]
+     * @param {Array<number>} out - Array de salida (se reserva uno si no se da)
+     * @param {Array<number>} scratch - Espacio de trabajo para el Laplaciano iterado
+     * @returns {Array<number>} out
+     */
+    static fractionalLaplacian(psi, dx, order, boundary = 'periodic', values = [0, 0],
+                               out = new Array(psi.length), scratch = null) {
+        const n = psi.length;
+        const boundaries = MFSUEngine.boundaryConditions;
+
+        // Laplaciano base con los puntos fantasma de la frontera
+        const laplacian = boundaries.laplacian(psi, dx, boundary, values, out);
+
+        const fracPower = order / 2;
+
+        if (fracPower < 1) {
+            // Aproximación de Caputo para exponentes < 1 (en el mismo array)
+            for (let i = 0; i < n; i++) {
+                const absLap = Math.abs(laplacian[i]) + MFSUEngine.EPSILON;
+                laplacian[i] = Math.pow(absLap, fracPower) * Math.sign(laplacian[i]);
+            }
+        } else {
+            // Laplaciano iterado para exponentes >= 1, alternando entre out y scratch
+            // (el exterior constante o de flujo fijo tiene Laplaciano nulo: valores homogéneos)
+            let current = laplacian;
+            let next = scratch || new Array(n);
+            for (let iter = 1; iter < Math.floor(fracPower); iter++) {
+                boundaries.laplacian(current, dx, boundary, [0, 0], next);
+                [current, next] = [next, current];
+            }
+
+            if (current !== out) {
+                for (let i = 0; i < n; i++) {
+                    out[i] = current[i];
+                }
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Ruido de Hurst ξ_H(x,t) con la covarianza exacta del ruido gaussiano fraccionario
+     * en espacio y tiempo (ver hurst-noise.js)
+     * @param {number|Array<number>} shape - Puntos espaciales (nx o [nx, ny] / [nx, ny, nz])
+     * @param {number} nt - Puntos temporales
+     * @param {number} hurst - Exponente de Hurst espacial
+     * @param {number} hurstExponent - Exponente de Hurst temporal
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @returns {Array} Matriz de ruido [nt][N]
+     */
+    static generateHurstNoise(shape, nt, hurst = 0.5, hurstExponent = 0.5, rng = new MFSUEngine.seededRandom()) {
+        return MFSUEngine.hurstNoise.field(shape, nt, hurst, hurstExponent, rng);
+    }
+
+    /**
+     * Fuente de ruido de Hurst con una fila por paso (ver noise-source.js)
+     * @param {number|Array<number>} shape - Puntos espaciales
+     * @param {number} nt - Pasos temporales
+     * @param {number} hurst - Exponente de Hurst espacial
+     * @param {number} hurstExponent - Exponente de Hurst temporal
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @param {string|Object} spec - 'stream', { type: 'stream', memory }, 'field' o una fuente con next(out)
+     * @returns {Object} Fuente con next(out)
+     */
+    static createNoiseSource(shape, nt, hurst = 0.5, hurstExponent = 0.5, rng = new MFSUEngine.seededRandom(),
+                             spec = 'stream') {
+        return MFSUEngine.noiseSource.create(shape, nt, hurst, hurstExponent, rng, spec);
+    }
+
+    /**
+     * Condición inicial fractal sobre [0, 1): perfil más una perturbación uniforme de amplitud 0.05
+     * @param {number} nx - Puntos espaciales
+     * @param {SeededRandom} rng - Generador pseudoaleatorio (un valor por punto)
+     * @param {Function} profile - Perfil (x, t); por defecto 0.1·sin(2πx)·exp(-(x - 0.5)²/0.1)
+     * @returns {Array<number>} ψ₀
+     */
+    static initialCondition(nx, rng, profile = null) {
+        const dx = 1.0 / nx;
+        const psi = new Array(nx);
+
+        for (let i = 0; i < nx; i++) {
+            const x = i * dx;
+            const base = profile ? profile(x, 0) :
+                0.1 * Math.sin(2 * Math.PI * x) * Math.exp(-Math.pow(x - 0.5, 2) / 0.1);
+            psi[i] = base + 0.05 * (rng.random() - 0.5);
+        }
+
+        return psi;
+    }
+
+    /**
+     * Paso de Euler–Maruyama ψ + Δt·(α·Lψ - γψ³ + f) + β·ψ·ΔW (Itô, ΔW = ξ·Δt^{H_t})
+     * Suma la deriva en el mismo orden que MFSUSolver.solve, así que ambos dan el mismo paso
+     * @param {Array<number>} psi - Campo
+     * @param {Array<number>} fractalTerm - Operador fractal aplicado a ψ
+     * @param {Array<number>} noise - Fila de ruido ξ
+     * @param {Object} params - { alpha, beta, gamma, dt, hurstExponent }
+     * @param {Array<number>} forcing - f(x, t) por punto (nulo si no se da)
+     * @param {Array<number>} out - Array de salida
+     * @returns {Array<number>} out
+     */
+    static eulerStep(psi, fractalTerm, noise, params, forcing = null, out = new Array(psi.length)) {
+        const { alpha, beta, gamma, dt, hurstExponent = 0.5 } = params;
+        const increment = MFSUEngine.timeIntegrators.stochasticIncrement(psi, noise, beta, dt, {
+            hurstExponent: hurstExponent
+        });
+
+        for (let i = 0; i < psi.length; i++) {
+            const nonlinear = -gamma * Math.pow(psi[i], 3);
+            const force = forcing ? forcing[i] : 0;
+            let rate = nonlinear + force;
+            rate += alpha * fractalTerm[i];
+
+            out[i] = psi[i] + dt * rate + increment[i];
+        }
+
+        return out;
+    }
+
+    /**
+     * Normalizaciones de metrics()
+     *   'integral': integrales discretas, ‖ψ‖₂ = √(Σψ²·dx) y E = Σ(½(∂ₓψ)² + ¼ψ⁴)·dx
+     *               (la de MFSUSolver.calculateDiagnostics en 1D);
+     *   'sum':      sumas sobre los puntos sin el factor dx, ‖ψ‖₂ = √(Σψ²) y
+     *               E = Σ(½(ψ_{i+1} - ψ_i)²/dx² + ¼ψ⁴) (escala de StabilityAnalysis, de la que
+     *               dependen sus umbrales absolutos)
+     */
+    static get NORMALIZATIONS() {
+        return ['integral', 'sum'];
+    }
+
+    /**
+     * Métricas del campo sobre la malla periódica
+     * @param {Array<number>} psi - Campo
+     * @param {number} dx - Espaciado de malla
+     * @param {string} normalization - 'integral' (por defecto) o 'sum' (ver NORMALIZATIONS)
+     * @returns {Object} { maxAmp, l2Norm, energy }
+     */
+    static metrics(psi, dx, normalization = 'integral') {
+        if (!MFSUEngine.NORMALIZATIONS.includes(normalization)) {
+            throw new Error(`Normalización '${normalization}' no encontrada`);
+        }
+
+        const n = psi.length;
+        const integral = normalization === 'integral';
+        let maxAmp = 0;
+        let sumSquares = 0;
+        let energy = 0;
+
+        for (let i = 0; i < n; i++) {
+            const difference = (i < n - 1 ? psi[i + 1] : psi[0]) - psi[i];
+            maxAmp = Math.max(maxAmp, Math.abs(psi[i]));
+            sumSquares += psi[i] * psi[i];
+            if (integral) {
+                const grad = difference / dx;
+                energy += 0.5 * grad * grad + 0.25 * Math.pow(psi[i], 4);
+            } else {
+                energy += 0.5 * difference * difference / (dx * dx) + 0.25 * Math.pow(psi[i], 4);
+            }
+        }
+
+        return {
+            maxAmp: maxAmp,
+            l2Norm: Math.sqrt(integral ? sumSquares * dx : sumSquares),
+            energy: integral ? energy * dx : energy
+        };
+    }
+
+    /**
+     * Resuelve la ecuación MFSU en [0, 1) periódico con Euler explícito
+     * La condición inicial consume el generador antes de crear la fuente de ruido, de modo
+     * que la misma semilla da el mismo resultado en todos los módulos
+     * @param {Object} params - { alpha, beta, gamma, fractalDim, dt, hurst, hurstExponent }
+     * @param {number} nx - Puntos espaciales
+     * @param {number} nt - Pasos temporales
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @param {string|Object} noise - Fuente de ruido (ver createNoiseSource)
+     * @param {Object} options - { initial: perfil (x, t), forcing: f(x, t),
+     *                             saveEvery: pasos entre entradas (SAVE_INTERVAL),
+     *                             metrics: (psi, dx) → métricas adicionales por entrada }
+     * @returns {Object} { finalPsi, evolution: [{ time, maxAmp, l2Norm, energy, ... }] }
+     */
+    static solveMFSU(params, nx, nt, rng = new MFSUEngine.seededRandom(), noise = 'stream', options = {}) {
+        const { fractalDim, dt } = params;
+        const { initial = null, forcing = null, saveEvery = MFSUEngine.SAVE_INTERVAL, metrics = null } = options;
+        const dx = 1.0 / nx;
+
+        let psi = MFSUEngine.initialCondition(nx, rng, initial);
+
+        const evolution = [];
+        const noiseSource = MFSUEngine.createNoiseSource(nx, nt, params.hurst, params.hurstExponent, rng, noise);
+        const noiseRow = new Float64Array(nx);
+        const force = forcing ? new Array(nx) : null;
+
+        for (let t = 0; t < nt; t++) {
+            noiseSource.next(noiseRow);
+
+            const fractalTerm = MFSUEngine.fractionalLaplacian(psi, dx, fractalDim);
+            if (force) {
+                for (let i = 0; i < nx; i++) {
+                    force[i] = forcing(i * dx, t * dt);
+                }
+            }
+
+            psi = MFSUEngine.eulerStep(psi, fractalTerm, noiseRow, params, force);
+
+            if (t % saveEvery === 0) {
+                evolution.push({
+                    time: t * dt,
+                    ...MFSUEngine.metrics(psi, dx),
+                    ...(metrics ? metrics(psi, dx) : {})
+                });
+            }
+        }
+
+        return { finalPsi: psi, evolution: evolution };
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MFSUEngine };
+} else if (typeof window !== 'undefined') {
+    window.MFSUEngine = MFSUEngine;
+}
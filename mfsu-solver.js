@@ -10,192 +10,526 @@
 class MFSUSolver {
     constructor(options = {}) {
         this.defaultParams = {
-            alpha: 1.0,        // Parámetro de difusión fractal
-            beta: 0.1,         // Intensidad del ruido de Hurst
-            gamma: 0.1,        // Parámetro de no-linealidad
-            fractalDim: 0.921, // Dimensión fractal ∂
-            dt: 0.01,          // Paso temporal
-            hurst: 0.5         // Exponente de Hurst
+            alpha: 1.0,         // Parámetro de difusión fractal
+            beta: 0.1,          // Intensidad del ruido de Hurst
+            gamma: 0.1,         // Parámetro de no-linealidad
+            fractalDim: 0.921,  // Dimensión fractal ∂
+            dt: 0.01,           // Paso temporal
+            hurst: 0.5,         // Exponente de Hurst espacial
+            hurstExponent: 0.5, // Exponente de Hurst temporal
+            domainOrigin: 0.0,  // Extremo izquierdo x0 del dominio
+            domainSize: 1.0     // Longitud L del dominio [x0, x0 + L] (por eje)
         };
         
-        this.params = { ...this.defaultParams, ...options };
-        this.tolerance = 1e-10;
+        // La semilla y el generador no son parámetros físicos
+        const { seed, rng, ...params } = options;
+        
+        this.params = { ...this.defaultParams, ...params };
+        this.rng = rng || new (MFSUSolver.seededRandom)(seed);
     }
 
     /**
-     * Implementación del operador fractal (-Δ)^(∂/2)
-     * @param {Array} psi - Función de onda
-     * @param {number} dx - Espaciado de malla
-     * @param {number} order - Orden fractal ∂
-     * @returns {Array} Resultado del operador fractal
+     * Generador pseudoaleatorio reproducible (global en el navegador, require en Node.js)
      */
-    fractionalLaplacian(psi, dx, order) {
-        const n = psi.length;
-        const result = new Array(n).fill(0);
-        
-        // Calcular el Laplaciano base usando diferencias finitas
-        const laplacian = new Array(n).fill(0);
-        
-        // Puntos internos
-        for (let i = 1; i < n - 1; i++) {
-            laplacian[i] = (psi[i + 1] - 2 * psi[i] + psi[i - 1]) / (dx * dx);
+    static get seededRandom() {
+        return typeof SeededRandom !== 'undefined' ?
+            SeededRandom : require('./random.js').SeededRandom;
+    }
+
+    /**
+     * Motor numérico común: operador fractal y ruido (global en el navegador, require en Node.js)
+     */
+    static get engine() {
+        return typeof MFSUEngine !== 'undefined' ?
+            MFSUEngine : require('./mfsu-engine.js').MFSUEngine;
+    }
+
+    /**
+     * Extrapolación de Richardson y GCI (global en el navegador, require en Node.js)
+     */
+    static get gridConvergence() {
+        return typeof GridConvergence !== 'undefined' ?
+            GridConvergence : require('./grid-convergence.js').GridConvergence;
+    }
+
+    /**
+     * Estadística de conjuntos Monte Carlo (global en el navegador, require en Node.js)
+     */
+    static get ensembleStatistics() {
+        return typeof EnsembleStatistics !== 'undefined' ?
+            EnsembleStatistics : require('./ensemble-statistics.js').EnsembleStatistics;
+    }
+
+    /**
+     * Generador de ruido gaussiano fraccionario (global en el navegador, require en Node.js)
+     */
+    static get hurstNoise() {
+        return typeof HurstNoise !== 'undefined' ?
+            HurstNoise : require('./hurst-noise.js').HurstNoise;
+    }
+
+    /**
+     * Fuente de ruido paso a paso (global en el navegador, require en Node.js)
+     */
+    static get noiseSource() {
+        return typeof NoiseSource !== 'undefined' ?
+            NoiseSource : require('./noise-source.js').NoiseSource;
+    }
+
+    /**
+     * Registro de integradores temporales (global en el navegador, require en Node.js)
+     */
+    static get timeIntegrators() {
+        return typeof TimeIntegrators !== 'undefined' ?
+            TimeIntegrators : require('./integrators.js').TimeIntegrators;
+    }
+
+    /**
+     * Configuración del modelo (módulo ES: global en el navegador, require(esm) en Node.js)
+     */
+    static get config() {
+        return typeof Config !== 'undefined' ? Config : require('./config.js').default;
+    }
+
+    /**
+     * Discretizaciones compartidas del operador fractal
+     * (global en el navegador, require en Node.js)
+     */
+    static get fractionalOperators() {
+        return typeof FractionalOperators !== 'undefined' ?
+            FractionalOperators : require('./fractional-operators.js').FractionalOperators;
+    }
+
+    /**
+     * Condiciones de frontera compartidas (global en el navegador, require en Node.js)
+     */
+    static get boundaryConditions() {
+        return typeof BoundaryConditions !== 'undefined' ?
+            BoundaryConditions : require('./boundary-conditions.js').BoundaryConditions;
+    }
+
+    /**
+     * Descriptor de la malla espacial (global en el navegador, require en Node.js)
+     */
+    static get spatialGrid() {
+        return typeof SpatialGrid !== 'undefined' ?
+            SpatialGrid : require('./spatial-grid.js').SpatialGrid;
+    }
+
+    /**
+     * Expresiones de math.js y funciones del usuario (global en el navegador, require en Node.js)
+     */
+    static get userFunctions() {
+        return typeof UserFunctions !== 'undefined' ?
+            UserFunctions : require('./user-functions.js').UserFunctions;
+    }
+
+    /**
+     * Registra una condición inicial (opción initialCondition de solve, selectores de la interfaz)
+     * @param {string} name - Nombre de la condición inicial
+     * @param {Function} fn - (x, { xi, grid, rng }) => ψ₀ en un punto, con x físico (número en 1D,
+     *                        [x, y] / [x, y, z] en 2D/3D), ξ = (x - x0)/L normalizado y el
+     *                        generador de la ejecución (se llama una vez por punto en orden C)
+     */
+    static registerInitialCondition(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new Error(`La condición inicial '${name}' debe ser una función (x, context)`);
         }
-        
-        // Condiciones de frontera periódicas
-        laplacian[0] = (psi[1] - 2 * psi[0] + psi[n - 1]) / (dx * dx);
-        laplacian[n - 1] = (psi[0] - 2 * psi[n - 1] + psi[n - 2]) / (dx * dx);
-        
-        // Aplicar la potencia fractal ∂/2
-        const fracPower = order / 2;
-        
-        if (fracPower < 1) {
-            // Aproximación de Caputo para exponentes < 1
-            for (let i = 0; i < n; i++) {
-                const absLap = Math.abs(laplacian[i]) + this.tolerance;
-                result[i] = Math.pow(absLap, fracPower) * Math.sign(laplacian[i]);
+        MFSUSolver.initialConditions[name] = fn;
+    }
+
+    /**
+     * Registra un forzamiento (opción forcingType de solve, selectores de la interfaz)
+     * @param {string} name - Nombre del forzamiento
+     * @param {Function} fn - (x, t, { xi, grid }) => f(x, t), real o { re, im }
+     */
+    static registerForcing(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new Error(`El forzamiento '${name}' debe ser una función (x, t, context)`);
+        }
+        MFSUSolver.forcings[name] = fn;
+    }
+
+    /**
+     * Registra un diagnóstico adicional, calculado junto a los predefinidos en cada guardado
+     * @param {string} name - Nombre (clave en diagnostics y en cada entrada de evolution)
+     * @param {Function} fn - (psi, { dx, shape, complex, boundary }) => valor
+     */
+    static registerDiagnostic(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new Error(`El diagnóstico '${name}' debe ser una función (psi, context)`);
+        }
+        if (MFSUSolver.BUILTIN_DIAGNOSTICS.includes(name)) {
+            throw new Error(`El diagnóstico '${name}' es predefinido y no se puede reemplazar`);
+        }
+        MFSUSolver.diagnostics[name] = fn;
+    }
+
+    /**
+     * Elemento registrado con ese nombre, o null (cadenas no registradas son expresiones)
+     * @param {Object} registry - initialConditions, forcings o diagnostics
+     * @param {string|Function} name - Nombre, expresión o función
+     * @returns {Function|null} Función registrada
+     */
+    static lookup(registry, name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(registry, name) ?
+            registry[name] : null;
+    }
+
+    /**
+     * Nombres de las condiciones iniciales registradas
+     * @returns {Array<string>} Nombres registrados
+     */
+    static listInitialConditions() {
+        return Object.keys(MFSUSolver.initialConditions);
+    }
+
+    /**
+     * Nombres de los forzamientos registrados
+     * @returns {Array<string>} Nombres registrados
+     */
+    static listForcings() {
+        return Object.keys(MFSUSolver.forcings);
+    }
+
+    /**
+     * Diagnósticos que calcula calculateDiagnostics: predefinidos y registrados
+     * @returns {Array<string>} Nombres
+     */
+    static listDiagnostics() {
+        return MFSUSolver.BUILTIN_DIAGNOSTICS.concat(Object.keys(MFSUSolver.diagnostics));
+    }
+
+    /**
+     * Diagnósticos calculados siempre por calculateDiagnostics
+     */
+    static get BUILTIN_DIAGNOSTICS() {
+        return ['energy', 'momentum', 'mass', 'maxAmplitude', 'l2Norm'];
+    }
+
+    /**
+     * Nombre con el que una condición inicial o un forzamiento queda en los metadatos
+     * @param {string|Function} source - Nombre registrado, expresión o función
+     * @returns {string} El nombre o la expresión; 'function' (o su nombre) para funciones
+     */
+    static describe(source) {
+        return typeof source === 'function' ? source.name || 'function' : String(source);
+    }
+
+    /**
+     * Intervalo máximo (ms) entre cesiones del control en solveAsync()
+     */
+    static get YIELD_INTERVAL() {
+        return 16;
+    }
+
+    /**
+     * Condición de parada de solve() (options.stopWhen)
+     * { maxAmplitude: A } termina con 'blowUp' si algún |ψ| > A o no es finito (el umbral de
+     * StabilityAnalysis es 1e6; con ψ complejo se compara el módulo, Re² + Im² > A², como el
+     * diagnóstico maxAmplitude); { steadyState: tol } termina con 'steadyState' cuando
+     * max|ψ_{n+1} - ψ_n|/Δt < tol. Una función (estado) devuelve el motivo (o true → 'stopWhen')
+     * @param {Object|Function} spec - Condición
+     * @param {boolean} complex - ψ se guarda como [Re ψ, Im ψ]
+     * @returns {Function|null} (estado) → motivo o null
+     */
+    static compileStopCondition(spec, complex = false) {
+        if (!spec) {
+            return null;
+        }
+        if (typeof spec === 'function') {
+            return (state) => {
+                const reason = spec(state);
+                return reason ? (typeof reason === 'string' ? reason : 'stopWhen') : null;
+            };
+        }
+
+        const { maxAmplitude, steadyState } = spec;
+        return ({ psi, previous, dt }) => {
+            if (maxAmplitude !== undefined) {
+                const n = complex ? psi.length / 2 : psi.length;
+                const limit = maxAmplitude * maxAmplitude;
+                for (let i = 0; i < n; i++) {
+                    const squared = complex ? psi[i] * psi[i] + psi[n + i] * psi[n + i] : psi[i] * psi[i];
+                    if (!(squared <= limit)) {
+                        return 'blowUp';
+                    }
+                }
             }
-        } else {
-            // Laplaciano iterado para exponentes >= 1
-            let current = [...laplacian];
-            
-            for (let iter = 1; iter < Math.floor(fracPower); iter++) {
-                const temp = new Array(n).fill(0);
-                
-                for (let i = 1; i < n - 1; i++) {
-                    temp[i] = (current[i + 1] - 2 * current[i] + current[i - 1]) / (dx * dx);
+            if (steadyState !== undefined) {
+                let change = 0;
+                for (let i = 0; i < psi.length; i++) {
+                    change = Math.max(change, Math.abs(psi[i] - previous[i]));
+                }
+                if (change / dt < steadyState) {
+                    return 'steadyState';
                 }
-                
-                temp[0] = (current[1] - 2 * current[0] + current[n - 1]) / (dx * dx);
-                temp[n - 1] = (current[0] - 2 * current[n - 1] + current[n - 2]) / (dx * dx);
-                
-                current = temp;
             }
-            
-            result.splice(0, n, ...current);
-        }
-        
-        return result;
+            return null;
+        };
     }
 
     /**
-     * Genera ruido de Hurst ξ_H(x,t) con correlaciones espaciales
-     * @param {number} nx - Puntos espaciales
-     * @param {number} nt - Puntos temporales
-     * @param {number} hurst - Exponente de Hurst
-     * @returns {Array} Matriz de ruido 2D
+     * Versión del formato de los puntos de control de solve()
      */
-    generateHurstNoise(nx, nt, hurst = 0.5) {
-        const noise = [];
-        
-        for (let t = 0; t < nt; t++) {
-            const spatialNoise = new Array(nx);
-            
-            // Generar ruido blanco inicial
-            for (let i = 0; i < nx; i++) {
-                spatialNoise[i] = this.gaussianRandom();
+    static get CHECKPOINT_VERSION() {
+        return 1;
+    }
+
+    /**
+     * Opciones de solve() que se guardan en un punto de control
+     * Las funciones y las fuentes de ruido propias no son serializables: quedan en requires y
+     * resumeFrom() exige que se vuelvan a pasar. rng, seed e initialState no hacen falta (el
+     * punto de control guarda ψ y el estado del generador); checkpoint, onStep, onSave y signal
+     * no cambian el resultado y se indican de nuevo al reanudar
+     * @param {Object} options - Opciones de solve()
+     * @returns {Object} { options, requires }
+     */
+    static checkpointOptions(options) {
+        const saved = {};
+        const requires = [];
+        Object.entries(options).forEach(([name, value]) => {
+            if (['rng', 'seed', 'initialState', 'restart', 'checkpoint', 'onStep', 'onSave', 'signal'].includes(name)) {
+                return;
             }
-            
-            // Aplicar correlaciones de Hurst
-            const correlatedNoise = [...spatialNoise];
-            for (let i = 1; i < nx; i++) {
-                const correlation = Math.pow(i, -hurst);
-                const normalization = Math.sqrt(1 - correlation * correlation);
-                
-                correlatedNoise[i] = correlation * correlatedNoise[i - 1] + 
-                                   normalization * spatialNoise[i];
+            if (typeof value === 'function' || (value && typeof value.next === 'function')) {
+                requires.push(name);
+            } else {
+                saved[name] = value;
             }
-            
-            noise.push(correlatedNoise);
+        });
+        return { options: saved, requires: requires };
+    }
+
+    /**
+     * Distancia al cuadrado de x a (c, ..., c)
+     * @param {number|Array<number>} x - Coordenadas normalizadas
+     * @param {number} c - Centro por eje
+     * @returns {number} |x - c|²
+     */
+    static squaredDistance(x, c) {
+        return Array.isArray(x) ?
+            x.reduce((sum, xi) => sum + Math.pow(xi - c, 2), 0) : Math.pow(x - c, 2);
+    }
+
+    /**
+     * Producto de senos sin(kπx) sobre los ejes
+     * @param {number|Array<number>} x - Coordenadas normalizadas
+     * @param {number} k - Número de onda
+     * @returns {number} ∏ sin(kπx_d)
+     */
+    static sineProduct(x, k) {
+        return Array.isArray(x) ?
+            x.reduce((product, xi) => product * Math.sin(k * Math.PI * xi), 1) : Math.sin(k * Math.PI * x);
+    }
+
+    /**
+     * Aplica la discretización elegida del operador fractal
+     * @param {Array} psi - Función de onda
+     * @param {number} dx - Espaciado de malla
+     * @param {number} order - Orden fractal ∂
+     * @param {string} operator - 'finiteDifference' (aproximación local heredada), 'spectral'
+     *                            (símbolo |k|^∂, dominio periódico) o 'riesz' (diferencias fraccionarias)
+     * @param {string} boundary - 'periodic', 'dirichlet', 'neumann' (estas dos no con 'spectral')
+     *                            o 'absorbing' (el operador ve un dominio periódico)
+     * @param {Array<number>} shape - Puntos por eje (2D/3D solo con 'spectral'); 1D por defecto
+     * @param {Array<number>} values - Valores de frontera [izquierda, derecha] en el instante actual
+     * @param {Array|Float64Array} out - Destino (distinto de psi); uno nuevo por defecto
+     * @param {Object} workspace - Espacio de trabajo de la ejecución (buffers, pesos y símbolo reutilizados)
+     * @returns {Array|Float64Array} Resultado del operador fractal (out)
+     */
+    applyFractionalOperator(psi, dx, order, operator = 'finiteDifference', boundary = 'periodic', shape = [psi.length],
+        values = [0, 0], out = new Array(psi.length), workspace = null) {
+        const operatorBoundary = MFSUSolver.boundaryConditions.operatorBoundary(boundary);
+
+        if (operator === 'finiteDifference') {
+            if (shape.length > 1) {
+                throw new Error(`El operador 'finiteDifference' solo está disponible en 1D; use 'spectral' para mallas ${shape.join('×')}`);
+            }
+            const scratch = workspace ? MFSUSolver.fractionalOperators.buffer(workspace, 'laplacian', psi.length) : null;
+            return this.fractionalLaplacian(psi, dx, order, operatorBoundary, values, out, scratch);
         }
-        
-        return noise;
+
+        return MFSUSolver.fractionalOperators.apply(psi, dx, order, {
+            operator: operator,
+            boundary: operatorBoundary,
+            shape: shape,
+            values: values,
+            out: out,
+            workspace: workspace
+        });
+    }
+
+    /**
+     * Símbolo de Fourier de α·(-(-Δ)^(∂/2)) en el orden de salida de la FFT
+     * @param {number|Array<number>} shape - Puntos espaciales (nx o [nx, ny] / [nx, ny, nz])
+     * @param {number|Array<number>} dx - Espaciado de malla (común o por eje)
+     * @param {number} alpha - Coeficiente de difusión fractal
+     * @param {number} order - Orden fractal ∂
+     * @returns {Array} α·(-|k|^∂) por modo
+     */
+    spectralSymbol(shape, dx, alpha, order) {
+        const dims = Array.isArray(shape) ? shape : [shape];
+        return MFSUSolver.fractionalOperators.spectralSymbol(dims, dx, order).map(symbol => alpha * symbol);
+    }
+
+    /**
+     * Implementación del operador fractal (-Δ)^(∂/2) por diferencias finitas (ver mfsu-engine.js)
+     * @param {Array} psi - Función de onda
+     * @param {number} dx - Espaciado de malla
+     * @param {number} order - Orden fractal ∂
+     * @param {string} boundary - 'periodic', 'dirichlet' o 'neumann' (puntos fantasma)
+     * @param {Array<number>} values - Valores de frontera [izquierda, derecha]
+     * @param {Array|Float64Array} out - Destino (distinto de psi); uno nuevo por defecto
+     * @param {Array|Float64Array} scratch - Buffer auxiliar del Laplaciano iterado
+     * @returns {Array|Float64Array} Resultado del operador fractal (out)
+     */
+    fractionalLaplacian(psi, dx, order, boundary = 'periodic', values = [0, 0], out = new Array(psi.length), scratch = null) {
+        return MFSUSolver.engine.fractionalLaplacian(psi, dx, order, boundary, values, out, scratch);
+    }
+
+    /**
+     * Genera ruido de Hurst ξ_H(x,t) con la covarianza exacta del ruido gaussiano
+     * fraccionario en espacio y tiempo (inmersión circulante, ver hurst-noise.js)
+     * @param {number|Array<number>} shape - Puntos espaciales (nx o [nx, ny] / [nx, ny, nz])
+     * @param {number} nt - Puntos temporales
+     * @param {number} hurst - Exponente de Hurst espacial
+     * @param {number} hurstExponent - Exponente de Hurst temporal
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @returns {Array} Matriz de ruido [nt][N] (campo espacial aplanado en orden C)
+     */
+    generateHurstNoise(shape, nt, hurst = 0.5, hurstExponent = 0.5, rng = this.rng) {
+        return MFSUSolver.engine.generateHurstNoise(shape, nt, hurst, hurstExponent, rng);
+    }
+
+    /**
+     * Fuente de ruido de Hurst que genera una fila por paso (ver noise-source.js)
+     * @param {number|Array<number>} shape - Puntos espaciales (nx o [nx, ny] / [nx, ny, nz])
+     * @param {number} nt - Pasos temporales
+     * @param {number} hurst - Exponente de Hurst espacial
+     * @param {number} hurstExponent - Exponente de Hurst temporal
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @param {string|Object} spec - 'stream', { type: 'stream', memory }, 'field' o una fuente con next(out)
+     * @returns {Object} Fuente con next(out)
+     */
+    createNoiseSource(shape, nt, hurst = 0.5, hurstExponent = 0.5, rng = this.rng, spec = 'stream') {
+        return MFSUSolver.engine.createNoiseSource(shape, nt, hurst, hurstExponent, rng, spec);
+    }
+
+    /**
+     * Coordenadas físicas de los puntos de una malla uniforme en orden C
+     * @param {Array<number>} shape - Puntos por eje
+     * @param {Object} grid - Descriptor de spatial-grid.js (por defecto [0, 1]^d)
+     * @returns {Array} x por punto en 1D; [x, y] o [x, y, z] en 2D/3D
+     */
+    gridCoordinates(shape, grid = MFSUSolver.spatialGrid.create(shape)) {
+        return MFSUSolver.spatialGrid.coordinates(grid);
     }
 
     /**
      * Genera números aleatorios con distribución gaussiana
+     * (Box-Muller; el valor de reserva forma parte del estado del generador)
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
      * @returns {number} Número aleatorio gaussiano
      */
-    gaussianRandom() {
-        // Método Box-Muller
-        if (this.hasSpareGaussian) {
-            this.hasSpareGaussian = false;
-            return this.spareGaussian;
-        }
+    gaussianRandom(rng = this.rng) {
+        return rng.gaussian();
+    }
+
+    /**
+     * Genera condiciones iniciales
+     * Un nombre registrado (registerInitialCondition) se evalúa punto a punto; los perfiles
+     * predefinidos usan coordenadas normalizadas (x - x0)/L, de modo que escalan con el dominio,
+     * y en 2D/3D son radiales respecto al centro con ondas producto por eje.
+     * Una expresión de math.js o una función (x, t) se evalúa en las coordenadas físicas con t = 0
+     * @param {number|Array<number>} shape - Puntos espaciales (nx o [nx, ny] / [nx, ny, nz])
+     * @param {string|Function} type - Condición inicial registrada, expresión o función
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @param {Object} grid - Descriptor de la malla (por defecto [0, 1]^d)
+     * @returns {Array} Condición inicial (aplanada en orden C)
+     */
+    generateInitialCondition(shape, type = 'fractal', rng = this.rng, grid = null) {
+        const dims = Array.isArray(shape) ? shape : [shape];
+        const domain = grid || MFSUSolver.spatialGrid.create(dims);
+        const initial = MFSUSolver.lookup(MFSUSolver.initialConditions, type);
         
-        this.hasSpareGaussian = true;
-        const u = Math.random();
-        const v = Math.random();
-        const mag = Math.sqrt(-2 * Math.log(u));
+        if (!initial) {
+            const values = MFSUSolver.userFunctions.sample(type, this.gridCoordinates(dims, domain));
+            if (values.some(value => typeof value !== 'number')) {
+                throw new Error(`La condición inicial '${type}' toma valores complejos; use complex: true`);
+            }
+            return values;
+        }
         
-        this.spareGaussian = mag * Math.cos(2 * Math.PI * v);
-        return mag * Math.sin(2 * Math.PI * v);
+        const spatialGrid = MFSUSolver.spatialGrid;
+        return this.gridCoordinates(dims, domain).map(x => initial(x, {
+            xi: spatialGrid.normalize(domain, x),
+            grid: domain,
+            rng: rng
+        }));
     }
 
     /**
-     * Genera condiciones iniciales con estructura fractal
-     * @param {number} nx - Número de puntos espaciales
-     * @param {string} type - Tipo de condición inicial
-     * @returns {Array} Condición inicial
+     * Condición inicial compleja: perfil de generateInitialCondition con una portadora
+     * exp(2πi·wavenumber·x) a lo largo del primer eje. Una expresión o función da ψ₀ completo
+     * (p. ej. "exp(-(x-0.5)^2/0.01) * exp(i*20*x)") y no lleva portadora
+     * @param {number|Array<number>} shape - Puntos espaciales (nx o [nx, ny] / [nx, ny, nz])
+     * @param {string|Function} type - Tipo de perfil, expresión o función
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @param {number} wavenumber - Número de longitudes de onda en el dominio
+     * @param {Object} grid - Descriptor de la malla (por defecto [0, 1]^d)
+     * @returns {Array} [Re ψ, Im ψ] concatenados
      */
-    generateInitialCondition(nx, type = 'fractal') {
-        const psi = new Array(nx);
-        const dx = 1.0 / nx;
+    generateComplexInitialCondition(shape, type = 'fractal', rng = this.rng, wavenumber = 1, grid = null) {
+        const dims = Array.isArray(shape) ? shape : [shape];
+        const domain = grid || MFSUSolver.spatialGrid.create(dims);
         
-        switch (type) {
-            case 'fractal':
-                for (let i = 0; i < nx; i++) {
-                    const x = i * dx;
-                    // Estructura fractal con múltiples escalas
-                    psi[i] = 0.1 * Math.sin(2 * Math.PI * x) * Math.exp(-Math.pow(x - 0.5, 2) / 0.1) +
-                             0.05 * Math.sin(8 * Math.PI * x) * Math.exp(-Math.pow(x - 0.3, 2) / 0.05) +
-                             0.02 * (this.gaussianRandom());
-                }
-                break;
-                
-            case 'gaussian':
-                for (let i = 0; i < nx; i++) {
-                    const x = i * dx;
-                    psi[i] = Math.exp(-Math.pow(x - 0.5, 2) / 0.1) + 0.01 * this.gaussianRandom();
-                }
-                break;
-                
-            case 'soliton':
-                for (let i = 0; i < nx; i++) {
-                    const x = i * dx;
-                    psi[i] = 1.0 / Math.cosh(10 * (x - 0.5)) + 0.01 * this.gaussianRandom();
-                }
-                break;
-                
-            default:
-                for (let i = 0; i < nx; i++) {
-                    psi[i] = this.gaussianRandom() * 0.1;
-                }
+        if (!MFSUSolver.lookup(MFSUSolver.initialConditions, type)) {
+            const values = MFSUSolver.userFunctions.sample(type, this.gridCoordinates(dims, domain));
+            return values.map(value => typeof value === 'number' ? value : value.re)
+                .concat(values.map(value => typeof value === 'number' ? 0 : value.im));
         }
         
-        return psi;
+        const profile = this.generateInitialCondition(dims, type, rng, domain);
+        const spatialGrid = MFSUSolver.spatialGrid;
+        const points = this.gridCoordinates(dims, domain).map(x => spatialGrid.normalize(domain, x));
+        const phase = points.map(x => 2 * Math.PI * wavenumber * (Array.isArray(x) ? x[0] : x));
+        
+        return profile.map((value, i) => value * Math.cos(phase[i]))
+            .concat(profile.map((value, i) => value * Math.sin(phase[i])));
     }
 
     /**
      * Función de forzamiento f(x,t)
-     * @param {number} x - Posición espacial
+     * @param {number|Array<number>} x - Posición espacial física (x o [x, y] / [x, y, z])
      * @param {number} t - Tiempo
-     * @param {string} type - Tipo de forzamiento
-     * @returns {number} Valor del forzamiento
+     * @param {string|Function} type - Forzamiento registrado, expresión de math.js o función (x, t)
+     * @param {Object} grid - Descriptor de la malla; los perfiles se evalúan en (x - x0)/L
+     * @returns {number|Object} Valor del forzamiento ({ re, im } si es complejo)
      */
-    forcingFunction(x, t, type = 'none') {
-        switch (type) {
-            case 'periodic':
-                return 0.01 * Math.sin(2 * Math.PI * t) * Math.exp(-Math.pow(x - 0.5, 2) / 0.1);
-                
-            case 'pulse':
-                const width = 0.05;
-                const center = 0.5;
-                return (t < 1.0) ? Math.exp(-Math.pow(x - center, 2) / width) : 0;
-                
-            case 'none':
-            default:
-                return 0;
+    forcingFunction(x, t, type = 'none', grid = null) {
+        return this.compileForcing(type, grid, Array.isArray(x) ? x.length : 1)(x, t);
+    }
+
+    /**
+     * Forzamiento f(x, t) listo para evaluar en cada paso (las expresiones se compilan una vez)
+     * @param {string|Function} type - Forzamiento registrado, expresión o función
+     * @param {Object} grid - Descriptor de la malla
+     * @param {number} dimensions - Ejes de x cuando no hay descriptor de malla
+     * @returns {Function} (x, t) => valor
+     */
+    compileForcing(type = 'none', grid = null, dimensions = 1) {
+        const forcing = MFSUSolver.lookup(MFSUSolver.forcings, type);
+        if (!forcing) {
+            return MFSUSolver.userFunctions.compile(type, grid ? grid.dimensions : dimensions);
         }
+        // Un único contexto reutilizado en todas las llamadas (el getter hace require en Node.js)
+        const spatialGrid = MFSUSolver.spatialGrid;
+        const context = { xi: 0, grid: grid };
+        return (x, t) => {
+            context.xi = grid ? spatialGrid.normalize(grid, x) : x;
+            return forcing(x, t, context);
+        };
     }
 
     /**
@@ -203,70 +537,360 @@ class MFSUSolver {
      * @param {Object} params - Parámetros de la ecuación
      * @param {number} nx - Puntos espaciales
      * @param {number} nt - Pasos temporales
-     * @param {Object} options - Opciones adicionales
-     * @returns {Object} Resultado de la simulación
+     * @param {Object} options - Opciones adicionales (method: 'euler' | 'rk4' | 'ab' | 'backward_euler' |
+     *                            'imex' | 'etdrk4' | 'bs23' | 'rk45' para la deriva; stochasticScheme:
+     *                            'euler_maruyama' | 'milstein' e interpretation: 'ito' | 'stratonovich'
+     *                            para β·ψ·dW; adaptive: { rtol, atol, dtMin, dtMax ≤ dt } para subpasos
+     *                            adaptativos de la deriva con un par encajado dentro de cada dt;
+     *                            shape: [nx, ny] o [nx, ny, nz] para mallas 2D/3D sobre [0, 1]^d,
+     *                            con ψ aplanado en orden C y operador 'spectral'; complex: true
+     *                            para ψ ∈ ℂ guardado como [Re ψ, Im ψ], con portadora
+     *                            exp(2πi·wavenumber·x) en la condición inicial; boundary: 'periodic' |
+     *                            'dirichlet' | 'neumann' | 'absorbing', con boundaryValue (número, par
+     *                            [izquierda, derecha] o función de t) como valor exterior g o flujo
+     *                            normal q, y absorbingLayer: { width, strength } para la esponja;
+     *                            initialCondition y forcingType: nombre registrado, expresión de
+     *                            math.js en x (y, z) y t, o función (x, t) con x físico;
+     *                            initialState: ψ₀ ya muestreado (N valores, 2N si complex) en lugar
+     *                            de initialCondition, sin consumir números aleatorios;
+     *                            domain: [x0, x1] (o un par por eje) o grid: descriptor de
+     *                            spatial-grid.js, por defecto [domainOrigin, domainOrigin + domainSize]);
+     *                            noise: 'stream' (por defecto, una fila por paso con memory filas de
+     *                            historia), { type: 'stream', memory }, 'field' (matriz [nt][N]
+     *                            exacta precalculada) o una fuente propia con next(out);
+     *                            checkpoint: { interval, onCheckpoint(punto), store, key } para
+     *                            emitir cada interval pasos un punto de control (ψ, paso, memoria
+     *                            del integrador, estado del generador y del ruido, evolución y
+     *                            diagnósticos acumulados) que resumeFrom() continúa; con store
+     *                            (CheckpointStore) se guarda además bajo key ('mfsu');
+     *                            onStep(estado) tras cada paso y onSave(entrada, estado) tras
+     *                            guardar cada instante de evolution, con estado = { step, time,
+     *                            dt, psi, previous } (ψ y ψ anterior son buffers del núcleo: no
+     *                            guardarlos sin copiar); stopWhen: { maxAmplitude, steadyState }
+     *                            o función (estado) → motivo para terminar antes de nt;
+     *                            signal: AbortSignal que detiene la simulación tras el paso en curso
+     * @returns {Object} Resultado de la simulación, con terminationReason: 'completed', 'aborted',
+     *                   'blowUp', 'steadyState' o el motivo devuelto por stopWhen; metadata.totalTime
+     *                   y metadata.boundaryValues corresponden al tiempo alcanzado (stepsCompleted·dt)
      */
     solve(params = {}, nx = 64, nt = 1000, options = {}) {
+        const steps = this.solveSteps(params, nx, nt, options);
+        let step = steps.next();
+        while (!step.done) {
+            step = steps.next();
+        }
+        return step.value;
+    }
+
+    /**
+     * solve() sin bloquear el hilo: cede el control al bucle de eventos cada YIELD_INTERVAL ms,
+     * de modo que un AbortController de la interfaz puede cancelar con options.signal
+     * @param {Object} params - Parámetros de la ecuación
+     * @param {number} nx - Puntos espaciales
+     * @param {number} nt - Pasos temporales
+     * @param {Object} options - Opciones de solve()
+     * @returns {Promise<Object>} Resultado de solve(); terminationReason 'aborted' si se cancela
+     */
+    async solveAsync(params = {}, nx = 64, nt = 1000, options = {}) {
+        const steps = this.solveSteps(params, nx, nt, options);
+        let last = Date.now();
+        let step = steps.next();
+        while (!step.done) {
+            if (Date.now() - last >= MFSUSolver.YIELD_INTERVAL) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                last = Date.now();
+            }
+            step = steps.next();
+        }
+        return step.value;
+    }
+
+    /**
+     * Núcleo de solve() como generador: produce el número de pasos completados tras cada paso
+     * y devuelve el resultado
+     * @param {Object} params - Parámetros de la ecuación
+     * @param {number} nx - Puntos espaciales
+     * @param {number} nt - Pasos temporales
+     * @param {Object} options - Opciones de solve()
+     */
+    *solveSteps(params = {}, nx = 64, nt = 1000, options = {}) {
         const config = { ...this.params, ...params };
-        const { alpha, beta, gamma, fractalDim, dt, hurst } = config;
+        const { alpha, beta, gamma, fractalDim, dt, hurst, hurstExponent } = config;
         
-        const dx = 1.0 / nx;
+        // Malla: nx en 1D o options.shape en 2D/3D (espaciado por eje en ese caso)
+        const shape = options.grid ? options.grid.shape : options.shape || [nx];
+        if (shape.length < 1 || shape.length > 3 || !shape.every(n => Number.isInteger(n) && n > 0)) {
+            throw new Error(`Malla no soportada: [${shape.join(', ')}] (se esperan 1 a 3 ejes enteros positivos)`);
+        }
+        const grid = options.grid || MFSUSolver.spatialGrid.create(shape, options.domain ?
+            { domain: options.domain } : { origin: config.domainOrigin, length: config.domainSize });
+        const size = grid.size;
+        const dx = shape.length === 1 ? grid.spacing[0] : grid.spacing;
         const initialType = options.initialCondition || 'fractal';
         const forcingType = options.forcingType || 'none';
+        const forcingAt = this.compileForcing(forcingType, grid);
         const saveInterval = options.saveInterval || 10;
+        const adaptive = options.adaptive || null;
+        const method = options.method || (adaptive ? 'bs23' : 'euler');
+        const integrators = MFSUSolver.timeIntegrators;
+        const integrator = integrators.get(method);
+        const complex = options.complex === true;
+        // Los integradores con splitting, las mallas 2D/3D y ψ complejo usan el operador espectral por defecto
+        const operator = options.operator ||
+            (integrator.splitting || shape.length > 1 || complex ? 'spectral' : 'finiteDifference');
+        const boundary = options.boundary || 'periodic';
+        const boundaries = MFSUSolver.boundaryConditions;
+        const stochasticScheme = options.stochasticScheme || 'euler_maruyama';
+        const interpretation = options.interpretation || 'ito';
+
+        // |Δψ|^(∂/2)·sign(Δψ) no es diferenciable en Δψ = 0: Newton no converge
+        if (integrator.implicit && operator === 'finiteDifference' && fractalDim < 2) {
+            throw new Error(`El integrador implícito '${method}' requiere un operador lineal ('spectral' o 'riesz') para ∂ < 2`);
+        }
+
+        boundaries.validate(boundary);
+
+        if (integrator.splitting && (operator !== 'spectral' || boundaries.operatorBoundary(boundary) !== 'periodic')) {
+            throw new Error(`El integrador '${method}' requiere operator 'spectral' y frontera periódica`);
+        }
+
+        // |Δψ|^(∂/2)·sign(Δψ) no está definido para ψ complejo
+        if (complex && operator === 'finiteDifference') {
+            throw new Error(`El operador 'finiteDifference' no es lineal y no admite ψ complejo; use 'spectral' o 'riesz'`);
+        }
+
+        if (adaptive && !integrator.embedded) {
+            throw new Error(`El paso adaptativo requiere un par encajado ('bs23' o 'rk45'), no '${method}'`);
+        }
+
+        // dt es el intervalo del ruido; el controlador subdivide la deriva dentro de cada intervalo
+        // (dtMax ≤ dt: nunca da pasos mayores que los de paso fijo).
+        // rtol/atol y el máximo de subpasos por intervalo vienen de Config.DEFAULT_PARAMS
+        const defaults = MFSUSolver.config.DEFAULT_PARAMS;
+        const controller = adaptive ? integrators.createController({
+            rtol: defaults.tolerance,
+            atol: defaults.tolerance,
+            maxSteps: defaults.maxIterations,
+            ...adaptive
+        }, dt) : null;
         
-        // Condiciones iniciales
-        let psi = this.generateInitialCondition(nx, initialType);
+        // Reanudación desde un punto de control (resumeFrom): ψ guardado y generador en el estado
+        // previo al ruido, para reconstruir la misma fuente
+        const restart = options.restart || null;
+        const checkpoint = options.checkpoint || null;
+        if (checkpoint && !(Number.isInteger(checkpoint.interval) && checkpoint.interval > 0)) {
+            throw new Error(`Intervalo de puntos de control no válido: ${checkpoint.interval} (se espera un entero > 0)`);
+        }
         
-        // Generar ruido de Hurst
-        const hurstNoise = this.generateHurstNoise(nx, nt, hurst);
+        // Generador de esta ejecución: inyectado, sembrado o el del solver
+        const seededRandom = MFSUSolver.seededRandom;
+        const rng = restart ? seededRandom.fromState(restart.noiseRngState) : options.rng ||
+            (options.seed !== undefined ? new seededRandom(options.seed) : this.rng);
+        const rngState = restart ? restart.rngState : rng.getState();
         
-        // Almacenar evolución
-        const evolution = [];
-        const diagnostics = {
-            energy: [],
-            momentum: [],
-            mass: [],
-            maxAmplitude: [],
-            l2Norm: []
-        };
+        // Condiciones iniciales en el núcleo Float64Array con doble buffer: cada paso escribe
+        // ψ_{n+1} en next y se intercambian; operadores, integradores e incremento estocástico
+        // escriben en buffers reservados una vez por ejecución
+        let psi = Float64Array.from(restart ? restart.psi : options.initialState || (complex ?
+            this.generateComplexInitialCondition(shape, initialType, rng, options.wavenumber, grid) :
+            this.generateInitialCondition(shape, initialType, rng, grid)));
+        if (psi.length !== (complex ? 2 * size : size)) {
+            throw new Error(`initialState tiene ${psi.length} valores; se esperan ${complex ? 2 * size : size}`);
+        }
+        let next = new Float64Array(psi.length);
+        const increment = new Float64Array(psi.length);
+        const noise = new Float64Array(psi.length);
+        const fractalTerm = new Float64Array(psi.length);
+        const workspace = {};
         
-        // Evolución temporal
-        for (let t = 0; t < nt; t++) {
-            const currentTime = t * dt;
-            
-            // Calcular términos de la ecuación
-            const fractalTerm = this.fractionalLaplacian(psi, dx, fractalDim);
-            const psiNew = new Array(nx);
+        // Ruido de Hurst: una fila por paso, sin materializar la matriz [nt][N]
+        const noiseRngState = rng.getState();
+        const noiseSource = this.createNoiseSource(shape, nt, hurst, hurstExponent, rng, options.noise);
+        if (restart) {
+            if (restart.noise && noiseSource.setState) {
+                noiseSource.setState(restart.noise);
+            }
+            rng.setState(restart.streamState);
+        }
+        const points = this.gridCoordinates(shape, grid);
+        
+        // Valores de frontera g(t) o q(t) y capa absorbente σ(x) (nula salvo con 'absorbing')
+        const boundaryValues = (time) => boundaries.values(options.boundaryValue, time);
+        const absorbingLayer = boundary === 'absorbing' ? { width: 0.1, strength: 20, ...options.absorbingLayer } : null;
+        const spatialGrid = MFSUSolver.spatialGrid;
+        const absorption = absorbingLayer ?
+            boundaries.absorption(points.map(x => spatialGrid.normalize(grid, x)), absorbingLayer) :
+            { sigma: new Array(size).fill(0), side: new Array(size).fill(0) };
+        
+        // Almacenar evolución (la acumulada hasta el punto de control al reanudar)
+        const evolution = restart ? restart.evolution.slice() : [];
+        const diagnostics = {};
+        MFSUSolver.listDiagnostics().forEach(name => {
+            diagnostics[name] = restart && restart.diagnostics[name] ? restart.diagnostics[name].slice() : [];
+        });
+        
+        // Términos explícitos de la deriva N(ψ, t); el ruido se integra aparte
+        const reaction = (state, time, rate = new Float64Array(state.length)) => {
+            const values = absorbingLayer ? boundaryValues(time) : null;
             
-            for (let i = 0; i < nx; i++) {
-                const x = i * dx;
+            for (let i = 0; i < size; i++) {
+                const x = points[i];
                 
-                // Término de difusión fractal
-                const diffusion = alpha * fractalTerm[i];
+                // Término de forzamiento (complejo solo con expresiones o funciones del usuario)
+                const forcing = forcingAt(x, time);
                 
-                // Término estocástico
-                const stochastic = beta * hurstNoise[t][i] * psi[i];
-                
-                // Término no-lineal
-                const nonlinear = -gamma * Math.pow(psi[i], 3);
-                
-                // Término de forzamiento
-                const forcing = this.forcingFunction(x, currentTime, forcingType);
+                if (complex) {
+                    // Término no-lineal -γ|ψ|²ψ
+                    const density = state[i] * state[i] + state[size + i] * state[size + i];
+                    const real = typeof forcing === 'number';
+                    rate[i] = -gamma * density * state[i] + (real ? forcing : forcing.re);
+                    rate[size + i] = -gamma * density * state[size + i] + (real ? 0 : forcing.im);
+                } else {
+                    if (typeof forcing !== 'number') {
+                        throw new Error(`El forzamiento '${forcingType}' toma valores complejos; use complex: true`);
+                    }
+                    
+                    // Término no-lineal
+                    const nonlinear = -gamma * Math.pow(state[i], 3);
+                    
+                    rate[i] = nonlinear + forcing;
+                }
                 
-                // Integración temporal (Euler)
-                psiNew[i] = psi[i] + dt * (diffusion + stochastic + nonlinear + forcing);
+                // Esponja -σ(x)·(ψ - g(t)) hacia el valor exterior del borde más cercano
+                if (absorbingLayer && absorption.sigma[i] > 0) {
+                    rate[i] -= absorption.sigma[i] * (state[i] - values[absorption.side[i]]);
+                    if (complex) {
+                        rate[size + i] -= absorption.sigma[i] * state[size + i];
+                    }
+                }
+            }
+            
+            return rate;
+        };
+        
+        // El operador es real y lineal: en modo complejo actúa sobre Re ψ e Im ψ por separado
+        // (los valores de frontera son reales: Im ψ tiene frontera homogénea); escribe en fractalTerm
+        const fractional = (state, values) => {
+            if (!complex) {
+                return this.applyFractionalOperator(state, dx, fractalDim, operator, boundary, shape, values, fractalTerm, workspace);
+            }
+            // Vistas sin copia (Newton–Krylov puede pasar arrays normales)
+            const field = state instanceof Float64Array ? state : Float64Array.from(state);
+            this.applyFractionalOperator(field.subarray(0, size), dx, fractalDim, operator, boundary, shape, values,
+                fractalTerm.subarray(0, size), workspace);
+            this.applyFractionalOperator(field.subarray(size), dx, fractalDim, operator, boundary, shape, [0, 0],
+                fractalTerm.subarray(size), workspace);
+            return fractalTerm;
+        };
+        
+        // Deriva completa F(ψ, t) = α(-Δ)^(∂/2)ψ + N(ψ, t), escrita en out si se da
+        const rhs = (state, time, out) => {
+            const fractalTerm = fractional(state, boundaryValues(time));
+            const rate = reaction(state, time, out);
+            
+            // Término de difusión fractal
+            for (let i = 0; i < state.length; i++) {
+                rate[i] += alpha * fractalTerm[i];
+            }
+            
+            return rate;
+        };
+        
+        const split = integrator.splitting ?
+            {
+                linear: this.spectralSymbol(shape, dx, alpha, fractalDim),
+                nonlinear: reaction,
+                shape: shape,
+                complex: complex
+            } : null;
+        const integratorState = integrator.createState ? integrator.createState(options, split) : {};
+        if (restart) {
+            integrators.restoreState(integrator, integratorState, restart.integrator);
+            if (controller) {
+                integrators.restoreController(controller, restart.controller);
+            }
+        }
+        
+        // Punto de control tras completar step pasos: todo lo necesario para continuar igual
+        const saveCheckpoint = (step) => {
+            const saved = {
+                version: MFSUSolver.CHECKPOINT_VERSION,
+                params: config,
+                nx: nx,
+                nt: nt,
+                ...MFSUSolver.checkpointOptions(options),
+                step: step,
+                time: step * dt,
+                psi: Array.from(psi),
+                rngState: rngState,
+                noiseRngState: noiseRngState,
+                streamState: rng.getState(),
+                noise: noiseSource.getState ? noiseSource.getState() : null,
+                integrator: integrators.saveState(integrator, integratorState),
+                controller: controller ? integrators.saveController(controller) : null,
+                evolution: evolution.slice(),
+                diagnostics: Object.fromEntries(Object.entries(diagnostics).map(([name, values]) => [name, values.slice()]))
+            };
+            if (checkpoint.onCheckpoint) {
+                checkpoint.onCheckpoint(saved);
+            }
+            if (checkpoint.store) {
+                checkpoint.store.save(checkpoint.key || 'mfsu', saved).catch(error => {
+                    console.warn(`No se pudo guardar el punto de control del paso ${step}: ${error.message}`);
+                });
+            }
+        };
+        
+        // Ganchos por paso y condiciones de parada
+        const { onStep, onSave, signal } = options;
+        const stopWhen = MFSUSolver.compileStopCondition(options.stopWhen, complex);
+        const state = { step: 0, time: 0, dt: dt, psi: psi, previous: next };
+        let terminationReason = 'completed';
+        let completed = restart ? restart.step : 0;
+        
+        // Evolución temporal
+        for (let t = completed; t < nt; t++) {
+            if (signal && signal.aborted) {
+                terminationReason = 'aborted';
+                break;
             }
+            const currentTime = t * dt;
             
-            psi = psiNew;
+            // Deriva con el método elegido más el incremento estocástico β·ψ_n·ΔW
+            // (ξ_H es real: multiplica por igual a Re ψ e Im ψ)
+            // (la deriva puede ser next o un array propio del integrador)
+            const drift = controller ?
+                integrators.adaptiveAdvance(psi, currentTime, dt, rhs, integrator, controller) :
+                integrator.step(psi, currentTime, dt, rhs, integratorState, next);
+            if (complex) {
+                noiseSource.next(noise.subarray(0, size));
+                noise.copyWithin(size, 0, size);
+            } else {
+                noiseSource.next(noise);
+            }
+            integrators.stochasticIncrement(psi, noise, beta, dt, {
+                scheme: stochasticScheme,
+                interpretation: interpretation,
+                hurstExponent: hurstExponent
+            }, increment);
+            for (let i = 0; i < next.length; i++) {
+                next[i] = drift[i] + increment[i];
+            }
+            [psi, next] = [next, psi];
             
-            // Guardar diagnósticos
+            // Guardar diagnósticos sobre una copia en array normal (la salida no usa typed arrays)
             if (t % saveInterval === 0) {
-                const diagnosticData = this.calculateDiagnostics(psi, dx);
+                const snapshot = Array.from(psi);
+                const diagnosticData = this.calculateDiagnostics(snapshot, dx, shape, complex, {
+                    type: boundary,
+                    values: boundaryValues(currentTime + dt),
+                    sigma: absorption.sigma
+                });
                 
                 evolution.push({
                     time: currentTime,
-                    psi: [...psi],
+                    psi: snapshot,
+                    ...(complex ? { modulus: this.complexModulus(snapshot), phase: this.complexPhase(snapshot) } : {}),
                     ...diagnosticData
                 });
                 
@@ -276,72 +900,321 @@ class MFSUSolver {
                     }
                 });
             }
+            
+            // Tras el intercambio, next guarda ψ_n
+            completed = t + 1;
+            state.step = completed;
+            state.time = completed * dt;
+            state.psi = psi;
+            state.previous = next;
+            if (onStep) {
+                onStep(state);
+            }
+            if (onSave && t % saveInterval === 0) {
+                onSave(evolution[evolution.length - 1], state);
+            }
+            const reason = stopWhen ? stopWhen(state) : null;
+            if (reason) {
+                terminationReason = reason;
+                break;
+            }
+            
+            if (checkpoint && completed % checkpoint.interval === 0 && completed < nt) {
+                saveCheckpoint(completed);
+            }
+            yield completed;
         }
         
+        // Coordenadas físicas para etiquetar la salida (una lista por eje en 2D/3D)
+        const axes = spatialGrid.axes(grid);
+        
         return {
-            finalPsi: psi,
+            finalPsi: Array.from(psi),
+            x: shape.length === 1 ? axes[0] : axes,
             evolution: evolution,
             diagnostics: diagnostics,
             parameters: config,
+            terminationReason: terminationReason,
             metadata: {
-                nx: nx,
+                nx: shape[0],
+                shape: shape,
+                grid: grid,
+                complex: complex,
                 nt: nt,
+                stepsCompleted: completed,
                 dx: dx,
                 dt: dt,
-                totalTime: nt * dt
+                // Tiempo alcanzado: menor que nt·dt si la ejecución terminó antes (stopWhen, señal)
+                totalTime: completed * dt,
+                operator: operator,
+                boundary: boundary,
+                boundaryValues: boundaryValues(completed * dt),
+                initialCondition: options.initialState ? 'initialState' : MFSUSolver.describe(initialType),
+                forcingType: MFSUSolver.describe(forcingType),
+                diagnostics: Object.keys(diagnostics),
+                absorbingLayer: absorbingLayer,
+                method: method,
+                stochasticScheme: stochasticScheme,
+                interpretation: interpretation,
+                noise: noiseSource instanceof MFSUSolver.noiseSource ?
+                    { type: 'stream', memory: noiseSource.memory } :
+                    { type: options.noise === 'field' || (options.noise && options.noise.type === 'field') ? 'field' : 'custom' },
+                adaptive: controller ? {
+                    rtol: controller.rtol,
+                    atol: controller.atol,
+                    dtMin: controller.dtMin,
+                    dtMax: controller.dtMax,
+                    noiseInterval: controller.noiseInterval,
+                    acceptedSteps: controller.acceptedSteps,
+                    rejectedSteps: controller.rejectedSteps,
+                    dtHistory: controller.dtHistory,
+                    rejections: controller.rejections
+                } : null,
+                rngState: rngState
+            }
+        };
+    }
+
+    /**
+     * Continúa una simulación desde un punto de control de solve() (options.checkpoint) con el
+     * mismo resultado, bit a bit, que la ejecución sin interrumpir
+     * @param {Object} checkpoint - Punto de control (tal cual o tras JSON.parse(JSON.stringify(...)))
+     * @param {Object} options - Opciones no serializables de la ejecución original
+     *                           (checkpoint.requires) y, si se quiere, un nuevo checkpoint
+     * @returns {Object} Resultado de solve() completo, incluida la evolución anterior
+     */
+    resumeFrom(checkpoint, options = {}) {
+        if (!checkpoint || checkpoint.version !== MFSUSolver.CHECKPOINT_VERSION) {
+            throw new Error(`Punto de control no válido (versión ${checkpoint && checkpoint.version}, se esperaba ${MFSUSolver.CHECKPOINT_VERSION})`);
+        }
+        const missing = checkpoint.requires.filter(name => options[name] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`El punto de control necesita las opciones no serializables: ${missing.join(', ')}`);
+        }
+        return this.solve(checkpoint.params, checkpoint.nx, checkpoint.nt, {
+            ...checkpoint.options,
+            ...options,
+            restart: checkpoint
+        });
+    }
+
+    /**
+     * Conjunto Monte Carlo: realizaciones independientes del ruido con estadística punto a punto
+     * Todas parten del mismo ψ₀ (muestreado una vez de rng.fork('initial')) y la realización i
+     * usa el flujo rng.fork(i), así que cada una es reproducible sin importar el orden. Las
+     * realizaciones que divergen (ψ final no finito) se cuentan en diverged y no entran en la
+     * estadística. Los intervalos son de la media del conjunto (t de Student con n - 1 grados)
+     * @param {Object} params - Parámetros de la ecuación
+     * @param {number} nx - Puntos espaciales
+     * @param {number} nt - Pasos temporales
+     * @param {Object} options - Opciones de solve() más realizations (32 por defecto), seed o rng
+     *                           del conjunto y confidence del intervalo (0.95 por defecto)
+     * @returns {Object} { realizations, diverged, confidence, x, time, mean, variance, std, lower,
+     *                   upper (ψ final), diagnostics: { nombre: { mean, variance, std, lower,
+     *                   upper } por instante guardado }, metadata }
+     */
+    solveEnsemble(params = {}, nx = 64, nt = 1000, options = {}) {
+        const { realizations = 32, confidence = 0.95, seed, rng, ...solveOptions } = options;
+        if (!(Number.isInteger(realizations) && realizations >= 1)) {
+            throw new Error(`Número de realizaciones no válido: ${realizations} (se espera un entero ≥ 1)`);
+        }
+
+        const stream = rng || (seed !== undefined ? new (MFSUSolver.seededRandom)(seed) : this.rng);
+        const rngState = stream.getState();
+
+        // ψ₀ común: una ejecución sin pasos devuelve la condición inicial con la malla, el
+        // dominio y el modo complejo de las demás
+        const initialState = solveOptions.initialState || this.solve(params, nx, 0, {
+            ...solveOptions,
+            noise: 'stream',
+            rng: stream.fork('initial')
+        }).finalPsi;
+
+        const Statistics = MFSUSolver.ensembleStatistics;
+        const psiStats = new Statistics(initialState.length);
+        const diagnosticStats = {};
+        let reference = null;
+        let diverged = 0;
+
+        for (let i = 0; i < realizations; i++) {
+            const result = this.solve(params, nx, nt, {
+                ...solveOptions,
+                initialState: initialState,
+                rng: stream.fork(i)
+            });
+
+            if (!result.finalPsi.every(Number.isFinite)) {
+                diverged++;
+                continue;
+            }
+
+            // Solo los diagnósticos escalares (momentum es un vector por eje en 2D/3D)
+            if (!reference) {
+                reference = result;
+                Object.entries(result.diagnostics)
+                    .filter(([, values]) => values.every(value => typeof value === 'number'))
+                    .forEach(([name, values]) => { diagnosticStats[name] = new Statistics(values.length); });
+            }
+
+            psiStats.add(result.finalPsi);
+            Object.entries(diagnosticStats).forEach(([name, stats]) => stats.add(result.diagnostics[name]));
+        }
+
+        const diagnostics = {};
+        Object.entries(diagnosticStats).forEach(([name, stats]) => {
+            diagnostics[name] = stats.summary(confidence);
+        });
+
+        return {
+            realizations: psiStats.count,
+            diverged: diverged,
+            confidence: confidence,
+            x: reference ? reference.x : null,
+            time: reference ? reference.evolution.map(entry => entry.time) : [],
+            ...psiStats.summary(confidence),
+            diagnostics: diagnostics,
+            metadata: {
+                ...(reference ? reference.metadata : {}),
+                initialCondition: solveOptions.initialState ?
+                    'initialState' : MFSUSolver.describe(solveOptions.initialCondition || 'fractal'),
+                realizations: realizations,
+                rngState: rngState
             }
         };
     }
 
     /**
      * Calcula diagnósticos físicos de la solución
-     * @param {Array} psi - Función de onda
-     * @param {number} dx - Espaciado de malla
-     * @returns {Object} Diagnósticos calculados
+     * En 2D/3D las integrales usan el volumen de celda y el gradiente tiene una componente por eje.
+     * Con frontera Dirichlet o Neumann la última diferencia usa el punto fantasma; con capa
+     * absorbente las integrales se restringen a la región física (σ = 0).
+     * Los diagnósticos registrados (registerDiagnostic) se añaden con su nombre
+     * @param {Array} psi - Función de onda (aplanada en orden C; [Re ψ, Im ψ] si complex)
+     * @param {number|Array<number>} dx - Espaciado de malla (común o por eje)
+     * @param {Array<number>} shape - Puntos por eje; 1D por defecto
+     * @param {boolean} complex - ψ es complejo
+     * @param {Object} boundary - { type, values: [izquierda, derecha], sigma: σ por punto }
+     * @returns {Object} Diagnósticos calculados (momentum es un vector por eje en 2D/3D)
      */
-    calculateDiagnostics(psi, dx) {
-        const n = psi.length;
+    calculateDiagnostics(psi, dx, shape = [psi.length], complex = false, boundary = {}) {
+        const { type = 'periodic', values = [0, 0], sigma = null } = boundary;
+        const n = complex ? psi.length / 2 : psi.length;
+        const spacing = Array.isArray(dx) ? dx : shape.map(() => dx);
+        const volume = spacing.reduce((product, h) => product * h, 1);
+        const boundaries = MFSUSolver.boundaryConditions;
+        const physical = (i) => !sigma || sigma[i] === 0;
         
-        // Norma L2 (masa conservada)
-        const l2Norm = Math.sqrt(psi.reduce((sum, val) => sum + val * val, 0) * dx);
+        // Punto fantasma derecho de la frontera (en 2D/3D solo hay fronteras periódicas)
+        const operatorBoundary = boundaries.operatorBoundary(type);
+        const ghost = operatorBoundary === 'periodic' ? null : [
+            boundaries.ghosts(psi.slice(0, n), spacing[0], operatorBoundary, values)[1],
+            complex ? boundaries.ghosts(psi.slice(n), spacing[0], operatorBoundary, [0, 0])[1] : 0
+        ];
         
-        // Amplitud máxima
-        const maxAmplitude = Math.max(...psi.map(Math.abs));
+        // Saltos entre vecinos de cada eje en el array plano (último eje contiguo)
+        const strides = new Array(shape.length);
+        for (let d = shape.length - 1, stride = 1; d >= 0; d--) {
+            strides[d] = stride;
+            stride *= shape[d];
+        }
         
-        // Energía total
-        let energy = 0;
+        // Densidad |ψ|² (nula en la capa absorbente)
+        const density = new Array(n);
         for (let i = 0; i < n; i++) {
-            const nextI = (i + 1) % n;
-            const grad = (psi[nextI] - psi[i]) / dx;
-            const kinetic = 0.5 * grad * grad;
-            const potential = 0.25 * Math.pow(psi[i], 4);
-            energy += (kinetic + potential) * dx;
+            density[i] = !physical(i) ? 0 :
+                complex ? psi[i] * psi[i] + psi[n + i] * psi[n + i] : psi[i] * psi[i];
         }
         
-        // Momento (para soluciones complejas, aquí simplificado)
-        let momentum = 0;
+        // Norma L2 (masa conservada)
+        const l2Norm = Math.sqrt(density.reduce((sum, val) => sum + val, 0) * volume);
+        
+        // Amplitud máxima
+        const maxAmplitude = Math.sqrt(density.reduce((max, val) => Math.max(max, val), 0));
+        
+        // Energía total y momento con diferencias adelantadas en cada eje (punto fantasma al final).
+        // Para ψ complejo el momento es Im∫ψ*∇ψ; para ψ real se usa ∫ψ∇ψ (simplificado)
+        let energy = 0;
+        const momentum = new Array(shape.length).fill(0);
         for (let i = 0; i < n; i++) {
-            const nextI = (i + 1) % n;
-            const grad = (psi[nextI] - psi[i]) / dx;
-            momentum += psi[i] * grad * dx;
+            if (!physical(i)) continue;
+            let gradSquared = 0;
+            
+            for (let d = 0; d < shape.length; d++) {
+                const coordinate = Math.floor(i / strides[d]) % shape[d];
+                const last = coordinate + 1 === shape[d];
+                const nextI = last ? i - coordinate * strides[d] : i + strides[d];
+                const next = last && ghost ? ghost[0] : psi[nextI];
+                const grad = (next - psi[i]) / spacing[d];
+                
+                if (complex) {
+                    const nextIm = last && ghost ? ghost[1] : psi[n + nextI];
+                    const gradIm = (nextIm - psi[n + i]) / spacing[d];
+                    gradSquared += grad * grad + gradIm * gradIm;
+                    momentum[d] += (psi[i] * gradIm - psi[n + i] * grad) * volume;
+                } else {
+                    gradSquared += grad * grad;
+                    momentum[d] += psi[i] * grad * volume;
+                }
+            }
+            
+            const kinetic = 0.5 * gradSquared;
+            const potential = 0.25 * density[i] * density[i];
+            energy += (kinetic + potential) * volume;
         }
         
-        return {
+        const result = {
             energy: energy,
-            momentum: momentum,
+            momentum: shape.length === 1 ? momentum[0] : momentum,
             mass: l2Norm,
             maxAmplitude: maxAmplitude,
             l2Norm: l2Norm
         };
+        
+        Object.keys(MFSUSolver.diagnostics).forEach(name => {
+            result[name] = MFSUSolver.diagnostics[name](psi, {
+                dx: dx,
+                shape: shape,
+                complex: complex,
+                boundary: { type, values, sigma }
+            });
+        });
+        
+        return result;
+    }
+
+    /**
+     * Módulo |ψ| de un campo complejo
+     * @param {Array} psi - [Re ψ, Im ψ] concatenados
+     * @returns {Array} |ψ| por punto
+     */
+    complexModulus(psi) {
+        const n = psi.length / 2;
+        return Array.from({ length: n }, (_, i) => Math.hypot(psi[i], psi[n + i]));
+    }
+
+    /**
+     * Fase arg(ψ) ∈ (-π, π] de un campo complejo
+     * @param {Array} psi - [Re ψ, Im ψ] concatenados
+     * @returns {Array} Fase por punto
+     */
+    complexPhase(psi) {
+        const n = psi.length / 2;
+        return Array.from({ length: n }, (_, i) => Math.atan2(psi[n + i], psi[i]));
     }
 
     /**
      * Análisis de convergencia espacial
+     * Los errores se miden frente a la malla más fina; con tres mallas o más, la norma ‖ψ‖₂
+     * final de todas ellas da además el orden observado, el valor extrapolado de Richardson y
+     * el GCI de Roache (ver grid-convergence.js). Con options.shape de 2 o 3 ejes, cada tamaño
+     * es el número de puntos por eje (solo cuenta el número de ejes de shape)
      * @param {Object} params - Parámetros de la ecuación
-     * @param {Array} meshSizes - Tamaños de malla a probar
-     * @returns {Object} Datos de convergencia
+     * @param {Array} meshSizes - Tamaños de malla a probar (crecientes)
+     * @param {Object} options - Opciones de solve() (p. ej. operator o shape)
+     * @returns {Object} { data, order, referenceSolution,
+     *                     gridConvergence: { quantity: 'l2Norm', ... } o null con dos mallas }
      */
-    analyzeConvergence(params = {}, meshSizes = [16, 32, 64, 128]) {
+    analyzeConvergence(params = {}, meshSizes = [16, 32, 64, 128], options = {}) {
         const nt = 1000;
         const convergenceData = [];
         const solutions = [];
@@ -349,7 +1222,9 @@ class MFSUSolver {
         // Resolver para cada tamaño de malla
         for (let i = 0; i < meshSizes.length; i++) {
             const nx = meshSizes[i];
-            const result = this.solve(params, nx, nt);
+            const meshOptions = options.shape && options.shape.length > 1 ?
+                { ...options, shape: options.shape.map(() => nx) } : options;
+            const result = this.solve(params, nx, nt, meshOptions);
             solutions.push(result);
         }
         
@@ -360,7 +1235,13 @@ class MFSUSolver {
             const coarseSolution = solutions[i];
             const error = this.calculateL2Error(
                 coarseSolution.finalPsi,
-                referenceSolution.finalPsi
+                referenceSolution.finalPsi,
+                {
+                    type: referenceSolution.metadata.boundary,
+                    values: referenceSolution.metadata.boundaryValues,
+                    length: referenceSolution.metadata.grid.length[0]
+                },
+                [coarseSolution.metadata.shape, referenceSolution.metadata.shape]
             );
             
             convergenceData.push({
@@ -374,23 +1255,43 @@ class MFSUSolver {
         // Calcular orden de convergencia
         const convergenceOrder = this.calculateConvergenceOrder(convergenceData);
         
+        // Richardson y GCI sobre ‖ψ‖₂ final, incluida la malla de referencia: Σ|ψ|² por el volumen
+        // de celda (dx es un espaciado por eje en 2D/3D); sin diferencias, no depende de la frontera
+        const norms = solutions.map(({ finalPsi, metadata }) => {
+            const cellVolume = metadata.grid.spacing.reduce((a, b) => a * b);
+            return Math.sqrt(finalPsi.reduce((sum, value) => sum + value * value, 0) * cellVolume);
+        });
+        const gridConvergence = meshSizes.length >= 3 ?
+            { quantity: 'l2Norm', ...MFSUSolver.gridConvergence.analyze(norms, meshSizes) } : null;
+        
         return {
             data: convergenceData,
             order: convergenceOrder,
-            referenceSolution: referenceSolution
+            referenceSolution: referenceSolution,
+            gridConvergence: gridConvergence
         };
     }
 
     /**
      * Calcula el error L2 entre dos soluciones
+     * La interpolación lineal de la malla fina que cae más allá de su último punto usa el
+     * punto fantasma de la frontera (ψ_0 periódico, g derecho en Dirichlet, ψ_{n-1} + q·dx en Neumann)
      * @param {Array} coarse - Solución en malla gruesa
      * @param {Array} fine - Solución en malla fina
+     * @param {Object} boundary - { type, values: [izquierda, derecha], length: longitud del dominio }
+     *                            de la solución fina
+     * @param {Array<Array<number>>} shapes - [malla gruesa, malla fina] en 2D/3D (interpolación
+     *                                        multilineal periódica); 1D por defecto
      * @returns {number} Error L2
      */
-    calculateL2Error(coarse, fine) {
+    calculateL2Error(coarse, fine, boundary = {}, shapes = null) {
+        const { type = 'periodic', values = [0, 0], length = 1 } = boundary;
         const nCoarse = coarse.length;
         const nFine = fine.length;
         
+        if (shapes && shapes[0].length > 1) {
+            return this.calculateL2ErrorND(coarse, fine, shapes[0], shapes[1]);
+        }
         if (nCoarse === nFine) {
             // Mismo tamaño de malla
             let error = 0;
@@ -400,6 +1301,7 @@ class MFSUSolver {
             return Math.sqrt(error / nCoarse);
         } else {
             // Interpolar solución fina a malla gruesa
+            const ghost = MFSUSolver.boundaryConditions.ghosts(fine, length / nFine, type, values)[1];
             let error = 0;
             for (let i = 0; i < nCoarse; i++) {
                 const fineIndex = (i * nFine) / nCoarse;
@@ -411,7 +1313,8 @@ class MFSUSolver {
                     interpolatedValue = fine[lowerIndex];
                 } else {
                     const weight = fineIndex - lowerIndex;
-                    interpolatedValue = (1 - weight) * fine[lowerIndex] + weight * fine[upperIndex];
+                    const upperValue = upperIndex < nFine ? fine[upperIndex] : ghost;
+                    interpolatedValue = (1 - weight) * fine[lowerIndex] + weight * upperValue;
                 }
                 
                 error += Math.pow(coarse[i] - interpolatedValue, 2);
@@ -420,25 +1323,70 @@ class MFSUSolver {
         }
     }
 
+    /**
+     * Error L2 entre dos soluciones 2D/3D (aplanadas en orden C; [Re ψ, Im ψ] si son complejas)
+     * La solución fina se interpola en los nodos gruesos con pesos multilineales; en 2D/3D solo
+     * hay fronteras periódicas, así que los vecinos más allá del último punto dan la vuelta
+     * @param {Array} coarse - Solución en malla gruesa
+     * @param {Array} fine - Solución en malla fina
+     * @param {Array<number>} coarseShape - Puntos por eje de la malla gruesa
+     * @param {Array<number>} fineShape - Puntos por eje de la malla fina
+     * @returns {number} Error L2
+     */
+    calculateL2ErrorND(coarse, fine, coarseShape, fineShape) {
+        const coarseSize = coarseShape.reduce((a, b) => a * b);
+        const fineSize = fineShape.reduce((a, b) => a * b);
+        const components = coarse.length / coarseSize;
+        const strides = new Array(fineShape.length);
+        for (let d = fineShape.length - 1, stride = 1; d >= 0; d--) {
+            strides[d] = stride;
+            stride *= fineShape[d];
+        }
+        
+        let error = 0;
+        for (let i = 0; i < coarseSize; i++) {
+            // Celda fina que contiene el nodo grueso y pesos por eje
+            const lower = new Array(fineShape.length);
+            const weight = new Array(fineShape.length);
+            for (let d = fineShape.length - 1, rest = i; d >= 0; d--) {
+                const position = (rest % coarseShape[d]) * fineShape[d] / coarseShape[d];
+                rest = Math.floor(rest / coarseShape[d]);
+                lower[d] = Math.floor(position);
+                weight[d] = position - lower[d];
+            }
+            
+            for (let c = 0; c < components; c++) {
+                let interpolatedValue = 0;
+                for (let corner = 0; corner < (1 << fineShape.length); corner++) {
+                    let index = c * fineSize;
+                    let cornerWeight = 1;
+                    for (let d = 0; d < fineShape.length; d++) {
+                        const upper = (corner >> d) & 1;
+                        index += ((lower[d] + upper) % fineShape[d]) * strides[d];
+                        cornerWeight *= upper ? weight[d] : 1 - weight[d];
+                    }
+                    if (cornerWeight !== 0) {
+                        interpolatedValue += cornerWeight * fine[index];
+                    }
+                }
+                error += Math.pow(coarse[c * coarseSize + i] - interpolatedValue, 2);
+            }
+        }
+        return Math.sqrt(error / coarse.length);
+    }
+
     /**
      * Calcula el orden de convergencia
+     * Ajuste por mínimos cuadrados de ln(error) frente a ln(h) con todas las mallas y sus
+     * factores de refinamiento reales (con dos mallas, el orden entre ambas)
      * @param {Array} convergenceData - Datos de convergencia
      * @returns {number} Orden de convergencia
      */
     calculateConvergenceOrder(convergenceData) {
-        if (convergenceData.length < 2) return 0;
-        
-        const n = convergenceData.length;
-        const lastTwo = convergenceData.slice(-2);
-        
-        const h1 = 1.0 / lastTwo[0].meshSize;
-        const h2 = 1.0 / lastTwo[1].meshSize;
-        const e1 = lastTwo[0].error;
-        const e2 = lastTwo[1].error;
-        
-        if (e1 === 0 || e2 === 0) return 0;
-        
-        return Math.log(e1 / e2) / Math.log(h1 / h2);
+        return MFSUSolver.gridConvergence.fitOrder(
+            convergenceData.map(item => item.meshSize),
+            convergenceData.map(item => item.error)
+        );
     }
 
     /**
@@ -446,11 +1394,12 @@ class MFSUSolver {
      * @param {Object} params - Parámetros de la ecuación
      * @param {number} nx - Puntos espaciales
      * @param {number} maxTime - Tiempo máximo de simulación
+     * @param {Object} options - Opciones de solve() (p. ej. operator)
      * @returns {Object} Datos de estabilidad
      */
-    analyzeStability(params = {}, nx = 64, maxTime = 20.0) {
+    analyzeStability(params = {}, nx = 64, maxTime = 20.0, options = {}) {
         const nt = Math.floor(maxTime / params.dt) || 2000;
-        const result = this.solve(params, nx, nt);
+        const result = this.solve(params, nx, nt, options);
         
         // Analizar crecimiento de amplitud
         const amplitudes = result.diagnostics.maxAmplitude;
@@ -479,6 +1428,66 @@ class MFSUSolver {
         };
     }
 
+    /**
+     * Análisis de convergencia temporal de un integrador
+     * Se integra hasta el mismo tiempo final con Δt = totalTime/nt para cada nt y el orden
+     * observado log2(e_k/e_{k+1}) (diferencias entre soluciones sucesivas, nt duplicándose)
+     * se compara con Config.CONVERGENCE_CONFIG.expectedOrders[method].
+     * El ruido cambia con nt, por lo que se mide la parte determinista (β = 0) con la
+     * misma condición inicial en todas las ejecuciones.
+     * @param {Object} params - Parámetros de la ecuación
+     * @param {string} method - Integrador temporal
+     * @param {Array} stepCounts - Números de pasos (cada uno el doble del anterior)
+     * @param {Object} options - Opciones de solve() más totalTime, nx y tolerance del orden
+     * @returns {Object} Datos de convergencia temporal
+     */
+    analyzeTemporalConvergence(params = {}, method = 'euler', stepCounts = [50, 100, 200, 400], options = {}) {
+        const { totalTime = 0.5, nx = 32, tolerance = 0.3, ...solveOptions } = options;
+        const rngState = (solveOptions.rng || this.rng).getState();
+        const solutions = [];
+        let boundary = {};
+
+        for (const nt of stepCounts) {
+            const result = this.solve({ ...params, beta: 0, dt: totalTime / nt }, nx, nt, {
+                ...solveOptions,
+                method: method,
+                saveInterval: nt,
+                rng: MFSUSolver.seededRandom.fromState(rngState)
+            });
+            solutions.push(result.finalPsi);
+            boundary = {
+                type: result.metadata.boundary,
+                values: result.metadata.boundaryValues,
+                length: result.metadata.grid.length[0]
+            };
+        }
+
+        const data = [];
+        for (let i = 0; i < solutions.length - 1; i++) {
+            data.push({
+                steps: stepCounts[i],
+                dt: totalTime / stepCounts[i],
+                error: this.calculateL2Error(solutions[i], solutions[i + 1], boundary)
+            });
+        }
+
+        const orders = [];
+        for (let i = 0; i < data.length - 1; i++) {
+            orders.push(Math.log2(data[i].error / data[i + 1].error));
+        }
+        const observedOrder = orders.length > 0 ? orders[orders.length - 1] : NaN;
+        const expectedOrder = MFSUSolver.config.CONVERGENCE_CONFIG.expectedOrders[method];
+
+        return {
+            method: method,
+            data: data,
+            orders: orders,
+            observedOrder: observedOrder,
+            expectedOrder: expectedOrder,
+            matchesExpected: expectedOrder !== undefined && Math.abs(observedOrder - expectedOrder) <= tolerance
+        };
+    }
+
     /**
      * Detecta oscilaciones en la amplitud
      * @param {Array} amplitudes - Serie temporal de amplitudes
@@ -527,6 +1536,49 @@ class MFSUSolver {
     }
 }
 
+MFSUSolver.initialConditions = {};
+MFSUSolver.forcings = {};
+MFSUSolver.diagnostics = {};
+
+// Estructura fractal con múltiples escalas
+MFSUSolver.registerInitialCondition('fractal', (x, { xi, rng }) =>
+    0.1 * MFSUSolver.sineProduct(xi, 2) * Math.exp(-MFSUSolver.squaredDistance(xi, 0.5) / 0.1) +
+    0.05 * MFSUSolver.sineProduct(xi, 8) * Math.exp(-MFSUSolver.squaredDistance(xi, 0.3) / 0.05) +
+    0.02 * rng.gaussian());
+
+// Gaussiana centrada con ruido débil
+MFSUSolver.registerInitialCondition('gaussian', (x, { xi, rng }) =>
+    Math.exp(-MFSUSolver.squaredDistance(xi, 0.5) / 0.1) + 0.01 * rng.gaussian());
+
+// Solitón sech(10r), radial en 2D/3D
+MFSUSolver.registerInitialCondition('soliton', (x, { xi, rng }) => {
+    const r = Array.isArray(xi) ? Math.sqrt(MFSUSolver.squaredDistance(xi, 0.5)) : xi - 0.5;
+    return 1.0 / Math.cosh(10 * r) + 0.01 * rng.gaussian();
+});
+
+// Ruido gaussiano
+MFSUSolver.registerInitialCondition('random', (x, { rng }) => rng.gaussian() * 0.1);
+
+// Superposición de modos del análisis de estabilidad (a lo largo del primer eje)
+MFSUSolver.registerInitialCondition('multimode', (x, { xi, rng }) => {
+    const s = Array.isArray(xi) ? xi[0] : xi;
+    return 0.1 * Math.sin(2 * Math.PI * s) * Math.exp(-Math.pow(s - 0.5, 2) / 0.1) +
+           0.05 * Math.sin(4 * Math.PI * s) +
+           0.02 * Math.sin(8 * Math.PI * s) +
+           0.01 * (rng.random() - 0.5);
+});
+
+// Sin forzamiento
+MFSUSolver.registerForcing('none', () => 0);
+
+// Fuente oscilante localizada en el centro
+MFSUSolver.registerForcing('periodic', (x, t, { xi }) =>
+    0.01 * Math.sin(2 * Math.PI * t) * Math.exp(-MFSUSolver.squaredDistance(xi, 0.5) / 0.1));
+
+// Pulso gaussiano en el centro durante t < 1
+MFSUSolver.registerForcing('pulse', (x, t, { xi }) =>
+    (t < 1.0) ? Math.exp(-MFSUSolver.squaredDistance(xi, 0.5) / 0.05) : 0);
+
 // Clase utilitaria para visualización y análisis
 class MFSUAnalyzer {
     constructor(solver) {
@@ -549,6 +1601,24 @@ class MFSUAnalyzer {
             report += `  nx = ${item.meshSize}: Error L2 = ${item.error.toExponential(3)}\n`;
         });
         
+        const gci = convergenceResult.gridConvergence;
+        if (gci) {
+            report += `\nExtrapolación de Richardson (${gci.quantity}, ${gci.levels} mallas):\n`;
+            gci.sizes.forEach((size, i) => {
+                report += `  nx = ${size}: ${gci.values[i].toExponential(6)}\n`;
+            });
+            if (Number.isFinite(gci.order)) {
+                report += `  Orden observado: ${gci.order.toFixed(3)}${gci.oscillatory ? ' (convergencia oscilatoria)' : ''}\n`;
+                report += `  Valor extrapolado: ${gci.extrapolated.toExponential(6)}\n`;
+                report += `  GCI malla fina (Fs = ${gci.safetyFactor}): ${(100 * gci.gciFine).toFixed(4)} %\n`;
+                report += `  GCI malla gruesa: ${(100 * gci.gciCoarse).toFixed(4)} %\n`;
+                report += `  GCI₃₂/(r^p·GCI₂₁) = ${gci.asymptoticRatio.toFixed(3)}: ` +
+                    `${gci.inAsymptoticRange ? 'dentro del rango asintótico' : 'FUERA del rango asintótico'}\n`;
+            } else {
+                report += "  Orden observado no definido (diferencias nulas entre mallas)\n";
+            }
+        }
+        
         report += "\nInterpretación:\n";
         if (order > 1.5) {
             report += "- Convergencia de segundo orden (muy buena)\n";
@@ -557,6 +1627,9 @@ class MFSUAnalyzer {
         } else {
             report += "- Convergencia lenta o problemática\n";
         }
+        if (gci && !gci.inAsymptoticRange) {
+            report += "- Mallas fuera del rango asintótico: el GCI no acota el error, refine la malla\n";
+        }
         
         return report;
     }
@@ -590,6 +1663,65 @@ class MFSUAnalyzer {
         return report;
     }
 
+    /**
+     * Genera reporte de una simulación
+     * @param {Object} result - Resultado de solve()
+     * @returns {string} Reporte en texto
+     */
+    generateSolutionReport(result) {
+        const { metadata, diagnostics, terminationReason } = result;
+        const stats = this.calculateStatistics(result.finalPsi);
+        
+        let report = "=== REPORTE DE SIMULACIÓN MFSU ===\n\n";
+        report += `Malla: nx = ${metadata.shape.join(' × ')}, dt = ${metadata.dt}, método: ${metadata.method}\n`;
+        report += `Pasos completados: ${metadata.stepsCompleted} de ${metadata.nt} (${terminationReason})\n\n`;
+        
+        report += "Diagnósticos finales:\n";
+        Object.entries(diagnostics).forEach(([name, values]) => {
+            const last = values[values.length - 1];
+            if (typeof last === 'number') {
+                report += `  ${name}: ${last.toExponential(4)}\n`;
+            }
+        });
+        
+        report += "\nEstadísticas de la solución final:\n";
+        report += `  Media: ${stats.mean.toFixed(6)}\n`;
+        report += `  Desviación estándar: ${stats.std.toFixed(6)}\n`;
+        report += `  Rango: [${stats.min.toFixed(6)}, ${stats.max.toFixed(6)}]\n`;
+        report += `  Asimetría: ${stats.skewness.toFixed(6)}\n`;
+        report += `  Curtosis: ${stats.kurtosis.toFixed(6)}\n`;
+        
+        return report;
+    }
+
+    /**
+     * Genera reporte de un barrido de parámetros
+     * @param {Array} rows - Filas de SweepRunner.run
+     * @param {Array} names - Parámetros variados (columnas que identifican cada fila)
+     * @returns {string} Reporte en texto
+     */
+    generateSweepReport(rows, names = []) {
+        const failed = rows.filter(row => row.error !== undefined);
+        
+        let report = "=== REPORTE DE BARRIDO MFSU ===\n\n";
+        report += `Configuraciones: ${rows.length} (${failed.length} con error)\n\n`;
+        
+        rows.forEach(row => {
+            const label = names.map(name => `${name} = ${row[name]}`).join(', ') || `#${row.index}`;
+            let status;
+            if (row.error !== undefined) {
+                status = `ERROR: ${row.error}`;
+            } else if (row.isStable !== undefined) {
+                status = row.isStable ? 'ESTABLE' : 'INESTABLE';
+            } else {
+                status = `${row.terminationReason}, energía final ${Number(row.energy).toExponential(3)}`;
+            }
+            report += `  ${label}: ${status}\n`;
+        });
+        
+        return report;
+    }
+
     /**
      * Calcula estadísticas de la solución
      * @param {Array} psi - Función de onda
@@ -600,8 +1732,8 @@ class MFSUAnalyzer {
         const mean = psi.reduce((sum, val) => sum + val, 0) / n;
         const variance = psi.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / n;
         const std = Math.sqrt(variance);
-        const min = Math.min(...psi);
-        const max = Math.max(...psi);
+        const min = psi.reduce((lowest, val) => Math.min(lowest, val), Infinity);
+        const max = psi.reduce((highest, val) => Math.max(highest, val), -Infinity);
         const range = max - min;
         
         // Calcular momentos superiores
@@ -656,12 +1788,5 @@ if (typeof module !== 'undefined' && require.main === module) {
     
     console.log("\n" + analyzer.generateConvergenceReport(convergence));
     console.log("\n" + analyzer.generateStabilityReport(stability));
-    
-    const stats = analyzer.calculateStatistics(result.finalPsi);
-    console.log("\n=== ESTADÍSTICAS DE LA SOLUCIÓN FINAL ===");
-    console.log(`Media: ${stats.mean.toFixed(6)}`);
-    console.log(`Desviación estándar: ${stats.std.toFixed(6)}`);
-    console.log(`Rango: [${stats.min.toFixed(6)}, ${stats.max.toFixed(6)}]`);
-    console.log(`Asimetría: ${stats.skewness.toFixed(6)}`);
-    console.log(`Curtosis: ${stats.kurtosis.toFixed(6)}`);
+    console.log("\n" + analyzer.generateSolutionReport(result));
 }
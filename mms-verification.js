@@ -0,0 +1,351 @@
+/**
+ * mms-verification.js
+ * Verificación por soluciones manufacturadas (MMS) del Modelo Fractal-Estocástico del Universo (MFSU)
+ * Ecuación: ∂ψ/∂t = α(-Δ)^(∂/2)ψ + β·ξ_H(x,t)·ψ - γψ³ + f(x,t)
+ *
+ * Se elige una solución exacta periódica
+ *   ψ*(x, t) = θ(t)·Σ_m a_m·sin(k_m·(x - x0) + φ_m),  k_m = 2π·m/L,
+ *   θ(t) = e^(-λt)·(1 + ½·sin(ωt)),
+ * y el forzamiento que la convierte en solución con β = 0:
+ *   f = ∂ₜψ* - α·Σ_m (-|k_m|^∂)·θ·a_m·sin(...) + γ·ψ*³,
+ * donde -|k|^∂ es el símbolo espectral del término fractal (FractionalOperators.symbol).
+ * MFSUSolver.solve parte de ψ*(x, 0) con ese forzamiento y el error frente a ψ*(x, T) es el
+ * error de discretización verdadero, no la diferencia entre dos realizaciones del ruido.
+ *
+ * El orden observado entre dos niveles es log(e_i/e_{i+1}) / log(r), con r el factor de
+ * refinamiento de h (o de Δt si la malla no cambia). Refinando h y Δt a la vez, el orden
+ * esperado es el menor entre el espacial del operador (CONVERGENCE_CONFIG.expectedSpatialOrders)
+ * y el temporal del integrador (CONVERGENCE_CONFIG.expectedOrders); con el operador espectral
+ * ψ* está resuelta exactamente y queda solo el orden del integrador.
+ */
+
+class MMSVerification {
+    /**
+     * @param {Object} options - { solver: MFSUSolver (uno nuevo por defecto) }
+     */
+    constructor(options = {}) {
+        this.solver = options.solver || new (MMSVerification.mfsuSolver)();
+    }
+
+    /**
+     * Solver MFSU (global en el navegador, require en Node.js)
+     */
+    static get mfsuSolver() {
+        return typeof MFSUSolver !== 'undefined' ?
+            MFSUSolver : require('./mfsu-solver.js').MFSUSolver;
+    }
+
+    /**
+     * Configuración del modelo (módulo ES: global en el navegador, require(esm) en Node.js)
+     */
+    static get config() {
+        return typeof Config !== 'undefined' ? Config : require('./config.js').default;
+    }
+
+    /**
+     * Símbolo espectral del operador fractal (global en el navegador, require en Node.js)
+     */
+    static get fractionalOperators() {
+        return typeof FractionalOperators !== 'undefined' ?
+            FractionalOperators : require('./fractional-operators.js').FractionalOperators;
+    }
+
+    /**
+     * Integradores temporales registrados (global en el navegador, require en Node.js)
+     */
+    static get timeIntegrators() {
+        return typeof TimeIntegrators !== 'undefined' ?
+            TimeIntegrators : require('./integrators.js').TimeIntegrators;
+    }
+
+    /**
+     * Descriptor de la malla (global en el navegador, require en Node.js)
+     */
+    static get spatialGrid() {
+        return typeof SpatialGrid !== 'undefined' ?
+            SpatialGrid : require('./spatial-grid.js').SpatialGrid;
+    }
+
+    /**
+     * Solución manufacturada por defecto: dos modos y un factor temporal que no se anula
+     */
+    static get DEFAULT_SOLUTION() {
+        return {
+            modes: [
+                { wavenumber: 1, amplitude: 0.5, phase: 0 },
+                { wavenumber: 2, amplitude: 0.2, phase: 0.4 }
+            ],
+            decay: 0.5,
+            frequency: 2 * Math.PI
+        };
+    }
+
+    /**
+     * Operadores fractales de MFSUSolver.solve
+     */
+    static get OPERATORS() {
+        return ['spectral', 'riesz', 'finiteDifference'];
+    }
+
+    /**
+     * Error relativo por debajo del cual la solución es exacta salvo redondeo (sin orden medible)
+     */
+    static get ROUNDOFF() {
+        return 1e-12;
+    }
+
+    /**
+     * Mallas por defecto (Δt se refina con el mismo factor)
+     */
+    static get MESH_SIZES() {
+        return [16, 32, 64, 128];
+    }
+
+    /**
+     * Solución exacta ψ*(x, t) y forzamiento f(x, t) que la hace solución con β = 0
+     * @param {Object} params - { alpha, gamma, fractalDim }
+     * @param {Object} solution - { modes: [{ wavenumber, amplitude, phase }], decay, frequency }
+     * @param {Object} grid - Descriptor 1D de spatial-grid.js (periodo L = grid.length[0])
+     * @returns {Object} { exact: (x, t) → ψ*, forcing: (x, t) → f, wavenumbers: modos m }
+     */
+    static manufacture(params, solution = MMSVerification.DEFAULT_SOLUTION, grid = MMSVerification.spatialGrid.create([1])) {
+        const { alpha, gamma, fractalDim } = params;
+        const { modes, decay, frequency } = { ...MMSVerification.DEFAULT_SOLUTION, ...solution };
+        const origin = grid.origin[0];
+        const length = grid.length[0];
+
+        const waves = modes.map(({ wavenumber, amplitude = 1, phase = 0 }) => {
+            if (!(Number.isInteger(wavenumber) && wavenumber > 0)) {
+                throw new Error(`Número de onda no válido: ${wavenumber} (se espera un entero > 0 para ψ* periódica)`);
+            }
+            const k = 2 * Math.PI * wavenumber / length;
+            return { k, amplitude, phase, symbol: MMSVerification.fractionalOperators.symbol(k, fractalDim) };
+        });
+
+        // θ(t) = e^(-λt)·(1 + ½·sin(ωt)) y su derivada
+        const theta = (t) => Math.exp(-decay * t) * (1 + 0.5 * Math.sin(frequency * t));
+        const thetaRate = (t) => Math.exp(-decay * t) *
+            (0.5 * frequency * Math.cos(frequency * t) - decay * (1 + 0.5 * Math.sin(frequency * t)));
+
+        // Perfil espacial Σ a_m·sin(...) y su imagen por el operador Σ (-|k_m|^∂)·a_m·sin(...)
+        const profile = (x) => {
+            let value = 0;
+            let image = 0;
+            for (const { k, amplitude, phase, symbol } of waves) {
+                const mode = amplitude * Math.sin(k * (x - origin) + phase);
+                value += mode;
+                image += symbol * mode;
+            }
+            return { value, image };
+        };
+
+        return {
+            exact: (x, t) => theta(t) * profile(x).value,
+            forcing: (x, t) => {
+                const { value, image } = profile(x);
+                const psi = theta(t) * value;
+                return thetaRate(t) * value - alpha * theta(t) * image + gamma * psi * psi * psi;
+            },
+            wavenumbers: modes.map(mode => mode.wavenumber)
+        };
+    }
+
+    /**
+     * Normas del error sobre la malla periódica
+     * @param {Array<number>} psi - Solución numérica
+     * @param {Array<number>} exact - ψ* en los mismos puntos
+     * @param {number} dx - Espaciado de malla
+     * @returns {Object} { l2: √(Σe²·dx), linf: max|e|, relativeL2: ‖e‖₂/‖ψ*‖₂ }
+     */
+    static errorNorms(psi, exact, dx) {
+        let squares = 0;
+        let reference = 0;
+        let linf = 0;
+
+        for (let i = 0; i < psi.length; i++) {
+            const error = psi[i] - exact[i];
+            squares += error * error;
+            reference += exact[i] * exact[i];
+            linf = Math.max(linf, Math.abs(error));
+        }
+
+        const l2 = Math.sqrt(squares * dx);
+        return {
+            l2: l2,
+            linf: linf,
+            relativeL2: reference > 0 ? l2 / Math.sqrt(reference * dx) : l2
+        };
+    }
+
+    /**
+     * Una ejecución MMS: solve() desde ψ*(x, 0) con el forzamiento manufacturado y β = 0
+     * @param {Object} params - Parámetros de la ecuación
+     * @param {number} nx - Puntos espaciales
+     * @param {number} nt - Pasos temporales
+     * @param {Object} options - Opciones de solve() (operator, method, ...) más solution y
+     *                           totalTime (Δt = totalTime/nt en lugar de params.dt)
+     * @returns {Object} { nx, nt, dx, dt, time, errors, exact, result }
+     */
+    run(params = {}, nx = 64, nt = 100, options = {}) {
+        const { solution, totalTime, ...solveOptions } = options;
+        const config = { ...this.solver.params, ...params, beta: 0 };
+        if (totalTime !== undefined) {
+            config.dt = totalTime / nt;
+        }
+        if (solveOptions.boundary && solveOptions.boundary !== 'periodic') {
+            throw new Error(`La solución manufacturada es periódica (recibido boundary '${solveOptions.boundary}')`);
+        }
+
+        const spatialGrid = MMSVerification.spatialGrid;
+        const grid = spatialGrid.create([nx], { origin: config.domainOrigin, length: config.domainSize });
+        const manufactured = MMSVerification.manufacture(config, solution, grid);
+        const highest = Math.max(...manufactured.wavenumbers);
+        if (2 * highest >= nx) {
+            throw new Error(`nx = ${nx} no resuelve el modo ${highest} de ψ* (se necesita nx > ${2 * highest})`);
+        }
+
+        const x = spatialGrid.axes(grid)[0];
+        const result = this.solver.solve(config, nx, nt, {
+            saveInterval: nt,
+            ...solveOptions,
+            grid: grid,
+            initialState: x.map(xi => manufactured.exact(xi, 0)),
+            forcingType: manufactured.forcing
+        });
+
+        const dx = grid.spacing[0];
+        const time = result.metadata.stepsCompleted * config.dt;
+        const exact = x.map(xi => manufactured.exact(xi, time));
+
+        return {
+            nx: nx,
+            nt: nt,
+            dx: dx,
+            dt: config.dt,
+            time: time,
+            errors: MMSVerification.errorNorms(result.finalPsi, exact, dx),
+            exact: exact,
+            result: result
+        };
+    }
+
+    /**
+     * Orden observado de una combinación operador/integrador
+     * meshSizes y stepCounts son listas con un valor por nivel (o un número fijo); refinando
+     * solo Δt se mide el orden temporal, solo h el espacial, y ambos a la vez el combinado
+     * @param {Object} params - Parámetros de la ecuación
+     * @param {Object} options - { operator ('spectral'), method ('rk4'), meshSizes (MESH_SIZES),
+     *                             stepCounts (igual a meshSizes), totalTime (0.5),
+     *                             norm: 'l2' | 'linf' | 'relativeL2' ('l2'), tolerance del orden
+     *                             (0.3), solution } más opciones de solve()
+     * @returns {Object} { operator, method, norm, data, orders, observedOrder, expectedOrder,
+     *                     exact: todos los errores relativos por debajo de ROUNDOFF, matchesExpected }
+     */
+    analyzeConvergence(params = {}, options = {}) {
+        const {
+            operator = 'spectral', method = 'rk4', meshSizes = MMSVerification.MESH_SIZES,
+            stepCounts = meshSizes, totalTime = 0.5, norm = 'l2', tolerance = 0.3, ...runOptions
+        } = options;
+
+        const levels = Math.max(...[meshSizes, stepCounts].map(list => Array.isArray(list) ? list.length : 1));
+        const at = (list, i) => Array.isArray(list) ? list[i] : list;
+        if (levels < 2 || [meshSizes, stepCounts].some(list => Array.isArray(list) && list.length !== levels)) {
+            throw new Error('Se necesitan al menos dos niveles, con el mismo número de mallas y de pasos');
+        }
+
+        const data = [];
+        for (let i = 0; i < levels; i++) {
+            const run = this.run(params, at(meshSizes, i), at(stepCounts, i), {
+                ...runOptions,
+                operator: operator,
+                method: method,
+                totalTime: totalTime
+            });
+            data.push({ meshSize: run.nx, steps: run.nt, dx: run.dx, dt: run.dt, error: run.errors[norm], errors: run.errors });
+        }
+
+        // Orden respecto a h si la malla cambia, respecto a Δt en otro caso
+        const refinesSpace = data[0].dx !== data[1].dx;
+        const refinesTime = data[0].dt !== data[1].dt;
+        const orders = [];
+        for (let i = 0; i < levels - 1; i++) {
+            const ratio = refinesSpace ? data[i].dx / data[i + 1].dx : data[i].dt / data[i + 1].dt;
+            orders.push(Math.log(data[i].error / data[i + 1].error) / Math.log(ratio));
+        }
+        const observedOrder = orders[orders.length - 1];
+
+        // Con Δt ∝ h^s el error temporal C·Δt^q decae como h^(s·q)
+        const { expectedOrders, expectedSpatialOrders } = MMSVerification.config.CONVERGENCE_CONFIG;
+        const spatialOrder = refinesSpace ? expectedSpatialOrders[operator] : Infinity;
+        const scaling = refinesSpace && refinesTime ?
+            Math.log(data[0].dt / data[1].dt) / Math.log(data[0].dx / data[1].dx) : 1;
+        const temporalOrder = refinesTime ? expectedOrders[method] * scaling : Infinity;
+        const expected = Math.min(spatialOrder, temporalOrder);
+        const expectedOrder = Number.isFinite(expected) ? expected : null;
+        const exact = data.every(level => level.errors.relativeL2 < MMSVerification.ROUNDOFF);
+
+        return {
+            operator: operator,
+            method: method,
+            norm: norm,
+            data: data,
+            orders: orders,
+            observedOrder: observedOrder,
+            expectedOrder: expectedOrder,
+            exact: exact,
+            // Sin orden esperado (operador espectral refinando solo h) el error no debe depender de la malla
+            matchesExpected: exact || (expectedOrder === null ?
+                Math.abs(observedOrder) <= tolerance :
+                Math.abs(observedOrder - expectedOrder) <= tolerance)
+        };
+    }
+
+    /**
+     * Orden observado de todas las combinaciones operador/integrador
+     * Las combinaciones que solve() rechaza (p. ej. 'imex' sin operador espectral) quedan con
+     * skipped y el motivo
+     * @param {Object} params - Parámetros de la ecuación
+     * @param {Object} options - { operators (OPERATORS), methods (todos los registrados) } más
+     *                           opciones de analyzeConvergence
+     * @returns {Object} { results: [{ operator, method, observedOrder, expectedOrder,
+     *                     matchesExpected, errors } | { operator, method, skipped }], passed }
+     */
+    verify(params = {}, options = {}) {
+        const {
+            operators = MMSVerification.OPERATORS,
+            methods = MMSVerification.timeIntegrators.list(),
+            ...convergenceOptions
+        } = options;
+        const results = [];
+
+        for (const operator of operators) {
+            for (const method of methods) {
+                try {
+                    const analysis = this.analyzeConvergence(params, { ...convergenceOptions, operator, method });
+                    results.push({
+                        operator: operator,
+                        method: method,
+                        observedOrder: analysis.observedOrder,
+                        expectedOrder: analysis.expectedOrder,
+                        matchesExpected: analysis.matchesExpected,
+                        errors: analysis.data.map(level => level.error)
+                    });
+                } catch (error) {
+                    results.push({ operator: operator, method: method, skipped: error.message });
+                }
+            }
+        }
+
+        return {
+            results: results,
+            passed: results.every(row => row.skipped !== undefined || row.matchesExpected)
+        };
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MMSVerification };
+} else if (typeof window !== 'undefined') {
+    window.MMSVerification = MMSVerification;
+}
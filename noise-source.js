@@ -0,0 +1,266 @@
+/**
+ * noise-source.js
+ * Fuente de ruido ξ_H(x,t) paso a paso para el Modelo Fractal-Estocástico del Universo (MFSU)
+ *
+ * En lugar de materializar la matriz [nt][N] antes del bucle temporal, next() genera una fila
+ * por paso:
+ *   - en espacio, cada fila es ruido gaussiano fraccionario exacto por inmersión circulante
+ *     (las partes real e imaginaria de una misma FFT dan dos filas independientes);
+ *   - en tiempo, la correlación se introduce con la recursión de Durbin–Levinson (Hosking):
+ *         ξ_n = Σ_{j=1..p} φ_{p,j}·ξ_{n-j} + √v_p·ε_n,   p = min(n, memory)
+ *
+ * Solo se guardan las últimas `memory` filas. Mientras n ≤ memory la covarianza temporal es
+ * exacta; después el proceso es autorregresivo de orden `memory` y reproduce ρ_{H_t}(m) hasta
+ * ese desfase. Con H_t = 0.5 (ruido blanco en el tiempo) no se guarda historia.
+ */
+
+class NoiseSource {
+    /**
+     * Generador de ruido gaussiano fraccionario (global en el navegador, require en Node.js)
+     */
+    static get hurstNoise() {
+        return typeof HurstNoise !== 'undefined' ?
+            HurstNoise : require('./hurst-noise.js').HurstNoise;
+    }
+
+    /**
+     * Implementación de FFT (global en el navegador, require en Node.js)
+     */
+    static get fft() {
+        return typeof FFT !== 'undefined' ? FFT : require('./fft.js').FFT;
+    }
+
+    /**
+     * Filas de historia por defecto para la correlación temporal
+     */
+    static get DEFAULT_MEMORY() {
+        return 128;
+    }
+
+    /**
+     * @param {number|Array<number>} shape - Puntos espaciales (nx o [nx, ny] / [nx, ny, nz])
+     * @param {number} hurst - Exponente de Hurst espacial
+     * @param {number} hurstExponent - Exponente de Hurst temporal
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @param {Object} options - { memory: filas de historia (por defecto DEFAULT_MEMORY) }; null equivale a {}
+     */
+    constructor(shape, hurst = 0.5, hurstExponent = 0.5, rng, options = {}) {
+        if (!rng || typeof rng.gaussian !== 'function') {
+            throw new Error('La fuente de ruido necesita un generador con gaussian() (SeededRandom)');
+        }
+        options = options || {};
+        const hurstNoise = NoiseSource.hurstNoise;
+        hurstNoise.validateHurst(hurstExponent);
+
+        const { embedded, eigenvalues, corner } = hurstNoise.spatialEmbedding(shape, hurst);
+        const mx = eigenvalues.length;
+        this.embedded = embedded;
+        this.corner = corner;
+        this.size = corner.length;
+        this.weights = Float64Array.from(eigenvalues, lambda => Math.sqrt(lambda / mx));
+        this.re = new Float64Array(mx);
+        this.im = new Float64Array(mx);
+        this.pending = false;
+        this.rng = rng;
+
+        const memory = options.memory !== undefined ? options.memory : NoiseSource.DEFAULT_MEMORY;
+        if (!(Number.isInteger(memory) && memory >= 0)) {
+            throw new Error(`Memoria del ruido no válida: ${memory} (se espera un entero ≥ 0)`);
+        }
+        this.hurstExponent = hurstExponent;
+        this.memory = hurstExponent === 0.5 ? 0 : memory;
+        this.history = Array.from({ length: this.memory }, () => new Float64Array(this.size));
+        this.coefficients = new Float64Array(this.memory);
+        this.variance = 1;
+        this.order = 0;
+        this.step = 0;
+    }
+
+    /**
+     * Siguiente fila del ruido (varianza unidad, campo aplanado en orden C)
+     * @param {Array<number>|Float64Array} out - Destino de N valores
+     * @returns {Array<number>|Float64Array} out
+     */
+    next(out = new Float64Array(this.size)) {
+        if (this.step > 0 && this.order < this.memory) {
+            this.extend();
+        }
+
+        this.innovation(out);
+        const scale = Math.sqrt(this.variance);
+        for (let c = 0; c < this.size; c++) {
+            out[c] *= scale;
+        }
+
+        // Parte predecible a partir de las p filas anteriores (búfer circular)
+        for (let j = 1; j <= this.order; j++) {
+            const phi = this.coefficients[j - 1];
+            const row = this.history[(this.step - j) % this.memory];
+            for (let c = 0; c < this.size; c++) {
+                out[c] += phi * row[c];
+            }
+        }
+
+        if (this.memory > 0) {
+            this.history[this.step % this.memory].set(out);
+        }
+        this.step++;
+
+        return out;
+    }
+
+    /**
+     * Ruido espacial independiente ε_n: una FFT de la inmersión da dos filas
+     * @param {Array<number>|Float64Array} out - Destino
+     */
+    innovation(out) {
+        const { re, im, corner } = this;
+
+        if (this.pending) {
+            for (let c = 0; c < corner.length; c++) {
+                out[c] = im[corner[c]];
+            }
+            this.pending = false;
+            return;
+        }
+
+        for (let i = 0; i < re.length; i++) {
+            re[i] = this.weights[i] * this.rng.gaussian();
+            im[i] = this.weights[i] * this.rng.gaussian();
+        }
+        if (re.length > 1) {
+            NoiseSource.fft.transformND(re, im, this.embedded);
+        }
+        for (let c = 0; c < corner.length; c++) {
+            out[c] = re[corner[c]];
+        }
+        this.pending = true;
+    }
+
+    /**
+     * Aumenta en uno el orden del predictor (paso de Durbin–Levinson)
+     * φ_{p,p} = (ρ(p) - Σ_j φ_{p-1,j}·ρ(p-j)) / v_{p-1},  φ_{p,j} = φ_{p-1,j} - φ_{p,p}·φ_{p-1,p-j},
+     * v_p = v_{p-1}·(1 - φ_{p,p}²)
+     */
+    extend() {
+        const hurstNoise = NoiseSource.hurstNoise;
+        const phi = this.coefficients;
+        const p = this.order + 1;
+
+        let numerator = hurstNoise.autocovariance(p, this.hurstExponent);
+        for (let j = 1; j < p; j++) {
+            numerator -= phi[j - 1] * hurstNoise.autocovariance(p - j, this.hurstExponent);
+        }
+        const reflection = numerator / this.variance;
+
+        const previous = phi.slice(0, p - 1);
+        for (let j = 1; j < p; j++) {
+            phi[j - 1] = previous[j - 1] - reflection * previous[p - j - 1];
+        }
+        phi[p - 1] = reflection;
+
+        this.variance *= 1 - reflection * reflection;
+        this.order = p;
+    }
+
+    /**
+     * Estado serializable (JSON) de la fuente para un punto de control; el generador
+     * pseudoaleatorio se guarda aparte
+     * @returns {Object} { step, order, variance, coefficients, history, pending }
+     */
+    getState() {
+        return {
+            step: this.step,
+            order: this.order,
+            variance: this.variance,
+            coefficients: Array.from(this.coefficients),
+            history: this.history.map(row => Array.from(row)),
+            // La segunda fila de la última FFT aún no se ha entregado
+            pending: this.pending ? Array.from(this.im) : null
+        };
+    }
+
+    /**
+     * Restaura un estado obtenido con getState() en una fuente con la misma malla y memoria
+     * @param {Object} saved - Estado guardado
+     */
+    setState(saved) {
+        if (saved.history.length !== this.memory || saved.coefficients.length !== this.memory) {
+            throw new Error(`Estado de ruido no válido: memoria ${saved.history.length}, se esperaba ${this.memory}`);
+        }
+        this.step = saved.step;
+        this.order = saved.order;
+        this.variance = saved.variance;
+        this.coefficients.set(saved.coefficients);
+        saved.history.forEach((row, i) => this.history[i].set(row));
+        this.pending = saved.pending !== null;
+        if (this.pending) {
+            this.im.set(saved.pending);
+        }
+    }
+
+    /**
+     * Fuente que recorre filas ya calculadas (p. ej. HurstNoise.field, exacto en el tiempo)
+     * @param {Array<Array<number>>} rows - Matriz [nt][N]
+     * @returns {Object} Fuente con next(out), size y getState()/setState() (fila siguiente)
+     */
+    static fromRows(rows) {
+        let step = 0;
+        return {
+            size: rows.length > 0 ? rows[0].length : 0,
+            getState() {
+                return { step: step };
+            },
+            setState(saved) {
+                step = saved.step;
+            },
+            next(out = new Float64Array(this.size)) {
+                if (step >= rows.length) {
+                    throw new Error(`Fuente de ruido agotada tras ${rows.length} pasos`);
+                }
+                const row = rows[step++];
+                for (let c = 0; c < row.length; c++) {
+                    out[c] = row[c];
+                }
+                return out;
+            }
+        };
+    }
+
+    /**
+     * Crea la fuente de ruido de una simulación
+     * @param {number|Array<number>} shape - Puntos espaciales
+     * @param {number} nt - Pasos temporales (limita la memoria a nt - 1 filas)
+     * @param {number} hurst - Exponente de Hurst espacial
+     * @param {number} hurstExponent - Exponente de Hurst temporal
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @param {string|Object} spec - 'stream' (por defecto, también con null), { type: 'stream', memory },
+     *                               'field' (matriz [nt][N] exacta precalculada) o un objeto con next(out)
+     * @returns {Object} Fuente con next(out)
+     */
+    static create(shape, nt, hurst = 0.5, hurstExponent = 0.5, rng, spec = 'stream') {
+        if (spec && typeof spec.next === 'function') {
+            return spec;
+        }
+        if (!rng || typeof rng.gaussian !== 'function') {
+            throw new Error('La fuente de ruido necesita un generador con gaussian() (SeededRandom)');
+        }
+
+        const { type, memory = NoiseSource.DEFAULT_MEMORY } =
+            spec === null ? { type: 'stream' } : typeof spec === 'string' ? { type: spec } : spec;
+        if (type === 'stream') {
+            return new NoiseSource(shape, hurst, hurstExponent, rng, { memory: Math.max(0, Math.min(memory, nt - 1)) });
+        }
+        if (type === 'field') {
+            return NoiseSource.fromRows(NoiseSource.hurstNoise.field(shape, nt, hurst, hurstExponent, rng));
+        }
+        throw new Error(`Fuente de ruido '${type}' no encontrada`);
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoiseSource };
+} else if (typeof window !== 'undefined') {
+    window.NoiseSource = NoiseSource;
+}
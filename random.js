@@ -0,0 +1,246 @@
+/**
+ * random.js
+ * Generador pseudoaleatorio reproducible para el Modelo Fractal-Estocástico del Universo (MFSU)
+ * xoshiro128** con semilla expandida por splitmix32; el estado es serializable
+ * y admite derivar flujos independientes por realización
+ */
+
+class SeededRandom {
+    /**
+     * @param {number|string} seed - Semilla (por defecto ANALYSIS_CONFIG.NOISE_CONFIG.SEED)
+     */
+    constructor(seed = SeededRandom.DEFAULT_SEED) {
+        this.state = new Uint32Array(4);
+        this.spareGaussian = null;
+        this.seed(seed);
+    }
+
+    /**
+     * Semilla por defecto declarada en constants.js
+     */
+    static get DEFAULT_SEED() {
+        if (typeof MFSU_CONSTANTS !== 'undefined') {
+            return MFSU_CONSTANTS.ANALYSIS.NOISE_CONFIG.SEED;
+        }
+        if (typeof require === 'function') {
+            return require('./constants.js').ANALYSIS_CONFIG.NOISE_CONFIG.SEED;
+        }
+        return 42;
+    }
+
+    /**
+     * Nombre del algoritmo (se guarda con el estado)
+     */
+    static get ALGORITHM() {
+        return 'xoshiro128**';
+    }
+
+    /**
+     * Reinicia el generador a partir de una semilla
+     * @param {number|string} seed - Semilla numérica o texto
+     */
+    seed(seed) {
+        let x = SeededRandom.hashSeed(seed);
+
+        // splitmix32 para expandir la semilla a los cuatro enteros de estado
+        for (let i = 0; i < 4; i++) {
+            x = (x + 0x9e3779b9) >>> 0;
+            this.state[i] = SeededRandom.mix32(x);
+        }
+
+        // El estado nulo es el único punto fijo de xoshiro
+        if ((this.state[0] | this.state[1] | this.state[2] | this.state[3]) === 0) {
+            this.state[0] = 1;
+        }
+
+        this.spareGaussian = null;
+    }
+
+    /**
+     * Siguiente entero sin signo de 32 bits
+     * @returns {number} Entero en [0, 2^32)
+     */
+    nextUint32() {
+        const s = this.state;
+        const result = Math.imul(SeededRandom.rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+        const t = s[1] << 9;
+
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = SeededRandom.rotl(s[3], 11);
+
+        return result;
+    }
+
+    /**
+     * Número uniforme con 53 bits de mantisa (sustituto de Math.random)
+     * @returns {number} Número en [0, 1)
+     */
+    random() {
+        const high = this.nextUint32() >>> 5;
+        const low = this.nextUint32() >>> 6;
+        return (high * 67108864 + low) / 9007199254740992;
+    }
+
+    /**
+     * Número con distribución normal estándar (Box-Muller)
+     * @returns {number} Número aleatorio gaussiano
+     */
+    gaussian() {
+        if (this.spareGaussian !== null) {
+            const spare = this.spareGaussian;
+            this.spareGaussian = null;
+            return spare;
+        }
+
+        // 1 - u ∈ (0, 1] evita log(0)
+        const u = 1 - this.random();
+        const v = this.random();
+        const mag = Math.sqrt(-2 * Math.log(u));
+
+        this.spareGaussian = mag * Math.cos(2 * Math.PI * v);
+        return mag * Math.sin(2 * Math.PI * v);
+    }
+
+    /**
+     * Deriva un generador independiente para el flujo indicado sin avanzar este
+     * fork(i) depende solo del estado actual y de i, por lo que la realización i
+     * es la misma sin importar el orden (o el proceso) en que se ejecute
+     * @param {number|string} stream - Identificador del flujo (p. ej. índice de realización)
+     * @returns {SeededRandom} Generador hijo
+     */
+    fork(stream = 0) {
+        const child = new SeededRandom(0);
+        const key = SeededRandom.hashSeed(stream);
+
+        for (let i = 0; i < 4; i++) {
+            const salt = SeededRandom.mix32((key + Math.imul(i + 1, 0x9e3779b9)) >>> 0);
+            child.state[i] = SeededRandom.mix32((this.state[i] ^ salt) >>> 0);
+        }
+
+        if ((child.state[0] | child.state[1] | child.state[2] | child.state[3]) === 0) {
+            child.state[0] = 1;
+        }
+
+        return child;
+    }
+
+    /**
+     * Deriva un generador independiente avanzando este (uso secuencial)
+     * @returns {SeededRandom} Generador hijo
+     */
+    split() {
+        return this.fork(this.nextUint32());
+    }
+
+    /**
+     * Copia exacta del generador
+     * @returns {SeededRandom} Generador con el mismo estado
+     */
+    clone() {
+        return SeededRandom.fromState(this.getState());
+    }
+
+    /**
+     * Estado serializable (JSON) del generador
+     * @returns {Object} { algorithm, state, spareGaussian }
+     */
+    getState() {
+        return {
+            algorithm: SeededRandom.ALGORITHM,
+            state: Array.from(this.state),
+            spareGaussian: this.spareGaussian
+        };
+    }
+
+    /**
+     * Restaura un estado obtenido con getState()
+     * @param {Object} saved - Estado guardado
+     */
+    setState(saved) {
+        if (!saved || saved.algorithm !== SeededRandom.ALGORITHM || !Array.isArray(saved.state) || saved.state.length !== 4) {
+            throw new Error(`Estado de generador no válido (se esperaba ${SeededRandom.ALGORITHM})`);
+        }
+
+        for (let i = 0; i < 4; i++) {
+            this.state[i] = saved.state[i] >>> 0;
+        }
+        this.spareGaussian = typeof saved.spareGaussian === 'number' ? saved.spareGaussian : null;
+    }
+
+    /**
+     * Crea un generador a partir de un estado guardado
+     * @param {Object} saved - Estado obtenido con getState()
+     * @returns {SeededRandom} Generador restaurado
+     */
+    static fromState(saved) {
+        const rng = new SeededRandom(0);
+        rng.setState(saved);
+        return rng;
+    }
+
+    /**
+     * Convierte una semilla numérica o de texto en un entero de 32 bits
+     * Los enteros no negativos conservan su flujo de siempre; las semillas negativas o
+     * fraccionarias se resumen a partir de los 64 bits de su representación IEEE 754,
+     * de modo que -5 y 5, o 1.2 y 1.7, dan flujos distintos
+     * @param {number|string} seed - Semilla
+     * @returns {number} Entero sin signo
+     */
+    static hashSeed(seed) {
+        if (typeof seed === 'string') {
+            // FNV-1a
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < seed.length; i++) {
+                hash ^= seed.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+
+        if (!Number.isFinite(seed)) {
+            throw new Error(`Semilla no válida: ${seed}`);
+        }
+
+        if (seed < 0 || !Number.isInteger(seed)) {
+            const bits = new Uint32Array(new Float64Array([seed]).buffer);
+            return SeededRandom.mix32((bits[0] ^ SeededRandom.mix32((bits[1] ^ 0x85ebca6b) >>> 0)) >>> 0);
+        }
+
+        // Combinar las partes baja y alta para semillas mayores que 2^32
+        const low = seed >>> 0;
+        const high = Math.floor(seed / 4294967296) >>> 0;
+        return (low ^ SeededRandom.mix32(high)) >>> 0;
+    }
+
+    /**
+     * Mezclador final de MurmurHash3 (fmix32)
+     * @param {number} z - Entero de 32 bits
+     * @returns {number} Entero mezclado sin signo
+     */
+    static mix32(z) {
+        z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+        z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+        return (z ^ (z >>> 16)) >>> 0;
+    }
+
+    /**
+     * Rotación a la izquierda de 32 bits
+     * @param {number} x - Entero
+     * @param {number} k - Bits de rotación
+     * @returns {number} Entero rotado
+     */
+    static rotl(x, k) {
+        return (x << k) | (x >>> (32 - k));
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom };
+} else if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
@@ -0,0 +1,411 @@
+/**
+ * simulation-runner.js
+ * Ejecución de simulaciones fuera del hilo principal para el Modelo Fractal-Estocástico del
+ * Universo (MFSU)
+ *
+ * Protocolo de mensajes entre el hilo principal y simulation-worker.js (todos llevan el id de
+ * la ejecución):
+ *   → { type: 'start', id, task, params, options }   inicia una tarea registrada
+ *   → { type: 'cancel', id }                          cancela al terminar el paso en curso
+ *   ← { type: 'progress', id, stage, completed, total }
+ *   ← { type: 'partial', id, stage, data }            resultado parcial de cada paso
+ *   ← { type: 'done', id, result }
+ *   ← { type: 'cancelled', id }
+ *   ← { type: 'error', id, message }
+ *
+ * Una tarea es una función generadora (params, options) que produce { stage, completed, total,
+ * data } tras cada simulación y devuelve el resultado final (o una promesa del resultado). En
+ * Node.js el worker es un hilo de worker_threads con el mismo protocolo. Sin workers (o si el
+ * worker no puede crearse, p. ej. desde file://) la misma tarea se ejecuta en el hilo principal
+ * cediendo el control entre pasos, con los mismos eventos.
+ */
+
+class SimulationRunner {
+    /**
+     * @param {Object} options - { workerUrl: script del worker (por defecto 'simulation-worker.js',
+     *                             junto a este módulo en Node.js), useWorker: false para ejecutar
+     *                             siempre en el hilo principal }
+     */
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || 'simulation-worker.js';
+        this.useWorker = options.useWorker !== false && SimulationRunner.workersAvailable;
+        this.worker = null;
+        this.current = null;
+        this.nextId = 1;
+    }
+
+    /**
+     * Análisis de convergencia (global en el navegador y en el worker, require en Node.js)
+     */
+    static get convergenceAnalysis() {
+        return typeof MFSUConvergenceAnalysis !== 'undefined' ?
+            MFSUConvergenceAnalysis : require('./convergence-analysis.js');
+    }
+
+    /**
+     * Solver MFSU (global en el navegador y en el worker, require en Node.js)
+     */
+    static get mfsuSolver() {
+        return typeof MFSUSolver !== 'undefined' ?
+            MFSUSolver : require('./mfsu-solver.js').MFSUSolver;
+    }
+
+    /**
+     * Análisis de estabilidad (global en el navegador y en el worker, require en Node.js)
+     */
+    static get stabilityAnalysis() {
+        return typeof StabilityAnalysis !== 'undefined' ?
+            StabilityAnalysis : require('./stability-analysis.js').StabilityAnalysis;
+    }
+
+    /**
+     * worker_threads de Node.js (null en el navegador)
+     */
+    static get workerThreads() {
+        if (typeof Worker !== 'undefined' || typeof process === 'undefined' || !process.versions || !process.versions.node) {
+            return null;
+        }
+        return require('worker_threads');
+    }
+
+    /**
+     * ¿Hay Web Workers o worker_threads en este entorno?
+     */
+    static get workersAvailable() {
+        return typeof Worker !== 'undefined' || this.workerThreads !== null;
+    }
+
+    /**
+     * Registra una tarea
+     * @param {string} name - Nombre usado en run() y en el mensaje 'start'
+     * @param {Function} task - Generador (params, options) de eventos { stage, completed, total, data }
+     */
+    static registerTask(name, task) {
+        if (typeof task !== 'function') {
+            throw new Error(`La tarea '${name}' debe ser una función generadora (params, options)`);
+        }
+        this.tasks[name] = task;
+    }
+
+    /**
+     * Obtiene una tarea registrada
+     * @param {string} name - Nombre de la tarea
+     * @returns {Function} Generador de la tarea
+     */
+    static getTask(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.tasks, name)) {
+            throw new Error(`Tarea '${name}' no encontrada`);
+        }
+        return this.tasks[name];
+    }
+
+    /**
+     * Lista las tareas registradas
+     * @returns {Array<string>} Nombres de las tareas
+     */
+    static listTasks() {
+        return Object.keys(this.tasks);
+    }
+
+    /**
+     * Cede el control al bucle de eventos (mensajes de cancelación, repintado de la página)
+     */
+    static yieldControl() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    /**
+     * Ejecuta una tarea y publica sus eventos según el protocolo; común al worker y a la
+     * ejecución en el hilo principal
+     * @param {Object} message - Mensaje 'start' { id, task, params, options }
+     * @param {Function} post - Publica un mensaje de respuesta
+     * @param {Function} isCancelled - ¿Se ha pedido cancelar la ejecución?
+     */
+    static async execute(message, post, isCancelled = () => false) {
+        const { id } = message;
+
+        try {
+            const steps = this.getTask(message.task)(message.params || {}, message.options || {});
+
+            await this.yieldControl();
+            while (!isCancelled()) {
+                const step = steps.next();
+                if (step.done) {
+                    const result = await step.value;
+                    if (isCancelled()) {
+                        break;
+                    }
+                    post({ type: 'done', id: id, result: result });
+                    return;
+                }
+
+                const { stage, completed, total, data } = step.value;
+                post({ type: 'progress', id: id, stage: stage, completed: completed, total: total });
+                post({ type: 'partial', id: id, stage: stage, data: data });
+                await this.yieldControl();
+            }
+            post({ type: 'cancelled', id: id });
+        } catch (error) {
+            post({ type: 'error', id: id, message: error.message });
+        }
+    }
+
+    /**
+     * Atiende el protocolo dentro de un worker
+     * @param {Object} scope - Ámbito global del worker (self) o parentPort de worker_threads
+     */
+    static serve(scope) {
+        const active = new Map();
+
+        scope.onmessage = (event) => {
+            const message = event.data;
+
+            if (message.type === 'start') {
+                const state = { cancelled: false };
+                active.set(message.id, state);
+                this.execute(message, reply => scope.postMessage(reply), () => state.cancelled)
+                    .then(() => active.delete(message.id));
+            } else if (message.type === 'cancel' && active.has(message.id)) {
+                active.get(message.id).cancelled = true;
+            }
+        };
+    }
+
+    /**
+     * ¿Hay una ejecución en curso?
+     */
+    get running() {
+        return this.current !== null;
+    }
+
+    /**
+     * Ejecuta una tarea en el worker (o en el hilo principal); una ejecución nueva cancela la anterior
+     * @param {string} task - Nombre de la tarea registrada
+     * @param {Object} params - Parámetros del modelo
+     * @param {Object} handlers - { onProgress(event), onPartial(event), options: opciones de la tarea }
+     * @returns {Promise<*>} Resultado de la tarea, o null si se cancela
+     */
+    run(task, params = {}, handlers = {}) {
+        SimulationRunner.getTask(task);
+        this.cancel();
+
+        return new Promise((resolve, reject) => {
+            const message = { type: 'start', id: this.nextId++, task: task, params: params, options: handlers.options || {} };
+            const run = { message, handlers, resolve, reject, started: false, cancelled: false };
+            this.current = run;
+
+            const worker = this.useWorker ? this.getWorker() : null;
+            if (worker) {
+                this.keepAlive(true);
+                worker.postMessage(message);
+            } else {
+                this.executeInline(run);
+            }
+        });
+    }
+
+    /**
+     * Cancela la ejecución en curso; la promesa de run() se resuelve con null inmediatamente
+     * @returns {boolean} true si había una ejecución
+     */
+    cancel() {
+        const run = this.current;
+        if (!run) {
+            return false;
+        }
+
+        run.cancelled = true;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'cancel', id: run.message.id });
+        }
+        this.finish(() => run.resolve(null));
+        return true;
+    }
+
+    /**
+     * Termina la ejecución en curso y resuelve o rechaza su promesa
+     * @param {Function} settle - resolve/reject de la ejecución
+     */
+    finish(settle) {
+        this.current = null;
+        this.keepAlive(false);
+        settle();
+    }
+
+    /**
+     * En Node.js un hilo inactivo no impide que el proceso termine (unref); solo se
+     * mantiene activo mientras hay una ejecución en curso
+     * @param {boolean} active - ¿Hay una ejecución en curso?
+     */
+    keepAlive(active) {
+        if (this.worker && typeof this.worker.ref === 'function') {
+            if (active) {
+                this.worker.ref();
+            } else {
+                this.worker.unref();
+            }
+        }
+    }
+
+    /**
+     * Cancela y libera el worker
+     */
+    destroy() {
+        this.cancel();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Ejecución en el hilo principal, cediendo el control entre pasos
+     * @param {Object} run - Ejecución en curso
+     */
+    executeInline(run) {
+        SimulationRunner.execute(run.message, reply => this.receive(reply), () => run.cancelled);
+    }
+
+    /**
+     * Crea el worker la primera vez; null si el entorno no lo permite
+     * @returns {Worker|null} Worker
+     */
+    getWorker() {
+        if (this.worker) {
+            return this.worker;
+        }
+
+        const threads = SimulationRunner.workerThreads;
+        try {
+            if (threads) {
+                const path = require('path');
+                this.worker = new threads.Worker(path.resolve(__dirname, this.workerUrl));
+            } else {
+                this.worker = new Worker(this.workerUrl);
+            }
+        } catch (error) {
+            console.warn(`Web Worker no disponible (${error.message}); se ejecuta en el hilo principal`);
+            this.useWorker = false;
+            return null;
+        }
+
+        // Un script que no carga (404, CSP) falla de forma asíncrona: repetir en el hilo principal
+        const fail = (message) => {
+            const run = this.current;
+            this.worker.terminate();
+            this.worker = null;
+
+            if (run && !run.started) {
+                console.warn(`Web Worker no disponible (${message}); se ejecuta en el hilo principal`);
+                this.useWorker = false;
+                this.executeInline(run);
+            } else if (run) {
+                this.finish(() => run.reject(new Error(message)));
+            }
+        };
+
+        if (threads) {
+            this.worker.on('message', (message) => this.receive(message));
+            this.worker.on('error', (error) => fail(error.message));
+        } else {
+            this.worker.onmessage = (event) => this.receive(event.data);
+            this.worker.onerror = (event) => {
+                if (event.preventDefault) {
+                    event.preventDefault();
+                }
+                fail(event.message);
+            };
+        }
+
+        return this.worker;
+    }
+
+    /**
+     * Procesa un mensaje de respuesta de la ejecución en curso
+     * @param {Object} message - Mensaje del protocolo
+     */
+    receive(message) {
+        const run = this.current;
+
+        // Mensajes de una ejecución ya cancelada o sustituida
+        if (!run || message.id !== run.message.id) {
+            return;
+        }
+        run.started = true;
+
+        switch (message.type) {
+            case 'progress':
+                if (run.handlers.onProgress) run.handlers.onProgress(message);
+                break;
+            case 'partial':
+                if (run.handlers.onPartial) run.handlers.onPartial(message);
+                break;
+            case 'done':
+                this.finish(() => run.resolve(message.result));
+                break;
+            case 'cancelled':
+                this.finish(() => run.resolve(null));
+                break;
+            case 'error':
+                this.finish(() => run.reject(new Error(message.message)));
+                break;
+        }
+    }
+}
+
+// Tareas registradas (nombre → generador)
+SimulationRunner.tasks = {};
+
+// Análisis de convergencia y estabilidad de MFSUConvergenceAnalysis (options.seed para reproducirlo)
+SimulationRunner.registerTask('convergenceAnalysis', (params, options = {}) => {
+    const Analysis = SimulationRunner.convergenceAnalysis;
+    return new Analysis({ seed: options.seed }).analysisSteps(params);
+});
+
+// Resumen de MFSUSolver.solve: último valor de cada diagnóstico, si ψ final es finito y el motivo
+// de terminación; options = { nx, nt, seed, solve: opciones de solve() (p. ej. stopWhen) }
+SimulationRunner.registerTask('solveSummary', function* (params, options = {}) {
+    const solver = new (SimulationRunner.mfsuSolver)();
+    const result = solver.solve(params, options.nx, options.nt, { seed: options.seed, ...options.solve });
+    const summary = {};
+    Object.entries(result.diagnostics).forEach(([name, values]) => {
+        summary[name] = values.length > 0 ? values[values.length - 1] : null;
+    });
+    summary.finite = result.finalPsi.every(Number.isFinite);
+    summary.terminationReason = result.terminationReason;
+    return summary;
+});
+
+// Resumen de StabilityAnalysis.analyzeStability: veredicto global y por método
+// options = { nx, nt, seed, analysis: opciones de analyzeStability() }
+SimulationRunner.registerTask('stabilitySummary', function* (params, options = {}) {
+    const analysis = new (SimulationRunner.stabilityAnalysis)();
+    analysis.initialize();
+    return analysis.analyzeStability(params, {
+        nx: options.nx,
+        nt: options.nt,
+        seed: options.seed,
+        ...options.analysis,
+        saveEvolution: false
+    }).then(results => {
+        const summary = {
+            isStable: results.isStable,
+            confidence: results.confidence,
+            diverged: results.mainSimulation.diverged
+        };
+        Object.entries(results.analysisResults).forEach(([method, result]) => {
+            summary[method] = result.isStable;
+        });
+        if (results.timeStep) {
+            summary.timeStep = results.timeStep.diagnosis;
+        }
+        return summary;
+    });
+});
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationRunner };
+} else if (typeof window !== 'undefined') {
+    window.SimulationRunner = SimulationRunner;
+}
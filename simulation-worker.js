@@ -0,0 +1,43 @@
+/**
+ * simulation-worker.js
+ * Worker de SimulationRunner para el Modelo Fractal-Estocástico del Universo (MFSU)
+ * Carga los módulos de la simulación y atiende el protocolo descrito en simulation-runner.js:
+ * como Web Worker en el navegador y como hilo de worker_threads en Node.js
+ */
+
+if (typeof importScripts === 'function') {
+    importScripts(
+        'random.js',
+        'fft.js',
+        'hurst-noise.js',
+        'noise-source.js',
+        'ensemble-statistics.js',
+        'spatial-grid.js',
+        'user-functions.js',
+        'boundary-conditions.js',
+        'mfsu-engine.js',
+        'fractional-operators.js',
+        'integrators.js',
+        'grid-convergence.js',
+        'mfsu-solver.js',
+        'stability-analysis.js',
+        'convergence-analysis.js',
+        'simulation-runner.js'
+    );
+
+    // config.js es un módulo ES: los mensajes que lleguen antes de cargarlo esperan en cola
+    const pending = [];
+    self.onmessage = (event) => pending.push(event);
+    import('./config.js').then(module => {
+        self.Config = module.default;
+        SimulationRunner.serve(self);
+        pending.forEach(event => self.onmessage(event));
+    });
+} else {
+    // Los mensajes de carga de los módulos van a stderr: el stdout del hilo se vuelca en el
+    // del proceso, que puede llevar datos (bin/mfsu)
+    console.log = console.error;
+    const { parentPort } = require('worker_threads');
+    const { SimulationRunner } = require('./simulation-runner.js');
+    SimulationRunner.serve(parentPort);
+}
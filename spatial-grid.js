@@ -0,0 +1,103 @@
+/**
+ * spatial-grid.js
+ * Descriptor de la malla espacial del Modelo Fractal-Estocástico del Universo (MFSU)
+ *
+ * Una malla uniforme sobre el dominio [x0, x0 + L] (un intervalo por eje) queda descrita por
+ *   { shape, dimensions, size, origin: [x0, ...], length: [L, ...], spacing: [L/n, ...] }
+ * con puntos x_i = x0 + i·dx, i = 0 ... n-1 (el extremo x0 + L es el punto fantasma derecho).
+ * Los perfiles predefinidos (condiciones iniciales, forzamientos, capa absorbente) se evalúan
+ * en coordenadas normalizadas ξ = (x - x0)/L ∈ [0, 1), de modo que escalan con el dominio.
+ */
+
+class SpatialGrid {
+    /**
+     * Crea el descriptor de una malla uniforme
+     * @param {Array<number>} shape - Puntos por eje (1 a 3 ejes)
+     * @param {Object} options - { origin, length } (número común o uno por eje) o
+     *                           domain: [x0, x1] en 1D / [[x0, x1], [y0, y1], ...] por eje
+     * @returns {Object} Descriptor { shape, dimensions, size, origin, length, spacing }
+     */
+    static create(shape, options = {}) {
+        const { origin = 0, length = 1, domain } = options;
+        const perAxis = (value) => Array.isArray(value) ? value : shape.map(() => value);
+
+        let origins = perAxis(origin);
+        let lengths = perAxis(length);
+        if (domain) {
+            const bounds = Array.isArray(domain[0]) ? domain : [domain];
+            origins = bounds.map(([start]) => start);
+            lengths = bounds.map(([start, end]) => end - start);
+        }
+
+        if (origins.length !== shape.length || lengths.length !== shape.length) {
+            throw new Error(`Dominio no válido: se esperan ${shape.length} ejes`);
+        }
+        lengths.forEach((L, axis) => {
+            if (!(L > 0) || !isFinite(L) || !isFinite(origins[axis])) {
+                throw new Error(`Dominio no válido en el eje ${axis}: [${origins[axis]}, ${origins[axis] + L}]`);
+            }
+        });
+
+        return {
+            shape: [...shape],
+            dimensions: shape.length,
+            size: shape.reduce((product, n) => product * n, 1),
+            origin: origins,
+            length: lengths,
+            spacing: shape.map((n, axis) => lengths[axis] / n)
+        };
+    }
+
+    /**
+     * Coordenadas físicas de cada eje
+     * @param {Object} grid - Descriptor de la malla
+     * @returns {Array<Array<number>>} x0 + i·dx por eje
+     */
+    static axes(grid) {
+        return grid.shape.map((n, axis) =>
+            Array.from({ length: n }, (_, i) => grid.origin[axis] + i * grid.spacing[axis]));
+    }
+
+    /**
+     * Coordenadas físicas de todos los puntos en orden C
+     * @param {Object} grid - Descriptor de la malla
+     * @returns {Array} x por punto en 1D; [x, y] o [x, y, z] en 2D/3D
+     */
+    static coordinates(grid) {
+        const axes = this.axes(grid);
+        if (grid.dimensions === 1) {
+            return axes[0];
+        }
+
+        let points = [[]];
+        for (const axis of axes) {
+            const next = [];
+            for (const point of points) {
+                for (const x of axis) {
+                    next.push([...point, x]);
+                }
+            }
+            points = next;
+        }
+        return points;
+    }
+
+    /**
+     * Coordenadas normalizadas ξ = (x - x0)/L de un punto
+     * @param {Object} grid - Descriptor de la malla
+     * @param {number|Array<number>} point - x en 1D; [x, y] o [x, y, z] en 2D/3D
+     * @returns {number|Array<number>} ξ con la misma forma que point
+     */
+    static normalize(grid, point) {
+        return Array.isArray(point) ?
+            point.map((x, axis) => (x - grid.origin[axis]) / grid.length[axis]) :
+            (point - grid.origin[0]) / grid.length[0];
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpatialGrid };
+} else if (typeof window !== 'undefined') {
+    window.SpatialGrid = SpatialGrid;
+}
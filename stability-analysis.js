@@ -5,11 +5,69 @@
  */
 
 class StabilityAnalysis {
-    constructor() {
+    /**
+     * @param {Object} options - { seed, rng } para inyectar un generador reproducible
+     */
+    constructor(options = {}) {
         this.results = null;
         this.evolutionData = [];
         this.stabilityMetrics = {};
         this.initialized = false;
+        this.rng = options.rng || new (StabilityAnalysis.seededRandom)(options.seed);
+    }
+
+    /**
+     * Generador pseudoaleatorio reproducible (global en el navegador, require en Node.js)
+     */
+    static get seededRandom() {
+        return typeof SeededRandom !== 'undefined' ?
+            SeededRandom : require('./random.js').SeededRandom;
+    }
+
+    /**
+     * Motor numérico común: operador fractal, ruido, paso de Euler y métricas
+     * (global en el navegador, require en Node.js)
+     */
+    static get engine() {
+        return typeof MFSUEngine !== 'undefined' ?
+            MFSUEngine : require('./mfsu-engine.js').MFSUEngine;
+    }
+
+    /**
+     * Integradores temporales e incrementos estocásticos (global en el navegador, require en Node.js)
+     */
+    static get timeIntegrators() {
+        return typeof TimeIntegrators !== 'undefined' ?
+            TimeIntegrators : require('./integrators.js').TimeIntegrators;
+    }
+
+    /**
+     * Condiciones de frontera compartidas (global en el navegador, require en Node.js)
+     */
+    static get boundaryConditions() {
+        return typeof BoundaryConditions !== 'undefined' ?
+            BoundaryConditions : require('./boundary-conditions.js').BoundaryConditions;
+    }
+
+    /**
+     * Solver MFSU: registro compartido de condiciones iniciales (global en el navegador, require en Node.js)
+     */
+    static get mfsuSolver() {
+        return typeof MFSUSolver !== 'undefined' ?
+            MFSUSolver : require('./mfsu-solver.js').MFSUSolver;
+    }
+
+    /**
+     * Máximo de |v| con un bucle (Math.max(...v) desborda la pila con arrays grandes)
+     * @param {Array<number>} values - Valores
+     * @returns {number} max |v_i| (NaN si algún valor lo es)
+     */
+    static maxAbs(values) {
+        let max = -Infinity;
+        for (let i = 0; i < values.length; i++) {
+            max = Math.max(max, Math.abs(values[i]));
+        }
+        return max;
     }
 
     /**
@@ -45,16 +103,30 @@ class StabilityAnalysis {
             nt: 2000,
             methods: ['vonNeumann', 'lyapunov', 'energy', 'spectral', 'statistical'],
             perturbationAmplitude: 1e-6,
-            saveEvolution: true
+            saveEvolution: true,
+            operator: 'finiteDifference',
+            boundary: 'periodic',
+            stochasticScheme: 'euler_maruyama',
+            interpretation: 'ito',
+            noise: 'stream'
         };
 
         const opts = { ...defaultOptions, ...options };
+
+        // Generador del análisis: inyectado (opts.rng), sembrado (opts.seed) o el de la instancia
+        const rng = opts.rng ||
+            (opts.seed !== undefined ? new (StabilityAnalysis.seededRandom)(opts.seed) : this.rng);
+        const rngState = rng.getState();
+        const stream = rng.split();
         
         // Ejecutar simulación principal
-        const mainSimulation = await this.runStabilitySimulation(params, opts);
+        const mainSimulation = await this.runStabilitySimulation(params, opts, stream.fork(0));
         
-        // Análisis con perturbaciones
-        const perturbedSimulation = await this.runPerturbedSimulation(params, opts);
+        // Análisis con perturbaciones: mismo flujo (condición inicial y ruido) que la
+        // simulación principal, de modo que solo difieren en la perturbación
+        const perturbedSimulation = await this.runPerturbedSimulation(
+            params, opts, stream.fork(0), stream.fork(1)
+        );
         
         // Ejecutar análisis específicos
         const analysisResults = {};
@@ -68,6 +140,19 @@ class StabilityAnalysis {
 
         // Compilar resultados finales
         this.results = this.compileResults(analysisResults, mainSimulation, params);
+        this.results.rngState = rngState;
+
+        // Con paso adaptativo se distingue "Δt demasiado grande" de "esquema inestable"
+        if (opts.adaptive) {
+            this.results.timeStep = this.diagnoseTimeStep(params, opts, mainSimulation, stream.fork(0));
+            if (this.results.timeStep.diagnosis === 'dt_too_large') {
+                this.results.recommendations.push({
+                    type: 'timestep',
+                    message: `Δt = ${params.dt} es demasiado grande: el control de error acepta pasos de hasta ${this.results.timeStep.suggestedDt.toExponential(2)}`,
+                    priority: 'high'
+                });
+            }
+        }
         
         return this.results;
     }
@@ -75,15 +160,15 @@ class StabilityAnalysis {
     /**
      * Ejecutar simulación principal para análisis de estabilidad
      */
-    async runStabilitySimulation(params, options) {
+    async runStabilitySimulation(params, options, rng = this.rng) {
         const { nx, nt } = options;
         const dx = 1.0 / nx;
         const dt = params.dt;
 
         // Condiciones iniciales con múltiples modos
-        let psi = this.generateInitialConditions(nx, 'multimode');
+        let psi = this.generateInitialConditions(nx, 'multimode', rng);
         const evolution = [];
-        const hurstNoise = this.generateHurstNoise(nx, nt, 0.5);
+        const noise = this.createNoiseSource(nx, nt, params.hurst, params.hurstExponent, rng, options.noise);
 
         // Métricas de evolución
         const metrics = {
@@ -94,9 +179,10 @@ class StabilityAnalysis {
             enstrophy: []
         };
 
+        let diverged = false;
         for (let t = 0; t < nt; t++) {
             // Evolución temporal
-            psi = this.evolveTimeStep(psi, params, dx, dt, hurstNoise[t]);
+            psi = this.evolveTimeStep(psi, params, dx, dt, noise.next(), options);
 
             // Calcular métricas cada 10 pasos
             if (t % 10 === 0) {
@@ -116,9 +202,10 @@ class StabilityAnalysis {
             }
 
             // Verificar estabilidad durante la evolución
-            const maxAmp = Math.max(...psi.map(x => Math.abs(x)));
+            const maxAmp = StabilityAnalysis.maxAbs(psi);
             if (maxAmp > 1e6) {
                 console.warn(`Simulación inestable en t=${t*dt}, max amplitude: ${maxAmp}`);
+                diverged = true;
                 break;
             }
         }
@@ -127,28 +214,29 @@ class StabilityAnalysis {
             finalPsi: psi,
             evolution: evolution,
             metrics: metrics,
-            isStable: this.assessBasicStability(metrics)
+            diverged: diverged,
+            isStable: !diverged && this.assessBasicStability(metrics)
         };
     }
 
     /**
      * Ejecutar simulación con perturbaciones
      */
-    async runPerturbedSimulation(params, options) {
+    async runPerturbedSimulation(params, options, rng = this.rng, perturbationRng = rng) {
         const { nx, nt, perturbationAmplitude } = options;
         const dx = 1.0 / nx;
         const dt = params.dt;
 
         // Condiciones iniciales perturbadas
-        let psi = this.generateInitialConditions(nx, 'multimode');
-        const perturbation = this.generatePerturbation(nx, perturbationAmplitude);
+        let psi = this.generateInitialConditions(nx, 'multimode', rng);
+        const perturbation = this.generatePerturbation(nx, perturbationAmplitude, perturbationRng);
         psi = psi.map((val, i) => val + perturbation[i]);
 
         const evolution = [];
-        const hurstNoise = this.generateHurstNoise(nx, nt, 0.5);
+        const noise = this.createNoiseSource(nx, nt, params.hurst, params.hurstExponent, rng, options.noise);
 
         for (let t = 0; t < nt; t++) {
-            psi = this.evolveTimeStep(psi, params, dx, dt, hurstNoise[t]);
+            psi = this.evolveTimeStep(psi, params, dx, dt, noise.next(), options);
 
             if (t % 10 === 0) {
                 const stepMetrics = this.calculateStepMetrics(psi, dx, t * dt);
@@ -159,7 +247,7 @@ class StabilityAnalysis {
                 });
             }
 
-            const maxAmp = Math.max(...psi.map(x => Math.abs(x)));
+            const maxAmp = StabilityAnalysis.maxAbs(psi);
             if (maxAmp > 1e6) break;
         }
 
@@ -170,70 +258,138 @@ class StabilityAnalysis {
         };
     }
 
+    /**
+     * Repetir la simulación principal con subpasos adaptativos de la deriva (par encajado)
+     * Si la simulación con Δt fijo es inestable pero la adaptativa permanece acotada, la
+     * inestabilidad se debe al paso temporal ('dt_too_large'); si ambas divergen, o el
+     * controlador necesita pasos menores que dtMin, no se debe a Δt ('scheme_unstable')
+     * @param {Object} params - Parámetros de la ecuación
+     * @param {Object} options - Opciones del análisis; options.adaptive = { method, rtol, atol, dtMin, dtMax ≤ dt }
+     * @param {Object} mainSimulation - Resultado de runStabilitySimulation con Δt fijo
+     * @param {SeededRandom} rng - Mismo flujo que la simulación principal
+     * @returns {Object} { diagnosis, requestedDt, suggestedDt, acceptedSteps, rejectedSteps, bounded, error }
+     */
+    diagnoseTimeStep(params, options, mainSimulation, rng = this.rng) {
+        const integrators = StabilityAnalysis.timeIntegrators;
+        const { method = 'bs23', ...adaptive } = options.adaptive === true ? {} : options.adaptive;
+        const integrator = integrators.get(method);
+        if (!integrator.embedded) {
+            throw new Error(`El paso adaptativo requiere un par encajado ('bs23' o 'rk45'), no '${method}'`);
+        }
+
+        const { nx, nt } = options;
+        const { alpha, beta, gamma, fractalDim, hurstExponent, dt } = params;
+        const dx = 1.0 / nx;
+        const controller = integrators.createController(adaptive, dt);
+
+        let psi = this.generateInitialConditions(nx, 'multimode', rng);
+        const noise = this.createNoiseSource(nx, nt, params.hurst, hurstExponent, rng, options.noise);
+
+        const rhs = (state) => {
+            const fractalTerm = this.applyFractionalOperator(
+                state, dx, fractalDim, options.operator, options.boundary
+            );
+            return state.map((value, i) => alpha * fractalTerm[i] - gamma * Math.pow(value, 3));
+        };
+
+        let bounded = true;
+        let error = null;
+        try {
+            for (let t = 0; t < nt; t++) {
+                const drift = integrators.adaptiveAdvance(psi, t * dt, dt, rhs, integrator, controller);
+                const increment = integrators.stochasticIncrement(psi, noise.next(), beta, dt, {
+                    scheme: options.stochasticScheme,
+                    interpretation: options.interpretation,
+                    hurstExponent: hurstExponent
+                });
+                psi = drift.map((value, i) => value + increment[i]);
+
+                if (!psi.every(value => Math.abs(value) <= 1e6)) {
+                    bounded = false;
+                    break;
+                }
+            }
+        } catch (e) {
+            bounded = false;
+            error = e.message;
+        }
+
+        // Mediana de los subpasos aceptados (los recortados al final de cada intervalo son atípicos)
+        const steps = controller.dtHistory.map(entry => entry.dt).sort((x, y) => x - y);
+        const suggestedDt = steps.length > 0 ? steps[Math.floor(steps.length / 2)] : controller.dtMin;
+
+        let diagnosis = 'stable';
+        if (!mainSimulation.isStable) {
+            diagnosis = bounded ? 'dt_too_large' : 'scheme_unstable';
+        }
+
+        return {
+            diagnosis: diagnosis,
+            requestedDt: dt,
+            suggestedDt: suggestedDt,
+            acceptedSteps: controller.acceptedSteps,
+            rejectedSteps: controller.rejectedSteps,
+            bounded: bounded,
+            error: error
+        };
+    }
+
     /**
      * Evolucionar un paso temporal
+     * options.operator: 'finiteDifference' (por defecto), 'spectral' o 'riesz'
+     * options.boundary: 'periodic' (por defecto), 'dirichlet' o 'neumann' (no con 'spectral'),
+     *                   homogéneas (ψ = 0 fuera del dominio o flujo nulo)
+     * options.stochasticScheme: 'euler_maruyama' (por defecto) o 'milstein'
+     * options.interpretation: 'ito' (por defecto) o 'stratonovich'
      */
-    evolveTimeStep(psi, params, dx, dt, noise) {
-        const { alpha, beta, gamma, fractalDim } = params;
+    evolveTimeStep(psi, params, dx, dt, noise, options = {}) {
+        const { alpha, beta, gamma, fractalDim, hurstExponent } = params;
         const nx = psi.length;
 
         // Calcular el Laplaciano fractal (-Δ)^(∂/2)
-        const fractalTerm = this.fractionalLaplacian(psi, dx, fractalDim);
-
-        // Evolución usando método de Euler mejorado
+        const fractalTerm = this.applyFractionalOperator(
+            psi, dx, fractalDim, options.operator, options.boundary
+        );
+
+        // Incremento estocástico β·ψ·ΔW con ΔW escalado como Δt^{H_t}
+        const stochastic = StabilityAnalysis.timeIntegrators.stochasticIncrement(psi, noise, beta, dt, {
+            scheme: options.stochasticScheme,
+            interpretation: options.interpretation,
+            hurstExponent: hurstExponent
+        });
+
+        // Deriva con Euler explícito más el incremento estocástico
         const psiNew = new Array(nx);
         for (let i = 0; i < nx; i++) {
             const diffusion = alpha * fractalTerm[i];
-            const stochastic = beta * noise[i] * psi[i];
             const nonlinear = -gamma * Math.pow(psi[i], 3);
             const forcing = 0; // Puede ser modificado según el problema
 
-            psiNew[i] = psi[i] + dt * (diffusion + stochastic + nonlinear + forcing);
+            psiNew[i] = psi[i] + dt * (diffusion + nonlinear + forcing) + stochastic[i];
         }
 
         return psiNew;
     }
 
     /**
-     * Operador Laplaciano fractal (-Δ)^(∂/2)
+     * Aplicar la discretización elegida del operador fractal
      */
-    fractionalLaplacian(psi, dx, order) {
-        const n = psi.length;
-        const result = new Array(n).fill(0);
-
-        // Laplaciano base con diferencias finitas
-        const laplacian = new Array(n).fill(0);
-        for (let i = 1; i < n - 1; i++) {
-            laplacian[i] = (psi[i+1] - 2*psi[i] + psi[i-1]) / (dx*dx);
+    applyFractionalOperator(psi, dx, order, operator = 'finiteDifference', boundary = 'periodic') {
+        if (operator === 'finiteDifference') {
+            return this.fractionalLaplacian(psi, dx, order, boundary);
         }
 
-        // Condiciones de frontera periódicas
-        laplacian[0] = (psi[1] - 2*psi[0] + psi[n-1]) / (dx*dx);
-        laplacian[n-1] = (psi[0] - 2*psi[n-1] + psi[n-2]) / (dx*dx);
-
-        // Aplicar potencia fractal
-        const fracPower = order / 2;
-        
-        if (fracPower < 1) {
-            // Aproximación de Caputo para exponentes fraccionarios
-            for (let i = 0; i < n; i++) {
-                const magnitude = Math.abs(laplacian[i]) + 1e-12;
-                result[i] = Math.pow(magnitude, fracPower) * Math.sign(laplacian[i]);
-            }
-        } else {
-            // Laplaciano iterado para exponentes enteros
-            let temp = [...laplacian];
-            for (let iter = 1; iter < Math.floor(fracPower); iter++) {
-                for (let i = 1; i < n - 1; i++) {
-                    temp[i] = (temp[i+1] - 2*temp[i] + temp[i-1]) / (dx*dx);
-                }
-                temp[0] = (temp[1] - 2*temp[0] + temp[n-1]) / (dx*dx);
-                temp[n-1] = (temp[0] - 2*temp[n-1] + temp[n-2]) / (dx*dx);
-            }
-            result = temp;
-        }
+        const operators = typeof FractionalOperators !== 'undefined' ?
+            FractionalOperators : require('./fractional-operators.js').FractionalOperators;
+        return operators.apply(psi, dx, order, { operator, boundary });
+    }
 
-        return result;
+    /**
+     * Operador Laplaciano fractal (-Δ)^(∂/2) por diferencias finitas (ver mfsu-engine.js)
+     */
+    fractionalLaplacian(psi, dx, order, boundary = 'periodic') {
+        StabilityAnalysis.boundaryConditions.validate(boundary);
+        return StabilityAnalysis.engine.fractionalLaplacian(psi, dx, order, boundary);
     }
 
     /**
@@ -410,83 +566,51 @@ class StabilityAnalysis {
     /**
      * Métodos auxiliares
      */
-    generateInitialConditions(nx, type = 'multimode') {
-        const psi = new Array(nx);
-        const dx = 1.0 / nx;
 
-        switch (type) {
-            case 'multimode':
-                for (let i = 0; i < nx; i++) {
-                    const x = i * dx;
-                    psi[i] = 0.1 * Math.sin(2 * Math.PI * x) * Math.exp(-Math.pow(x - 0.5, 2) / 0.1) +
-                             0.05 * Math.sin(4 * Math.PI * x) +
-                             0.02 * Math.sin(8 * Math.PI * x) +
-                             0.01 * (Math.random() - 0.5);
-                }
-                break;
-            case 'gaussian':
-                for (let i = 0; i < nx; i++) {
-                    const x = i * dx;
-                    psi[i] = Math.exp(-Math.pow(x - 0.5, 2) / 0.05);
-                }
-                break;
-            case 'random':
-                for (let i = 0; i < nx; i++) {
-                    psi[i] = 0.1 * (Math.random() - 0.5);
-                }
-                break;
+    /**
+     * Condición inicial del registro compartido de MFSUSolver ('multimode' por defecto)
+     * @param {number} nx - Puntos espaciales sobre [0, 1)
+     * @param {string} type - Nombre registrado con MFSUSolver.registerInitialCondition
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @returns {Array} Condición inicial
+     */
+    generateInitialConditions(nx, type = 'multimode', rng = this.rng) {
+        const Solver = StabilityAnalysis.mfsuSolver;
+        if (!Solver.lookup(Solver.initialConditions, type)) {
+            throw new Error(`Condición inicial '${type}' no encontrada`);
         }
-
-        return psi;
+        return new Solver({ rng: rng }).generateInitialCondition(nx, type, rng);
     }
 
-    generatePerturbation(nx, amplitude) {
+    generatePerturbation(nx, amplitude, rng = this.rng) {
         const perturbation = new Array(nx);
         for (let i = 0; i < nx; i++) {
-            perturbation[i] = amplitude * (Math.random() - 0.5);
+            perturbation[i] = amplitude * (rng.random() - 0.5);
         }
         return perturbation;
     }
 
-    generateHurstNoise(nx, nt, hurst = 0.5) {
-        const noise = [];
-        
-        for (let t = 0; t < nt; t++) {
-            const spatialNoise = new Array(nx);
-            
-            for (let i = 0; i < nx; i++) {
-                spatialNoise[i] = Math.random() - 0.5;
-            }
-            
-            // Aplicar correlaciones de Hurst
-            const correlatedNoise = [...spatialNoise];
-            for (let i = 1; i < nx; i++) {
-                const correlation = Math.pow(i, -hurst);
-                correlatedNoise[i] = correlation * correlatedNoise[i-1] + 
-                                   Math.sqrt(1 - correlation*correlation) * spatialNoise[i];
-            }
-            
-            noise.push(correlatedNoise);
-        }
-        
-        return noise;
+    /**
+     * Ruido gaussiano fraccionario espacio-temporal (hurst: espacial, hurstExponent: temporal)
+     */
+    generateHurstNoise(nx, nt, hurst = 0.5, hurstExponent = 0.5, rng = this.rng) {
+        return StabilityAnalysis.engine.generateHurstNoise(nx, nt, hurst, hurstExponent, rng);
+    }
+
+    /**
+     * Fuente de ruido con una fila por paso; spec es options.noise ('stream', 'field', ...)
+     */
+    createNoiseSource(nx, nt, hurst = 0.5, hurstExponent = 0.5, rng = this.rng, spec = 'stream') {
+        return StabilityAnalysis.engine.createNoiseSource(nx, nt, hurst, hurstExponent, rng, spec);
     }
 
+    /**
+     * Métricas de un paso: amplitud máxima, norma L2 y energía del motor común con la
+     * normalización 'sum' (sin el factor dx), la escala de la que dependen los umbrales de
+     * energyAnalysis y STABILITY_CONFIG; más entropía y enstrofía
+     */
     calculateStepMetrics(psi, dx, time) {
-        const n = psi.length;
-        
-        // Amplitud máxima
-        const maxAmplitude = Math.max(...psi.map(x => Math.abs(x)));
-        
-        // Norma L2
-        const l2Norm = Math.sqrt(psi.reduce((sum, x) => sum + x*x, 0));
-        
-        // Energía total
-        let energy = 0;
-        for (let i = 0; i < n; i++) {
-            const grad = i < n-1 ? psi[i+1] - psi[i] : psi[0] - psi[i];
-            energy += 0.5 * grad*grad / (dx*dx) + 0.25 * Math.pow(psi[i], 4);
-        }
+        const { maxAmp: maxAmplitude, l2Norm, energy } = StabilityAnalysis.engine.metrics(psi, dx, 'sum');
         
         // Entropía
         const entropy = this.calculateEntropy(psi);
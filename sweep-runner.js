@@ -0,0 +1,378 @@
+/**
+ * sweep-runner.js
+ * Barridos de parámetros en paralelo para el Modelo Fractal-Estocástico del Universo (MFSU)
+ *
+ * Reparte las configuraciones de Config.generateParameterSweep entre un grupo de N
+ * SimulationRunner (hilos de worker_threads en Node.js, Web Workers en el navegador) que
+ * toman la siguiente configuración pendiente al terminar la anterior. Cada configuración
+ * produce una fila { index, key, ...parámetros, ...resumen } con el resumen de las tareas
+ * 'solveSummary' o 'stabilitySummary'; si la simulación falla, la fila lleva `error`.
+ *
+ * En Node.js las filas se añaden al fichero de salida (NDJSON o CSV) según terminan, de modo
+ * que un barrido interrumpido puede reanudarse: las configuraciones cuya clave ya está en el
+ * fichero no se repiten (una última línea incompleta se descarta).
+ */
+
+class SweepRunner {
+    /**
+     * @param {Object} options - { workers: tamaño del grupo (por defecto los núcleos disponibles),
+     *                             workerUrl, useWorker: opciones de cada SimulationRunner }
+     */
+    constructor(options = {}) {
+        this.workers = Math.max(1, options.workers || SweepRunner.defaultWorkers);
+        this.runnerOptions = { workerUrl: options.workerUrl, useWorker: options.useWorker };
+        this.runners = [];
+        this.cancelled = false;
+    }
+
+    /**
+     * Ejecutor de tareas (global en el navegador, require en Node.js)
+     */
+    static get simulationRunner() {
+        return typeof SimulationRunner !== 'undefined' ?
+            SimulationRunner : require('./simulation-runner.js').SimulationRunner;
+    }
+
+    /**
+     * Configuración del modelo (módulo ES: global en el navegador, require(esm) en Node.js)
+     */
+    static get config() {
+        return typeof Config !== 'undefined' ? Config : require('./config.js').default;
+    }
+
+    /**
+     * Sistema de ficheros de Node.js (null en el navegador)
+     */
+    static get fs() {
+        return typeof window === 'undefined' && typeof require === 'function' ? require('fs') : null;
+    }
+
+    /**
+     * Núcleos disponibles: tamaño del grupo por defecto
+     */
+    static get defaultWorkers() {
+        if (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) {
+            return navigator.hardwareConcurrency;
+        }
+        if (typeof require === 'function') {
+            const os = require('os');
+            return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+        }
+        return 1;
+    }
+
+    /**
+     * Producto cartesiano de variaciones sobre unos parámetros base
+     * @param {Object} baseParams - Parámetros comunes
+     * @param {Object} variations - { parámetro: [valores] }
+     * @returns {Array<Object>} Configuraciones
+     */
+    static generate(baseParams, variations) {
+        return SweepRunner.config.generateParameterSweep(baseParams, variations);
+    }
+
+    /**
+     * Clave estable de una configuración (JSON con las claves ordenadas)
+     * @param {Object} config - Parámetros
+     * @returns {string} Clave
+     */
+    static configKey(config) {
+        return JSON.stringify(Object.keys(config).sort().map(name => [name, config[name]]));
+    }
+
+    /**
+     * Formato de salida a partir de la extensión del fichero
+     * @param {string} file - Ruta del fichero
+     * @returns {string} 'ndjson' o 'csv'
+     */
+    static formatOf(file) {
+        return /\.csv$/i.test(file) ? 'csv' : 'ndjson';
+    }
+
+    /**
+     * Tabla en NDJSON (una fila JSON por línea)
+     * @param {Array<Object>} rows - Filas
+     * @returns {string} Texto NDJSON
+     */
+    static toNDJSON(rows) {
+        return rows.map(row => JSON.stringify(row) + '\n').join('');
+    }
+
+    /**
+     * Tabla en CSV
+     * @param {Array<Object>} rows - Filas
+     * @param {Array<string>} columns - Columnas (por defecto las de todas las filas)
+     * @returns {string} Texto CSV con cabecera
+     */
+    static toCSV(rows, columns = SweepRunner.columnsOf(rows)) {
+        const lines = [columns.map(SweepRunner.csvValue).join(',')];
+        rows.forEach(row => lines.push(columns.map(name => SweepRunner.csvValue(row[name])).join(',')));
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Columnas de una tabla en orden de aparición, con `error` al final
+     * @param {Array<Object>} rows - Filas
+     * @returns {Array<string>} Columnas
+     */
+    static columnsOf(rows) {
+        const columns = [];
+        rows.forEach(row => Object.keys(row).forEach(name => {
+            if (name !== 'error' && !columns.includes(name)) {
+                columns.push(name);
+            }
+        }));
+        columns.push('error');
+        return columns;
+    }
+
+    /**
+     * Valor escapado de una celda CSV (comillas si contiene comas, comillas o saltos de línea)
+     * @param {*} value - Valor
+     * @returns {string} Celda
+     */
+    static csvValue(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Separa una línea CSV en celdas
+     * @param {string} line - Línea
+     * @returns {Array<string>|null} Celdas, o null si hay comillas sin cerrar (línea incompleta)
+     */
+    static parseCSVLine(line) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                cells.push(cell);
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (quoted) {
+            return null;
+        }
+        cells.push(cell);
+        return cells;
+    }
+
+    /**
+     * Valor de una celda CSV leída (número, booleano, null o texto)
+     * @param {string} text - Celda
+     * @returns {*} Valor
+     */
+    static parseCSVValue(text) {
+        if (text === '') return null;
+        if (text === 'true') return true;
+        if (text === 'false') return false;
+        const number = Number(text);
+        return Number.isNaN(number) && text !== 'NaN' ? text : number;
+    }
+
+    /**
+     * Lee las filas ya escritas en un fichero de salida (para reanudar)
+     * @param {string} file - Ruta del fichero
+     * @param {string} format - 'ndjson' o 'csv'
+     * @returns {Object} { rows, columns: cabecera CSV o null }
+     */
+    static readOutput(file, format = SweepRunner.formatOf(file)) {
+        const fs = SweepRunner.fs;
+        if (!fs || !fs.existsSync(file)) {
+            return { rows: [], columns: null };
+        }
+
+        const text = fs.readFileSync(file, 'utf8');
+        // Solo cuentan las líneas terminadas: la última puede haberse cortado al interrumpir
+        const lines = text.split('\n').slice(0, -1).filter(line => line.trim() !== '');
+        const rows = [];
+
+        if (format === 'csv') {
+            const columns = lines.length > 0 ? SweepRunner.parseCSVLine(lines[0]) : null;
+            lines.slice(1).forEach(line => {
+                const cells = SweepRunner.parseCSVLine(line);
+                if (cells && cells.length === columns.length) {
+                    const row = {};
+                    columns.forEach((name, i) => {
+                        if (cells[i] !== '') {
+                            row[name] = name === 'key' ? cells[i] : SweepRunner.parseCSVValue(cells[i]);
+                        }
+                    });
+                    rows.push(row);
+                }
+            });
+            return { rows: rows, columns: columns };
+        }
+
+        lines.forEach(line => {
+            try {
+                rows.push(JSON.parse(line));
+            } catch (error) {
+                // Línea corrupta: la configuración se repite
+            }
+        });
+        return { rows: rows, columns: null };
+    }
+
+    /**
+     * Ejecuta el barrido
+     * @param {Array<Object>} configs - Configuraciones (p. ej. de SweepRunner.generate)
+     * @param {Object} options - {
+     *     task: 'solveSummary' (por defecto) o 'stabilitySummary',
+     *     nx, nt: tamaño de cada simulación si la configuración no los fija (64 y 100),
+     *     seed: semilla común a todas las configuraciones (1),
+     *     solve / analysis: opciones de solve() / analyzeStability(),
+     *     output: fichero NDJSON o CSV (solo Node.js), format: 'ndjson' | 'csv',
+     *     resume: false para reescribir el fichero en lugar de reanudarlo,
+     *     onResult(row, { completed, total }): llamada tras cada configuración
+     * }
+     * @returns {Promise<Array<Object>>} Tabla de resultados ordenada por índice (también las filas
+     *                                   reanudadas); incompleta si se cancela
+     */
+    async run(configs, options = {}) {
+        const { task = 'solveSummary', nx = 64, nt = 100, seed = 1, output, onResult } = options;
+        const format = options.format || (output ? SweepRunner.formatOf(output) : 'ndjson');
+        SweepRunner.simulationRunner.getTask(task);
+        this.cancelled = false;
+
+        const table = [];
+        let columns = null;
+        if (output) {
+            if (options.resume === false) {
+                SweepRunner.fs.writeFileSync(output, '');
+            }
+            const previous = SweepRunner.readOutput(output, format);
+            columns = previous.columns;
+            const keys = new Set(configs.map(SweepRunner.configKey));
+            previous.rows.filter(row => keys.has(row.key)).forEach(row => table.push(row));
+            this.truncatePartialLine(output);
+        }
+
+        const done = new Set(table.map(row => row.key));
+        const queue = configs
+            .map((config, index) => ({ config, index, key: SweepRunner.configKey(config) }))
+            .filter(item => !done.has(item.key));
+        const total = table.length + queue.length;
+        const pendingCSV = [];
+
+        // La cabecera CSV sale de la primera fila con resumen; las filas con error la esperan
+        const writeCSV = (force) => {
+            if (!columns && (force || pendingCSV.some(row => row.error === undefined))) {
+                columns = SweepRunner.columnsOf(pendingCSV);
+                SweepRunner.fs.appendFileSync(output, SweepRunner.toCSV([], columns));
+            }
+            if (columns && pendingCSV.length > 0) {
+                const text = SweepRunner.toCSV(pendingCSV.splice(0), columns);
+                SweepRunner.fs.appendFileSync(output, text.slice(text.indexOf('\n') + 1));
+            }
+        };
+
+        const record = (row) => {
+            table.push(row);
+            if (output && format === 'csv') {
+                pendingCSV.push(row);
+                writeCSV(false);
+            } else if (output) {
+                SweepRunner.fs.appendFileSync(output, SweepRunner.toNDJSON([row]));
+            }
+            if (onResult) {
+                onResult(row, { completed: table.length, total: total });
+            }
+        };
+
+        const worker = async (runner) => {
+            while (queue.length > 0 && !this.cancelled) {
+                const { config, index, key } = queue.shift();
+                const settings = {
+                    nx: config.nx !== undefined ? config.nx : nx,
+                    nt: config.nt !== undefined ? config.nt : nt,
+                    seed: seed,
+                    solve: options.solve,
+                    analysis: options.analysis
+                };
+
+                let summary;
+                try {
+                    summary = await runner.run(task, config, { options: settings });
+                } catch (error) {
+                    summary = { error: error.message };
+                }
+                if (summary === null || this.cancelled) {
+                    return;
+                }
+                record({ index: index, key: key, ...config, ...summary });
+            }
+        };
+
+        const size = Math.min(this.workers, queue.length);
+        this.runners = Array.from({ length: size }, () => new (SweepRunner.simulationRunner)(this.runnerOptions));
+        try {
+            await Promise.all(this.runners.map(worker));
+        } finally {
+            if (pendingCSV.length > 0) {
+                writeCSV(true);
+            }
+            this.destroy();
+        }
+
+        return table.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Elimina una última línea sin terminar antes de añadir filas nuevas
+     * @param {string} file - Ruta del fichero
+     */
+    truncatePartialLine(file) {
+        const fs = SweepRunner.fs;
+        if (!fs.existsSync(file)) {
+            return;
+        }
+        const text = fs.readFileSync(file, 'utf8');
+        if (text.length > 0 && !text.endsWith('\n')) {
+            fs.truncateSync(file, Buffer.byteLength(text.slice(0, text.lastIndexOf('\n') + 1)));
+        }
+    }
+
+    /**
+     * Cancela el barrido: las simulaciones en curso se descartan y run() devuelve lo completado
+     */
+    cancel() {
+        this.cancelled = true;
+        this.runners.forEach(runner => runner.cancel());
+    }
+
+    /**
+     * Libera los workers del grupo
+     */
+    destroy() {
+        this.runners.forEach(runner => runner.destroy());
+        this.runners = [];
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SweepRunner };
+} else if (typeof window !== 'undefined') {
+    window.SweepRunner = SweepRunner;
+}
@@ -6,86 +6,62 @@
 
 // Clase para análisis de convergencia y estabilidad
 class MFSUConvergenceAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} options - { seed, rng } para inyectar un generador reproducible
+     */
+    constructor(options = {}) {
         this.testResults = [];
         this.epsilon = 1e-10; // Tolerancia numérica
+        
+        const RandomGenerator = typeof SeededRandom !== 'undefined' ?
+            SeededRandom : require('./random.js').SeededRandom;
+        this.rng = options.rng || new RandomGenerator(options.seed);
+        
+        // Motor numérico común (operador, ruido, paso de Euler y métricas)
+        this.engine = typeof MFSUEngine !== 'undefined' ?
+            MFSUEngine : require('./mfsu-engine.js').MFSUEngine;
+        
+        // Orden entre mallas con el factor de refinamiento real
+        this.gridConvergence = typeof GridConvergence !== 'undefined' ?
+            GridConvergence : require('./grid-convergence.js').GridConvergence;
     }
 
     /**
-     * Implementación del operador fractal (-Δ)^(∂/2) usando aproximación espectral
+     * Implementación del operador fractal (-Δ)^(∂/2) por diferencias finitas periódicas
      * @param {Array} psi - Vector de estado
      * @param {number} dx - Espaciado de malla
      * @param {number} order - Orden fractal ∂
      * @returns {Array} - Resultado del operador fractal
      */
     fractionalLaplacian(psi, dx, order) {
-        const n = psi.length;
-        const result = new Array(n).fill(0);
-        
-        // Aproximación del Laplaciano base usando diferencias finitas
-        const laplacian = new Array(n).fill(0);
-        for (let i = 1; i < n - 1; i++) {
-            laplacian[i] = (psi[i+1] - 2*psi[i] + psi[i-1]) / (dx*dx);
-        }
-        
-        // Condiciones de frontera periódicas
-        laplacian[0] = (psi[1] - 2*psi[0] + psi[n-1]) / (dx*dx);
-        laplacian[n-1] = (psi[0] - 2*psi[n-1] + psi[n-2]) / (dx*dx);
-        
-        // Aplicar la potencia fractal ∂/2
-        const fracPower = order / 2;
-        
-        if (fracPower < 1) {
-            // Aproximación de Caputo para exponentes < 1
-            for (let i = 0; i < n; i++) {
-                result[i] = Math.pow(Math.abs(laplacian[i]) + this.epsilon, fracPower) * Math.sign(laplacian[i]);
-            }
-        } else {
-            // Laplaciano iterado para exponentes >= 1
-            let temp = [...laplacian];
-            for (let iter = 1; iter < Math.floor(fracPower); iter++) {
-                for (let i = 1; i < n - 1; i++) {
-                    temp[i] = (temp[i+1] - 2*temp[i] + temp[i-1]) / (dx*dx);
-                }
-                temp[0] = (temp[1] - 2*temp[0] + temp[n-1]) / (dx*dx);
-                temp[n-1] = (temp[0] - 2*temp[n-1] + temp[n-2]) / (dx*dx);
-            }
-            result.splice(0, n, ...temp);
-        }
-        
-        return result;
+        return this.engine.fractionalLaplacian(psi, dx, order);
+    }
+
+    /**
+     * Fuente de ruido de Hurst ξ_H(x,t) con una fila por paso (ver noise-source.js)
+     * @param {number} nx - Puntos espaciales
+     * @param {number} nt - Pasos temporales
+     * @param {number} hurst - Exponente de Hurst espacial
+     * @param {number} hurstExponent - Exponente de Hurst temporal
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
+     * @param {string|Object} spec - 'stream', 'field' o una fuente con next(out)
+     * @returns {Object} - Fuente con next(out)
+     */
+    createNoiseSource(nx, nt, hurst = 0.5, hurstExponent = 0.5, rng = this.rng, spec = 'stream') {
+        return this.engine.createNoiseSource(nx, nt, hurst, hurstExponent, rng, spec);
     }
 
     /**
-     * Generar ruido de Hurst ξ_H(x,t) con correlaciones espaciales
+     * Generar ruido de Hurst ξ_H(x,t) gaussiano fraccionario en espacio y tiempo
      * @param {number} nx - Puntos espaciales
      * @param {number} nt - Puntos temporales
-     * @param {number} hurst - Exponente de Hurst
+     * @param {number} hurst - Exponente de Hurst espacial
+     * @param {number} hurstExponent - Exponente de Hurst temporal
+     * @param {SeededRandom} rng - Generador pseudoaleatorio
      * @returns {Array} - Matriz de ruido correlacionado
      */
-    generateHurstNoise(nx, nt, hurst = 0.5) {
-        const noise = [];
-        
-        for (let t = 0; t < nt; t++) {
-            const spatialNoise = new Array(nx);
-            
-            // Generar ruido espacial base
-            for (let i = 0; i < nx; i++) {
-                spatialNoise[i] = this.gaussianRandom();
-            }
-            
-            // Aplicar correlaciones de Hurst
-            const correlatedNoise = [...spatialNoise];
-            for (let i = 1; i < nx; i++) {
-                const correlation = Math.pow(i, -hurst);
-                correlatedNoise[i] = correlation * correlatedNoise[i-1] + 
-                                   Math.sqrt(1 - correlation*correlation) * spatialNoise[i];
-            }
-            
-            noise.push(correlatedNoise);
-        }
-        
-        return noise;
+    generateHurstNoise(nx, nt, hurst = 0.5, hurstExponent = 0.5, rng = this.rng) {
+        return this.engine.generateHurstNoise(nx, nt, hurst, hurstExponent, rng);
     }
 
     /**
@@ -93,10 +69,7 @@ class MFSUConvergenceAnalyzer {
      * @returns {number} - Número aleatorio gaussiano
      */
     gaussianRandom() {
-        let u = 0, v = 0;
-        while(u === 0) u = Math.random();
-        while(v === 0) v = Math.random();
-        return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+        return this.rng.gaussian();
     }
 
     /**
@@ -104,57 +77,18 @@ class MFSUConvergenceAnalyzer {
      * @param {Object} params - Parámetros del modelo
      * @param {number} nx - Puntos espaciales
      * @param {number} nt - Pasos temporales
+     * @param {string|Object} noise - Fuente de ruido (ver createNoiseSource)
      * @returns {Object} - Resultado de la simulación
      */
-    solveMFSU(params, nx, nt) {
-        const { alpha, beta, gamma, fractalDim, dt } = params;
-        const dx = 1.0 / nx;
-        
-        // Condiciones iniciales con estructura fractal
-        let psi = new Array(nx);
-        for (let i = 0; i < nx; i++) {
-            const x = i * dx;
-            psi[i] = 0.1 * Math.sin(2 * Math.PI * x) * Math.exp(-Math.pow(x - 0.5, 2) / 0.1) +
-                     0.05 * this.gaussianRandom();
-        }
-        
-        const evolution = [];
-        const hurstNoise = this.generateHurstNoise(nx, nt, 0.5);
-        
-        for (let t = 0; t < nt; t++) {
-            // Calcular el Laplaciano fractal (-Δ)^(∂/2)
-            const fractalTerm = this.fractionalLaplacian(psi, dx, fractalDim);
-            
-            // Función de forzamiento (puede ser personalizada)
-            const forcing = new Array(nx).fill(0);
-            
-            // Evolución temporal usando esquema de Euler mejorado
-            const psiNew = new Array(nx);
-            for (let i = 0; i < nx; i++) {
-                const diffusion = alpha * fractalTerm[i];
-                const stochastic = beta * hurstNoise[t][i] * psi[i];
-                const nonlinear = -gamma * Math.pow(psi[i], 3);
-                const force = forcing[i];
-                
-                psiNew[i] = psi[i] + dt * (diffusion + stochastic + nonlinear + force);
-            }
-            
-            psi = psiNew;
-            
-            // Almacenar evolución cada cierto número de pasos
-            if (t % Math.max(1, Math.floor(nt / 100)) === 0) {
-                evolution.push({
-                    time: t * dt,
-                    maxAmp: Math.max(...psi.map(x => Math.abs(x))),
-                    l2Norm: Math.sqrt(psi.reduce((sum, x) => sum + x*x, 0)),
-                    energy: this.calculateEnergy(psi, dx),
-                    entropy: this.calculateEntropy(psi)
-                });
-            }
-        }
+    solveMFSU(params, nx, nt, noise = 'stream') {
+        // Unas 100 entradas de evolución, con la entropía además de las métricas del motor
+        const { finalPsi, evolution } = this.engine.solveMFSU(params, nx, nt, this.rng, noise, {
+            saveEvery: Math.max(1, Math.floor(nt / 100)),
+            metrics: (psi) => ({ entropy: this.calculateEntropy(psi) })
+        });
         
         return { 
-            finalPsi: psi, 
+            finalPsi: finalPsi, 
             evolution: evolution,
             stability: this.checkStability(evolution)
         };
@@ -167,19 +101,7 @@ class MFSUConvergenceAnalyzer {
      * @returns {number} - Energía total
      */
     calculateEnergy(psi, dx) {
-        let energy = 0;
-        const n = psi.length;
-        
-        for (let i = 0; i < n; i++) {
-            // Energía cinética (gradiente)
-            const grad = i < n-1 ? (psi[i+1] - psi[i])/dx : (psi[0] - psi[i])/dx;
-            energy += 0.5 * grad * grad;
-            
-            // Energía potencial (no linealidad)
-            energy += 0.25 * Math.pow(psi[i], 4);
-        }
-        
-        return energy * dx;
+        return this.engine.metrics(psi, dx).energy;
     }
 
     /**
@@ -265,8 +187,10 @@ class MFSUConvergenceAnalyzer {
         // Calcular orden de convergencia
         if (convergenceData.length > 1) {
             for (let i = 1; i < convergenceData.length; i++) {
-                const ratio = convergenceData[i-1].error / convergenceData[i].error;
-                convergenceData[i].convergenceOrder = Math.log2(ratio);
+                convergenceData[i].convergenceOrder = this.gridConvergence.pairOrder(
+                    convergenceData[i-1].error, convergenceData[i].error,
+                    convergenceData[i-1].meshSize, convergenceData[i].meshSize
+                );
             }
         }
         
@@ -512,7 +436,7 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = { MFSUConvergenceAnalyzer, runConvergenceTests };
 }
 
-// Ejecutar pruebas si se ejecuta directamente
-if (typeof window === 'undefined') {
+// Ejecutar pruebas si se ejecuta directamente (no al importarlo con require)
+if (typeof window === 'undefined' && (typeof module === 'undefined' || require.main === module)) {
     runConvergenceTests();
 }
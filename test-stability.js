@@ -57,6 +57,11 @@ class TestSuite {
     }
 }
 
+// Load a shared MFSU module (require in Node.js, globals in the browser)
+function loadMFSUModule(path) {
+    return typeof require === 'function' ? require(path) : window;
+}
+
 // MFSU Implementation for Testing
 class MFSUSolver {
     constructor(params = {}) {
@@ -67,101 +72,42 @@ class MFSUSolver {
         this.dt = params.dt || 0.01;
         this.dx = params.dx || 0.1;
         this.boundaryType = params.boundaryType || 'periodic';
+        this.boundaryValues = params.boundaryValues || [0, 0];
+        this.operator = params.operator || 'finiteDifference';
+        
+        // Injectable, seedable generator so runs are reproducible
+        const { SeededRandom } = loadMFSUModule('./random.js');
+        this.rng = params.rng || new SeededRandom(params.seed);
+        
+        // Shared numerical engine (operator, noise, Euler step and metrics)
+        this.engine = loadMFSUModule('./mfsu-engine.js').MFSUEngine;
     }
 
     // Fractional Laplacian implementation
     fractionalLaplacian(psi, order = this.fractalDim) {
-        const n = psi.length;
-        const result = new Array(n).fill(0);
-        
-        // Standard Laplacian first
-        const laplacian = new Array(n).fill(0);
-        for (let i = 1; i < n - 1; i++) {
-            laplacian[i] = (psi[i+1] - 2*psi[i] + psi[i-1]) / (this.dx * this.dx);
+        // Shared nonlocal discretizations honor boundaryType directly
+        if (this.operator !== 'finiteDifference') {
+            const { FractionalOperators } = loadMFSUModule('./fractional-operators.js');
+            return FractionalOperators.apply(psi, this.dx, order, {
+                operator: this.operator,
+                boundary: this.boundaryType,
+                values: this.boundaryValues
+            });
         }
         
-        // Boundary conditions
-        if (this.boundaryType === 'periodic') {
-            laplacian[0] = (psi[1] - 2*psi[0] + psi[n-1]) / (this.dx * this.dx);
-            laplacian[n-1] = (psi[0] - 2*psi[n-1] + psi[n-2]) / (this.dx * this.dx);
-        } else if (this.boundaryType === 'dirichlet') {
-            laplacian[0] = 0;
-            laplacian[n-1] = 0;
-        }
-        
-        // Apply fractional power
-        const fracPower = order / 2;
-        
-        if (fracPower === 1) {
-            return laplacian;
-        } else if (fracPower < 1) {
-            // Caputo fractional derivative approximation
-            for (let i = 0; i < n; i++) {
-                const absLap = Math.abs(laplacian[i]);
-                if (absLap > 1e-12) {
-                    result[i] = Math.pow(absLap, fracPower) * Math.sign(laplacian[i]);
-                }
-            }
-        } else {
-            // Higher order approximation
-            let temp = [...laplacian];
-            for (let iter = 1; iter < Math.floor(fracPower); iter++) {
-                const newTemp = new Array(n).fill(0);
-                for (let i = 1; i < n - 1; i++) {
-                    newTemp[i] = (temp[i+1] - 2*temp[i] + temp[i-1]) / (this.dx * this.dx);
-                }
-                if (this.boundaryType === 'periodic') {
-                    newTemp[0] = (temp[1] - 2*temp[0] + temp[n-1]) / (this.dx * this.dx);
-                    newTemp[n-1] = (temp[0] - 2*temp[n-1] + temp[n-2]) / (this.dx * this.dx);
-                }
-                temp = newTemp;
-            }
-            return temp;
-        }
-        
-        return result;
+        // Ghost-point finite differences from the shared engine
+        return this.engine.fractionalLaplacian(psi, this.dx, order, this.boundaryType, this.boundaryValues);
     }
 
-    // Generate Hurst noise
+    // Generate one row of unit-variance fractional Gaussian noise
     generateHurstNoise(n, hurst = 0.5) {
-        const noise = new Array(n);
-        for (let i = 0; i < n; i++) {
-            noise[i] = (Math.random() - 0.5) * 2;
-        }
-        
-        // Apply Hurst correlations
-        if (hurst !== 0.5) {
-            const correlatedNoise = [...noise];
-            for (let i = 1; i < n; i++) {
-                const correlation = Math.pow(i, -hurst);
-                correlatedNoise[i] = correlation * correlatedNoise[i-1] + 
-                                   Math.sqrt(1 - correlation*correlation) * noise[i];
-            }
-            return correlatedNoise;
-        }
-        
-        return noise;
+        return this.engine.generateHurstNoise(n, 1, hurst, 0.5, this.rng)[0];
     }
 
     // Single time step evolution
     timeStep(psi, noise = null) {
-        const n = psi.length;
         const fractalTerm = this.fractionalLaplacian(psi);
-        const psiNew = new Array(n);
-        
-        if (!noise) {
-            noise = this.generateHurstNoise(n);
-        }
-        
-        for (let i = 0; i < n; i++) {
-            const diffusion = this.alpha * fractalTerm[i];
-            const stochastic = this.beta * noise[i] * psi[i];
-            const nonlinear = -this.gamma * Math.pow(psi[i], 3);
-            
-            psiNew[i] = psi[i] + this.dt * (diffusion + stochastic + nonlinear);
-        }
-        
-        return psiNew;
+        return this.engine.eulerStep(psi, fractalTerm, noise || this.generateHurstNoise(psi.length), this);
     }
 
     // Evolve for multiple time steps
@@ -177,9 +123,7 @@ class MFSUSolver {
                 evolution.push({
                     step: step,
                     time: step * this.dt,
-                    maxAmp: Math.max(...psi.map(x => Math.abs(x))),
-                    l2Norm: Math.sqrt(psi.reduce((sum, x) => sum + x*x, 0)),
-                    energy: this.computeEnergy(psi)
+                    ...this.engine.metrics(psi, this.dx)
                 });
             }
         }
@@ -189,26 +133,12 @@ class MFSUSolver {
 
     // Compute energy functional
     computeEnergy(psi) {
-        const n = psi.length;
-        let energy = 0;
-        
-        // Kinetic energy (fractional Laplacian term)
-        const fracLap = this.fractionalLaplacian(psi);
-        for (let i = 0; i < n; i++) {
-            energy += 0.5 * psi[i] * fracLap[i];
-        }
-        
-        // Potential energy (nonlinear term)
-        for (let i = 0; i < n; i++) {
-            energy += 0.25 * this.gamma * Math.pow(psi[i], 4);
-        }
-        
-        return energy * this.dx;
+        return this.engine.metrics(psi, this.dx).energy;
     }
 
     // Compute L2 norm
     computeL2Norm(psi) {
-        return Math.sqrt(psi.reduce((sum, x) => sum + x*x, 0) * this.dx);
+        return this.engine.metrics(psi, this.dx).l2Norm;
     }
 }
 
@@ -369,21 +299,53 @@ testSuite.addTest('Nonlinear Term Stability', () => {
 
 // Test 8: Boundary condition consistency
 testSuite.addTest('Boundary Condition Consistency', () => {
-    const solverPeriodic = new MFSUSolver({ boundaryType: 'periodic' });
-    const solverDirichlet = new MFSUSolver({ boundaryType: 'dirichlet' });
-    
     const n = 16;
+    const c = 0.7;
+    
+    // cos is nonzero at the boundary, so the ghost points actually matter
     const psi = new Array(n);
     for (let i = 0; i < n; i++) {
-        psi[i] = Math.sin(2 * Math.PI * i / n);
+        psi[i] = Math.cos(2 * Math.PI * i / n);
     }
     
-    const lapPeriodic = solverPeriodic.fractionalLaplacian(psi);
-    const lapDirichlet = solverDirichlet.fractionalLaplacian(psi);
-    
-    // Boundary values should be different
+    const lapPeriodic = new MFSUSolver({ boundaryType: 'periodic' }).fractionalLaplacian(psi);
+    const lapDirichlet = new MFSUSolver({ boundaryType: 'dirichlet' }).fractionalLaplacian(psi);
     testSuite.assert(Math.abs(lapPeriodic[0] - lapDirichlet[0]) > 1e-10, 
                     'Periodic and Dirichlet boundaries give different results');
+    testSuite.assert(Math.abs(lapPeriodic[5] - lapDirichlet[5]) < 1e-12,
+                    'Interior points do not see the boundary condition');
+    
+    // A constant equal to the Dirichlet value, or any constant with zero Neumann flux, is stationary
+    const constant = new Array(n).fill(c);
+    for (const operator of ['finiteDifference', 'riesz']) {
+        for (const order of [0.921, 1.5, 2.0]) {
+            const dirichlet = new MFSUSolver({ operator, boundaryType: 'dirichlet', boundaryValues: [c, c] })
+                .fractionalLaplacian(constant, order);
+            const neumann = new MFSUSolver({ operator, boundaryType: 'neumann' })
+                .fractionalLaplacian(constant, order);
+            const residual = Math.max(...dirichlet.map(Math.abs), ...neumann.map(Math.abs));
+            testSuite.assert(residual < 1e-8,
+                            `${operator} (∂ = ${order}): constants with matching boundary values are stationary (${residual.toExponential(2)})`);
+        }
+    }
+    
+    // Zero-flux Neumann conserves mass; an imposed outward derivative q injects q/dx per boundary cell
+    const neumann = new MFSUSolver({ operator: 'riesz', boundaryType: 'neumann' }).fractionalLaplacian(psi, 2.0);
+    const flux = new MFSUSolver({ operator: 'riesz', boundaryType: 'neumann', boundaryValues: [0.5, 0.5] })
+        .fractionalLaplacian(psi, 2.0);
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    const dx = new MFSUSolver().dx;
+    testSuite.assert(Math.abs(sum(neumann)) < 1e-10, 'Zero-flux Neumann conserves mass');
+    testSuite.assert(Math.abs(sum(flux) - 2 * 0.5 / dx) < 1e-8, 'Neumann flux enters through both boundaries');
+    
+    // Riesz with ∂ = 2 reduces to the ghost-point Laplacian for every boundary type
+    for (const boundaryType of ['periodic', 'dirichlet', 'neumann']) {
+        const boundaryValues = [0.3, -0.2];
+        const riesz = new MFSUSolver({ operator: 'riesz', boundaryType, boundaryValues }).fractionalLaplacian(psi, 2.0);
+        const local = new MFSUSolver({ boundaryType, boundaryValues }).fractionalLaplacian(psi, 2.0);
+        const mismatch = Math.max(...riesz.map((value, i) => Math.abs(value - local[i])));
+        testSuite.assert(mismatch < 1e-8, `${boundaryType}: Riesz (∂ = 2) matches the ghost-point Laplacian (${mismatch.toExponential(2)})`);
+    }
 });
 
 // Test 9: Convergence with mesh refinement
@@ -487,6 +449,1607 @@ testSuite.addTest('Energy Bounds', () => {
     testSuite.assert(minEnergy > -1000, 'Energy should not become too negative');
 });
 
+// Test 13: FFT round trip on radix-2 and mixed-radix lengths
+testSuite.addTest('FFT Round Trip (Radix-2 and Mixed-Radix)', () => {
+    const { FFT } = loadMFSUModule('./fft.js');
+    
+    for (const n of [16, 12, 15, 7]) {
+        const signal = Array.from({ length: n }, (_, i) => Math.sin(0.7 * i) + 0.1 * i);
+        const re = [...signal];
+        const im = new Array(n).fill(0);
+        
+        FFT.transform(re, im);
+        
+        // DC coefficient equals the sum of the samples
+        const sum = signal.reduce((a, b) => a + b, 0);
+        testSuite.assertAlmostEqual(re[0], sum, 1e-9, `DC coefficient for n=${n}`);
+        
+        FFT.transform(re, im, true);
+        for (let i = 0; i < n; i++) {
+            testSuite.assertAlmostEqual(re[i], signal[i], 1e-9, `Round trip for n=${n} at ${i}`);
+            testSuite.assertAlmostEqual(im[i], 0, 1e-9, `Imaginary residue for n=${n} at ${i}`);
+        }
+    }
+});
+
+// Test 14: Spectral operator applies the |k|^s Fourier symbol
+testSuite.addTest('Spectral Fractional Laplacian - Fourier Symbol', () => {
+    const { FractionalOperators } = loadMFSUModule('./fractional-operators.js');
+    
+    const order = 0.921;
+    const mode = 3;
+    
+    for (const n of [64, 48]) {
+        const dx = 1.0 / n;
+        const psi = Array.from({ length: n }, (_, i) => Math.sin(2 * Math.PI * mode * i * dx));
+        const result = FractionalOperators.spectral(psi, dx, order);
+        const eigenvalue = -Math.pow(2 * Math.PI * mode, order);
+        
+        for (let i = 0; i < n; i++) {
+            testSuite.assertAlmostEqual(result[i], eigenvalue * psi[i], 1e-8, `Eigenfunction for n=${n} at ${i}`);
+        }
+    }
+    
+    // With s = 2 the operator reduces to the classical Laplacian
+    const n = 32;
+    const dx = 1.0 / n;
+    const psi = Array.from({ length: n }, (_, i) => Math.cos(2 * Math.PI * i * dx));
+    const result = FractionalOperators.spectral(psi, dx, 2.0);
+    for (let i = 0; i < n; i++) {
+        testSuite.assertAlmostEqual(result[i], -4 * Math.PI * Math.PI * psi[i], 1e-8, `Classical limit at ${i}`);
+    }
+});
+
+// Test 15: Riesz operator reduces to the classical stencil for s = 2
+testSuite.addTest('Riesz Fractional Laplacian - Classical Limit', () => {
+    const { FractionalOperators } = loadMFSUModule('./fractional-operators.js');
+    
+    const weights = FractionalOperators.rieszWeights(2.0, 4);
+    testSuite.assertAlmostEqual(weights[0], 2, 1e-10, 'g_0 for s = 2');
+    testSuite.assertAlmostEqual(weights[1], -1, 1e-10, 'g_1 for s = 2');
+    testSuite.assertAlmostEqual(weights[2], 0, 1e-10, 'g_2 for s = 2');
+    
+    // Symmetric weights of any order sum to zero (constants are in the kernel)
+    const fractional = FractionalOperators.rieszWeights(0.921, 20000);
+    const sum = fractional[0] + 2 * fractional.slice(1).reduce((a, b) => a + b, 0);
+    testSuite.assert(Math.abs(sum) < 1e-3, `Riesz weights should sum to zero, got ${sum}`);
+    
+    const solver = new MFSUSolver({ operator: 'riesz', boundaryType: 'dirichlet', dx: 0.1 });
+    const n = 21;
+    const psi = Array.from({ length: n }, (_, i) => Math.pow(i * solver.dx, 2));
+    const result = solver.fractionalLaplacian(psi, 2.0);
+    for (let i = 1; i < n - 1; i++) {
+        testSuite.assertAlmostEqual(result[i], 2.0, 1e-8, `Laplacian at point ${i}`);
+    }
+});
+
+// Test 16: Periodic Riesz operator converges to the spectral operator
+testSuite.addTest('Riesz Fractional Laplacian - Periodic Convergence', () => {
+    const { FractionalOperators } = loadMFSUModule('./fractional-operators.js');
+    
+    const order = 0.921;
+    const errors = [];
+    
+    for (const n of [32, 64, 128]) {
+        const dx = 1.0 / n;
+        const psi = Array.from({ length: n }, (_, i) => Math.sin(2 * Math.PI * i * dx));
+        const riesz = FractionalOperators.riesz(psi, dx, order, 'periodic');
+        const spectral = FractionalOperators.spectral(psi, dx, order);
+        errors.push(Math.max(...riesz.map((v, i) => Math.abs(v - spectral[i]))));
+    }
+    
+    // Second-order accuracy: each refinement reduces the error about four times
+    testSuite.assert(errors[0] / errors[1] > 3, `Expected second-order convergence, ratios ${errors[0] / errors[1]}`);
+    testSuite.assert(errors[1] / errors[2] > 3, `Expected second-order convergence, ratios ${errors[1] / errors[2]}`);
+});
+
+// Test 17: Non-periodic boundaries are honored by the Riesz operator
+testSuite.addTest('Riesz Fractional Laplacian - Dirichlet and Neumann', () => {
+    const solverDirichlet = new MFSUSolver({ operator: 'riesz', boundaryType: 'dirichlet' });
+    const solverNeumann = new MFSUSolver({ operator: 'riesz', boundaryType: 'neumann' });
+    
+    // Neumann (censored) form maps constants to zero; Dirichlet does not
+    const constant = new Array(16).fill(1.0);
+    const lapNeumann = solverNeumann.fractionalLaplacian(constant);
+    const lapDirichlet = solverDirichlet.fractionalLaplacian(constant);
+    
+    lapNeumann.forEach((v, i) => testSuite.assertAlmostEqual(v, 0, 1e-10, `Neumann constant at ${i}`));
+    testSuite.assert(lapDirichlet[0] < 0, 'Dirichlet exterior pulls the boundary value towards zero');
+    testSuite.assert(Math.abs(lapDirichlet[0] - lapNeumann[0]) > 1e-6,
+                    'Dirichlet and Neumann boundaries give different results');
+    
+    // Spectral operator rejects non-periodic boundaries
+    const { FractionalOperators } = loadMFSUModule('./fractional-operators.js');
+    let rejected = false;
+    try {
+        FractionalOperators.apply(constant, 0.1, 0.921, { operator: 'spectral', boundary: 'dirichlet' });
+    } catch (error) {
+        rejected = true;
+    }
+    testSuite.assert(rejected, 'Spectral operator requires a periodic boundary');
+});
+
+// Test 18: Operator option reaches StabilityAnalysis.evolveTimeStep
+testSuite.addTest('Stability Analysis - Operator Option', () => {
+    const { StabilityAnalysis } = loadMFSUModule('./stability-analysis.js');
+    const analysis = new StabilityAnalysis();
+    
+    const n = 32;
+    const dx = 1.0 / n;
+    const psi = Array.from({ length: n }, (_, i) => Math.sin(Math.PI * (i + 0.5) * dx));
+    const noise = new Array(n).fill(0);
+    const params = { alpha: 1.0, beta: 0.0, gamma: 0.0, fractalDim: 1.5, dt: 0.001 };
+    
+    const riesz = analysis.evolveTimeStep(psi, params, dx, params.dt, noise, { operator: 'riesz', boundary: 'dirichlet' });
+    const legacy = analysis.evolveTimeStep(psi, params, dx, params.dt, noise);
+    
+    testSuite.assert(riesz.every(Number.isFinite), 'Riesz step stays finite');
+    testSuite.assert(Math.max(...riesz) < Math.max(...psi), 'Fractional diffusion damps the peak');
+    testSuite.assert(riesz.some((v, i) => Math.abs(v - legacy[i]) > 1e-8), 'Operator option changes the step');
+});
+
+// Test 19: Seeded generator gives bit-identical runs and restorable state
+testSuite.addTest('Seeded Random - Reproducibility', () => {
+    const { SeededRandom } = loadMFSUModule('./random.js');
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+
+    // Same seed, same sequence; uniform draws stay in [0, 1)
+    const a = new SeededRandom(7);
+    const b = new SeededRandom(7);
+    for (let i = 0; i < 100; i++) {
+        const value = a.random();
+        testSuite.assert(value === b.random(), 'Same seed gives the same sequence');
+        testSuite.assert(value >= 0 && value < 1, `Uniform draw out of range: ${value}`);
+    }
+
+    // Saved state (including the spare Box-Muller value) restores the stream exactly
+    a.gaussian();
+    const saved = JSON.parse(JSON.stringify(a.getState()));
+    const expected = [a.gaussian(), a.gaussian(), a.random()];
+    const replay = SeededRandom.fromState(saved);
+    const replayed = [replay.gaussian(), replay.gaussian(), replay.random()];
+    testSuite.assert(replayed.every((v, i) => v === expected[i]), 'Restored state replays the stream');
+
+    // Forks depend only on the parent state and the stream index
+    const parent = new SeededRandom(7);
+    const fork0 = parent.fork(0).random();
+    testSuite.assert(parent.fork(0).random() === fork0, 'fork(i) is deterministic and does not advance the parent');
+    testSuite.assert(parent.fork(1).random() !== fork0, 'Different streams differ');
+
+    // Signed and fractional seeds do not collapse onto the same stream
+    const seeds = [5, -5, 1.2, 1.7, 1, -0.5, 0.5];
+    const firstDraws = new Set(seeds.map(seed => new SeededRandom(seed).nextUint32()));
+    testSuite.assert(firstDraws.size === seeds.length, 'Negative and fractional seeds give distinct streams');
+    testSuite.assert(new SeededRandom(-5).random() === new SeededRandom(-5).random(), 'Negative seeds are reproducible');
+
+    // Two solver runs with the same seed are bit-identical; metadata replays the run
+    const params = { dt: 0.001 };
+    const run1 = new SharedSolver({ seed: 123 }).solve(params, 16, 50);
+    const run2 = new SharedSolver({ seed: 123 }).solve(params, 16, 50);
+    const run3 = new SharedSolver({ seed: 124 }).solve(params, 16, 50);
+    const replayRun = new SharedSolver().solve(params, 16, 50, { rng: SeededRandom.fromState(run1.metadata.rngState) });
+
+    testSuite.assert(run1.finalPsi.every((v, i) => v === run2.finalPsi[i]), 'Same seed gives bit-identical runs');
+    testSuite.assert(run1.finalPsi.some((v, i) => v !== run3.finalPsi[i]), 'Different seeds give different runs');
+    testSuite.assert(run1.finalPsi.every((v, i) => v === replayRun.finalPsi[i]), 'Saved generator state reproduces the run');
+});
+
+// Test 20: Circulant embedding reproduces the fractional Gaussian noise covariance
+testSuite.addTest('Fractional Gaussian Noise - Exact Covariance', () => {
+    const { HurstNoise } = loadMFSUModule('./hurst-noise.js');
+    const { FFT } = loadMFSUModule('./fft.js');
+    const { SeededRandom } = loadMFSUModule('./random.js');
+
+    // fBm increment covariance; H = 0.5 is white noise
+    testSuite.assertAlmostEqual(HurstNoise.autocovariance(0, 0.8), 1, 1e-12, 'Unit variance');
+    testSuite.assertAlmostEqual(HurstNoise.autocovariance(1, 0.8), 0.5 * (Math.pow(2, 1.6) - 2), 1e-12, 'Lag-1 covariance');
+    testSuite.assertAlmostEqual(HurstNoise.autocovariance(3, 0.5), 0, 1e-12, 'H = 0.5 is uncorrelated');
+
+    // The circulant eigenvalues are nonnegative and transform back to the covariance
+    for (const hurst of [0.2, 0.5, 0.9]) {
+        const { size, eigenvalues } = HurstNoise.circulantEigenvalues(10, hurst);
+        testSuite.assert(eigenvalues.every(v => v >= 0), `Nonnegative embedding for H = ${hurst}`);
+        const re = [...eigenvalues];
+        const im = new Array(size).fill(0);
+        FFT.transform(re, im, true);
+        for (let k = 0; k < 10; k++) {
+            testSuite.assertAlmostEqual(re[k], HurstNoise.autocovariance(k, hurst), 1e-10, `Embedded covariance at lag ${k}`);
+        }
+    }
+
+    // Separate spatial and temporal exponents: correlated in time, white in space
+    const rng = new SeededRandom(11);
+    let timeLag = 0, spaceLag = 0, variance = 0, count = 0;
+    for (let sample = 0; sample < 40; sample++) {
+        const field = HurstNoise.field(16, 64, 0.5, 0.9, rng);
+        for (let t = 0; t < 63; t++) {
+            for (let i = 0; i < 15; i++) {
+                timeLag += field[t][i] * field[t + 1][i];
+                spaceLag += field[t][i] * field[t][i + 1];
+                variance += field[t][i] * field[t][i];
+                count++;
+            }
+        }
+    }
+    testSuite.assertAlmostEqual(variance / count, 1, 0.05, 'Sample variance');
+    testSuite.assertAlmostEqual(timeLag / count, HurstNoise.autocovariance(1, 0.9), 0.05, 'Temporal lag-1 covariance');
+    testSuite.assertAlmostEqual(spaceLag / count, 0, 0.05, 'Spatial lag-1 covariance');
+});
+
+// Test 21: Each registered integrator reaches its expected temporal order
+testSuite.addTest('Time Integrators - Expected Orders', () => {
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const solver = new SharedSolver({ seed: 3 });
+    const params = { alpha: 0.1, gamma: 0.5, fractalDim: 1.5 };
+    const options = { operator: 'spectral', nx: 16, initialCondition: 'gaussian' };
+
+    for (const method of ['euler', 'rk4', 'ab', 'backward_euler']) {
+        const check = solver.analyzeTemporalConvergence(params, method, [20, 40, 80, 160], options);
+        testSuite.assert(check.matchesExpected,
+                        `${method}: observed order ${check.observedOrder.toFixed(3)}, expected ${check.expectedOrder}`);
+    }
+
+    const result = solver.solve({ dt: 0.01 }, 16, 5, { method: 'rk4' });
+    testSuite.assert(result.metadata.method === 'rk4', 'Method is recorded in the metadata');
+
+    let rejected = false;
+    try {
+        solver.solve({}, 16, 5, { method: 'leapfrog' });
+    } catch (error) {
+        rejected = true;
+    }
+    testSuite.assert(rejected, 'Unknown integrators are rejected');
+});
+
+// Test 22: IMEX and ETDRK4 treat the stiff fractional term in Fourier space
+testSuite.addTest('Exponential Integrators - Stiff Fractional Term', () => {
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const solver = new SharedSolver({ seed: 5 });
+    const params = { alpha: 0.1, gamma: 0.5, fractalDim: 1.5 };
+    const options = { nx: 16, initialCondition: 'gaussian' };
+
+    for (const method of ['imex', 'etdrk4']) {
+        const check = solver.analyzeTemporalConvergence(params, method, [20, 40, 80, 160], options);
+        testSuite.assert(check.matchesExpected,
+                        `${method}: observed order ${check.observedOrder.toFixed(3)}, expected ${check.expectedOrder}`);
+    }
+
+    // Far beyond the explicit diffusive limit (dt·|k_max|^∂ ≫ 1) the split steppers stay bounded
+    for (const method of ['imex', 'etdrk4']) {
+        const result = solver.solve({ alpha: 1.0, fractalDim: 2.0, dt: 0.01 }, 256, 100, { method });
+        testSuite.assert(result.metadata.operator === 'spectral', 'Spectral operator is the default');
+        testSuite.assert(result.finalPsi.every(v => Number.isFinite(v) && Math.abs(v) < 10), `${method} stays bounded`);
+    }
+
+    let rejected = false;
+    try {
+        solver.solve({}, 16, 5, { method: 'etdrk4', operator: 'riesz', boundary: 'dirichlet' });
+    } catch (error) {
+        rejected = true;
+    }
+    testSuite.assert(rejected, 'Split steppers require the periodic spectral operator');
+});
+
+// Test 23: Multiplicative noise follows geometric Brownian motion (alpha = gamma = 0)
+testSuite.addTest('Stochastic Integrators - Ito and Stratonovich', () => {
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const { SeededRandom } = loadMFSUModule('./random.js');
+    const solver = new SharedSolver({ seed: 11 });
+    const beta = 0.5;
+    const totalTime = 1;
+    const nx = 1024;
+    const params = { alpha: 0, gamma: 0, beta, hurst: 0.5, hurstExponent: 0.5 };
+
+    // Every grid point is an independent GBM sample dψ = β·ψ·dW
+    const run = (nt, options) => {
+        const result = solver.solve({ ...params, dt: totalTime / nt }, nx, nt,
+                                    { initialCondition: 'gaussian', seed: 4, ...options });
+        const rng = SeededRandom.fromState(result.metadata.rngState);
+        const psi0 = solver.generateInitialCondition(nx, 'gaussian', rng);
+        const source = solver.createNoiseSource(nx, nt, 0.5, 0.5, rng);
+        const noise = Array.from({ length: nt }, () => source.next());
+        const ratios = result.finalPsi.map((v, i) => v / psi0[i]);
+
+        // Exact Itô solution on the same Brownian path
+        const exact = psi0.map((v, i) => {
+            let w = 0;
+            for (let t = 0; t < nt; t++) w += noise[t][i] * Math.sqrt(totalTime / nt);
+            return Math.exp(-0.5 * beta * beta * totalTime + beta * w);
+        });
+        return { result, ratios, exact };
+    };
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+    const ito = run(100, { interpretation: 'ito' });
+    const stratonovich = run(100, { interpretation: 'stratonovich' });
+    testSuite.assertAlmostEqual(mean(ito.ratios), 1, 0.06, 'Itô mean is a martingale');
+    testSuite.assertAlmostEqual(mean(stratonovich.ratios), Math.exp(0.5 * beta * beta * totalTime), 0.06,
+                                'Stratonovich mean includes the drift correction');
+    testSuite.assert(stratonovich.result.metadata.interpretation === 'stratonovich', 'Interpretation is recorded');
+
+    // √dt scaling: the log-variance stays at β²T instead of vanishing with dt
+    for (const nt of [50, 400]) {
+        const logs = run(nt, { stochasticScheme: 'milstein' }).ratios.map(Math.log);
+        const logMean = mean(logs);
+        testSuite.assertAlmostEqual(mean(logs.map(v => (v - logMean) ** 2)), beta * beta * totalTime, 0.05,
+                                    `Log-variance with ${nt} steps`);
+    }
+
+    // Milstein has strong order 1 against Euler–Maruyama's ½
+    const strongError = ({ ratios, exact }) => mean(ratios.map((v, i) => Math.abs(v - exact[i])));
+    const eulerMaruyama = strongError(run(50, { stochasticScheme: 'euler_maruyama' }));
+    const milstein = strongError(run(50, { stochasticScheme: 'milstein' }));
+    testSuite.assert(milstein < 0.5 * eulerMaruyama,
+                    `Milstein strong error ${milstein.toExponential(2)} < Euler–Maruyama ${eulerMaruyama.toExponential(2)}`);
+
+    let rejected = false;
+    try {
+        solver.solve({}, 16, 5, { interpretation: 'skorokhod' });
+    } catch (error) {
+        rejected = true;
+    }
+    testSuite.assert(rejected, 'Unknown interpretations are rejected');
+});
+
+// Test 24: Embedded pairs adapt dt, report rejections and separate "dt too large" from instability
+testSuite.addTest('Adaptive Time Stepping - Embedded Error Control', async () => {
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const { StabilityAnalysis } = loadMFSUModule('./stability-analysis.js');
+    const solver = new SharedSolver({ seed: 7 });
+    const params = { alpha: 1.0, beta: 0, gamma: 0.1, fractalDim: 1.5, dt: 0.1 };
+    const options = { operator: 'spectral', initialCondition: 'gaussian', seed: 1 };
+
+    const checks = [['bs23', 16], ['rk45', 8]];
+    for (const [method, nx] of checks) {
+        const check = solver.analyzeTemporalConvergence({ alpha: 0.1, gamma: 0.5, fractalDim: 1.5 }, method,
+                                                         [20, 40, 80, 160], { ...options, nx });
+        testSuite.assert(check.matchesExpected,
+                        `${method}: observed order ${check.observedOrder.toFixed(3)}, expected ${check.expectedOrder}`);
+    }
+
+    // dt = 0.1 is far beyond the explicit limit: fixed Euler diverges, the controller does not
+    const fixed = solver.solve(params, 64, 10, options);
+    testSuite.assert(!fixed.finalPsi.every(Number.isFinite), 'Fixed-step Euler diverges');
+
+    const reference = solver.solve({ ...params, dt: 0.001 }, 64, 1000, { ...options, method: 'etdrk4' });
+    const errors = [1e-3, 1e-6].map(rtol => {
+        const result = solver.solve(params, 64, 10, { ...options, adaptive: { rtol, atol: 1e-8 } });
+        const report = result.metadata.adaptive;
+        const elapsed = report.dtHistory.reduce((sum, entry) => sum + entry.dt, 0);
+
+        testSuite.assert(result.metadata.method === 'bs23', 'Bogacki-Shampine is the default pair');
+        testSuite.assert(report.rejectedSteps === report.rejections.length && report.rejectedSteps > 0,
+                        `Rejected steps are reported (${report.rejectedSteps})`);
+        testSuite.assert(report.dtHistory.every(entry => entry.dt <= report.dtMax), 'Accepted steps respect dtMax');
+        testSuite.assert(report.dtMax === params.dt && report.noiseInterval === params.dt,
+                        'dtMax and the noise interval are reported');
+        testSuite.assertAlmostEqual(elapsed, 1.0, 1e-9, 'Accepted steps cover the whole run');
+        return solver.calculateL2Error(result.finalPsi, reference.finalPsi);
+    });
+    testSuite.assert(errors[1] < 0.1 * errors[0],
+                    `Tighter tolerance reduces the error (${errors[0].toExponential(2)} → ${errors[1].toExponential(2)})`);
+
+    let rejected = false;
+    try {
+        solver.solve(params, 16, 5, { method: 'rk4', adaptive: {} });
+    } catch (error) {
+        rejected = true;
+    }
+    testSuite.assert(rejected, 'Adaptive stepping requires an embedded pair');
+    rejected = false;
+    try {
+        solver.solve(params, 16, 5, { adaptive: { dtMax: 2 * params.dt } });
+    } catch (error) {
+        rejected = /dtMax/.test(error.message);
+    }
+    testSuite.assert(rejected, 'dtMax cannot exceed the noise interval');
+
+    // The substep cap applies to each noise interval, so nt may exceed it
+    const maxIterations = SharedSolver.config.DEFAULT_PARAMS.maxIterations;
+    const long = solver.solve({ ...params, beta: 0.01, dt: 0.001 }, 16, maxIterations + 1,
+                              { adaptive: {}, saveInterval: maxIterations + 1 });
+    testSuite.assert(long.metadata.adaptive.acceptedSteps > maxIterations && long.finalPsi.every(Number.isFinite),
+                    `An adaptive run longer than maxIterations completes (${long.metadata.adaptive.acceptedSteps} substeps)`);
+    rejected = false;
+    try {
+        solver.solve({ ...params, dt: 0.001 }, 16, 10, { adaptive: { dtMax: 0.00025, maxSteps: 3 } });
+    } catch (error) {
+        rejected = /3 subpasos en el intervalo \[0, 0\.001\]/.test(error.message);
+    }
+    testSuite.assert(rejected, 'An interval needing more than maxSteps substeps is rejected');
+
+    // Same run with the adaptive controller: the fixed-step blow-up is blamed on dt
+    const analyzer = new StabilityAnalysis({ seed: 2 });
+    analyzer.initialize();
+    const analysis = await analyzer.analyzeStability(
+        { alpha: 1.0, beta: 0.05, gamma: 0.1, fractalDim: 1.5, dt: 0.05 },
+        { nx: 32, nt: 200, operator: 'spectral', saveEvolution: false, methods: ['energy'],
+          adaptive: { rtol: 1e-3, atol: 1e-6 } }
+    );
+    testSuite.assert(analysis.timeStep.diagnosis === 'dt_too_large', `Diagnosis: ${analysis.timeStep.diagnosis}`);
+    testSuite.assert(analysis.timeStep.suggestedDt < 0.05, 'A smaller dt is suggested');
+});
+
+// Test 25: 2D/3D grids share the spectral operator, Hurst fields and diagnostics
+testSuite.addTest('Multi-dimensional Domains', () => {
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const { FractionalOperators } = loadMFSUModule('./fractional-operators.js');
+    const { HurstNoise } = loadMFSUModule('./hurst-noise.js');
+    const { SeededRandom } = loadMFSUModule('./random.js');
+    const solver = new SharedSolver({ seed: 9 });
+    const order = 1.3;
+
+    // sin(2πx)·cos(4πy)·cos(2πz) is an eigenfunction with eigenvalue -|k|^∂ on every grid
+    for (const shape of [[16, 32], [8, 16, 8]]) {
+        const points = solver.gridCoordinates(shape);
+        const psi = points.map(([x, y, z = 0]) =>
+            Math.sin(2 * Math.PI * x) * Math.cos(4 * Math.PI * y) * Math.cos(2 * Math.PI * z));
+        const k = Math.hypot(2 * Math.PI, 4 * Math.PI, shape.length === 3 ? 2 * Math.PI : 0);
+        const result = FractionalOperators.spectral(psi, shape.map(n => 1 / n), order, shape);
+        const error = Math.max(...result.map((v, i) => Math.abs(v + Math.pow(k, order) * psi[i])));
+        testSuite.assert(error < 1e-9, `${shape.join('×')} spectral eigenvalue error ${error.toExponential(2)}`);
+    }
+
+    // The 2D Hurst field has unit variance and ρ_H(1) along both axes
+    const hurst = 0.8;
+    const [nx, ny] = [16, 16];
+    const noise = HurstNoise.field([nx, ny], 200, hurst, 0.5, new SeededRandom(4));
+    let variance = 0, lagX = 0, lagY = 0, count = 0;
+    for (const row of noise) {
+        for (let i = 0; i < nx - 1; i++) {
+            for (let j = 0; j < ny - 1; j++) {
+                const value = row[i * ny + j];
+                variance += value * value;
+                lagX += value * row[(i + 1) * ny + j];
+                lagY += value * row[i * ny + j + 1];
+                count++;
+            }
+        }
+    }
+    const rho = HurstNoise.autocovariance(1, hurst);
+    testSuite.assertAlmostEqual(variance / count, 1, 0.05, 'Sample variance');
+    testSuite.assertAlmostEqual(lagX / count, rho, 0.05, 'Lag-1 covariance along x');
+    testSuite.assertAlmostEqual(lagY / count, rho, 0.05, 'Lag-1 covariance along y');
+
+    // A field constant along y has the 1D diagnostics (unit length in y)
+    const profile = solver.gridCoordinates([32]).map(x => Math.sin(2 * Math.PI * x) + 0.5);
+    const extruded = [];
+    profile.forEach(value => { for (let j = 0; j < 8; j++) extruded.push(value); });
+    const flat = solver.calculateDiagnostics(profile, 1 / 32);
+    const plane = solver.calculateDiagnostics(extruded, [1 / 32, 1 / 8], [32, 8]);
+    testSuite.assertAlmostEqual(plane.energy, flat.energy, 1e-10, 'Energy matches the 1D profile');
+    testSuite.assertAlmostEqual(plane.l2Norm, flat.l2Norm, 1e-10, 'L2 norm matches the 1D profile');
+    testSuite.assertAlmostEqual(plane.momentum[0], flat.momentum, 1e-10, 'Momentum along x');
+    testSuite.assertAlmostEqual(plane.momentum[1], 0, 1e-12, 'No momentum along y');
+
+    for (const shape of [[16, 16], [8, 8, 8]]) {
+        const result = solver.solve({ alpha: 0.5, dt: 0.001 }, 0, 20, { shape, method: 'etdrk4' });
+        testSuite.assert(result.finalPsi.length === shape.reduce((a, b) => a * b, 1), `${shape.join('×')} field size`);
+        testSuite.assert(result.finalPsi.every(Number.isFinite), `${shape.join('×')} run stays finite`);
+        testSuite.assert(result.diagnostics.momentum[0].length === shape.length, 'Momentum has one component per axis');
+    }
+
+    let rejected = false;
+    try {
+        solver.solve({}, 0, 5, { shape: [16, 16], operator: 'finiteDifference' });
+    } catch (error) {
+        rejected = true;
+    }
+    testSuite.assert(rejected, 'The legacy operator is 1D only');
+});
+
+// Test 26: Complex ψ stored as [Re ψ, Im ψ] with |ψ|²ψ, Im∫ψ*∇ψ and phase/modulus outputs
+testSuite.addTest('Complex Field Mode', () => {
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const solver = new SharedSolver({ seed: 13 });
+    const nx = 32;
+    const params = { alpha: 0.5, beta: 0.2, gamma: 1.0, fractalDim: 1.5, dt: 0.001 };
+
+    // Without a carrier the imaginary part stays zero and the real dynamics are recovered
+    for (const method of ['euler', 'etdrk4']) {
+        const options = { operator: 'spectral', initialCondition: 'gaussian', seed: 3, method };
+        const real = solver.solve(params, nx, 100, options);
+        const complex = solver.solve(params, nx, 100, { ...options, complex: true, wavenumber: 0 });
+        const error = Math.max(...real.finalPsi.map((v, i) => Math.abs(v - complex.finalPsi[i])));
+        const imaginary = Math.max(...complex.finalPsi.slice(nx).map(Math.abs));
+        testSuite.assert(error < 1e-12 && imaginary < 1e-12, `${method}: real part matches the real run (${error.toExponential(2)})`);
+        testSuite.assert(complex.metadata.complex === true, 'Complex mode is recorded');
+    }
+
+    // Plane wave A·exp(2πimx): Im∫ψ*∂ψ ≈ 2πm·A² (forward differences give A²·sin(2πm·dx)/dx)
+    const amplitude = 0.7;
+    const m = 3;
+    const dx = 1 / nx;
+    const wave = solver.gridCoordinates([nx]).map(x => amplitude * Math.cos(2 * Math.PI * m * x))
+        .concat(solver.gridCoordinates([nx]).map(x => amplitude * Math.sin(2 * Math.PI * m * x)));
+    const diagnostics = solver.calculateDiagnostics(wave, dx, [nx], true);
+    testSuite.assertAlmostEqual(diagnostics.momentum, amplitude * amplitude * Math.sin(2 * Math.PI * m * dx) / dx,
+                                1e-12, 'Plane-wave momentum');
+    testSuite.assertAlmostEqual(diagnostics.l2Norm, amplitude, 1e-12, 'Plane-wave L2 norm');
+    testSuite.assertAlmostEqual(diagnostics.maxAmplitude, amplitude, 1e-12, 'Plane-wave modulus');
+
+    // |ψ|²ψ damps the modulus, not the phase: a plane wave keeps its carrier
+    const result = solver.solve({ ...params, beta: 0 }, nx, 200, {
+        complex: true, initialCondition: 'gaussian', wavenumber: m, method: 'etdrk4', saveInterval: 50
+    });
+    const last = result.evolution[result.evolution.length - 1];
+    testSuite.assert(last.modulus.length === nx && last.phase.length === nx, 'Evolution stores modulus and phase');
+    const center = nx / 2;
+    testSuite.assertAlmostEqual(last.modulus[center], Math.hypot(last.psi[center], last.psi[nx + center]), 1e-15,
+                                'Modulus is |ψ|');
+    testSuite.assert(result.diagnostics.momentum.every(p => p > 0), 'The carrier carries positive momentum');
+
+    let rejected = false;
+    try {
+        solver.solve({}, nx, 5, { complex: true, operator: 'finiteDifference' });
+    } catch (error) {
+        rejected = true;
+    }
+    testSuite.assert(rejected, 'The nonlinear legacy operator rejects complex fields');
+});
+
+// Test 27: The shared solver honors boundary values (possibly time-dependent) in the operator,
+// the absorbing layer, the diagnostics and the L2 interpolation
+testSuite.addTest('Solver Boundary Conditions', () => {
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const solver = new SharedSolver({ seed: 21 });
+    const nx = 32;
+    const dx = 1 / nx;
+    const params = { alpha: 1.0, beta: 0, gamma: 0, fractalDim: 2.0, dt: 1e-4 };
+    const options = { initialCondition: 'gaussian', seed: 5, saveInterval: 100 };
+
+    // Dirichlet data ramped up on the left drives the left end; the right end stays near zero
+    const ramp = t => [Math.min(1, 100 * t), 0];
+    for (const operator of ['finiteDifference', 'riesz']) {
+        const fixed = solver.solve(params, nx, 400, { ...options, operator, boundary: 'dirichlet' });
+        const driven = solver.solve(params, nx, 400, { ...options, operator, boundary: 'dirichlet', boundaryValue: ramp });
+        testSuite.assert(driven.finalPsi[0] > 0.5 && fixed.finalPsi[0] < 0.2,
+                        `${operator}: time-dependent Dirichlet value drives the boundary (${driven.finalPsi[0].toFixed(3)})`);
+        testSuite.assert(Math.abs(driven.finalPsi[nx - 1] - fixed.finalPsi[nx - 1]) < 0.05, `${operator}: right boundary unaffected`);
+        testSuite.assert(driven.metadata.boundaryValues[0] === 1 && driven.metadata.boundaryValues[1] === 0,
+                        'Final boundary values are recorded');
+    }
+
+    // The absorbing layer relaxes ψ towards the exterior value, also with splitting integrators
+    const layer = { width: 0.15, strength: 200 };
+    for (const method of ['euler', 'etdrk4']) {
+        const periodic = solver.solve(params, nx, 400, { ...options, operator: 'spectral', method });
+        const absorbing = solver.solve(params, nx, 400, {
+            ...options, operator: 'spectral', method, boundary: 'absorbing', boundaryValue: -0.5, absorbingLayer: layer
+        });
+        testSuite.assert(absorbing.finalPsi[0] < -0.2 && periodic.finalPsi[0] > 0.4,
+                        `${method}: absorbing layer pulls the edge towards the exterior value (${absorbing.finalPsi[0].toFixed(3)})`);
+        testSuite.assert(absorbing.metadata.absorbingLayer.strength === 200, 'Absorbing layer is recorded');
+    }
+
+    // Diagnostics: Dirichlet ghost closes the last forward difference; the layer is excluded
+    const ramped = solver.gridCoordinates([nx]);
+    const potential = ramped.reduce((sum, x) => sum + 0.25 * Math.pow(x, 4) * dx, 0);
+    const dirichlet = solver.calculateDiagnostics(ramped, dx, [nx], false, { type: 'dirichlet', values: [0, 1] });
+    const periodic = solver.calculateDiagnostics(ramped, dx, [nx], false);
+    testSuite.assertAlmostEqual(dirichlet.energy, 0.5 + potential, 1e-12, 'Ramp with Dirichlet ghost has unit gradient');
+    testSuite.assert(periodic.energy > 10, 'Periodic wrap-around sees the jump');
+    const { BoundaryConditions } = loadMFSUModule('./boundary-conditions.js');
+    const { sigma } = BoundaryConditions.absorption(ramped, layer);
+    const inLayer = sigma.map(value => value > 0 ? 1 : 0);
+    const sponge = solver.calculateDiagnostics(inLayer, dx, [nx], false, { type: 'absorbing', sigma });
+    testSuite.assert(sponge.mass === 0 && sponge.maxAmplitude === 0, 'Absorbing layer is excluded from the integrals');
+
+    // L2 interpolation past the last fine point uses the ghost value (was undefined → NaN)
+    const coarse = solver.gridCoordinates([8]);
+    const fine = solver.gridCoordinates([4]);
+    const matched = solver.calculateL2Error(coarse, fine, { type: 'dirichlet', values: [0, 1] });
+    const wrapped = solver.calculateL2Error(coarse, fine);
+    testSuite.assert(matched < 1e-12, `Linear ramp is reproduced with the Dirichlet ghost (${matched.toExponential(2)})`);
+    testSuite.assert(Number.isFinite(wrapped) && wrapped > 0.1, 'Periodic interpolation wraps to the first point');
+
+    let rejected = false;
+    try {
+        solver.solve(params, nx, 5, { boundary: 'robin' });
+    } catch (error) {
+        rejected = true;
+    }
+    testSuite.assert(rejected, 'Unknown boundary types are rejected');
+});
+
+// Test 28: Physical domains [x0, x1]: spacing, labels, scaled profiles and diffusive scaling
+testSuite.addTest('Physical Domain and Grid Spacing', () => {
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const { SpatialGrid } = loadMFSUModule('./spatial-grid.js');
+    const { SeededRandom } = loadMFSUModule('./random.js');
+    const solver = new SharedSolver({ seed: 8 });
+    const nx = 64;
+
+    const result = solver.solve({ dt: 0.001 }, nx, 10, { domain: [-5, 5], seed: 2 });
+    testSuite.assertAlmostEqual(result.metadata.dx, 10 / nx, 1e-15, 'Spacing follows the domain length');
+    testSuite.assertAlmostEqual(result.x[0], -5, 1e-15, 'First label is the left end');
+    testSuite.assertAlmostEqual(result.x[nx - 1], 5 - 10 / nx, 1e-12, 'Last label stops one cell before the right end');
+    testSuite.assert(solver.solve({ domainSize: 2, dt: 0.001 }, nx, 2).metadata.grid.length[0] === 2,
+                    'domainSize parameter is honored');
+
+    // Predefined profiles are evaluated in (x - x0)/L, so they stretch with the domain
+    const unit = solver.generateInitialCondition(nx, 'soliton', new SeededRandom(4));
+    const stretched = solver.generateInitialCondition(nx, 'soliton', new SeededRandom(4),
+                                                      SpatialGrid.create([nx], { domain: [10, 13] }));
+    testSuite.assert(unit.every((value, i) => value === stretched[i]), 'Initial profile scales with the domain');
+
+    // Linear diffusion (∂ = 2) on a domain of length L at time t equals the unit domain at t/L²
+    const L = 2;
+    const params = { alpha: 1.0, beta: 0, gamma: 0, fractalDim: 2.0 };
+    const options = { operator: 'spectral', initialCondition: 'gaussian', seed: 6, saveInterval: 100 };
+    const reference = solver.solve({ ...params, dt: 1e-4 }, nx, 100, options);
+    const scaled = solver.solve({ ...params, dt: 1e-4 * L * L }, nx, 100, { ...options, domain: [0, L] });
+    const mismatch = Math.max(...reference.finalPsi.map((value, i) => Math.abs(value - scaled.finalPsi[i])));
+    testSuite.assert(mismatch < 1e-10, `Diffusive scaling x → L·x, t → L²·t (${mismatch.toExponential(2)})`);
+
+    // Integrals use the physical cell size: ||1||_L2 = sqrt(|Ω|)
+    const grid = SpatialGrid.create([16, 8], { domain: [[0, 3], [-1, 1]] });
+    const ones = new Array(grid.size).fill(1);
+    const diagnostics = solver.calculateDiagnostics(ones, grid.spacing, grid.shape);
+    testSuite.assertAlmostEqual(diagnostics.l2Norm, Math.sqrt(6), 1e-12, 'L2 norm over a 3 × 2 domain');
+
+    let rejected = false;
+    try {
+        solver.solve({}, nx, 5, { domain: [1, 1] });
+    } catch (error) {
+        rejected = true;
+    }
+    testSuite.assert(rejected, 'Empty domains are rejected');
+});
+
+// Test 29: Forcing and initial conditions from JS callbacks or math.js expressions
+testSuite.addTest('User-defined Forcing and Initial Conditions', () => {
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const { UserFunctions } = loadMFSUModule('./user-functions.js');
+    const solver = new SharedSolver({ seed: 9 });
+    const nx = 32;
+
+    // Callbacks see physical coordinates ([x, y] in 2D) and reproduce the profile exactly
+    const profile = x => 0.1 * Math.sin(2 * Math.PI * x);
+    const psi0 = solver.generateInitialCondition(nx, profile);
+    testSuite.assert(psi0.every((value, i) => value === profile(i / nx)), 'Callback initial condition');
+    const { SpatialGrid } = loadMFSUModule('./spatial-grid.js');
+    const grid = SpatialGrid.create([nx], { domain: [2, 4] });
+    const identity = solver.generateInitialCondition(nx, x => x, undefined, grid);
+    testSuite.assert(identity.every((value, i) => value === SpatialGrid.axes(grid)[0][i]), 'Callbacks receive physical x');
+    const plane = solver.generateInitialCondition([4, 8], ([x, y]) => x + 10 * y);
+    testSuite.assertAlmostEqual(plane[8 + 3], 0.25 + 10 * 3 / 8, 1e-15, 'Callbacks receive [x, y] in 2D');
+
+    // A spatially uniform forcing f = t integrated with Euler: ψ_N = dt²·N(N-1)/2
+    const steps = 50;
+    const dt = 0.01;
+    const forced = solver.solve({ alpha: 0, beta: 0, gamma: 0, dt }, nx, steps, {
+        initialCondition: () => 0,
+        forcingType: (x, t) => t
+    });
+    testSuite.assertAlmostEqual(forced.finalPsi[5], dt * dt * steps * (steps - 1) / 2, 1e-12, 'Time-dependent callback forcing');
+
+    // Complex values are accepted only in complex mode
+    const packet = x => ({ re: Math.cos(4 * Math.PI * x), im: Math.sin(4 * Math.PI * x) });
+    const complexPsi = solver.generateComplexInitialCondition(nx, packet);
+    testSuite.assertAlmostEqual(complexPsi[nx + 3], Math.sin(4 * Math.PI * 3 / nx), 1e-15, 'Complex callback fills Im ψ');
+    let rejected = false;
+    try {
+        solver.generateInitialCondition(nx, packet);
+    } catch (error) {
+        rejected = true;
+    }
+    testSuite.assert(rejected, 'Complex initial condition requires complex: true');
+
+    // Validation reports errors instead of throwing (also when math.js is unavailable)
+    testSuite.assert(UserFunctions.validate('sin(').valid === false, 'Malformed expression is reported');
+    testSuite.assert(UserFunctions.validate(profile).valid === true, 'Callbacks validate');
+
+    // math.js is not installed here: a minimal stand-in with its compile(source).evaluate(scope)
+    // interface exercises the expression path (unknown symbols fail on evaluation, as in math.js)
+    const previousMath = globalThis.math;
+    const builtins = { sin: Math.sin, cos: Math.cos, exp: Math.exp, sqrt: Math.sqrt, pi: Math.PI };
+    globalThis.math = {
+        compile(source) {
+            const symbols = [...new Set(source.match(/[A-Za-z_]\w*/g) || [])];
+            const evaluate = new Function(...symbols, `return (${source});`);
+            return {
+                evaluate(scope) {
+                    return evaluate(...symbols.map(name => {
+                        const value = name in scope ? scope[name] : builtins[name];
+                        if (value === undefined) {
+                            throw new Error(`Undefined symbol ${name}`);
+                        }
+                        return value;
+                    }));
+                }
+            };
+        }
+    };
+    try {
+        const expression = '0.1*sin(2*pi*x)*exp(-t)';
+        const compiled = UserFunctions.compile(expression);
+        testSuite.assertAlmostEqual(compiled(0.3, 0.5), profile(0.3) * Math.exp(-0.5), 1e-15, 'Expression matches callback');
+        const fromExpression = solver.solve({ beta: 0, dt: 0.001 }, nx, 20, { initialCondition: '0.1*sin(2*pi*x)', forcingType: expression, seed: 1 });
+        const fromCallback = solver.solve({ beta: 0, dt: 0.001 }, nx, 20, {
+            initialCondition: profile, forcingType: (x, t) => profile(x) * Math.exp(-t), seed: 1
+        });
+        const mismatch = Math.max(...fromExpression.finalPsi.map((value, i) => Math.abs(value - fromCallback.finalPsi[i])));
+        testSuite.assert(mismatch < 1e-12, `Expression and callback runs agree (${mismatch.toExponential(2)})`);
+        testSuite.assert(UserFunctions.validate('x + y').valid === false, 'Unknown variables are reported in 1D');
+        testSuite.assert(UserFunctions.validate('x + y', 2).valid === true, 'y is available in 2D');
+        testSuite.assert(/Expresión no válida 'sin\('/.test(UserFunctions.validate('sin(').error),
+                        'Compilation errors name the expression');
+    } finally {
+        if (previousMath === undefined) {
+            delete globalThis.math;
+        } else {
+            globalThis.math = previousMath;
+        }
+    }
+});
+
+// Test 30: Registries for initial conditions, forcing and diagnostics
+testSuite.addTest('Initial Condition, Forcing and Diagnostic Registries', () => {
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const { StabilityAnalysis } = loadMFSUModule('./stability-analysis.js');
+    const solver = new SharedSolver({ seed: 4 });
+    const nx = 32;
+
+    // Built-in profiles of both modules live in the same registry
+    ['fractal', 'gaussian', 'soliton', 'random', 'multimode'].forEach(name => {
+        testSuite.assert(SharedSolver.listInitialConditions().includes(name), `'${name}' is registered`);
+    });
+    testSuite.assert(['none', 'periodic', 'pulse'].every(name => SharedSolver.listForcings().includes(name)),
+        'Built-in forcings are registered');
+    const { SeededRandom } = loadMFSUModule('./random.js');
+    const fromStability = new StabilityAnalysis().generateInitialConditions(nx, 'gaussian', new SeededRandom(2));
+    const fromSolver = solver.generateInitialCondition(nx, 'gaussian', new SeededRandom(2));
+    testSuite.assert(fromStability.every((value, i) => value === fromSolver[i]), 'StabilityAnalysis uses the shared registry');
+
+    try {
+        // A registered variant receives physical x, normalized ξ and the run's generator
+        SharedSolver.registerInitialCondition('step', (x, { xi, rng }) => (xi < 0.5 ? 1 : 0) + 0 * rng.random());
+        SharedSolver.registerForcing('ramp', (x, t, { xi }) => t * xi);
+        SharedSolver.registerDiagnostic('mean', psi => psi.reduce((sum, value) => sum + value, 0) / psi.length);
+
+        const { SpatialGrid } = loadMFSUModule('./spatial-grid.js');
+        const grid = SpatialGrid.create([nx], { domain: [-3, 5] });
+        const step = solver.generateInitialCondition(nx, 'step', undefined, grid);
+        testSuite.assert(step[nx / 2 - 1] === 1 && step[nx / 2] === 0, 'Registered profile sees normalized ξ');
+        testSuite.assert(new StabilityAnalysis().generateInitialConditions(nx, 'step')[0] === 1,
+            'Registered profiles are available to StabilityAnalysis');
+
+        const result = solver.solve({ alpha: 0, beta: 0, gamma: 0, dt: 0.01 }, nx, 20, {
+            initialCondition: 'step',
+            forcingType: 'ramp',
+            saveInterval: 5
+        });
+        testSuite.assert(result.diagnostics.mean.length === 4, 'Registered diagnostic is recorded at each save');
+        const last = result.evolution[result.evolution.length - 1];
+        testSuite.assertAlmostEqual(last.mean, last.psi.reduce((sum, value) => sum + value, 0) / nx, 1e-15,
+            'Registered diagnostic is stored in the evolution entries');
+        testSuite.assert(result.metadata.initialCondition === 'step' && result.metadata.forcingType === 'ramp',
+            'Names are exported in the metadata');
+        testSuite.assert(result.metadata.diagnostics.includes('mean') && result.metadata.diagnostics.includes('energy'),
+            'Diagnostic names are exported in the metadata');
+    } finally {
+        delete SharedSolver.initialConditions.step;
+        delete SharedSolver.forcings.ramp;
+        delete SharedSolver.diagnostics.mean;
+    }
+
+    // Registration is validated; built-in diagnostics cannot be replaced
+    const rejects = (register) => {
+        try {
+            register();
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+    testSuite.assert(rejects(() => SharedSolver.registerForcing('broken', 'not a function')), 'Non-functions are rejected');
+    testSuite.assert(rejects(() => SharedSolver.registerDiagnostic('energy', () => 0)), 'Built-in diagnostics are protected');
+    testSuite.assert(rejects(() => new StabilityAnalysis().generateInitialConditions(nx, 'unknown')),
+        'Unknown names are reported by StabilityAnalysis');
+});
+
+// Test 31: Allocation-free Float64Array core
+testSuite.addTest('Typed-Array Solver Core', () => {
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const { TimeIntegrators } = loadMFSUModule('./integrators.js');
+    const { StabilityAnalysis } = loadMFSUModule('./stability-analysis.js');
+    const solver = new SharedSolver({ seed: 6 });
+    const nx = 64;
+    const dx = 1 / nx;
+    const psi = Float64Array.from({ length: nx }, (_, i) => Math.sin(2 * Math.PI * i / nx) + 0.1 * Math.cos(6 * Math.PI * i / nx));
+
+    // Operators write into the destination buffer and match the allocating call bit for bit
+    ['finiteDifference', 'spectral', 'riesz'].forEach(operator => {
+        const expected = solver.applyFractionalOperator(Array.from(psi), dx, 1.5, operator);
+        const workspace = {};
+        const out = new Float64Array(nx);
+        for (let repeat = 0; repeat < 2; repeat++) {
+            const result = solver.applyFractionalOperator(psi, dx, 1.5, operator, 'periodic', [nx], [0, 0], out, workspace);
+            testSuite.assert(result === out, `${operator} returns the destination buffer`);
+            testSuite.assert(expected.every((value, i) => value === out[i]), `${operator} with workspace matches the allocating call`);
+        }
+    });
+
+    // Iterated finite-difference Laplacian double-buffers instead of splicing
+    const iterated = solver.fractionalLaplacian(Array.from(psi), dx, 4.5);
+    const iteratedOut = new Float64Array(nx);
+    solver.fractionalLaplacian(psi, dx, 4.5, 'periodic', [0, 0], iteratedOut, new Float64Array(nx));
+    testSuite.assert(iterated.every((value, i) => value === iteratedOut[i]), 'Iterated Laplacian with scratch buffer matches');
+
+    // Explicit steps reuse state buffers and agree with the allocating path
+    const rhs = (state, time, out = new Array(state.length)) => {
+        for (let i = 0; i < state.length; i++) {
+            out[i] = -state[i] * state[i] * state[i] + Math.cos(time);
+        }
+        return out;
+    };
+    ['euler', 'rk4', 'ab', 'bs23'].forEach(method => {
+        const integrator = TimeIntegrators.get(method);
+        const allocating = integrator.createState ? integrator.createState({}, null) : {};
+        const buffered = integrator.createState ? integrator.createState({}, null) : {};
+        let reference = Array.from(psi);
+        let current = Float64Array.from(psi);
+        let next = new Float64Array(nx);
+        for (let step = 0; step < 3; step++) {
+            reference = integrator.step(reference, step * 0.01, 0.01, rhs, allocating);
+            const result = integrator.step(current, step * 0.01, 0.01, rhs, buffered, next);
+            next.set(result);
+            [current, next] = [next, current];
+        }
+        testSuite.assert(reference.every((value, i) => value === current[i]), `${method} with buffers matches the allocating step`);
+    });
+
+    // solve() keeps returning plain arrays and is reproducible
+    const first = solver.solve({ dt: 0.0001 }, 32, 20, { seed: 3, operator: 'spectral', method: 'rk4' });
+    const second = solver.solve({ dt: 0.0001 }, 32, 20, { seed: 3, operator: 'spectral', method: 'rk4' });
+    testSuite.assert(Array.isArray(first.finalPsi) && Array.isArray(first.evolution[0].psi), 'Results are plain arrays');
+    testSuite.assert(first.finalPsi.every((value, i) => value === second.finalPsi[i]), 'Typed core is deterministic');
+
+    // Large fields no longer go through spread arguments
+    const large = new Float64Array(300000).fill(0.5);
+    large[123456] = -2;
+    testSuite.assert(StabilityAnalysis.maxAbs(large) === 2, 'maxAbs handles fields larger than the argument limit');
+});
+
+// Test 32: Streamed noise source keeps only the needed history
+testSuite.addTest('Streamed Hurst Noise Source', () => {
+    const { NoiseSource } = loadMFSUModule('./noise-source.js');
+    const { HurstNoise } = loadMFSUModule('./hurst-noise.js');
+    const { SeededRandom } = loadMFSUModule('./random.js');
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const nx = 16;
+    const nt = 4000;
+
+    // Rows are spatial fGn with unit variance and the requested temporal correlation
+    const source = NoiseSource.create(nx, nt, 0.7, 0.8, new SeededRandom(5), { type: 'stream', memory: 16 });
+    testSuite.assert(source.memory === 16 && source.history.length === 16, 'Only memory rows are kept');
+    let variance = 0, spaceLag = 0, timeLag = 0;
+    let previous = null;
+    for (let t = 0; t < nt; t++) {
+        const row = source.next();
+        for (let i = 0; i < nx; i++) {
+            variance += row[i] * row[i];
+            if (i + 1 < nx) spaceLag += row[i] * row[i + 1];
+            if (previous) timeLag += row[i] * previous[i];
+        }
+        previous = row;
+    }
+    testSuite.assertAlmostEqual(variance / (nt * nx), 1, 0.05, 'Unit variance');
+    testSuite.assertAlmostEqual(spaceLag / (nt * (nx - 1)), HurstNoise.autocovariance(1, 0.7), 0.05, 'Spatial lag-1 covariance');
+    testSuite.assertAlmostEqual(timeLag / ((nt - 1) * nx), HurstNoise.autocovariance(1, 0.8), 0.05, 'Temporal lag-1 covariance');
+
+    // Durbin–Levinson reproduces the exact covariance up to the memory length
+    const exact = new NoiseSource(1, 0.5, 0.8, new SeededRandom(1), { memory: 8 });
+    for (let t = 0; t < 9; t++) exact.next();
+    const fitted = [...exact.coefficients].reduce((sum, phi, j) => sum + phi * HurstNoise.autocovariance(j + 1, 0.8), 0);
+    testSuite.assertAlmostEqual(fitted + exact.variance, 1, 1e-12, 'Prediction plus innovation variance is one');
+
+    // White noise in time keeps no history and memory is capped at nt - 1
+    testSuite.assert(NoiseSource.create(nx, nt, 0.5, 0.5, new SeededRandom(1)).memory === 0, 'No history for H_t = 0.5');
+    testSuite.assert(NoiseSource.create(nx, 10, 0.5, 0.9, new SeededRandom(1)).memory === 9, 'Memory capped at nt - 1');
+
+    // null options mean the defaults; a missing generator is a clear error
+    testSuite.assert(NoiseSource.create(nx, nt, 0.5, 0.9, new SeededRandom(1), null).memory === NoiseSource.DEFAULT_MEMORY &&
+                    new NoiseSource(nx, 0.5, 0.9, new SeededRandom(1), null).memory === NoiseSource.DEFAULT_MEMORY,
+                    'null options fall back to the defaults');
+    let missingRng = false;
+    try {
+        NoiseSource.create(nx, nt, 0.5, 0.5, null);
+    } catch (error) {
+        missingRng = /generador/.test(error.message);
+    }
+    testSuite.assert(missingRng, 'A missing generator is rejected');
+
+    // The solver streams by default and 'field' keeps the precomputed exact matrix
+    const solver = new SharedSolver({ seed: 2 });
+    const streamed = solver.solve({ hurstExponent: 0.7, dt: 0.001 }, 32, 20, { seed: 1 });
+    testSuite.assert(streamed.metadata.noise.type === 'stream', 'Streaming is the default');
+    const field = solver.solve({ hurstExponent: 0.7, dt: 0.001 }, 32, 20, { seed: 1, noise: 'field' });
+    const rng = new SeededRandom(1);
+    solver.generateInitialCondition(32, 'fractal', rng);
+    const rows = solver.generateHurstNoise(32, 20, 0.5, 0.7, rng);
+    const replay = solver.solve({ hurstExponent: 0.7, dt: 0.001 }, 32, 20, { seed: 1, noise: NoiseSource.fromRows(rows) });
+    testSuite.assert(field.finalPsi.every((value, i) => value === replay.finalPsi[i]), "'field' matches the precomputed rows");
+    testSuite.assert(field.metadata.noise.type === 'field' && replay.metadata.noise.type === 'custom', 'Noise source is recorded');
+
+    let exhausted = false;
+    try {
+        solver.solve({}, 32, 21, { noise: NoiseSource.fromRows(rows) });
+    } catch (error) {
+        exhausted = true;
+    }
+    testSuite.assert(exhausted, 'Exhausted sources are reported');
+});
+
+// Test 33: Worker-backed runner protocol and inline fallback
+testSuite.addTest('Simulation Runner - Worker Protocol and Inline Fallback', async () => {
+    const { SimulationRunner } = loadMFSUModule('./simulation-runner.js');
+    const Analysis = loadMFSUModule('./convergence-analysis.js');
+
+    SimulationRunner.registerTask('countdown', function* (params) {
+        for (let i = 0; i < params.steps; i++) {
+            yield { stage: 'count', completed: i + 1, total: params.steps, data: params.steps - i };
+        }
+        return 'liftoff';
+    });
+
+    try {
+        // Tasks registered at runtime only exist in this thread: run them inline with the same events
+        testSuite.assert(SimulationRunner.workersAvailable, 'worker_threads are available in Node.js');
+        const runner = new SimulationRunner({ useWorker: false });
+        testSuite.assert(!runner.useWorker, 'useWorker: false forces inline execution');
+        const progress = [];
+        const partials = [];
+        const pending = runner.run('countdown', { steps: 3 }, {
+            onProgress: event => progress.push(`${event.completed}/${event.total}`),
+            onPartial: event => partials.push(event.data)
+        });
+        testSuite.assert(runner.running && progress.length === 0, 'run() returns before the first step');
+        testSuite.assert(await pending === 'liftoff' && !runner.running, 'Resolves with the task result');
+        testSuite.assert(progress.join() === '1/3,2/3,3/3' && partials.join() === '3,2,1', 'Progress and partial results in order');
+
+        // Cancelling resolves with null and stops further events
+        const seen = [];
+        const cancelled = runner.run('countdown', { steps: 100 }, {
+            onProgress: event => {
+                seen.push(event.completed);
+                if (event.completed === 2) runner.cancel();
+            }
+        });
+        testSuite.assert(await cancelled === null, 'Cancelled runs resolve with null');
+        await SimulationRunner.yieldControl();
+        await SimulationRunner.yieldControl();
+        testSuite.assert(seen.join() === '1,2', 'No events after cancel');
+
+        // Worker side: the same protocol answered through postMessage
+        const messages = [];
+        const scope = { postMessage: message => messages.push(message) };
+        SimulationRunner.serve(scope);
+        scope.onmessage({ data: { type: 'start', id: 7, task: 'countdown', params: { steps: 50 } } });
+        await SimulationRunner.yieldControl();
+        await SimulationRunner.yieldControl();
+        scope.onmessage({ data: { type: 'cancel', id: 7 } });
+        for (let i = 0; i < 4; i++) await SimulationRunner.yieldControl();
+        const types = messages.map(message => message.type);
+        testSuite.assert(messages.every(message => message.id === 7), 'Replies carry the run id');
+        testSuite.assert(types[0] === 'progress' && types[1] === 'partial' && types[types.length - 1] === 'cancelled',
+            'Worker emits progress/partial and acknowledges cancel');
+
+        scope.onmessage({ data: { type: 'start', id: 8, task: 'unknown' } });
+        await SimulationRunner.yieldControl();
+        testSuite.assert(messages[messages.length - 1].type === 'error', 'Unknown tasks are reported as errors');
+    } finally {
+        delete SimulationRunner.tasks.countdown;
+    }
+
+    // The convergence analysis task, run in a worker thread, matches the synchronous analysis
+    const params = { alpha: 1.0, beta: 0.1, gamma: 0.1, fractalDim: 0.921, dt: 0.01 };
+    const stages = [];
+    const threaded = new SimulationRunner();
+    const result = await threaded.run('convergenceAnalysis', params, {
+        options: { seed: 5 },
+        onProgress: event => stages.push(event.stage)
+    });
+    threaded.destroy();
+    const reference = new Analysis({ seed: 5 }).analyzeConvergence(params);
+    testSuite.assert(JSON.stringify(result.convergenceData) === JSON.stringify(reference), 'Same convergence data as inline analysis');
+    testSuite.assert(stages.join() === 'convergence,convergence,convergence,convergence,stability', 'One event per simulation');
+});
+
+// Test 34: Parallel parameter sweep with incremental output and resume
+testSuite.addTest('Sweep Runner - Worker Pool, NDJSON/CSV Output and Resume', async () => {
+    const { SweepRunner } = loadMFSUModule('./sweep-runner.js');
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mfsu-sweep-'));
+
+    const configs = SweepRunner.generate(
+        { alpha: 1.0, beta: 0.1, gamma: 0.1, fractalDim: 0.921, dt: 0.01 },
+        { alpha: [0.5, 1.0], gamma: [0.1, 0.2] }
+    );
+    const options = { nx: 16, nt: 20, seed: 3 };
+
+    try {
+        // Two worker threads, one row per config in index order
+        const ndjson = path.join(dir, 'sweep.ndjson');
+        const progress = [];
+        const rows = await new SweepRunner({ workers: 2 }).run(configs, {
+            ...options,
+            output: ndjson,
+            onResult: (row, state) => progress.push(state.completed)
+        });
+        testSuite.assert(rows.length === 4 && rows.every((row, i) => row.index === i), 'One row per config, sorted by index');
+        testSuite.assert(rows.every(row => row.finite && Number.isFinite(row.energy)), 'Rows carry the solve summary');
+        testSuite.assert(rows[3].alpha === 1.0 && rows[3].gamma === 0.2, 'Rows carry the config parameters');
+        testSuite.assert(progress.join() === '1,2,3,4', 'onResult reports progress');
+
+        // Same summaries as an inline solve with the same seed
+        const inline = await new SweepRunner({ workers: 1, useWorker: false }).run(configs.slice(0, 1), options);
+        testSuite.assertAlmostEqual(inline[0].energy, rows[0].energy, 0, 'Worker and inline summaries match');
+
+        // Resume: keep two complete lines and a truncated one, only the rest is recomputed
+        const lines = fs.readFileSync(ndjson, 'utf8').split('\n');
+        fs.writeFileSync(ndjson, lines.slice(0, 2).join('\n') + '\n' + lines[2].slice(0, 20));
+        const recomputed = [];
+        const resumed = await new SweepRunner({ workers: 2 }).run(configs, {
+            ...options,
+            output: ndjson,
+            onResult: row => recomputed.push(row.index)
+        });
+        testSuite.assert(recomputed.length === 2, 'Completed configs are skipped on resume');
+        testSuite.assert(JSON.stringify(resumed) === JSON.stringify(rows), 'Resumed table equals the full run');
+        testSuite.assert(SweepRunner.readOutput(ndjson).rows.length === 4, 'Truncated line is replaced');
+
+        // CSV output round-trips, including quoted keys
+        const csv = path.join(dir, 'sweep.csv');
+        await new SweepRunner({ workers: 2 }).run(configs, { ...options, output: csv });
+        const table = SweepRunner.readOutput(csv);
+        testSuite.assert(table.columns[0] === 'index' && table.columns.includes('energy') && table.columns.includes('error'),
+            'CSV header from the first row');
+        const byIndex = table.rows.sort((a, b) => a.index - b.index);
+        testSuite.assert(byIndex.every((row, i) => row.key === rows[i].key && row.energy === rows[i].energy),
+            'CSV rows read back unchanged');
+        testSuite.assert(SweepRunner.csvValue('a,"b"') === '"a,""b"""', 'CSV values are escaped');
+
+        // A failing config is recorded instead of stopping the sweep
+        const failed = await new SweepRunner({ workers: 1 }).run([{ ...configs[0], hurst: 1.5 }, configs[1]], options);
+        testSuite.assert(typeof failed[0].error === 'string' && failed[1].error === undefined, 'Errors are recorded per config');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// Test 35: Monte Carlo ensemble statistics
+testSuite.addTest('Monte Carlo Ensemble Statistics', () => {
+    const { EnsembleStatistics } = loadMFSUModule('./ensemble-statistics.js');
+    const { SeededRandom } = loadMFSUModule('./random.js');
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+
+    // Quantiles against tabulated values
+    testSuite.assertAlmostEqual(EnsembleStatistics.normalQuantile(0.975), 1.959964, 1e-6, 'Normal 97.5% quantile');
+    testSuite.assertAlmostEqual(EnsembleStatistics.studentQuantile(0.975, 1), 12.7062, 1e-4, 't quantile, 1 degree of freedom');
+    testSuite.assertAlmostEqual(EnsembleStatistics.studentQuantile(0.975, 2), 4.3027, 1e-4, 't quantile, 2 degrees of freedom');
+    testSuite.assertAlmostEqual(EnsembleStatistics.studentQuantile(0.975, 9), 2.2622, 1e-3, 't quantile, 9 degrees of freedom');
+
+    // Welford accumulation matches the two-pass sample variance
+    const stats = new EnsembleStatistics(2);
+    [[1, 10], [2, 10], [3, 10], [4, 10]].forEach(values => stats.add(values));
+    const summary = stats.summary(0.95);
+    testSuite.assert(summary.mean[0] === 2.5 && summary.mean[1] === 10, 'Pointwise mean');
+    testSuite.assertAlmostEqual(summary.variance[0], 5 / 3, 1e-12, 'Pointwise sample variance');
+    testSuite.assert(summary.lower[1] === 10 && summary.upper[1] === 10, 'Zero-width interval without spread');
+
+    // Ensemble: reproducible, each realization is solve() on its own stream from a shared ψ₀
+    const solver = new SharedSolver();
+    const params = { beta: 0.5, dt: 0.001 };
+    const ensemble = solver.solveEnsemble(params, 16, 40, { realizations: 6, seed: 4 });
+    const again = new SharedSolver().solveEnsemble(params, 16, 40, { realizations: 6, seed: 4 });
+    testSuite.assert(JSON.stringify(ensemble.mean) === JSON.stringify(again.mean), 'Same seed, same ensemble');
+    testSuite.assert(ensemble.realizations === 6 && ensemble.diverged === 0, 'All realizations counted');
+
+    const stream = new SeededRandom(4);
+    const initialState = solver.solve(params, 16, 0, { rng: stream.fork('initial') }).finalPsi;
+    const single = solver.solveEnsemble(params, 16, 40, { realizations: 1, seed: 4 });
+    const first = solver.solve(params, 16, 40, { initialState: initialState, rng: stream.fork(0) });
+    testSuite.assert(JSON.stringify(single.mean) === JSON.stringify(first.finalPsi), 'Realization 0 uses fork(0) from the shared ψ₀');
+
+    testSuite.assert(ensemble.variance.every(value => value > 0), 'Noise spreads the realizations');
+    const energy = ensemble.diagnostics.energy;
+    testSuite.assert(energy.mean.length === ensemble.time.length && ensemble.diagnostics.l2Norm && ensemble.diagnostics.maxAmplitude,
+        'Statistics for every scalar diagnostic over the saved times');
+    testSuite.assert(energy.lower.every((value, i) => value <= energy.mean[i] && energy.mean[i] <= energy.upper[i]),
+        'Mean inside its confidence band');
+
+    // Without noise every realization is the same deterministic run
+    const deterministic = solver.solveEnsemble({ ...params, beta: 0 }, 16, 40, { realizations: 3, seed: 4 });
+    testSuite.assert(deterministic.variance.every(value => value === 0), 'Shared initial condition across realizations');
+});
+
+// Test 36: Checkpoints resume bit-identically
+testSuite.addTest('Checkpoint and Restart', async () => {
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const { CheckpointStore } = loadMFSUModule('./checkpoint-store.js');
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    // Integrators with history, adaptive control, precomputed and streamed noise
+    const cases = [
+        { params: { beta: 0.3, hurstExponent: 0.7 }, options: { seed: 1, method: 'ab' } },
+        { params: { beta: 0.3 }, options: { seed: 1, noise: 'field' } },
+        { params: { beta: 0.3, hurstExponent: 0.8 }, options: { seed: 2, method: 'bs23', adaptive: { rtol: 1e-4, atol: 1e-4 } } },
+        { params: { beta: 0.3 }, options: { seed: 2, complex: true, method: 'etdrk4' } }
+    ];
+    cases.forEach(({ params, options }) => {
+        const label = options.method || options.noise;
+        const full = new SharedSolver().solve(params, 16, 60, options);
+        const checkpoints = [];
+        new SharedSolver().solve(params, 16, 60, {
+            ...options,
+            checkpoint: { interval: 25, onCheckpoint: checkpoint => checkpoints.push(JSON.parse(JSON.stringify(checkpoint))) }
+        });
+        testSuite.assert(checkpoints.map(c => c.step).join() === '25,50', `Checkpoints every interval steps (${label})`);
+        checkpoints.forEach(checkpoint => {
+            const resumed = new SharedSolver().resumeFrom(checkpoint);
+            testSuite.assert(same(resumed.finalPsi, full.finalPsi) && same(resumed.evolution, full.evolution) &&
+                same(resumed.diagnostics, full.diagnostics) && same(resumed.metadata, full.metadata),
+                `Resume from step ${checkpoint.step} is bit-identical (${label})`);
+        });
+    });
+
+    // Functions are not serializable and must be passed again
+    const forcing = (x, t) => Math.sin(t);
+    let saved = null;
+    new SharedSolver().solve({}, 16, 20, { seed: 1, forcingType: forcing, checkpoint: { interval: 10, onCheckpoint: c => { saved = c; } } });
+    testSuite.assert(saved.requires.join() === 'forcingType', 'Checkpoint lists the options to pass again');
+    let threw = false;
+    try {
+        new SharedSolver().resumeFrom(saved);
+    } catch (error) {
+        threw = true;
+    }
+    testSuite.assert(threw, 'Resuming without the forcing function throws');
+
+    // On disk under Node.js
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mfsu-checkpoints-'));
+    try {
+        const store = new CheckpointStore({ directory: directory });
+        testSuite.assert(store.backend === 'filesystem', 'Node.js stores checkpoints on disk');
+        const full = new SharedSolver().solve({ beta: 0.3 }, 16, 50, { seed: 3 });
+        new SharedSolver().solve({ beta: 0.3 }, 16, 50, { seed: 3, checkpoint: { interval: 20, store: store, key: 'run/a' } });
+        testSuite.assert((await store.list()).join() === 'run/a', 'Keys are listed back');
+        const checkpoint = await store.load('run/a');
+        testSuite.assert(checkpoint.step === 40, 'Latest checkpoint replaces the previous one');
+        testSuite.assert(same(new SharedSolver().resumeFrom(checkpoint).finalPsi, full.finalPsi), 'Resume from disk is bit-identical');
+        await store.remove('run/a');
+        testSuite.assert(await store.load('run/a') === null, 'Removed checkpoints are gone');
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+// Test 37: Step hooks, early termination and cancellation
+testSuite.addTest('Solve Hooks, Early Termination and AbortSignal', async () => {
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const solver = new SharedSolver();
+
+    // Hooks see every step and every saved entry; a full run reports 'completed'
+    const steps = [];
+    const saved = [];
+    const full = solver.solve({}, 16, 25, {
+        seed: 1,
+        saveInterval: 10,
+        onStep: state => steps.push(state.step),
+        onSave: (entry, state) => saved.push(`${entry.time.toFixed(2)}@${state.step}`)
+    });
+    testSuite.assert(full.terminationReason === 'completed' && full.metadata.stepsCompleted === 25, 'Completed runs say so');
+    testSuite.assert(steps.length === 25 && steps[24] === 25, 'onStep after every step');
+    testSuite.assert(saved.join() === '0.00@1,0.10@11,0.20@21', 'onSave after every saved entry');
+
+    // Hooks and the generator core do not change the result
+    const plain = new SharedSolver().solve({}, 16, 25, { seed: 1, saveInterval: 10 });
+    testSuite.assert(JSON.stringify(plain.finalPsi) === JSON.stringify(full.finalPsi), 'Hooks leave the result unchanged');
+
+    // Blow-up stops at the first step beyond the threshold, before NaNs appear
+    const unstable = solver.solve({ dt: 0.5, fractalDim: 1.5 }, 32, 200, { seed: 1, stopWhen: { maxAmplitude: 1e6 } });
+    testSuite.assert(unstable.terminationReason === 'blowUp' && unstable.metadata.stepsCompleted < 200, 'Blow-up ends the run');
+    testSuite.assert(unstable.finalPsi.every(Number.isFinite), 'No NaN-filled state after blow-up');
+
+    // Complex ψ: the threshold applies to |ψ|, not to Re ψ and Im ψ separately
+    const frozen = { alpha: 0, beta: 0, gamma: 0, dt: 0.01 };
+    const constant = (amplitude) => new Array(16).fill(amplitude);
+    const complexBlowUp = solver.solve(frozen, 8, 10, {
+        complex: true, initialState: constant(0.8), stopWhen: { maxAmplitude: 1 }
+    });
+    testSuite.assert(complexBlowUp.terminationReason === 'blowUp' && complexBlowUp.metadata.stepsCompleted === 1,
+                    'Complex blow-up uses the modulus (|ψ| = 0.8·√2 > 1)');
+    const complexBounded = solver.solve(frozen, 8, 10, {
+        complex: true, initialState: constant(0.7), stopWhen: { maxAmplitude: 1 }
+    });
+    testSuite.assert(complexBounded.terminationReason === 'completed', 'Complex run below the threshold completes');
+
+    // Deterministic decay reaches a steady state
+    const steady = solver.solve({ beta: 0, dt: 0.001 }, 32, 20000, {
+        seed: 1, operator: 'spectral', saveInterval: 100, stopWhen: { steadyState: 1e-2 }
+    });
+    testSuite.assert(steady.terminationReason === 'steadyState' && steady.metadata.stepsCompleted < 20000, 'Steady state ends the run');
+
+    // Custom criteria name their own reason
+    const custom = solver.solve({}, 16, 50, { seed: 1, stopWhen: state => state.time >= 0.2 && 'timeLimit' });
+    testSuite.assert(custom.terminationReason === 'timeLimit' && custom.metadata.stepsCompleted === 20, 'Custom stop reason');
+
+    // AbortSignal: synchronously from a hook, and from a timer while solveAsync yields
+    const controller = new AbortController();
+    const aborted = solver.solve({ dt: 0.01 }, 16, 100, {
+        seed: 1,
+        boundary: 'dirichlet',
+        boundaryValue: t => [t, 0],
+        signal: controller.signal,
+        onStep: state => { if (state.step === 30) controller.abort(); }
+    });
+    testSuite.assert(aborted.terminationReason === 'aborted' && aborted.metadata.stepsCompleted === 30, 'Abort after the current step');
+    testSuite.assertAlmostEqual(aborted.metadata.totalTime, 0.3, 1e-12, 'Total time of an aborted run is the time reached');
+    testSuite.assertAlmostEqual(aborted.metadata.boundaryValues[0], 0.3, 1e-12, 'Boundary values at the time reached');
+
+    const timer = new AbortController();
+    setTimeout(() => timer.abort(), 30);
+    const cancelled = await solver.solveAsync({}, 64, 1000000, { seed: 1, saveInterval: 1000, signal: timer.signal });
+    testSuite.assert(cancelled.terminationReason === 'aborted' && cancelled.metadata.stepsCompleted < 1000000,
+        'solveAsync yields so a timer can cancel it');
+    const asyncResult = await new SharedSolver().solveAsync({}, 16, 25, { seed: 1, saveInterval: 10 });
+    testSuite.assert(JSON.stringify(asyncResult.finalPsi) === JSON.stringify(plain.finalPsi), 'solveAsync matches solve');
+});
+
+// Test 38: Every module delegates to the shared numerical engine
+testSuite.addTest('Shared Numerical Engine - Cross-module Consistency', () => {
+    const { MFSUEngine } = loadMFSUModule('./mfsu-engine.js');
+    const { SeededRandom } = loadMFSUModule('./random.js');
+    const { MFSUSolver: SharedSolver } = loadMFSUModule('./mfsu-solver.js');
+    const MFSUConvergenceAnalysis = loadMFSUModule('./convergence-analysis.js');
+    const { StabilityAnalysis } = loadMFSUModule('./stability-analysis.js');
+    const { MFSUConvergenceAnalyzer } = loadMFSUModule('./test-convergence.js');
+    const MathUtils = loadMFSUModule('./math-utils.js').default || loadMFSUModule('./math-utils.js').MathUtils;
+    const same = (a, b) => JSON.stringify(Array.from(a)) === JSON.stringify(Array.from(b));
+
+    // Fractional operator: sub-diffusive, classical and iterated orders
+    const dx = 1 / 32;
+    const psi = Array.from({ length: 32 }, (_, i) => Math.sin(2 * Math.PI * i * dx) + 0.3 * Math.cos(6 * Math.PI * i * dx));
+    const local = new MFSUSolver({ dx: dx });
+    for (const order of [0.921, 1.5, 2.0, 4.5]) {
+        const reference = MFSUEngine.fractionalLaplacian(psi, dx, order);
+        const copies = {
+            MFSUSolver: new SharedSolver().fractionalLaplacian(psi, dx, order),
+            MathUtils: MathUtils.fractionalLaplacian(psi, dx, order),
+            MFSUConvergenceAnalysis: new MFSUConvergenceAnalysis().fractionalLaplacian(psi, dx, order),
+            StabilityAnalysis: new StabilityAnalysis().fractionalLaplacian(psi, dx, order),
+            MFSUConvergenceAnalyzer: new MFSUConvergenceAnalyzer().fractionalLaplacian(psi, dx, order),
+            testSolver: local.fractionalLaplacian(psi, order)
+        };
+        for (const [name, result] of Object.entries(copies)) {
+            testSuite.assert(same(result, reference), `${name} operator matches the engine (∂ = ${order})`);
+        }
+    }
+
+    // Hurst noise: identical fields from identical seeds
+    const noise = (generate) => generate(16, 5, 0.7, 0.6, new SeededRandom(9));
+    const referenceNoise = JSON.stringify(noise((...args) => MFSUEngine.generateHurstNoise(...args)));
+    const noiseCopies = {
+        MFSUSolver: noise((...args) => new SharedSolver().generateHurstNoise(...args)),
+        MathUtils: noise((...args) => MathUtils.generateHurstNoise(...args)),
+        MFSUConvergenceAnalysis: noise((...args) => new MFSUConvergenceAnalysis().generateHurstNoise(...args)),
+        StabilityAnalysis: noise((...args) => new StabilityAnalysis().generateHurstNoise(...args)),
+        MFSUConvergenceAnalyzer: noise((...args) => new MFSUConvergenceAnalyzer().generateHurstNoise(...args))
+    };
+    for (const [name, rows] of Object.entries(noiseCopies)) {
+        testSuite.assert(JSON.stringify(rows) === referenceNoise, `${name} noise matches the engine`);
+    }
+    const row = new MFSUSolver({ seed: 4 }).generateHurstNoise(16);
+    testSuite.assert(same(row, MFSUEngine.generateHurstNoise(16, 1, 0.5, 0.5, new SeededRandom(4))[0]),
+                    'Test solver draws one engine noise row');
+
+    // Metrics: discrete integrals over the periodic grid; StabilityAnalysis keeps its point sums
+    const metrics = MFSUEngine.metrics(psi, dx);
+    const sums = MFSUEngine.metrics(psi, dx, 'sum');
+    const stepMetrics = new StabilityAnalysis().calculateStepMetrics(psi, dx, 0);
+    testSuite.assert(stepMetrics.energy === sums.energy && stepMetrics.l2Norm === sums.l2Norm &&
+                    stepMetrics.maxAmplitude === metrics.maxAmp, 'StabilityAnalysis metrics match the engine');
+    let pointEnergy = 0;
+    for (let i = 0; i < psi.length; i++) {
+        const grad = (i < psi.length - 1 ? psi[i + 1] : psi[0]) - psi[i];
+        pointEnergy += 0.5 * grad * grad / (dx * dx) + 0.25 * Math.pow(psi[i], 4);
+    }
+    testSuite.assert(stepMetrics.energy === pointEnergy &&
+                    stepMetrics.l2Norm === Math.sqrt(psi.reduce((sum, x) => sum + x * x, 0)),
+                    'StabilityAnalysis keeps the scale of its energy thresholds');
+    testSuite.assertAlmostEqual(sums.energy * dx, metrics.energy, 1e-9, 'Point-sum energy is the integral over dx');
+    testSuite.assert(MathUtils.calculateTotalEnergy(psi, dx) === metrics.energy &&
+                    MathUtils.calculateL2Norm(psi, dx) === metrics.l2Norm, 'MathUtils metrics match the engine');
+    testSuite.assert(new MFSUConvergenceAnalyzer().calculateEnergy(psi, dx) === metrics.energy &&
+                    local.computeEnergy(psi) === metrics.energy && local.computeL2Norm(psi) === metrics.l2Norm,
+                    'Test metrics match the engine');
+    const diagnostics = new SharedSolver().calculateDiagnostics(psi, dx);
+    testSuite.assertAlmostEqual(diagnostics.energy, metrics.energy, 1e-12, 'Same energy as solve() diagnostics');
+    testSuite.assertAlmostEqual(diagnostics.l2Norm, metrics.l2Norm, 1e-12, 'Same L2 norm as solve() diagnostics');
+
+    // Euler step of the test solver
+    const stepNoise = MFSUEngine.generateHurstNoise(32, 1, 0.5, 0.5, new SeededRandom(3))[0];
+    const expected = MFSUEngine.eulerStep(psi, MFSUEngine.fractionalLaplacian(psi, dx, local.fractalDim), stepNoise, local);
+    testSuite.assert(same(local.timeStep(psi, stepNoise), expected), 'Test solver steps with the engine');
+
+    // Full runs: identical seeds give identical output in every module
+    const params = { alpha: 1.0, beta: 0.2, gamma: 0.1, fractalDim: 0.921, dt: 0.001, hurst: 0.6, hurstExponent: 0.7 };
+    const reference = MFSUEngine.solveMFSU(params, 32, 60, new SeededRandom(5));
+    const runs = {
+        MathUtils: MathUtils.solveMFSU(params, 32, 60, new SeededRandom(5)),
+        MFSUConvergenceAnalysis: new MFSUConvergenceAnalysis().solveMFSU(params, 32, 60, new SeededRandom(5))
+    };
+    for (const [name, run] of Object.entries(runs)) {
+        testSuite.assert(JSON.stringify(run) === JSON.stringify(reference), `${name} solveMFSU matches the engine`);
+    }
+    const analyzer = new MFSUConvergenceAnalyzer({ seed: 5 }).solveMFSU(params, 32, 60);
+    testSuite.assert(same(analyzer.finalPsi, reference.finalPsi), 'MFSUConvergenceAnalyzer solveMFSU matches the engine');
+    testSuite.assert(analyzer.evolution[10].energy === reference.evolution[1].energy &&
+                    analyzer.evolution[10].entropy > 0, 'Analyzer keeps its sampling and adds entropy');
+    testSuite.assert(!same(MFSUEngine.solveMFSU(params, 32, 60, new SeededRandom(6)).finalPsi, reference.finalPsi),
+                    'Different seeds give different runs');
+
+    // MFSUSolver.solve (Euler, finite differences) takes the same step, noise term ΔW = ξ·dt^H included
+    for (const runParams of [params, { ...params, beta: 0.5, fractalDim: 2.0, hurstExponent: 0.5 }]) {
+        const engineRun = MFSUEngine.solveMFSU(runParams, 32, 60, new SeededRandom(5));
+        const rng = new SeededRandom(5);
+        const initialState = MFSUEngine.initialCondition(32, rng);
+        const solved = new SharedSolver().solve(runParams, 32, 60, { rng: rng, initialState: initialState });
+        testSuite.assert(solved.metadata.method === 'euler' && solved.metadata.operator === 'finiteDifference' &&
+                        same(solved.finalPsi, engineRun.finalPsi),
+                        `MFSUSolver.solve matches the engine step (β = ${runParams.beta}, H = ${runParams.hurstExponent})`);
+    }
+});
+
+// Test 39: Command-line tool (bin/mfsu) run in-process with captured streams
+testSuite.addTest('Command-line Tool - Commands, Formats and Reports', async () => {
+    const { MFSUCli } = loadMFSUModule('./mfsu-cli.js');
+    const { SweepRunner } = loadMFSUModule('./sweep-runner.js');
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mfsu-cli-'));
+    const file = name => path.join(dir, name);
+
+    const capture = () => ({ text: '', write(chunk) { this.text += chunk; } });
+    const cli = async (...argv) => {
+        const io = { stdout: capture(), stderr: capture() };
+        const code = await new MFSUCli(io).run(argv);
+        return { code, stdout: io.stdout.text, stderr: io.stderr.text };
+    };
+
+    fs.writeFileSync(file('config.json'), JSON.stringify({
+        params: { alpha: 1.0, beta: 0.1, gamma: 0.1, fractalDim: 0.921, dt: 0.001, nx: 16, nt: 100 },
+        seed: 3,
+        convergence: { meshSizes: [16, 32, 64] },
+        stability: { maxTime: 0.05 },
+        sweep: { variations: { alpha: [0.5, 1.0] }, workers: 1 }
+    }));
+    const config = file('config.json');
+
+    try {
+        // Argument parsing
+        const args = MFSUCli.parseArgs(['sweep', 'c.json', '-o', 'out.csv', '--seed=7', '--no-resume', '-q']);
+        testSuite.assert(args.command === 'sweep' && args.file === 'c.json' && args.output === 'out.csv' &&
+                        args.seed === 7 && !args.resume && args.quiet, 'Options are parsed');
+        testSuite.assert(MFSUCli.formatOf('a.jsonl') === 'ndjson' && MFSUCli.formatOf('a.CSV') === 'csv' &&
+                        MFSUCli.formatOf('a.txt', 'ndjson') === 'ndjson', 'Format follows the file extension');
+        testSuite.assert((await cli()).code === 2 && (await cli('bogus', config)).code === 2 &&
+                        (await cli('run', config, '--format', 'xml')).code === 2, 'Usage errors exit with 2');
+        testSuite.assert((await cli('--help')).stdout.includes('Uso: mfsu'), '--help prints the usage');
+
+        // run: JSON on stdout, report on stderr; CSV to a file, report on stdout
+        const run = await cli('run', config);
+        const result = JSON.parse(run.stdout);
+        testSuite.assert(run.code === 0 && result.finalPsi.length === 16 && result.terminationReason === 'completed',
+                        'run writes the solution as JSON');
+        testSuite.assert(result.evolution.length > 0 && result.evolution.every(entry => entry.psi === undefined),
+                        'Evolution rows omit the field');
+        testSuite.assert(run.stderr.includes('REPORTE DE SIMULACIÓN'), 'Report goes to stderr when stdout has data');
+        const csvRun = await cli('run', config, '-o', file('run.csv'));
+        const csv = fs.readFileSync(file('run.csv'), 'utf8').trim().split('\n');
+        testSuite.assert(csv[0].split(',').includes('energy') && !csv[0].includes('error') &&
+                        csv.length === result.evolution.length + 1, 'run writes evolution rows as CSV');
+        testSuite.assert(csvRun.stdout.includes('REPORTE DE SIMULACIÓN'), 'Report goes to stdout with --output');
+        const seeded = JSON.parse((await cli('run', config, '--seed', '4', '-q')).stdout);
+        testSuite.assert(seeded.finalPsi.some((value, i) => value !== result.finalPsi[i]), '--seed overrides the config seed');
+
+        // converge and stability: NDJSON rows and reports in a file
+        const converge = await cli('converge', config, '-f', 'ndjson', '--report', file('converge.txt'));
+        const orders = converge.stdout.trim().split('\n').map(line => JSON.parse(line));
+        testSuite.assert(converge.code === 0 && orders.length === 2 && orders[1].meshSize === 32 &&
+                        Number.isFinite(orders[1].error), 'converge writes one row per mesh');
+        testSuite.assert(fs.readFileSync(file('converge.txt'), 'utf8').includes('REPORTE DE CONVERGENCIA') &&
+                        converge.stderr === '', '--report receives the convergence report');
+        const stability = JSON.parse((await cli('stability', config, '-q')).stdout);
+        testSuite.assert(typeof stability.isStable === 'boolean' && stability.maxTime === 0.05, 'stability writes the analysis');
+
+        // sweep: NDJSON streamed to stdout, CSV file with the sweep report
+        const sweep = await cli('sweep', config);
+        const rows = sweep.stdout.trim().split('\n').map(line => JSON.parse(line));
+        testSuite.assert(sweep.code === 0 && rows.length === 2 && rows.every(row => row.finite), 'sweep streams NDJSON rows');
+        testSuite.assert(sweep.stderr.includes('alpha = 0.5') && sweep.stderr.includes('REPORTE DE BARRIDO'),
+                        'Sweep report labels rows by the varied parameters');
+        await cli('sweep', config, '-o', file('sweep.csv'), '-q');
+        const table = SweepRunner.readOutput(file('sweep.csv'));
+        testSuite.assert(table.rows.length === 2 && table.rows[1].alpha === 1, 'sweep writes a resumable CSV file');
+
+        // bin/mfsu -q leaves stderr empty, also when the sweep loads the modules in worker threads
+        const { spawnSync } = require('child_process');
+        const quiet = spawnSync(process.execPath, [path.join(__dirname, 'bin', 'mfsu'), 'sweep', config, '--workers', '2', '-q'],
+                                { encoding: 'utf8', timeout: 120000 });
+        testSuite.assert(quiet.status === 0 && quiet.stdout.trim().split('\n').length === 2,
+                        `bin/mfsu sweep runs in worker threads (exit ${quiet.status})`);
+        testSuite.assert(quiet.stderr === '', `--quiet prints nothing to stderr (${JSON.stringify(quiet.stderr)})`);
+
+        // Validation errors exit with 1 before running anything
+        fs.writeFileSync(file('bad.json'), JSON.stringify({ params: { alpha: -5 } }));
+        const bad = await cli('run', file('bad.json'));
+        testSuite.assert(bad.code === 1 && bad.stdout === '' && bad.stderr.includes('alpha'), 'Invalid parameters exit with 1');
+        testSuite.assert((await cli('run', file('missing.json'))).code === 1, 'Missing config exits with 1');
+        fs.writeFileSync(file('preset.json'), JSON.stringify({ preset: 'nope' }));
+        testSuite.assert((await cli('run', file('preset.json'))).stderr.includes("'nope' no encontrado"), 'Unknown preset is reported');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// Test 40: Method of manufactured solutions - true discretization error and observed orders
+testSuite.addTest('Manufactured Solutions - True Error and Observed Orders', () => {
+    const { MMSVerification } = loadMFSUModule('./mms-verification.js');
+    const { FractionalOperators } = loadMFSUModule('./fractional-operators.js');
+    const { SpatialGrid } = loadMFSUModule('./spatial-grid.js');
+    const mms = new MMSVerification();
+    const params = { alpha: 0.1, gamma: 0.3, fractalDim: 1.3 };
+
+    // The forcing closes the equation for ψ* with the spectral operator
+    const grid = SpatialGrid.create([32], { origin: -0.5, length: 2 });
+    const x = SpatialGrid.axes(grid)[0];
+    const { exact, forcing } = MMSVerification.manufacture(params, undefined, grid);
+    const t = 0.3;
+    const h = 1e-5;
+    const psi = x.map(xi => exact(xi, t));
+    const fractional = FractionalOperators.spectral(psi, grid.spacing[0], params.fractalDim);
+    const residual = Math.max(...x.map((xi, i) => {
+        const rate = (exact(xi, t + h) - exact(xi, t - h)) / (2 * h);
+        return Math.abs(rate - (params.alpha * fractional[i] - params.gamma * Math.pow(psi[i], 3) + forcing(xi, t)));
+    }));
+    testSuite.assert(residual < 1e-8, `ψ* solves the forced equation (residual ${residual.toExponential(2)})`);
+
+    // One run: error against ψ*(x, T), not against another noisy run
+    const run = mms.run({ ...params, beta: 0.5 }, 32, 64, { operator: 'spectral', method: 'rk45', totalTime: 0.5 });
+    testSuite.assert(run.result.parameters.beta === 0 && run.time === 0.5, 'MMS runs are deterministic up to T');
+    testSuite.assert(run.errors.l2 < 1e-9 && run.errors.linf >= run.errors.l2 && run.errors.relativeL2 > 0,
+                    'Spectral operator with RK45 is exact up to the temporal error');
+
+    // Temporal order only (fixed mesh), spatial order only (fixed steps), and both together
+    const temporal = mms.analyzeConvergence(params, { method: 'euler', meshSizes: 32, stepCounts: [40, 80, 160] });
+    testSuite.assert(temporal.expectedOrder === 1 && temporal.matchesExpected,
+                    `Euler is first order in time (observed ${temporal.observedOrder.toFixed(3)})`);
+    const spatial = mms.analyzeConvergence(params, { operator: 'riesz', method: 'rk4', meshSizes: [16, 32, 64], stepCounts: 400 });
+    testSuite.assert(spatial.expectedOrder === 2 && spatial.matchesExpected,
+                    `Riesz operator is second order in space (observed ${spatial.observedOrder.toFixed(3)})`);
+    testSuite.assert(spatial.data.every((level, i) => i === 0 || level.error < spatial.data[i - 1].error),
+                    'Error decreases under mesh refinement');
+    const combined = mms.analyzeConvergence(params, { operator: 'spectral', method: 'ab', meshSizes: [16, 32, 64] });
+    testSuite.assert(combined.expectedOrder === 2 && combined.matchesExpected && combined.orders.length === 2,
+                    `Spectral operator leaves the integrator order (observed ${combined.observedOrder.toFixed(3)})`);
+    const spectral = mms.analyzeConvergence(params, { operator: 'spectral', method: 'rk4', meshSizes: [16, 32], stepCounts: 40 });
+    testSuite.assert(spectral.expectedOrder === null && spectral.matchesExpected, 'Spectral error does not depend on the mesh');
+
+    // Combination matrix: incompatible pairs are reported, the rest match
+    const matrix = mms.verify(params, { operators: ['spectral', 'riesz'], methods: ['rk4', 'imex'], meshSizes: [16, 32, 64] });
+    const skipped = matrix.results.filter(row => row.skipped !== undefined);
+    testSuite.assert(matrix.results.length === 4 && skipped.length === 1 &&
+                    skipped[0].operator === 'riesz' && skipped[0].method === 'imex', 'Incompatible combinations are skipped');
+    testSuite.assert(matrix.passed, 'Observed orders match Config.CONVERGENCE_CONFIG');
+
+    // Invalid setups
+    let rejected = false;
+    try {
+        mms.run(params, 4, 10);
+    } catch (error) {
+        rejected = /no resuelve/.test(error.message);
+    }
+    testSuite.assert(rejected, 'Unresolved modes are rejected');
+    rejected = false;
+    try {
+        mms.run(params, 32, 10, { boundary: 'dirichlet' });
+    } catch (error) {
+        rejected = /periódica/.test(error.message);
+    }
+    testSuite.assert(rejected, 'Non-periodic boundaries are rejected');
+});
+
+// Test 41: Richardson extrapolation and grid convergence index
+testSuite.addTest('Grid Convergence - Richardson Extrapolation and GCI', () => {
+    const { GridConvergence } = loadMFSUModule('./grid-convergence.js');
+    const { MFSUSolver: SharedSolver, MFSUAnalyzer } = loadMFSUModule('./mfsu-solver.js');
+    const MFSUConvergenceAnalysis = loadMFSUModule('./convergence-analysis.js');
+
+    // φ = 1 + C·h² on non-uniform refinements: p, φ_ext and the asymptotic check are recovered
+    const sizes = [20, 30, 50, 90];
+    const values = sizes.map(n => 1 + 0.8 / (n * n));
+    const gci = GridConvergence.analyze(values, sizes);
+    testSuite.assertAlmostEqual(gci.order, 2, 1e-6, 'Observed order with non-uniform refinement');
+    testSuite.assertAlmostEqual(gci.extrapolated, 1, 1e-9, 'Richardson-extrapolated value');
+    testSuite.assert(gci.orders.length === 2 && gci.orders.every(order => Math.abs(order - 2) < 1e-6),
+                    'One observed order per triple of consecutive meshes');
+    testSuite.assert(gci.safetyFactor === 1.25 && gci.inAsymptoticRange && Math.abs(gci.asymptoticRatio - 1) < 0.1,
+                    `Fine meshes are in the asymptotic range (ratio ${gci.asymptoticRatio.toFixed(4)})`);
+    testSuite.assertAlmostEqual(gci.gciFine, 1.25 * gci.relativeError / (Math.pow(90 / 50, 2) - 1), 1e-12,
+                    'GCI uses the actual refinement ratio');
+    testSuite.assert(/p = 2\.00/.test(GridConvergence.summary(gci)) && /✓/.test(GridConvergence.summary(gci)),
+                    'Summary reports the order and the asymptotic check');
+
+    // Two meshes need an assumed order and use Fs = 3
+    const twoGrids = GridConvergence.analyze(values.slice(-2), sizes.slice(-2), { order: 2 });
+    testSuite.assert(twoGrids.safetyFactor === 3 && twoGrids.inAsymptoticRange === null && twoGrids.gciCoarse === null,
+                    'Two-grid GCI uses Fs = 3');
+    let rejected = false;
+    try {
+        GridConvergence.analyze(values.slice(-2), sizes.slice(-2));
+    } catch (error) {
+        rejected = /orden/.test(error.message);
+    }
+    testSuite.assert(rejected, 'Two meshes without an assumed order are rejected');
+    rejected = false;
+    try {
+        GridConvergence.analyze([1, 2, 3], [16, 64, 32]);
+    } catch (error) {
+        rejected = /crecientes/.test(error.message);
+    }
+    testSuite.assert(rejected, 'Non-increasing meshes are rejected');
+
+    // Oscillatory convergence is never in the asymptotic range
+    const oscillatory = GridConvergence.analyze([1.1, 0.95, 1.02], [16, 32, 64]);
+    testSuite.assert(oscillatory.oscillatory && oscillatory.inAsymptoticRange === false, 'Oscillatory convergence is flagged');
+
+    // Orders from errors with a refinement ratio of 3 (log₂ would report 1.58·p)
+    const errors = [27, 3, 1 / 3];
+    testSuite.assertAlmostEqual(GridConvergence.pairOrder(27, 3, 10, 30), 2, 1e-12, 'Pair order with r = 3');
+    testSuite.assertAlmostEqual(GridConvergence.fitOrder([10, 30, 90], errors), 2, 1e-12, 'Fitted order with r = 3');
+
+    // Solver analysis and report
+    const params = { alpha: 1.0, beta: 0.0, gamma: 0.1, fractalDim: 2.0, dt: 0.001 };
+    const solver = new SharedSolver();
+    const convergence = solver.analyzeConvergence(params, [16, 32, 64],
+        { operator: 'spectral', method: 'imex', initialCondition: 'gaussian' });
+    testSuite.assert(convergence.gridConvergence && convergence.gridConvergence.quantity === 'l2Norm' &&
+                    convergence.gridConvergence.levels === 3, 'MFSUSolver.analyzeConvergence returns the GCI analysis');
+    // 2D meshes: the norm uses the cell volume and each size is the number of points per axis
+    const planar = solver.analyzeConvergence(params, [8, 16, 32],
+        { shape: [8, 8], method: 'imex', initialCondition: 'gaussian' });
+    testSuite.assert(planar.referenceSolution.metadata.shape.join('×') === '32×32' &&
+                    planar.data.every(level => Number.isFinite(level.error) && level.error > 0),
+                    '2D convergence refines every axis and compares against the finest mesh');
+    testSuite.assert(Number.isFinite(planar.gridConvergence.extrapolated) && Number.isFinite(planar.gridConvergence.order),
+                    `2D grid convergence is finite (φ_ext = ${planar.gridConvergence.extrapolated})`);
+    const { finalPsi, metadata } = planar.referenceSolution;
+    const finalNorm = solver.calculateDiagnostics(finalPsi, metadata.dx, metadata.shape).l2Norm;
+    testSuite.assertAlmostEqual(planar.gridConvergence.values[2], finalNorm, 1e-12,
+                    'The 2D norm matches the solver diagnostics');
+    const report = new MFSUAnalyzer(solver).generateConvergenceReport(convergence);
+    testSuite.assert(report.includes('Extrapolación de Richardson') && report.includes('GCI'),
+                    'Convergence report includes Richardson extrapolation and GCI');
+
+    // Interactive analysis: every coarse mesh is compared with the finest one
+    const analysis = new MFSUConvergenceAnalysis({ seed: 5 });
+    const data = analysis.analyzeConvergence({ alpha: 1.0, beta: 0.1, gamma: 0.1, fractalDim: 0.921, dt: 0.01 });
+    testSuite.assert(data.length === 4 && data[3].error === null &&
+                    data.slice(0, 3).every(level => level.error > 0 && level.value > 0),
+                    'Coarse meshes have nonzero errors against the finest mesh');
+    const { gridConvergence } = analysis.summarizeConvergence(data);
+    testSuite.assert(gridConvergence.levels === 4, 'Interactive analysis runs Richardson on every mesh');
+});
+
 // Main execution
 async function runAllTests() {
     console.log('🚀 MFSU Stability Test Suite');
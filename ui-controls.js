@@ -8,9 +8,18 @@ class UIControls {
     constructor() {
         this.controls = {};
         this.callbacks = {};
+        this.runner = null;
         this.initialized = false;
     }
 
+    /**
+     * Ejecución de simulaciones en un Web Worker (global en el navegador, require en Node.js)
+     */
+    static get simulationRunner() {
+        return typeof SimulationRunner !== 'undefined' ?
+            SimulationRunner : require('./simulation-runner.js').SimulationRunner;
+    }
+
     /**
      * Inicializa todos los controles de la interfaz
      */
@@ -421,15 +430,72 @@ class UIControls {
     }
 
     /**
-     * Ejecutar análisis completo
+     * Ejecutar análisis completo en un Web Worker (o en el hilo principal si no hay workers);
+     * pulsar de nuevo durante la ejecución la cancela. El progreso, los resultados parciales
+     * y el resultado final se publican como eventos analysisProgress, analysisPartial y
+     * analysisComplete
+     * @returns {Promise<Object|null>} Resultado del análisis, o null si se cancela o no es válido
      */
     runAnalysis() {
+        if (this.runner && this.runner.running) {
+            this.runner.cancel();
+            return Promise.resolve(null);
+        }
+
         if (!this.validateParameters()) {
-            return;
+            return Promise.resolve(null);
         }
 
         const params = this.getParameters();
         this.triggerAnalysis(params);
+
+        this.runner = this.runner || new (UIControls.simulationRunner)();
+        this.setAnalysisRunning(true);
+
+        return this.runner.run('convergenceAnalysis', this.getModelParameters(params), {
+            onProgress: (event) => this.triggerAnalysisProgress(event),
+            onPartial: (event) => this.triggerAnalysisPartial(event)
+        }).then(result => {
+            this.setAnalysisRunning(false);
+            if (result) {
+                this.triggerAnalysisComplete(result);
+            }
+            return result;
+        }, error => {
+            this.setAnalysisRunning(false);
+            this.displayWarnings([{ type: 'error', message: `Error en el análisis: ${error.message}` }]);
+            return null;
+        });
+    }
+
+    /**
+     * Parámetros con los nombres de la ecuación (el control 'fractal' es fractalDim)
+     */
+    getModelParameters(params = this.getParameters()) {
+        const { fractal, ...rest } = params;
+        return { ...rest, fractalDim: fractal };
+    }
+
+    /**
+     * Estado del botón de análisis y de la barra de progreso durante una ejecución
+     */
+    setAnalysisRunning(running) {
+        const button = document.getElementById('runAnalysisBtn');
+        if (button) {
+            if (running) {
+                button.dataset.label = button.textContent;
+                button.textContent = 'Cancelar análisis';
+            } else if (button.dataset.label) {
+                button.textContent = button.dataset.label;
+            }
+            button.classList.toggle('running', running);
+        }
+
+        const progress = document.getElementById('analysisProgress');
+        if (progress) {
+            progress.style.display = running ? 'block' : 'none';
+            progress.value = 0;
+        }
     }
 
     /**
@@ -463,6 +529,22 @@ class UIControls {
         document.dispatchEvent(event);
     }
 
+    triggerAnalysisProgress(progress) {
+        const bar = document.getElementById('analysisProgress');
+        if (bar) {
+            bar.value = progress.completed / progress.total;
+        }
+        document.dispatchEvent(new CustomEvent('analysisProgress', { detail: progress }));
+    }
+
+    triggerAnalysisPartial(partial) {
+        document.dispatchEvent(new CustomEvent('analysisPartial', { detail: partial }));
+    }
+
+    triggerAnalysisComplete(result) {
+        document.dispatchEvent(new CustomEvent('analysisComplete', { detail: result }));
+    }
+
     /**
      * Registrar callbacks externos
      */
@@ -482,6 +564,18 @@ class UIControls {
         document.addEventListener('runAnalysis', callback);
     }
 
+    onAnalysisProgress(callback) {
+        document.addEventListener('analysisProgress', callback);
+    }
+
+    onAnalysisPartial(callback) {
+        document.addEventListener('analysisPartial', callback);
+    }
+
+    onAnalysisComplete(callback) {
+        document.addEventListener('analysisComplete', callback);
+    }
+
     /**
      * Utilidades de estado
      */
@@ -503,6 +597,11 @@ class UIControls {
      * Destruir controles y limpiar eventos
      */
     destroy() {
+        if (this.runner) {
+            this.runner.destroy();
+            this.runner = null;
+        }
+
         Object.values(this.controls).forEach(control => {
             control.slider.removeEventListener('input', null);
             control.slider.removeEventListener('change', null);
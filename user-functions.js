@@ -0,0 +1,122 @@
+/**
+ * user-functions.js
+ * Forzamientos f(x,t) y condiciones iniciales ψ₀(x) definidos por el usuario para el
+ * Modelo Fractal-Estocástico del Universo (MFSU)
+ *
+ * Se aceptan dos formas:
+ *   - una expresión de math.js, p. ej. "0.1*sin(2*pi*x)*exp(-t)", compilada una sola vez;
+ *     las variables son las coordenadas físicas x (y, z en 2D/3D) y el tiempo t
+ *   - una función de JavaScript (x, t) => valor, con x número en 1D y [x, y] / [x, y, z] en 2D/3D
+ *
+ * El valor puede ser real o complejo (un Complex de math.js o un objeto { re, im }).
+ */
+
+class UserFunctions {
+    /**
+     * math.js (global en el navegador, require en Node.js)
+     */
+    static get mathjs() {
+        return typeof math !== 'undefined' ? math : require('mathjs');
+    }
+
+    /**
+     * Variables disponibles en las expresiones
+     * @param {number} dimensions - Número de ejes de la malla
+     * @returns {Array<string>} ['x', 't'], ['x', 'y', 't'] o ['x', 'y', 'z', 't']
+     */
+    static variables(dimensions = 1) {
+        return ['x', 'y', 'z'].slice(0, dimensions).concat('t');
+    }
+
+    /**
+     * Compila una expresión (o envuelve una función) como f(x, t)
+     * @param {string|Function} source - Expresión de math.js o función (x, t) => valor
+     * @param {number} dimensions - Número de ejes de la malla
+     * @returns {Function} (x, t) => número o { re, im }
+     */
+    static compile(source, dimensions = 1) {
+        let evaluate;
+
+        if (typeof source === 'function') {
+            evaluate = source;
+        } else if (typeof source === 'string' && source.trim() !== '') {
+            let code;
+            try {
+                code = this.mathjs.compile(source);
+            } catch (error) {
+                throw new Error(`Expresión no válida '${source}': ${error.message}`);
+            }
+
+            const axes = ['x', 'y', 'z'].slice(0, dimensions);
+            evaluate = (x, t) => {
+                const scope = { t: t };
+                if (Array.isArray(x)) {
+                    axes.forEach((name, axis) => { scope[name] = x[axis]; });
+                } else {
+                    scope.x = x;
+                }
+                return code.evaluate(scope);
+            };
+        } else {
+            throw new Error(`Expresión no válida '${source}': se espera una cadena de math.js o una función (x, t)`);
+        }
+
+        return (x, t = 0) => this.toValue(evaluate(x, t), source);
+    }
+
+    /**
+     * Normaliza el resultado de una expresión o función
+     * @param {*} value - Resultado
+     * @param {string|Function} source - Origen (para el mensaje de error)
+     * @returns {number|Object} Número real o { re, im } si la parte imaginaria no es nula
+     */
+    static toValue(value, source) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        if (value && typeof value.re === 'number' && typeof value.im === 'number') {
+            return value.im === 0 ? value.re : { re: value.re, im: value.im };
+        }
+        throw new Error(`Expresión no válida '${source}': el resultado no es un número (${value})`);
+    }
+
+    /**
+     * Validación para la interfaz: compila y evalúa en el centro de [0, 1]^d con t = 0
+     * @param {string|Function} source - Expresión o función
+     * @param {number} dimensions - Número de ejes de la malla
+     * @returns {Object} { valid, error }
+     */
+    static validate(source, dimensions = 1) {
+        try {
+            const f = this.compile(source, dimensions);
+            const probe = f(dimensions === 1 ? 0.5 : new Array(dimensions).fill(0.5), 0);
+            const parts = typeof probe === 'number' ? [probe] : [probe.re, probe.im];
+            if (!parts.every(Number.isFinite)) {
+                throw new Error(`Expresión no válida '${source}': valor no finito en x = 0.5`);
+            }
+            return { valid: true, error: null };
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+
+    /**
+     * Evalúa una expresión o función en una lista de puntos (vista previa y condiciones iniciales)
+     * @param {string|Function} source - Expresión o función
+     * @param {Array} points - Coordenadas físicas (x en 1D; [x, y] o [x, y, z] en 2D/3D)
+     * @param {number} t - Tiempo
+     * @returns {Array} Valor por punto
+     */
+    static sample(source, points, t = 0) {
+        const dimensions = Array.isArray(points[0]) ? points[0].length : 1;
+        const f = this.compile(source, dimensions);
+        return points.map(x => f(x, t));
+    }
+}
+
+// Exportar para uso en módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UserFunctions };
+} else if (typeof window !== 'undefined') {
+    window.UserFunctions = UserFunctions;
+}